@@ -0,0 +1,42 @@
+require('dotenv').config();
+
+/**
+ * Platform commission on teacher payments
+ *
+ * COMMISSION_TYPE is "percentage" (COMMISSION_PERCENTAGE of each charge) or
+ * "flat" (COMMISSION_FLAT_FEE KES per charge). Payment types listed in
+ * COMMISSION_SPLIT_AT_CHARGE are split by Paystack when charged - through
+ * PAYSTACK_SPLIT_CODE if set, otherwise the teacher's subaccount. Other
+ * commissionable types (escrow) keep the full amount with the platform and
+ * the commission is deducted when the escrow is paid out. Charges that could
+ * not be split pay the teacher's share by transfer once fulfilled.
+ */
+const parseList = (value, fallback) => {
+  return (value || fallback).split(',').map(item => item.trim()).filter(Boolean);
+};
+
+const COMMISSION_TYPE = process.env.COMMISSION_TYPE === 'flat' ? 'flat' : 'percentage';
+const COMMISSION_PERCENTAGE = parseFloat(process.env.COMMISSION_PERCENTAGE || '10');
+const COMMISSION_FLAT_FEE = parseFloat(process.env.COMMISSION_FLAT_FEE || '0');
+
+// Who pays the Paystack fees on split charges: "account" (platform) or "subaccount"
+const COMMISSION_BEARER = process.env.COMMISSION_BEARER === 'subaccount' ? 'subaccount' : 'account';
+
+const COMMISSION_PAYMENT_TYPES = parseList(process.env.COMMISSION_PAYMENT_TYPES, 'tuition,installment,escrow');
+const COMMISSION_SPLIT_AT_CHARGE = parseList(process.env.COMMISSION_SPLIT_AT_CHARGE, 'tuition,installment');
+
+const PAYSTACK_SPLIT_CODE = process.env.PAYSTACK_SPLIT_CODE || null;
+
+if (COMMISSION_TYPE === 'percentage' && !(COMMISSION_PERCENTAGE >= 0 && COMMISSION_PERCENTAGE < 100)) {
+  throw new Error('COMMISSION_PERCENTAGE must be between 0 and 100');
+}
+
+module.exports = {
+  COMMISSION_TYPE,
+  COMMISSION_PERCENTAGE,
+  COMMISSION_FLAT_FEE,
+  COMMISSION_BEARER,
+  COMMISSION_PAYMENT_TYPES,
+  COMMISSION_SPLIT_AT_CHARGE,
+  PAYSTACK_SPLIT_CODE
+};
@@ -0,0 +1,69 @@
+const axios = require('axios');
+require('dotenv').config();
+
+/**
+ * Safaricom Daraja (Lipa Na M-Pesa Online) configuration
+ *
+ * Daraja is an alternative to Paystack's M-Pesa rail. It is only enabled when
+ * all of its credentials are set; DARAJA_BASE_URL points it at a local
+ * stand-in (see mocks/darajaServer.js) instead of Safaricom.
+ */
+
+const DARAJA_BASE_URLS = {
+  sandbox: 'https://sandbox.safaricom.co.ke',
+  production: 'https://api.safaricom.co.ke'
+};
+
+const DARAJA_ENVIRONMENT = process.env.DARAJA_ENVIRONMENT || 'sandbox';
+
+if (!DARAJA_BASE_URLS[DARAJA_ENVIRONMENT]) {
+  throw new Error(`DARAJA_ENVIRONMENT must be one of: ${Object.keys(DARAJA_BASE_URLS).join(', ')}`);
+}
+
+const DARAJA = {
+  environment: DARAJA_ENVIRONMENT,
+  baseUrl: process.env.DARAJA_BASE_URL || DARAJA_BASE_URLS[DARAJA_ENVIRONMENT],
+  consumerKey: process.env.DARAJA_CONSUMER_KEY,
+  consumerSecret: process.env.DARAJA_CONSUMER_SECRET,
+  shortcode: process.env.DARAJA_SHORTCODE,
+  passkey: process.env.DARAJA_PASSKEY,
+  // CustomerPayBillOnline for paybills, CustomerBuyGoodsOnline for tills
+  transactionType: process.env.DARAJA_TRANSACTION_TYPE || 'CustomerPayBillOnline',
+  // Till number for CustomerBuyGoodsOnline; the shortcode otherwise
+  partyB: process.env.DARAJA_PARTY_B || null,
+  // Public URL of POST /api/payments/daraja/callback; derived from the
+  // request when not set
+  callbackUrl: process.env.DARAJA_CALLBACK_URL || null,
+  // Daraja does not sign callbacks, so the callback URL carries this secret
+  callbackToken: process.env.DARAJA_CALLBACK_TOKEN
+};
+
+const REQUIRED_SETTINGS = {
+  DARAJA_CONSUMER_KEY: DARAJA.consumerKey,
+  DARAJA_CONSUMER_SECRET: DARAJA.consumerSecret,
+  DARAJA_SHORTCODE: DARAJA.shortcode,
+  DARAJA_PASSKEY: DARAJA.passkey,
+  DARAJA_CALLBACK_TOKEN: DARAJA.callbackToken
+};
+
+const missingSettings = Object.keys(REQUIRED_SETTINGS).filter(name => !REQUIRED_SETTINGS[name]);
+
+const DARAJA_ENABLED = missingSettings.length === 0;
+
+if (!DARAJA_ENABLED && missingSettings.length < Object.keys(REQUIRED_SETTINGS).length) {
+  console.warn(`Warning: Daraja is disabled - missing ${missingSettings.join(', ')}`);
+}
+
+const darajaApi = axios.create({
+  baseURL: DARAJA.baseUrl,
+  timeout: 30000,
+  headers: {
+    'Content-Type': 'application/json'
+  }
+});
+
+module.exports = {
+  DARAJA,
+  DARAJA_ENABLED,
+  darajaApi
+};
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+/**
+ * Email transport for payment notifications
+ *
+ *   smtp    - send through SMTP_HOST (production)
+ *   file    - write each message as an .eml file to EMAIL_OUTBOX_DIR
+ *   console - log each message instead of sending it
+ */
+
+const EMAIL_TRANSPORTS = ['smtp', 'file', 'console'];
+
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+
+const EMAIL_NOTIFICATIONS_ENABLED = process.env.EMAIL_NOTIFICATIONS_ENABLED !== 'false';
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'ShuleGram Payments <payments@shulegram.co.ke>';
+
+const EMAIL_OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '../logs/outbox');
+
+if (!EMAIL_TRANSPORTS.includes(EMAIL_TRANSPORT)) {
+  throw new Error(`EMAIL_TRANSPORT must be one of: ${EMAIL_TRANSPORTS.join(', ')}`);
+}
+
+if (EMAIL_TRANSPORT === 'smtp' && !process.env.SMTP_HOST) {
+  throw new Error('Missing SMTP_HOST in environment variables');
+}
+
+const createTransport = () => {
+  switch (EMAIL_TRANSPORT) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587', 10),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+        connectionTimeout: 10000,
+        greetingTimeout: 10000,
+        socketTimeout: 20000
+      });
+
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+
+    default:
+      return nodemailer.createTransport({ jsonTransport: true });
+  }
+};
+
+const transport = createTransport();
+
+/**
+ * Send a message through the configured transport
+ *
+ * Resolves with { messageId, location } (location is the .eml path for the
+ * file transport).
+ */
+const sendMail = async (message) => {
+  const info = await transport.sendMail({ from: EMAIL_FROM, ...message });
+
+  if (EMAIL_TRANSPORT === 'file') {
+    await fs.promises.mkdir(EMAIL_OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[<>]/g, '').replace(/[^\w.@-]/g, '_')}.eml`;
+    const location = path.join(EMAIL_OUTBOX_DIR, fileName);
+    await fs.promises.writeFile(location, info.message);
+    return { messageId: info.messageId, location };
+  }
+
+  if (EMAIL_TRANSPORT === 'console') {
+    const attachments = (message.attachments || []).map(attachment => attachment.filename);
+    console.log('📧 Email (console transport):', {
+      to: message.to,
+      subject: message.subject,
+      attachments
+    });
+  }
+
+  return { messageId: info.messageId, location: null };
+};
+
+module.exports = {
+  EMAIL_TRANSPORT,
+  EMAIL_NOTIFICATIONS_ENABLED,
+  EMAIL_FROM,
+  sendMail
+};
@@ -1,9 +1,38 @@
 const admin = require('firebase-admin');
+const { createMemoryDatabase } = require('../repositories/memoryDatabase');
 require('dotenv').config();
 
+// Where data is kept: "firebase" (the project in FIREBASE_*, or the emulator
+// when FIREBASE_DATABASE_EMULATOR_HOST is set) or "memory" (no credentials
+// needed, lost on restart)
+const DATA_STORE = process.env.DATA_STORE || 'firebase';
+const USE_MEMORY_STORE = DATA_STORE === 'memory';
+const EMULATOR_HOST = process.env.FIREBASE_DATABASE_EMULATOR_HOST;
+
+let memoryDatabase = null;
+
 // Initialize Firebase Admin SDK
 const initializeFirebase = () => {
   try {
+    if (USE_MEMORY_STORE) {
+      console.log('✅ Using the in-memory data store (DATA_STORE=memory) - data is lost on restart');
+      return admin;
+    }
+
+    // Realtime Database emulator: no credentials needed, the admin SDK
+    // connects to FIREBASE_DATABASE_EMULATOR_HOST by itself
+    if (EMULATOR_HOST) {
+      const projectId = process.env.FIREBASE_PROJECT_ID || 'demo-shulegram';
+
+      admin.initializeApp({
+        projectId,
+        databaseURL: process.env.FIREBASE_DATABASE_URL || `http://${EMULATOR_HOST}?ns=${projectId}`
+      });
+
+      console.log(`✅ Firebase Admin initialized against the database emulator at ${EMULATOR_HOST}`);
+      return admin;
+    }
+
     // Option 1: Using environment variables
     const serviceAccount = {
       projectId: process.env.FIREBASE_PROJECT_ID,
@@ -26,17 +55,37 @@ const initializeFirebase = () => {
 
 // Get Firebase Database reference
 const getDatabase = () => {
+  if (USE_MEMORY_STORE) {
+    memoryDatabase = memoryDatabase || createMemoryDatabase();
+    return memoryDatabase;
+  }
+
   return admin.database();
 };
 
 // Get Firebase Auth
 const getAuth = () => {
+  if (USE_MEMORY_STORE) {
+    throw new Error('Firebase Auth is not available with DATA_STORE=memory');
+  }
+
   return admin.auth();
 };
 
+// Get Firebase Cloud Messaging
+const getMessaging = () => {
+  if (USE_MEMORY_STORE) {
+    throw new Error('Firebase Cloud Messaging is not available with DATA_STORE=memory');
+  }
+
+  return admin.messaging();
+};
+
 module.exports = {
+  DATA_STORE,
   initializeFirebase,
   getDatabase,
   getAuth,
+  getMessaging,
   admin
 };
@@ -0,0 +1,53 @@
+require('dotenv').config();
+
+/**
+ * Payment gateway selection
+ *
+ *   PAYMENT_GATEWAY          - default gateway (paystack)
+ *   MPESA_GATEWAY            - gateway for M-Pesa charges (STK push)
+ *   CHECKOUT_GATEWAY         - gateway for hosted checkout (initialize)
+ *   PAYMENT_GATEWAY_TENANTS  - per-tenant overrides as JSON, either a gateway
+ *                              for every method or one per method, e.g.
+ *                              {"school_a":"daraja","school_b":{"mpesa":"daraja"}}
+ *   TENANT_API_KEYS          - API keys of tenants as JSON, e.g.
+ *                              {"school_a":"long-random-key"}
+ *
+ * The tenant of a payment is resolved on the server, never taken from the
+ * request body: the tenant whose API key authenticated the request,
+ * otherwise the booking's tenantId.
+ */
+
+const PAYMENT_METHODS = ['mpesa', 'checkout'];
+
+const DEFAULT_GATEWAY = process.env.PAYMENT_GATEWAY || 'paystack';
+
+const METHOD_GATEWAYS = {
+  mpesa: process.env.MPESA_GATEWAY || null,
+  checkout: process.env.CHECKOUT_GATEWAY || null
+};
+
+const parseJsonSetting = (name) => {
+  const value = process.env[name];
+
+  if (!value) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} is not valid JSON: ${error.message}`);
+  }
+};
+
+const TENANT_GATEWAYS = parseJsonSetting('PAYMENT_GATEWAY_TENANTS');
+
+const TENANT_API_KEYS = parseJsonSetting('TENANT_API_KEYS');
+
+module.exports = {
+  PAYMENT_METHODS,
+  DEFAULT_GATEWAY,
+  METHOD_GATEWAYS,
+  TENANT_GATEWAYS,
+  TENANT_API_KEYS
+};
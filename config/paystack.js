@@ -13,7 +13,24 @@ const PAYSTACK_WEBHOOK_SECRET = isProduction
   ? process.env.PAYSTACK_WEBHOOK_SECRET
   : process.env.PAYSTACK_TEST_WEBHOOK_SECRET;
 
-const PAYSTACK_BASE_URL = 'https://api.paystack.co';
+// Comma-separated list of additional active webhook secrets, so a new secret
+// can be accepted alongside the old one while it is being rotated
+const PAYSTACK_WEBHOOK_SECRETS = [
+  PAYSTACK_WEBHOOK_SECRET,
+  ...((isProduction
+    ? process.env.PAYSTACK_WEBHOOK_SECRETS
+    : process.env.PAYSTACK_TEST_WEBHOOK_SECRETS) || '').split(',')
+]
+  .map(secret => secret && secret.trim())
+  .filter((secret, index, secrets) => secret && secrets.indexOf(secret) === index);
+
+// PAYSTACK_BASE_URL points the backend at a local stand-in (see
+// mocks/paystackServer.js) instead of Paystack
+const PAYSTACK_BASE_URL = process.env.PAYSTACK_BASE_URL || 'https://api.paystack.co';
+
+if (isProduction && process.env.PAYSTACK_BASE_URL) {
+  console.warn(`Warning: Paystack requests are sent to ${PAYSTACK_BASE_URL}`);
+}
 
 // Validate credentials are set
 if (!PAYSTACK_SECRET_KEY) {
@@ -21,7 +38,7 @@ if (!PAYSTACK_SECRET_KEY) {
   throw new Error(`Missing ${keyType} in environment variables`);
 }
 
-if (!PAYSTACK_WEBHOOK_SECRET) {
+if (PAYSTACK_WEBHOOK_SECRETS.length === 0) {
   const secretType = isProduction ? 'PAYSTACK_WEBHOOK_SECRET' : 'PAYSTACK_TEST_WEBHOOK_SECRET';
   console.warn(`Warning: ${secretType} not set - webhooks will not work properly`);
 }
@@ -79,5 +96,6 @@ module.exports = {
   paystackApi,
   PAYSTACK_SECRET_KEY,
   PAYSTACK_WEBHOOK_SECRET,
+  PAYSTACK_WEBHOOK_SECRETS,
   isProduction
 };
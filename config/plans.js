@@ -0,0 +1,30 @@
+/**
+ * Study Booster subscription plans
+ *
+ * Keys are the plan ids used by the API. Amounts are in KES; intervals are
+ * Paystack plan intervals. Plans are created/updated on Paystack with
+ * POST /api/subscriptions/plans/sync and their plan codes are kept in
+ * subscription-plans/{planId}.
+ */
+const PLANS = {
+  study_booster_monthly: {
+    name: 'Study Booster Monthly',
+    description: 'Unlimited revision quizzes, past papers and homework help, billed monthly',
+    amount: 499,
+    interval: 'monthly'
+  },
+  study_booster_termly: {
+    name: 'Study Booster Termly',
+    description: 'Unlimited revision quizzes, past papers and homework help, billed every term',
+    amount: 1299,
+    interval: 'quarterly'
+  },
+  study_booster_annual: {
+    name: 'Study Booster Annual',
+    description: 'Unlimited revision quizzes, past papers and homework help, billed yearly',
+    amount: 4499,
+    interval: 'annually'
+  }
+};
+
+module.exports = { PLANS };
@@ -0,0 +1,30 @@
+require('dotenv').config();
+
+/**
+ * Platform details printed on receipts and invoices
+ */
+const PLATFORM = {
+  name: process.env.PLATFORM_NAME || 'ShuleGram',
+  legalName: process.env.PLATFORM_LEGAL_NAME || 'OnPoint Soft Solutions Ltd',
+  kraPin: process.env.PLATFORM_KRA_PIN || null,
+  address: process.env.PLATFORM_ADDRESS || 'Nairobi, Kenya',
+  email: process.env.PLATFORM_EMAIL || 'payments@shulegram.co.ke',
+  phone: process.env.PLATFORM_PHONE || null,
+  website: process.env.PLATFORM_WEBSITE || 'https://shulegram.co.ke'
+};
+
+// Prefix of receipt/invoice numbers, e.g. SG-RCT-2025-000042
+const DOCUMENT_NUMBER_PREFIX = process.env.DOCUMENT_NUMBER_PREFIX || 'SG';
+
+// First month (1-12) of the financial year that document numbers restart in
+const FINANCIAL_YEAR_START_MONTH = parseInt(process.env.FINANCIAL_YEAR_START_MONTH || '1', 10);
+
+if (!(FINANCIAL_YEAR_START_MONTH >= 1 && FINANCIAL_YEAR_START_MONTH <= 12)) {
+  throw new Error('FINANCIAL_YEAR_START_MONTH must be between 1 and 12');
+}
+
+module.exports = {
+  PLATFORM,
+  DOCUMENT_NUMBER_PREFIX,
+  FINANCIAL_YEAR_START_MONTH
+};
@@ -0,0 +1,40 @@
+require('dotenv').config();
+
+/**
+ * SMS provider for payment notifications
+ *
+ *   africastalking - Africa's Talking messaging API (or a compatible gateway)
+ *   memory         - keep messages in memory and log them (development/tests)
+ */
+
+const SMS_PROVIDERS = ['africastalking', 'memory'];
+
+const SMS_PROVIDER = process.env.SMS_PROVIDER || (process.env.AFRICASTALKING_API_KEY ? 'africastalking' : 'memory');
+
+const SMS_NOTIFICATIONS_ENABLED = process.env.SMS_NOTIFICATIONS_ENABLED !== 'false';
+
+const AFRICASTALKING_USERNAME = process.env.AFRICASTALKING_USERNAME || 'sandbox';
+
+const AFRICASTALKING = {
+  username: AFRICASTALKING_USERNAME,
+  apiKey: process.env.AFRICASTALKING_API_KEY,
+  // Registered sender ID / short code; the account default is used if unset
+  senderId: process.env.AFRICASTALKING_SENDER_ID || null,
+  baseUrl: process.env.AFRICASTALKING_BASE_URL || (AFRICASTALKING_USERNAME === 'sandbox'
+    ? 'https://api.sandbox.africastalking.com'
+    : 'https://api.africastalking.com')
+};
+
+if (!SMS_PROVIDERS.includes(SMS_PROVIDER)) {
+  throw new Error(`SMS_PROVIDER must be one of: ${SMS_PROVIDERS.join(', ')}`);
+}
+
+if (SMS_PROVIDER === 'africastalking' && !AFRICASTALKING.apiKey) {
+  throw new Error('Missing AFRICASTALKING_API_KEY in environment variables');
+}
+
+module.exports = {
+  SMS_PROVIDER,
+  SMS_NOTIFICATIONS_ENABLED,
+  AFRICASTALKING
+};
@@ -0,0 +1,138 @@
+const { initiateDarajaPayment, queryDarajaPayment } = require('../services/daraja');
+const { getGateway } = require('../services/gateways');
+const {
+  claimWebhookEvent,
+  completeWebhookEvent,
+  failWebhookEvent
+} = require('../services/webhookEvents');
+const { processPaystackEvent } = require('../services/webhookProcessor');
+const logger = require('../utils/logger');
+
+/**
+ * Send a Daraja service result as the response
+ */
+const sendResult = (res, result) => {
+  const success = result.httpStatus < 400;
+
+  return res.status(result.httpStatus).json({
+    success,
+    message: result.message,
+    ...(success ? { data: result.data } : result.error && { error: result.error })
+  });
+};
+
+/**
+ * Start an M-Pesa payment with a Daraja STK push
+ * POST /api/payments/daraja/stk-push
+ */
+const initiateStkPush = async (req, res) => {
+  try {
+    const { phone, amount, email, bookingId, metadata = {} } = req.body;
+
+    if (!phone || !amount) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: phone, amount'
+      });
+    }
+
+    const result = await initiateDarajaPayment({
+      phone,
+      amount,
+      email,
+      bookingId,
+      metadata,
+      baseUrl: `${req.protocol}://${req.get('host')}`,
+      requestId: req.requestId || null
+    });
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Daraja STK push error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to initiate payment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Query Daraja for the outcome of an STK push and apply it
+ * POST /api/payments/daraja/query/:reference
+ */
+const queryStkPush = async (req, res) => {
+  try {
+    const result = await queryDarajaPayment(req.params.reference);
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Daraja STK query error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to query payment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Receive a Daraja STK callback
+ * POST /api/payments/daraja/callback/:token
+ */
+const handleStkCallback = async (req, res) => {
+  let webhookEvent = null;
+
+  try {
+    const parsed = await getGateway('daraja').parseWebhook(req);
+
+    if (!parsed.valid) {
+      logger.warning(`DARAJA_CALLBACK_REJECTED | ${parsed.reason}`);
+      return res.status(parsed.httpStatus || 400).json({
+        ResultCode: 1,
+        ResultDesc: parsed.reason
+      });
+    }
+
+    // Safaricom may deliver a callback more than once
+    webhookEvent = await claimWebhookEvent(parsed.event);
+
+    if (!webhookEvent.claimed) {
+      return res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+    }
+
+    const result = await processPaystackEvent(parsed.event);
+
+    if (result.httpStatus !== 200) {
+      await failWebhookEvent(webhookEvent.fingerprint, result.message);
+      return res.status(result.httpStatus).json({
+        ResultCode: 1,
+        ResultDesc: result.message
+      });
+    }
+
+    logger.info(`DARAJA_CALLBACK | Ref: ${parsed.event.data.reference} | ${result.outcome}`);
+    await completeWebhookEvent(webhookEvent.fingerprint, result.outcome);
+
+    return res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
+  } catch (error) {
+    console.error('Daraja callback error:', error);
+
+    if (webhookEvent?.claimed) {
+      await failWebhookEvent(webhookEvent.fingerprint, error).catch(markError => {
+        logger.error(markError, { operation: 'failWebhookEvent', fingerprint: webhookEvent.fingerprint });
+      });
+    }
+
+    return res.status(500).json({
+      ResultCode: 1,
+      ResultDesc: 'Callback processing failed'
+    });
+  }
+};
+
+module.exports = {
+  initiateStkPush,
+  queryStkPush,
+  handleStkCallback
+};
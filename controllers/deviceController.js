@@ -0,0 +1,93 @@
+const {
+  registerDeviceToken,
+  unregisterDeviceToken,
+  listDeviceTokens
+} = require('../services/pushNotifications');
+
+/**
+ * Send a push notifications service result as the response
+ */
+const sendResult = (res, result) => {
+  const success = result.httpStatus < 400;
+
+  return res.status(result.httpStatus).json({
+    success,
+    message: result.message,
+    ...(success && result.data && { data: result.data })
+  });
+};
+
+/**
+ * Register (or refresh) a device token for push notifications
+ * POST /api/devices/:userId/tokens
+ */
+const registerDevice = async (req, res) => {
+  try {
+    const { token, platform } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: token'
+      });
+    }
+
+    const result = await registerDeviceToken({ userId: req.params.userId, token, platform });
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Register device error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to register device',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Unregister a device token (e.g. on sign-out)
+ * DELETE /api/devices/:userId/tokens
+ */
+const unregisterDevice = async (req, res) => {
+  try {
+    const result = await unregisterDeviceToken({ userId: req.params.userId, token: req.body?.token });
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Unregister device error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to unregister device',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List a user's registered devices (tokens masked)
+ * GET /api/devices/:userId/tokens
+ */
+const getDevices = async (req, res) => {
+  try {
+    const devices = await listDeviceTokens(req.params.userId);
+
+    return res.status(200).json({
+      success: true,
+      data: devices
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch devices',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  registerDevice,
+  unregisterDevice,
+  getDevices
+};
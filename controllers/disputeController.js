@@ -0,0 +1,187 @@
+const {
+  openDispute,
+  addStatement,
+  resolveDispute,
+  getDispute,
+  listDisputesForBooking
+} = require('../services/disputes');
+
+/**
+ * Send a disputes service result as the response
+ */
+const sendResult = (res, result) => {
+  const success = result.httpStatus < 400;
+
+  return res.status(result.httpStatus).json({
+    success,
+    message: result.message,
+    ...(success ? { data: result.data } : result.error && { error: result.error })
+  });
+};
+
+/**
+ * Open a dispute on a booking held in escrow
+ * POST /api/disputes
+ */
+const createDispute = async (req, res) => {
+  try {
+    const { bookingId, openedBy, role, reason, statement, evidence } = req.body;
+
+    if (!bookingId || !openedBy || !role || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: bookingId, openedBy, role, reason'
+      });
+    }
+
+    const result = await openDispute({ bookingId, openedBy, role, reason, statement, evidence });
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Open dispute error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to open dispute',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a statement and evidence references to an open dispute
+ * POST /api/disputes/:disputeId/statements
+ */
+const addDisputeStatement = async (req, res) => {
+  try {
+    const { author, role, statement, evidence } = req.body;
+
+    if (!author || !role || !statement) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: author, role, statement'
+      });
+    }
+
+    const result = await addStatement(req.params.disputeId, { author, role, statement, evidence });
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Add dispute statement error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add statement',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Resolve a dispute as a release, refund or split (admin only)
+ * POST /api/disputes/:disputeId/resolve
+ */
+const resolveEscrowDispute = async (req, res) => {
+  try {
+    const { resolution, teacherAmount, parentAmount, notes, resolvedBy, recipientId, teacherPhone } = req.body;
+
+    if (!resolution || !resolvedBy) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: resolution, resolvedBy'
+      });
+    }
+
+    if (resolution === 'split' && teacherAmount === undefined && parentAmount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'A split resolution needs teacherAmount or parentAmount'
+      });
+    }
+
+    const result = await resolveDispute(req.params.disputeId, {
+      resolution,
+      teacherAmount,
+      parentAmount,
+      notes,
+      resolvedBy,
+      recipientId,
+      teacherPhone
+    });
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Resolve dispute error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to resolve dispute',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a dispute with its statements
+ * GET /api/disputes/:disputeId
+ */
+const getDisputeDetails = async (req, res) => {
+  try {
+    const dispute = await getDispute(req.params.disputeId);
+
+    if (!dispute) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dispute not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        ...dispute,
+        statements: Object.entries(dispute.statements || {}).map(([id, entry]) => ({ id, ...entry }))
+      }
+    });
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch dispute',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the disputes raised on a booking
+ * GET /api/disputes/booking/:bookingId
+ */
+const getBookingDisputes = async (req, res) => {
+  try {
+    const disputes = await listDisputesForBooking(req.params.bookingId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        bookingId: req.params.bookingId,
+        disputes: disputes.map(({ statements, ...summary }) => ({
+          ...summary,
+          statementCount: Object.keys(statements || {}).length
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get booking disputes error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch disputes',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createDispute,
+  addDisputeStatement,
+  resolveEscrowDispute,
+  getDisputeDetails,
+  getBookingDisputes
+};
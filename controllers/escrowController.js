@@ -0,0 +1,129 @@
+const { defineMilestones, confirmMilestone, getMilestones } = require('../services/milestones');
+const { releaseMilestonePayout } = require('../services/payouts');
+
+/**
+ * Send a milestones/payouts service result as the response
+ */
+const sendResult = (res, result) => {
+  const success = result.httpStatus < 400;
+
+  return res.status(result.httpStatus).json({
+    success,
+    message: result.message,
+    ...(success ? { data: result.data } : result.error && { error: result.error })
+  });
+};
+
+/**
+ * Split a booking's escrow into milestones
+ * POST /api/escrow/:bookingId/milestones
+ */
+const createMilestones = async (req, res) => {
+  try {
+    const { milestones, definedBy } = req.body;
+
+    const result = await defineMilestones(req.params.bookingId, milestones, definedBy);
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Define milestones error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to define milestones',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a booking's milestones and escrow balance
+ * GET /api/escrow/:bookingId/milestones
+ */
+const getEscrowMilestones = async (req, res) => {
+  try {
+    const escrow = await getMilestones(req.params.bookingId);
+
+    if (!escrow) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: escrow
+    });
+  } catch (error) {
+    console.error('Get milestones error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch milestones',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm a milestone as the parent or the teacher
+ * POST /api/escrow/:bookingId/milestones/:milestoneId/confirm
+ */
+const confirmEscrowMilestone = async (req, res) => {
+  try {
+    const { role, confirmedBy } = req.body;
+
+    if (!role) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required field: role'
+      });
+    }
+
+    const result = await confirmMilestone(req.params.bookingId, req.params.milestoneId, { role, confirmedBy });
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Confirm milestone error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to confirm milestone',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Pay a confirmed milestone out to the teacher
+ * POST /api/escrow/:bookingId/milestones/:milestoneId/release
+ */
+const releaseEscrowMilestone = async (req, res) => {
+  try {
+    const { teacherId, recipientId, teacherPhone, teacherName, requestedBy } = req.body;
+
+    const result = await releaseMilestonePayout({
+      bookingId: req.params.bookingId,
+      milestoneId: req.params.milestoneId,
+      teacherId,
+      recipientId,
+      teacherPhone,
+      teacherName,
+      requestedBy
+    });
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Release milestone error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to release milestone',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createMilestones,
+  getEscrowMilestones,
+  confirmEscrowMilestone,
+  releaseEscrowMilestone
+};
@@ -0,0 +1,103 @@
+const { createInstallmentPlan, getInstallmentPlan } = require('../services/installments');
+const { issueInstallmentInvoice } = require('../services/receipts');
+const { sendDocumentPdf } = require('../utils/receiptPdf');
+
+/**
+ * Send an installments service result as the response
+ */
+const sendResult = (res, result) => {
+  const success = result.httpStatus < 400;
+
+  return res.status(result.httpStatus).json({
+    success,
+    message: result.message,
+    ...(success ? { data: result.data } : result.error && { error: result.error })
+  });
+};
+
+/**
+ * Split a booking's tuition into installments
+ * POST /api/installments/:bookingId
+ */
+const createInstallments = async (req, res) => {
+  try {
+    const { total, installments, count, firstDueDate, intervalDays, createdBy } = req.body;
+
+    const result = await createInstallmentPlan(
+      req.params.bookingId,
+      { total, installments, count, firstDueDate, intervalDays },
+      createdBy
+    );
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Create installment plan error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create installment plan',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a booking's installment schedule and balance
+ * GET /api/installments/:bookingId
+ */
+const getInstallments = async (req, res) => {
+  try {
+    const plan = await getInstallmentPlan(req.params.bookingId);
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking has no installment plan'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    console.error('Get installment plan error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch installment plan',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download the PDF invoice for an unpaid installment
+ * GET /api/installments/:bookingId/:installmentId/invoice
+ */
+const getInstallmentInvoice = async (req, res) => {
+  try {
+    const { bookingId, installmentId } = req.params;
+    const { document, rejection } = await issueInstallmentInvoice(bookingId, installmentId);
+
+    if (rejection) {
+      return res.status(rejection.httpStatus).json({
+        success: false,
+        message: rejection.message
+      });
+    }
+
+    return await sendDocumentPdf(req, res, document);
+  } catch (error) {
+    console.error('Get installment invoice error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate invoice',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createInstallments,
+  getInstallments,
+  getInstallmentInvoice
+};
@@ -1,7 +1,27 @@
-const { paystackApi, PAYSTACK_WEBHOOK_SECRET } = require('../config/paystack');
-const { getDatabase } = require('../config/firebase');
+const { transactions, bookings } = require('../repositories');
 const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
+const {
+  PAYMENT_STATES,
+  fromGatewayStatus,
+  transitionPayment
+} = require('../services/paymentLifecycle');
+const {
+  claimWebhookEvent,
+  completeWebhookEvent,
+  failWebhookEvent,
+  getWebhookEventsForReference
+} = require('../services/webhookEvents');
+const { processPaystackEvent, settleRetriedPayment, settleSuccessfulCharge } = require('../services/webhookProcessor');
+const { requestRefund } = require('../services/refunds');
+const { releaseEscrowPayout } = require('../services/payouts');
+const { buildPaymentSplit } = require('../services/commission');
+const { getGateway, resolveTenant, selectGateway, gatewayForTransaction } = require('../services/gateways');
+const { checkInstallmentCharge } = require('../services/installments');
+const { issueReceipt } = require('../services/receipts');
+const { notifyStkPromptSent, notifyPaymentFailed } = require('../services/notifications');
+const { sendDocumentPdf } = require('../utils/receiptPdf');
+const { normalizeMpesaNumber } = require('../utils/phone');
 
 /**
  * Initialize a payment transaction
@@ -30,77 +50,84 @@ const initializePayment = async (req, res) => {
       });
     }
 
-    // Convert amount to kobo (Paystack uses smallest currency unit)
-    const amountInKobo = Math.round(amount * 100);
-
     // Generate unique reference using UUID
     const reference = `booking_${uuidv4().replace(/-/g, '')}`;
 
+    // Installment payments must match the amount due on the schedule, and
+    // reserve the installment for this charge
+    if (metadata?.payment_type === 'installment') {
+      const rejection = await checkInstallmentCharge({ bookingId, amount, metadata, reference });
+
+      if (rejection) {
+        return res.status(rejection.httpStatus).json({
+          success: false,
+          message: rejection.message
+        });
+      }
+    }
+
+    const tenantId = await resolveTenant({ apiKeyTenantId: req.tenantId, bookingId });
+    const gateway = selectGateway({ method: 'checkout', tenantId });
+
     // Log payment initialization
     logger.payment.init(reference, { email, amount, bookingId });
 
-    // Prepare payment data
-    const paymentData = {
-      email,
-      amount: amountInKobo,
+    // Platform commission split for tuition/escrow payments
+    const { split } = await buildPaymentSplit({
+      amount,
+      paymentType: metadata?.payment_type,
+      teacherId: metadata?.teacherId,
+      bookingId,
+      splitAtCharge: gateway.splitsAtCharge
+    });
+
+    // Hosted checkout allowing both MPesa and card
+    const checkout = await gateway.initialize({
       reference,
-      currency: 'KES', // Kenyan Shillings
-      channels: ['mobile_money', 'card'], // Allow both MPesa and card
+      email,
+      amount,
+      channels: ['mobile_money', 'card'],
+      split,
       metadata: {
         booking_id: bookingId,
         ...metadata
       }
-    };
-
-    // Initialize payment with Paystack
-    const response = await paystackApi.post('/transaction/initialize', paymentData);
+    });
 
-    if (response.data.status) {
-      // Log transaction to Firebase
-      const db = getDatabase();
-      const transactionData = {
-        reference,
-        bookingId,
-        email,
-        amount: amount,
-        status: 'pending',
-        createdAt: Date.now(),
-        metadata,
-        paymentMethod: 'unknown', // Will be updated when payment is completed
-        source: 'api'
-      };
+    // Log transaction to Firebase
+    const transactionData = {
+      reference,
+      gateway: gateway.name,
+      bookingId,
+      email,
+      amount: amount,
+      status: 'pending',
+      createdAt: Date.now(),
+      metadata,
+      split,
+      paymentMethod: 'unknown', // Will be updated when payment is completed
+      source: 'api'
+    };
 
-      logger.firebase.write('payment-transactions', reference, 'create');
-      await db.ref(`payment-transactions/${reference}`).set(transactionData);
+    logger.firebase.write('payment-transactions', reference, 'create');
+    await transactions.create(reference, transactionData);
 
-      const responseTime = Date.now() - startTime;
-      logger.performance.timing('payment_initialize', responseTime, { reference, amount });
-      logger.api.response('POST', '/api/payments/initialize', 200, responseTime);
+    const responseTime = Date.now() - startTime;
+    logger.performance.timing('payment_initialize', responseTime, { reference, amount });
+    logger.api.response('POST', '/api/payments/initialize', 200, responseTime);
 
-      return res.status(200).json({
-        success: true,
-        message: 'Payment initialized successfully',
-        data: {
-          reference: response.data.data.reference,
-          access_code: response.data.data.access_code,
-          authorization_url: response.data.data.authorization_url
-        }
-      });
-    } else {
-      const error = response.data.message || 'Failed to initialize payment';
-      logger.payment.failed(reference, error, { amount, bookingId });
-      const responseTime = Date.now() - startTime;
-      logger.api.error('POST', '/api/payments/initialize', error, 400);
-      
-      return res.status(400).json({
-        success: false,
-        message: 'Failed to initialize payment',
-        error: error
-      });
-    }
+    return res.status(200).json({
+      success: true,
+      message: 'Payment initialized successfully',
+      data: {
+        reference: checkout.reference,
+        access_code: checkout.accessCode,
+        authorization_url: checkout.authorizationUrl
+      }
+    });
   } catch (error) {
     const responseTime = Date.now() - startTime;
-    const errorMessage = error.response?.data?.message || error.message;
+    const errorMessage = error.message;
     
     logger.error(error, { 
       operation: 'initializePayment', 
@@ -135,75 +162,42 @@ const verifyPayment = async (req, res) => {
       });
     }
 
-    // Verify payment with Paystack
-    const response = await paystackApi.get(`/transaction/verify/${reference}`);
+    const transaction = await transactions.get(reference);
+    const gateway = gatewayForTransaction(transaction);
 
-    if (response.data.status) {
-      const paymentData = response.data.data;
-      const db = getDatabase();
+    // Verify payment with the gateway it was made through
+    const paymentData = await gateway.verify({ reference, transaction });
 
-      // Update transaction in Firebase
-      await db.ref(`payment-transactions/${reference}`).update({
-        status: paymentData.status,
-        verifiedAt: Date.now(),
+    if (paymentData) {
+
+      const status = fromGatewayStatus(paymentData.status);
+      const updates = {
+        verifiedAt: new Date().toISOString(),
         gateway_response: paymentData.gateway_response,
         paid_at: paymentData.paid_at,
         channel: paymentData.channel
-      });
+      };
 
-      // If payment successful, update booking
-      if (paymentData.status === 'success') {
-        const bookingId = paymentData.metadata.booking_id;
-        const paymentType = paymentData.metadata.payment_type || 'booking';
-
-        if (paymentType === 'booking_fee') {
-          // Get current booking data
-          const bookingSnapshot = await db.ref(`tuition-bookings/${bookingId}`).once('value');
-          const currentBooking = bookingSnapshot.val() || {};
-          
-          // Update with negotiation unlock
-          await db.ref(`tuition-bookings/${bookingId}`).update({
-            ...currentBooking,
-            bookingFeePaid: true,
-            bookingFeeReference: reference,
-            bookingFeePaidAt: Date.now(),
-            status: 'negotiating',
-            negotiationUnlocked: true,
-            negotiationUnlockedAt: new Date().toISOString(),
-            negotiation: {
-              status: 'ready',
-              unlockedBy: paymentData.metadata.userId || paymentData.customer.email,
-              unlockedAt: new Date().toISOString(),
-              messages: [],
-              offers: [],
-              lastActivity: new Date().toISOString()
-            }
-          });
-          
-          // Log the unlock event
-          await db.ref(`tuition-bookings/${bookingId}/activityLog`).push().set({
-            action: 'negotiation_unlocked',
-            timestamp: new Date().toISOString(),
-            paymentReference: reference,
-            amount: paymentData.amount / 100,
-            triggeredBy: 'payment_verification',
-            details: {
-              previousStatus: currentBooking.status || 'pending',
-              newStatus: 'negotiating',
-              paymentGateway: 'paystack'
-            }
-          });
-          
-          console.log(`✅ Negotiation unlocked via verification for booking ${bookingId}`);
-          
-        } else if (paymentType === 'escrow') {
-          await db.ref(`tuition-bookings/${bookingId}`).update({
-            escrowPaid: true,
-            escrowAmount: paymentData.amount / 100,
-            escrowReference: reference,
-            escrowPaidAt: Date.now(),
-            escrowStatus: 'held'
-          });
+      if (status === PAYMENT_STATES.SUCCESS) {
+        // Record the success and fulfill it, unless the webhook already has
+        const settlement = await settleSuccessfulCharge({
+          transaction: transaction || {},
+          data: paymentData,
+          source: 'payment_verification',
+          updates
+        });
+
+        if (settlement.fulfillment?.action === 'negotiation_unlocked') {
+          console.log(`✅ Negotiation unlocked via verification for booking ${settlement.fulfillment.bookingId}`);
+        }
+      } else {
+        const transition = await transitionPayment(reference, status, {
+          updates,
+          source: 'payment_verification'
+        });
+
+        if (transition.applied && transition.to === PAYMENT_STATES.FAILED) {
+          await notifyPaymentFailed(reference);
         }
       }
 
@@ -225,11 +219,11 @@ const verifyPayment = async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Payment verification error:', error.response?.data || error.message);
+    console.error('Payment verification error:', error.details || error.message);
     return res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: error.response?.data?.message || error.message
+      error: error.message
     });
   }
 };
@@ -249,207 +243,146 @@ const processMpesaPayment = async (req, res) => {
       });
     }
 
-    // Check if we're in test mode (Paystack test key starts with 'sk_test_')
-    const isTestMode = process.env.PAYSTACK_SECRET_KEY?.startsWith('sk_test_');
-    
-    // For test mode, use Paystack's test MPesa number and email
-    let formattedPhone;
-    let paymentEmail = email;
-    
-    if (isTestMode) {
-      console.log('Test mode detected - using test credentials');
-      formattedPhone = '254708374176'; // Paystack's test MPesa number
-      paymentEmail = 'test@example.com'; // Must use test email for Paystack test mode
-    } else {
-      // Format phone number for production (ensure it starts with 254)
-      formattedPhone = phone.replace(/\s+/g, '');
-      if (formattedPhone.startsWith('0')) {
-        formattedPhone = '254' + formattedPhone.substring(1);
-      } else if (formattedPhone.startsWith('+254')) {
-        formattedPhone = formattedPhone.substring(1);
-      } else if (!formattedPhone.startsWith('254')) {
-        formattedPhone = '254' + formattedPhone;
-      }
+    const tenantId = await resolveTenant({ apiKeyTenantId: req.tenantId, bookingId });
+    const gateway = selectGateway({ method: 'mpesa', tenantId });
 
-      // Validate phone number format (should be 12 digits: 254XXXXXXXXX)
-      if (!/^254\d{9}$/.test(formattedPhone)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid phone number format. Should be 254XXXXXXXXX'
-        });
-      }
+    // Format phone number (ensure it starts with 254)
+    let formattedPhone = phone.replace(/\s+/g, '');
+    if (formattedPhone.startsWith('0')) {
+      formattedPhone = '254' + formattedPhone.substring(1);
+    } else if (formattedPhone.startsWith('+254')) {
+      formattedPhone = formattedPhone.substring(1);
+    } else if (!formattedPhone.startsWith('254')) {
+      formattedPhone = '254' + formattedPhone;
     }
 
-    // For test mode, we must use specific test amounts (100, 200, 300... 1000 KES)
-    const testAmounts = [100, 200, 300, 400, 500, 600, 700, 800, 900, 1000];
-    const safeAmount = isTestMode ? 
-      testAmounts[Math.floor(Math.random() * testAmounts.length)] : 
-      amount;
-      
-    const amountInKobo = Math.round(safeAmount * 100);
-    
-    // Generate unique references using UUID
-    const timestamp = Date.now();
-    const initReference = `init_${uuidv4()}`;
-    const chargeReference = `chg_${uuidv4()}`;
-    console.log('=== MPesa Payment Request ===');
-    console.log('Test Mode:', isTestMode ? 'YES' : 'NO');
-    console.log('Init Reference:', initReference);
-    console.log('Charge Reference:', chargeReference);
-    console.log('Phone:', isTestMode ? `${formattedPhone} (test number)` : formattedPhone);
-    console.log('Amount:', safeAmount, 'KES (', amountInKobo, 'kobo)');
-
-    // Step 1: Initialize transaction
-    const protocol = req.protocol || 'https';
-    const host = req.get('host') || 'your-domain.com';
-    const callbackUrl = `${protocol}://${host}/api/payments/webhook`;
-    
-    const initData = {
-      email: paymentEmail, // Use test email in test mode
-      amount: amountInKobo,
-      reference: initReference,
-      currency: 'KES',
-      channels: ['mobile_money'],
-      callback_url: callbackUrl,
-      metadata: {
-        booking_id: bookingId,
-        payment_method: 'mpesa',
-        ...metadata
-      }
-    };
-
-    console.log('Step 1: Initializing transaction...');
-    const initResponse = await paystackApi.post('/transaction/initialize', initData);
-    console.log('Init response:', JSON.stringify(initResponse.data, null, 2));
-
-    if (!initResponse.data.status) {
-      console.error('Initialization failed:', initResponse.data.message);
+    // Validate phone number format (should be 12 digits: 254XXXXXXXXX)
+    if (!/^254\d{9}$/.test(formattedPhone)) {
       return res.status(400).json({
         success: false,
-        message: 'Failed to initialize payment',
-        error: initResponse.data.message
+        message: 'Invalid phone number format. Should be 254XXXXXXXXX'
       });
     }
 
-    // In test mode, we only need to initialize the transaction
-    // The STK push will be handled by Paystack's test environment
-    if (isTestMode) {
-      console.log('Test mode - skipping direct charge, using checkout URL');
-      const checkoutUrl = `https://checkout.paystack.com/${initResponse.data.data.access_code}`;
-      
-      // Log transaction to Firebase
-      const db = getDatabase();
-      await db.ref(`payment-transactions/${initReference}`).set({
-        reference: initReference,
-        bookingId,
-        email: paymentEmail,
-        phone: formattedPhone,
-        amount: safeAmount,
-        status: 'pending',
-        paymentMethod: 'mpesa',
-        checkoutUrl,
-        createdAt: Date.now(),
-        metadata
-      });
+    // Platform commission split for tuition/escrow payments
+    const { split } = await buildPaymentSplit({
+      amount,
+      paymentType: metadata?.payment_type,
+      teacherId: metadata?.teacherId,
+      bookingId,
+      splitAtCharge: gateway.splitsAtCharge
+    });
+    
+    // Generate unique reference using UUID
+    const reference = `chg_${uuidv4()}`;
 
-      return res.status(200).json({
-        success: true,
-        message: 'Payment initialized. Please check your phone for STK push.',
-        data: {
-          reference: initReference,
-          status: 'pending',
-          checkout_url: checkoutUrl,
-          display_text: 'Check your phone for payment prompt'
-        }
-      });
-    }
+    // Installment payments must match the amount due on the schedule, and
+    // reserve the installment for this charge
+    if (metadata?.payment_type === 'installment') {
+      const rejection = await checkInstallmentCharge({ bookingId, amount, metadata, reference });
 
-    // Production flow - direct charge with STK push
-    const paystackPhone = '+' + formattedPhone;
-    const chargeData = {
-      email: paymentEmail,
-      amount: amountInKobo,
-      reference: chargeReference,
-      mobile_money: {
-        phone: paystackPhone,
-        provider: 'mpesa'
-      },
-      metadata: {
-        booking_id: bookingId,
-        payment_method: 'mpesa',
-        ...metadata
+      if (rejection) {
+        return res.status(rejection.httpStatus).json({
+          success: false,
+          message: rejection.message
+        });
       }
-    };
-    
-    console.log('Formatted phone for Paystack:', paystackPhone);
+    }
 
-    console.log('Step 2: Charging mobile money...');
-    const chargeResponse = await paystackApi.post('/charge', chargeData);
-    console.log('Charge response:', JSON.stringify(chargeResponse.data, null, 2));
+    console.log('=== MPesa Payment Request ===');
+    console.log('Gateway:', gateway.name);
+    console.log('Reference:', reference);
+    console.log('Phone:', formattedPhone);
+    console.log('Amount:', amount, 'KES');
 
-    // Log transaction to Firebase
-    const db = getDatabase();
-    await db.ref(`payment-transactions/${chargeReference}`).set({
-      reference: chargeReference,
-      initReference,
+    // Stored before the charge so an early callback finds the transaction
+    await transactions.create(reference, {
+      reference,
+      gateway: gateway.name,
       bookingId,
       email,
       phone: formattedPhone,
       amount: amount,
-      status: chargeResponse.data.status === true ? 'pending' : 'failed',
+      status: 'pending',
       paymentMethod: 'mpesa',
       createdAt: Date.now(),
-      chargeResponse: chargeResponse.data,
-      metadata
+      metadata,
+      split
     });
 
-    // Check charge response status
-    const responseStatus = chargeResponse.data.status;
-    const responseData = chargeResponse.data.data;
+    // Direct charge with STK push
+    console.log('Charging mobile money...');
+    let charge;
 
-    if (responseStatus === 'success' || responseStatus === true) {
-      console.log('✅ MPesa STK push sent successfully');
-      return res.status(200).json({
-        success: true,
-        message: 'MPesa STK push sent. Please check your phone to complete payment.',
-        data: {
-          reference: responseData?.reference || reference,
-          status: responseData?.status || 'pending',
-          display_text: responseData?.display_text || 'Check your phone for payment prompt'
+    try {
+      charge = await gateway.charge({
+        reference,
+        email,
+        amount,
+        phone: formattedPhone,
+        baseUrl: `${req.protocol || 'https'}://${req.get('host') || 'your-domain.com'}`,
+        split,
+        metadata: {
+          booking_id: bookingId,
+          payment_method: 'mpesa',
+          ...metadata
         }
       });
-    } else if (responseStatus === 'send_otp' || responseStatus === 'pending') {
-      console.log('⏳ Payment pending - awaiting user action');
-      return res.status(200).json({
-        success: true,
-        message: 'Payment pending. Check your phone for prompt.',
-        data: {
-          reference,
-          status: 'pending'
-        }
+    } catch (error) {
+      await transitionPayment(reference, PAYMENT_STATES.FAILED, {
+        updates: { failedAt: new Date().toISOString(), failureReason: error.message },
+        source: 'mpesa_charge',
+        reason: error.message
       });
-    } else {
-      console.error('❌ Charge failed:', chargeResponse.data.message);
+
+      throw error;
+    }
+
+    console.log('Charge response:', JSON.stringify(charge.raw, null, 2));
+    await transactions.update(reference, { ...charge.gatewayData, chargeResponse: charge.raw || null });
+
+    if (charge.status === 'failed') {
+      console.error('❌ Charge failed:', charge.displayText);
+      await transitionPayment(reference, PAYMENT_STATES.FAILED, {
+        updates: { failedAt: new Date().toISOString(), failureReason: charge.displayText || 'Charge failed' },
+        source: 'mpesa_charge'
+      });
+
       return res.status(400).json({
         success: false,
-        message: chargeResponse.data.message || 'Failed to initiate MPesa payment',
-        error: chargeResponse.data
+        message: charge.displayText || 'Failed to initiate MPesa payment',
+        error: charge.raw
       });
     }
+
+    console.log('✅ MPesa STK push sent successfully');
+
+    // Not awaited so the SMS does not delay the response (it never throws)
+    notifyStkPromptSent(reference);
+
+    return res.status(200).json({
+      success: true,
+      message: 'MPesa STK push sent. Please check your phone to complete payment.',
+      data: {
+        reference: charge.reference,
+        status: charge.status,
+        display_text: charge.displayText || 'Check your phone for payment prompt'
+      }
+    });
   } catch (error) {
     console.error('=== MPesa Payment Error ===');
     console.error('Error message:', error.message);
     
     // Log detailed error for debugging
-    if (error.response?.data) {
-      console.error('Paystack error details:', JSON.stringify(error.response.data, null, 2));
+    if (error.details) {
+      console.error(`${error.gateway} error details:`, JSON.stringify(error.details, null, 2));
     }
 
     return res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: error.response?.data?.message || error.message,
-      details: error.response?.data
+      error: error.message,
+      details: error.details
     });
   }
 };
@@ -487,319 +420,233 @@ const processMpesaPaymentDirect = async (req, res) => {
       });
     }
 
-    const amountInKobo = Math.round(amount * 100);
+    const tenantId = await resolveTenant({ apiKeyTenantId: req.tenantId, bookingId });
+    const gateway = selectGateway({ method: 'mpesa', tenantId });
+
+    // Platform commission split for tuition/escrow payments
+    const { split } = await buildPaymentSplit({
+      amount,
+      paymentType: metadata?.payment_type,
+      teacherId: metadata?.teacherId,
+      bookingId,
+      splitAtCharge: gateway.splitsAtCharge
+    });
+
     // Generate a more unique reference with timestamp, random string, and counter
     const timestamp = Date.now();
     const randomString = Math.random().toString(36).substring(2, 10);
     const counter = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    const reference = `mpesa_${bookingId}_${timestamp}_${randomString}_${counter}`;
-
-    // Direct charge - Paystack expects phone with + prefix
-    const paystackPhone = '+' + formattedPhone;
-    
-    const chargeData = {
-      email,
-      amount: amountInKobo,
-      currency: 'KES',
-      reference,
-      mobile_money: {
-        phone: paystackPhone,
-        provider: 'mpesa'
-      },
-      metadata: {
-        booking_id: bookingId,
-        payment_method: 'mpesa',
-        ...metadata
-      }
-    };
+    const reference = req.retry?.reference || `mpesa_${bookingId}_${timestamp}_${randomString}_${counter}`;
 
-    console.log('Direct MPesa charge:', { 
-      reference, 
-      amount, 
-      phone: paystackPhone 
-    });
+    // Installment payments must match the amount due on the schedule, and
+    // reserve the installment for this charge
+    if (metadata?.payment_type === 'installment') {
+      const rejection = await checkInstallmentCharge({ bookingId, amount, metadata, reference });
 
-    const response = await paystackApi.post('/charge', chargeData);
-    console.log('Direct charge response:', JSON.stringify(response.data, null, 2));
+      if (rejection) {
+        return res.status(rejection.httpStatus).json({
+          success: false,
+          message: rejection.message
+        });
+      }
+    }
 
-    // Log transaction
-    const db = getDatabase();
-    await db.ref(`payment-transactions/${reference}`).set({
+    // Log transaction (before the charge so an early callback finds it)
+    await transactions.create(reference, {
       reference,
+      gateway: gateway.name,
       bookingId,
       email,
-      phone: paystackPhone,
+      phone: '+' + formattedPhone,
       amount: amount,
       status: 'pending',
       paymentMethod: 'mpesa',
       createdAt: Date.now(),
-      metadata
+      metadata,
+      split,
+      // Set by retryMpesaPayment only, never from the request body
+      ...(req.retry && { retryOf: req.retry.of })
+    });
+
+    console.log('Direct MPesa charge:', { 
+      reference, 
+      amount, 
+      phone: formattedPhone,
+      gateway: gateway.name
     });
 
+    let charge;
+
+    try {
+      charge = await gateway.charge({
+        reference,
+        email,
+        amount,
+        phone: formattedPhone,
+        baseUrl: `${req.protocol}://${req.get('host')}`,
+        split,
+        metadata: {
+          booking_id: bookingId,
+          payment_method: 'mpesa',
+          ...metadata
+        }
+      });
+    } catch (error) {
+      await transitionPayment(reference, PAYMENT_STATES.FAILED, {
+        updates: { failedAt: new Date().toISOString(), failureReason: error.message },
+        source: 'mpesa_charge',
+        reason: error.message
+      });
+      await settleRetriedPayment({ reference, retryOf: req.retry?.of }, false);
+
+      throw error;
+    }
+
+    console.log('Direct charge response:', JSON.stringify(charge.raw, null, 2));
+    await transactions.update(reference, charge.gatewayData);
+
+    if (charge.status !== 'failed') {
+      // Not awaited so the SMS does not delay the response (it never throws)
+      notifyStkPromptSent(reference);
+    }
+
     return res.status(200).json({
       success: true,
       message: 'MPesa payment initiated. Check your phone for the prompt.',
       data: {
         reference,
-        status: response.data.data?.status || 'pending',
-        display_text: response.data.data?.display_text
+        status: charge.status,
+        display_text: charge.displayText
       }
     });
 
   } catch (error) {
-    console.error('Direct MPesa error:', error.response?.data || error.message);
+    console.error('Direct MPesa error:', error.details || error.message);
     return res.status(500).json({
       success: false,
       message: 'Internal server error',
-      error: error.response?.data?.message || error.message,
-      details: error.response?.data
+      error: error.message,
+      details: error.details
     });
   }
 };
 
-/**
- * Webhook handler for Paystack events
- * POST /api/payments/webhook
- */
-/**
- * Verify Paystack webhook signature
- */
-const verifyWebhookSignature = (req) => {
-  try {
-    if (!PAYSTACK_WEBHOOK_SECRET) {
-      logger.webhook.signatureError('PAYSTACK_WEBHOOK_SECRET is not set');
-      return false;
-    }
-
-    const crypto = require('crypto');
-    const signature = req.headers['x-paystack-signature'];
-    
-    if (!signature) {
-      logger.webhook.signatureError('No signature found in request headers');
-      return false;
-    }
-
-    const hash = crypto
-      .createHmac('sha512', PAYSTACK_WEBHOOK_SECRET)
-      .update(JSON.stringify(req.body))
-      .digest('hex');
-
-    const isValid = crypto.timingSafeEqual(
-      Buffer.from(hash),
-      Buffer.from(signature)
-    );
-
-    if (!isValid) {
-      logger.webhook.signatureError('Signature verification failed - hash mismatch');
-    }
-
-    return isValid;
-  } catch (error) {
-    logger.webhook.signatureError(`Error verifying webhook signature: ${error.message}`);
-    return false;
-  }
-};
-
 /**
  * Webhook handler for Paystack events
  * POST /api/payments/webhook
  */
 const handleWebhook = async (req, res) => {
   const startTime = Date.now();
-  const { event, data } = req.body;
-  const reference = data?.reference || 'unknown';
+  const eventType = req.body?.event;
+  const reference = req.body?.data?.reference || 'unknown';
 
   // Log incoming webhook
-  logger.webhook.incoming(event, reference);
+  logger.webhook.incoming(eventType, reference);
   logger.debug(`=== Incoming Webhook ===`);
   logger.debug(`Headers: ${JSON.stringify(req.headers, null, 2)}`);
   logger.debug(`Body: ${JSON.stringify(req.body, null, 2)}`);
 
+  let webhookEvent = null;
+
   try {
     // Verify webhook signature
-    if (!verifyWebhookSignature(req)) {
-      logger.webhook.failed(event, 'Invalid webhook signature');
+    const parsed = await getGateway('paystack').parseWebhook(req);
+
+    if (!parsed.valid) {
+      logger.webhook.signatureError(parsed.reason);
+      logger.webhook.failed(eventType, 'Invalid webhook signature');
       return res.status(401).json({ 
         success: false, 
         message: 'Invalid webhook signature' 
       });
     }
 
-    logger.webhook.verified(event, reference);
+    logger.webhook.verified(eventType, reference);
 
     console.log('✅ Webhook signature verified');
 
-    const event = req.body;
-    const db = getDatabase();
+    // Record the delivery; Paystack retries must be acknowledged but not re-applied
+    webhookEvent = await claimWebhookEvent(parsed.event);
+
+    if (!webhookEvent.claimed) {
+      logger.webhook.processed(
+        eventType,
+        reference,
+        `duplicate ignored (deliveries: ${webhookEvent.record.deliveries}, duplicates: ${webhookEvent.record.duplicateCount})`
+      );
+      return res.status(200).json({ success: true, duplicate: true });
+    }
 
     console.log('=== Webhook Event Received ===');
-    console.log('Event type:', event.event);
-    console.log('Event data:', JSON.stringify(event.data, null, 2));
+    console.log('Event type:', eventType);
+    console.log('Event data:', JSON.stringify(req.body.data, null, 2));
 
     // Handle different event types
-    const { event: eventType, data } = event;
-    const { reference, metadata = {}, amount, gateway_response } = data;
-    
-    if (!reference) {
-      console.error('No reference found in webhook data');
-      return res.status(400).json({ success: false, message: 'Missing reference' });
-    }
+    const result = await processPaystackEvent(parsed.event);
 
-    const transactionRef = db.ref(`payment-transactions/${reference}`);
-    const transactionSnapshot = await transactionRef.once('value');
-    
-    if (!transactionSnapshot.exists()) {
-      console.error(`Transaction not found: ${reference}`);
-      return res.status(404).json({ success: false, message: 'Transaction not found' });
+    if (result.httpStatus !== 200) {
+      console.error(`Webhook not applied: ${result.message}`);
+      await failWebhookEvent(webhookEvent.fingerprint, result.message);
+      return res.status(result.httpStatus).json({ success: false, message: result.message });
     }
 
-    const transaction = transactionSnapshot.val();
-    const bookingId = metadata.booking_id || transaction.bookingId;
-    
-    // Common update data
-    const updateData = {
-      lastWebhookEvent: eventType,
-      lastWebhookReceived: new Date().toISOString(),
-      amount: amount ? amount / 100 : transaction.amount
-    };
+    logger.webhook.processed(eventType, reference, result.outcome);
+    await completeWebhookEvent(webhookEvent.fingerprint, result.outcome);
 
-    switch (eventType) {
-      case 'charge.success':
-        console.log('✅ Payment successful:', reference);
-        
-        await transactionRef.update({
-          ...updateData,
-          status: 'success',
-          completedAt: new Date().toISOString(),
-          webhookReceived: true,
-          metadata: { ...transaction.metadata, ...metadata }
-        });
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Webhook error:', error);
 
-        // Update booking if bookingId exists
-        if (bookingId) {
-          const bookingRef = db.ref(`bookings/${bookingId}`);
-          
-          // Get current booking data to preserve existing fields
-          const bookingSnapshot = await bookingRef.once('value');
-          const currentBooking = bookingSnapshot.val() || {};
-          
-          const bookingUpdate = {
-            ...currentBooking,
-            lastUpdated: new Date().toISOString(),
-            status: metadata.payment_type === 'booking_fee' ? 'negotiating' : 'confirmed'
-          };
-
-          if (metadata.payment_type === 'booking_fee') {
-            // Unlock negotiation features
-            bookingUpdate.bookingFeePaid = true;
-            bookingUpdate.bookingFeeReference = reference;
-            bookingUpdate.bookingFeePaidAt = new Date().toISOString();
-            bookingUpdate.negotiationUnlocked = true;
-            bookingUpdate.negotiationUnlockedAt = new Date().toISOString();
-            
-            // Initialize negotiation structure
-            bookingUpdate.negotiation = {
-              status: 'ready', // ready for negotiation to start
-              unlockedBy: metadata.userId || transaction.email,
-              unlockedAt: new Date().toISOString(),
-              messages: [],
-              offers: [],
-              lastActivity: new Date().toISOString()
-            };
-            
-            // Log negotiation unlock event
-            await db.ref(`bookings/${bookingId}/activityLog`).push().set({
-              action: 'negotiation_unlocked',
-              timestamp: new Date().toISOString(),
-              paymentReference: reference,
-              amount: amount / 100,
-              triggeredBy: 'payment_success',
-              details: {
-                previousStatus: currentBooking.status || 'pending',
-                newStatus: 'negotiating',
-                negotiationFeatures: ['messaging', 'offers', 'counter_offers']
-              }
-            });
-            
-            console.log(`✅ Negotiation unlocked for booking ${bookingId}`);
-            
-          } else if (metadata.payment_type === 'escrow') {
-            bookingUpdate.escrowPaid = true;
-            bookingUpdate.escrowAmount = amount / 100;
-            bookingUpdate.escrowReference = reference;
-            bookingUpdate.escrowPaidAt = new Date().toISOString();
-            bookingUpdate.escrowStatus = 'held';
-          }
-
-          await bookingRef.update(bookingUpdate);
-          console.log(`Booking ${bookingId} updated for ${metadata.payment_type} payment`);
-          
-          // Also update in tuition-bookings if that's the structure being used
-          if (metadata.payment_type === 'booking_fee') {
-            const tuitionBookingRef = db.ref(`tuition-bookings/${bookingId}`);
-            await tuitionBookingRef.update({
-              ...bookingUpdate,
-              negotiationUnlocked: true,
-              negotiationUnlockedAt: new Date().toISOString()
-            });
-            console.log(`Tuition booking ${bookingId} also updated`);
-          }
-        }
-        break;
-
-      case 'charge.failed':
-        console.error('❌ Payment failed:', reference);
-        await transactionRef.update({
-          ...updateData,
-          status: 'failed',
-          failedAt: new Date().toISOString(),
-          failureReason: gateway_response || 'Unknown error',
-          metadata: { ...transaction.metadata, ...metadata }
-        });
-        break;
-
-      case 'transfer.success':
-        console.log('✅ Transfer successful:', reference);
-        await transactionRef.update({
-          ...updateData,
-          transferStatus: 'success',
-          transferCompletedAt: new Date().toISOString()
-        });
-        break;
-
-      case 'transfer.failed':
-        console.error('❌ Transfer failed:', reference);
-        await transactionRef.update({
-          ...updateData,
-          transferStatus: 'failed',
-          transferFailedAt: new Date().toISOString(),
-          transferFailureReason: gateway_response || 'Unknown error'
-        });
-        break;
-
-      case 'subscription.create':
-      case 'subscription.disable':
-      case 'subscription.not_renew':
-        console.log(`ℹ️ Subscription event: ${eventType}`, reference);
-        await transactionRef.update({
-          ...updateData,
-          subscriptionStatus: eventType.split('.')[1],
-          lastSubscriptionEvent: new Date().toISOString()
-        });
-        break;
+    if (webhookEvent?.claimed) {
+      await failWebhookEvent(webhookEvent.fingerprint, error).catch(markError => {
+        logger.error(markError, { operation: 'failWebhookEvent', fingerprint: webhookEvent.fingerprint });
+      });
+    }
 
-      default:
-        console.log(`ℹ️ Unhandled webhook event: ${eventType}`);
-        await transactionRef.update({
-          ...updateData,
-          notes: `Unhandled event type: ${eventType}`
-        });
+    res.status(500).json({ success: false, message: error.message });
+  }
+};
+
+/**
+ * Get recorded webhook deliveries for a payment reference
+ * GET /api/payments/webhook-events/:reference
+ */
+const getWebhookEvents = async (req, res) => {
+  try {
+    const { reference } = req.params;
+
+    if (!reference) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment reference is required'
+      });
     }
 
-    res.status(200).json({ success: true });
+    const events = await getWebhookEventsForReference(reference);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        reference,
+        events: events.map(webhookEvent => ({
+          fingerprint: webhookEvent.fingerprint,
+          event: webhookEvent.event,
+          status: webhookEvent.status,
+          deliveries: webhookEvent.deliveries,
+          duplicateCount: webhookEvent.duplicateCount,
+          firstReceivedAt: webhookEvent.firstReceivedAt,
+          lastReceivedAt: webhookEvent.lastReceivedAt,
+          processedAt: webhookEvent.processedAt || null
+        }))
+      }
+    });
   } catch (error) {
-    console.error('Webhook error:', error);
-    res.status(500).json({ success: false, message: error.message });
+    console.error('Get webhook events error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
   }
 };
 
@@ -809,69 +656,100 @@ const handleWebhook = async (req, res) => {
  */
 const releaseEscrow = async (req, res) => {
   try {
-    const { bookingId, teacherPhone, amount } = req.body;
+    const { bookingId, teacherId, recipientId, teacherPhone, teacherName, amount, requestedBy } = req.body;
 
-    if (!bookingId || !teacherPhone || !amount) {
+    if (!bookingId) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: bookingId, teacherPhone, amount'
+        message: 'Missing required field: bookingId'
       });
     }
 
-    const db = getDatabase();
-    
-    // Verify booking is completed by both parties
-    const bookingSnapshot = await db.ref(`tuition-bookings/${bookingId}`).once('value');
-    const booking = bookingSnapshot.val();
+    const result = await releaseEscrowPayout({
+      bookingId,
+      teacherId,
+      recipientId,
+      teacherPhone,
+      teacherName,
+      amount,
+      requestedBy
+    });
 
-    if (!booking) {
-      return res.status(404).json({
+    if (result.httpStatus !== 200) {
+      return res.status(result.httpStatus).json({
         success: false,
-        message: 'Booking not found'
+        message: result.message,
+        ...(result.error && { error: result.error })
       });
     }
 
-    if (!booking.parentCompletedAt || !booking.teacherCompletedAt) {
+    console.log(`✅ Escrow payout started: KSh ${result.data.amount} to ${result.data.destination} (${result.data.transferReference})`);
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: {
+        ...result.data,
+        requestedAt: Date.now()
+      }
+    });
+  } catch (error) {
+    console.error('Escrow release error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Refund a successful payment (full or partial)
+ * POST /api/payments/refund/:reference
+ */
+const refundPayment = async (req, res) => {
+  try {
+    const { reference } = req.params;
+    const { amount, reason, requestedBy } = req.body;
+
+    if (!reference) {
       return res.status(400).json({
         success: false,
-        message: 'Both parties must confirm completion before releasing escrow'
+        message: 'Payment reference is required'
       });
     }
 
-    if (booking.escrowStatus === 'released') {
+    if (amount !== undefined && (typeof amount !== 'number' || amount <= 0)) {
       return res.status(400).json({
         success: false,
-        message: 'Escrow has already been released'
+        message: 'Refund amount must be a positive number'
       });
     }
 
-    // In production, you would initiate a transfer to teacher's account here
-    // For now, we'll just update the status
-    await db.ref(`tuition-bookings/${bookingId}`).update({
-      escrowStatus: 'released',
-      paymentStatus: 'paid',
-      paidAt: Date.now(),
-      status: 'completed'
-    });
+    const result = await requestRefund({ reference, amount, reason, requestedBy });
+
+    if (result.httpStatus !== 200) {
+      logger.warning(`REFUND_REJECTED | Ref: ${reference} | Reason: ${result.error || result.message}`);
+      return res.status(result.httpStatus).json({
+        success: false,
+        message: result.message,
+        ...(result.error && { error: result.error })
+      });
+    }
 
-    console.log(`✅ Escrow released: KSh ${amount} to teacher ${teacherPhone}`);
+    logger.payment.status(reference, 'refund_requested', result.data);
 
     return res.status(200).json({
       success: true,
-      message: 'Escrow payment released successfully',
-      data: {
-        bookingId,
-        amount,
-        teacherPhone,
-        releasedAt: Date.now()
-      }
+      message: result.message,
+      data: result.data
     });
   } catch (error) {
-    console.error('Escrow release error:', error);
+    console.error('Refund payment error:', error);
     return res.status(500).json({
       success: false,
-      message: 'Internal server error',
-      error: error.message
+      message: 'Failed to refund payment',
+      error: error.response?.data?.message || error.message
     });
   }
 };
@@ -891,9 +769,7 @@ const getPaymentStatus = async (req, res) => {
       });
     }
 
-    const db = getDatabase();
-    const snapshot = await db.ref(`payment-transactions/${reference}`).once('value');
-    const transaction = snapshot.val();
+    const transaction = await transactions.get(reference);
 
     if (!transaction) {
       return res.status(404).json({
@@ -932,26 +808,15 @@ const retryMpesaPayment = async (req, res) => {
       });
     }
 
-    const db = getDatabase();
-    const transactionRef = db.ref(`payment-transactions/${reference}`);
-    const snapshot = await transactionRef.once('value');
-    
-    if (!snapshot.exists()) {
+    const transaction = await transactions.get(reference);
+
+    if (!transaction) {
       return res.status(404).json({
         success: false,
         message: 'Transaction not found'
       });
     }
 
-    const transaction = snapshot.val();
-    
-    if (transaction.status !== 'failed') {
-      return res.status(400).json({
-        success: false,
-        message: 'Only failed transactions can be retried'
-      });
-    }
-
     // Use provided phone/email or fallback to original
     const retryPhone = phone || transaction.phone;
     const retryEmail = email || transaction.email;
@@ -959,15 +824,25 @@ const retryMpesaPayment = async (req, res) => {
     // Create new retry reference
     const retryReference = `retry_${uuidv4()}`;
     
-    // Update original transaction
-    await transactionRef.update({
-      status: 'retrying',
-      retryReference,
-      retryCount: (transaction.retryCount || 0) + 1,
-      lastRetryAt: Date.now()
+    // Update original transaction (only failed transactions may move to retrying)
+    const transition = await transitionPayment(reference, PAYMENT_STATES.RETRYING, {
+      updates: {
+        retryReference,
+        retryCount: (transaction.retryCount || 0) + 1,
+        lastRetryAt: Date.now()
+      },
+      source: 'retry',
+      allowSame: false
     });
 
-    // Process retry using the direct M-Pesa method
+    if (!transition.applied) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only failed transactions can be retried'
+      });
+    }
+
+    // Charge the retry with the direct M-Pesa method, which sends the response
     const retryData = {
       phone: retryPhone,
       email: retryEmail,
@@ -980,23 +855,31 @@ const retryMpesaPayment = async (req, res) => {
       }
     };
 
-    // Call the direct payment method with new reference
-    const retryResult = await processMpesaPaymentDirect({
-      body: retryData
+    await processMpesaPaymentDirect({
+      body: retryData,
+      protocol: req.protocol,
+      get: req.get.bind(req),
+      tenantId: req.tenantId,
+      retry: { of: reference, reference: retryReference }
     }, res);
 
-    return res.status(200).json({
-      success: true,
-      message: 'Payment retry initiated',
-      data: {
-        originalReference: reference,
-        newReference: retryReference,
-        retryCount: (transaction.retryCount || 0) + 1
-      }
-    });
+    // A retry rejected before it was recorded leaves the payment failed, so
+    // it can be retried again
+    if (!(await transactions.get(retryReference))) {
+      await transitionPayment(reference, PAYMENT_STATES.FAILED, {
+        updates: { failureReason: 'Retry was rejected before it was charged' },
+        source: 'retry',
+        allowSame: false
+      });
+    }
 
   } catch (error) {
     console.error('Retry payment error:', error);
+
+    if (res.headersSent) {
+      return;
+    }
+
     return res.status(500).json({
       success: false,
       message: 'Failed to retry payment',
@@ -1021,44 +904,42 @@ const cancelPayment = async (req, res) => {
       });
     }
 
-    const db = getDatabase();
-    const transactionRef = db.ref(`payment-transactions/${reference}`);
-    const snapshot = await transactionRef.once('value');
-    
-    if (!snapshot.exists()) {
+    const transaction = await transactions.get(reference);
+
+    if (!transaction) {
       return res.status(404).json({
         success: false,
         message: 'Transaction not found'
       });
     }
 
-    const transaction = snapshot.val();
-    
-    if (transaction.status === 'success') {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot cancel completed payment'
-      });
-    }
+    // Update transaction status
+    const transition = await transitionPayment(reference, PAYMENT_STATES.CANCELLED, {
+      updates: {
+        cancelledAt: Date.now(),
+        cancelReason: reason || 'User requested cancellation'
+      },
+      source: 'cancel',
+      reason: reason || null,
+      allowSame: false
+    });
+
+    if (!transition.applied) {
+      const messages = {
+        [PAYMENT_STATES.SUCCESS]: 'Cannot cancel completed payment',
+        [PAYMENT_STATES.CANCELLED]: 'Payment already cancelled',
+        [PAYMENT_STATES.RETRYING]: 'Cannot cancel payment while a retry is in progress'
+      };
 
-    if (transaction.status === 'cancelled') {
       return res.status(400).json({
         success: false,
-        message: 'Payment already cancelled'
+        message: messages[transition.from] || `Cannot cancel payment with status ${transition.from}`
       });
     }
 
-    // Update transaction status
-    await transactionRef.update({
-      status: 'cancelled',
-      cancelledAt: Date.now(),
-      cancelReason: reason || 'User requested cancellation'
-    });
-
     // Update booking if applicable
     if (transaction.bookingId) {
-      const bookingRef = db.ref(`bookings/${transaction.bookingId}`);
-      await bookingRef.update({
+      await bookings.update(transaction.bookingId, {
         lastUpdated: new Date().toISOString(),
         status: 'cancelled',
         cancelReason: reason || 'Payment cancelled'
@@ -1100,17 +981,9 @@ const getTransactionHistory = async (req, res) => {
       });
     }
 
-    const db = getDatabase();
-    const transactionsRef = db.ref('payment-transactions')
-      .orderByChild('email')
-      .equalTo(userId)
-      .limitToFirst(parseInt(limit));
-
-    const snapshot = await transactionsRef.once('value');
-    const transactions = snapshot.val() || {};
+    let filteredTransactions = await transactions.listByEmail(userId, { limit: parseInt(limit) });
 
     // Filter by status if provided
-    let filteredTransactions = Object.values(transactions);
     if (status) {
       filteredTransactions = filteredTransactions.filter(t => t.status === status);
     }
@@ -1156,19 +1029,7 @@ const getNegotiationStatus = async (req, res) => {
       });
     }
 
-    const db = getDatabase();
-    
-    // Check both possible locations
-    const [bookingSnapshot, tuitionBookingSnapshot] = await Promise.all([
-      db.ref(`bookings/${bookingId}`).once('value'),
-      db.ref(`tuition-bookings/${bookingId}`).once('value')
-    ]);
-
-    const booking = bookingSnapshot.val();
-    const tuitionBooking = tuitionBookingSnapshot.val();
-    
-    // Use whichever exists
-    const bookingData = booking || tuitionBooking;
+    const bookingData = await bookings.get(bookingId);
 
     if (!bookingData) {
       return res.status(404).json({
@@ -1218,45 +1079,12 @@ const validateMpesaNumber = async (req, res) => {
       });
     }
 
-    // Format phone number
-    let formattedPhone = phone.replace(/\s+/g, '');
-    
-    // Remove any non-digit characters
-    formattedPhone = formattedPhone.replace(/\D/g, '');
-    
-    // Handle different formats
-    if (formattedPhone.startsWith('0')) {
-      formattedPhone = '254' + formattedPhone.substring(1);
-    } else if (formattedPhone.startsWith('+254')) {
-      formattedPhone = formattedPhone.substring(1);
-    } else if (formattedPhone.startsWith('254')) {
-      // Already in correct format
-    } else if (formattedPhone.length === 9) {
-      // Assume Kenya number without prefix
-      formattedPhone = '254' + formattedPhone;
-    } else {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid phone number format. Please use format: 254XXXXXXXXX or 07XXXXXXXXX'
-      });
-    }
+    const { phone: formattedPhone, provider, error } = normalizeMpesaNumber(phone);
 
-    // Validate phone number format (should be 12 digits: 254XXXXXXXXX)
-    if (!/^254\d{9}$/.test(formattedPhone)) {
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid phone number format. Should be 254XXXXXXXXX'
-      });
-    }
-
-    // Check if it's a valid Kenyan mobile prefix
-    const validPrefixes = ['2547', '2541']; // 07XX and 01XX series
-    const isValidPrefix = validPrefixes.some(prefix => formattedPhone.startsWith(prefix));
-    
-    if (!isValidPrefix) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid Kenyan mobile number prefix'
+        message: error
       });
     }
 
@@ -1267,7 +1095,7 @@ const validateMpesaNumber = async (req, res) => {
         originalPhone: phone,
         formattedPhone: formattedPhone,
         country: 'Kenya',
-        provider: formattedPhone.startsWith('2547') ? 'Safaricom MPesa' : 'Other Kenyan Mobile'
+        provider
       }
     });
 
@@ -1281,17 +1109,46 @@ const validateMpesaNumber = async (req, res) => {
   }
 };
 
+/**
+ * Download the PDF receipt for a successful payment
+ * GET /api/payments/receipt/:reference
+ */
+const getReceipt = async (req, res) => {
+  try {
+    const { document, rejection } = await issueReceipt(req.params.reference);
+
+    if (rejection) {
+      return res.status(rejection.httpStatus).json({
+        success: false,
+        message: rejection.message
+      });
+    }
+
+    return await sendDocumentPdf(req, res, document);
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to generate receipt',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   initializePayment,
   verifyPayment,
   processMpesaPayment,
   processMpesaPaymentDirect,
   handleWebhook,
+  getWebhookEvents,
   releaseEscrow,
+  refundPayment,
   getPaymentStatus,
   retryMpesaPayment,
   cancelPayment,
   getTransactionHistory,
   validateMpesaNumber,
-  getNegotiationStatus
+  getNegotiationStatus,
+  getReceipt
 };
\ No newline at end of file
@@ -0,0 +1,238 @@
+const {
+  createRecipient,
+  listRecipients,
+  getRecipient,
+  maskRecipient,
+  updateRecipient,
+  deleteRecipient
+} = require('../services/payoutRecipients');
+const {
+  createTeacherSubaccount,
+  getTeacherSubaccount,
+  maskSubaccount
+} = require('../services/commission');
+
+/**
+ * Send a payoutRecipients/commission service result as the response
+ */
+const sendResult = (res, result) => {
+  const success = result.httpStatus < 400;
+
+  return res.status(result.httpStatus).json({
+    success,
+    message: result.message,
+    ...(success ? { data: result.data } : result.error && { error: result.error })
+  });
+};
+
+/**
+ * Add a payout recipient for a teacher
+ * POST /api/payouts/recipients/:teacherId
+ */
+const addPayoutRecipient = async (req, res) => {
+  try {
+    const { teacherId } = req.params;
+    const { type, phone, accountNumber, bankCode, name, isDefault } = req.body;
+
+    if (!type || (!phone && !accountNumber)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: type, and phone or accountNumber'
+      });
+    }
+
+    const result = await createRecipient({
+      teacherId,
+      type,
+      phone,
+      accountNumber,
+      bankCode,
+      name,
+      isDefault: isDefault === true
+    });
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Add payout recipient error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to add payout recipient',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List a teacher's payout recipients
+ * GET /api/payouts/recipients/:teacherId
+ */
+const getPayoutRecipients = async (req, res) => {
+  try {
+    const recipients = await listRecipients(req.params.teacherId);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        teacherId: req.params.teacherId,
+        recipients
+      }
+    });
+  } catch (error) {
+    console.error('Get payout recipients error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payout recipients',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single payout recipient
+ * GET /api/payouts/recipients/:teacherId/:recipientId
+ */
+const getPayoutRecipient = async (req, res) => {
+  try {
+    const recipient = await getRecipient(req.params.teacherId, req.params.recipientId);
+
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payout recipient not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: maskRecipient(recipient)
+    });
+  } catch (error) {
+    console.error('Get payout recipient error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payout recipient',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rename a payout recipient or make it the default
+ * PATCH /api/payouts/recipients/:teacherId/:recipientId
+ */
+const updatePayoutRecipient = async (req, res) => {
+  try {
+    const { name, isDefault } = req.body;
+
+    if (name === undefined && isDefault === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update: provide name or isDefault'
+      });
+    }
+
+    const result = await updateRecipient(req.params.teacherId, req.params.recipientId, { name, isDefault });
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Update payout recipient error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to update payout recipient',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove a payout recipient
+ * DELETE /api/payouts/recipients/:teacherId/:recipientId
+ */
+const removePayoutRecipient = async (req, res) => {
+  try {
+    const result = await deleteRecipient(req.params.teacherId, req.params.recipientId);
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Remove payout recipient error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to remove payout recipient',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Onboard a teacher as a Paystack subaccount for split payments
+ * POST /api/payouts/subaccounts/:teacherId
+ */
+const addTeacherSubaccount = async (req, res) => {
+  try {
+    const { teacherId } = req.params;
+    const { businessName, settlementBank, accountNumber, description } = req.body;
+
+    if (!businessName || !settlementBank || !accountNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: businessName, settlementBank, accountNumber'
+      });
+    }
+
+    const result = await createTeacherSubaccount({
+      teacherId,
+      businessName,
+      settlementBank,
+      accountNumber,
+      description
+    });
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Add teacher subaccount error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to create teacher subaccount',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a teacher's Paystack subaccount
+ * GET /api/payouts/subaccounts/:teacherId
+ */
+const getTeacherSubaccountDetails = async (req, res) => {
+  try {
+    const subaccount = await getTeacherSubaccount(req.params.teacherId);
+
+    if (!subaccount) {
+      return res.status(404).json({
+        success: false,
+        message: 'Teacher has no subaccount'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: maskSubaccount(subaccount)
+    });
+  } catch (error) {
+    console.error('Get teacher subaccount error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch teacher subaccount',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  addPayoutRecipient,
+  getPayoutRecipients,
+  getPayoutRecipient,
+  updatePayoutRecipient,
+  removePayoutRecipient,
+  addTeacherSubaccount,
+  getTeacherSubaccountDetails
+};
@@ -1,8 +1,22 @@
-const { paystackApi, PAYSTACK_SECRET_KEY, isProduction } = require('../config/paystack');
-const { getDatabase } = require('../config/firebase');
+const { PAYSTACK_SECRET_KEY, isProduction } = require('../config/paystack');
+const { transactions } = require('../repositories');
 const { v4: uuidv4 } = require('uuid');
 const { paymentLogger } = require('../middleware/logging');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { PAYMENT_STATES, fromGatewayStatus, transitionPayment } = require('../services/paymentLifecycle');
+const {
+  claimWebhookEvent,
+  completeWebhookEvent,
+  failWebhookEvent
+} = require('../services/webhookEvents');
+const { processPaystackEvent, settleSuccessfulCharge } = require('../services/webhookProcessor');
+const { requestRefund } = require('../services/refunds');
+const { buildPaymentSplit } = require('../services/commission');
+const { getGateway, resolveTenant, selectGateway, gatewayForTransaction } = require('../services/gateways');
+const { checkInstallmentCharge } = require('../services/installments');
+const { issueReceipt } = require('../services/receipts');
+const { sendDocumentPdf } = require('../utils/receiptPdf');
+const { notifyStkPromptSent, notifyPaymentFailed } = require('../services/notifications');
 
 /**
  * Production-ready MPesa payment controller
@@ -44,137 +58,155 @@ class ProductionPaymentController {
     }
 
     try {
-      // Format phone number for Paystack
-      const formattedPhone = '+' + phone;
-      
-      // Convert amount to kobo (Paystack uses smallest currency unit)
-      const amountInKobo = Math.round(amount * 100);
+      const tenantId = await resolveTenant({ apiKeyTenantId: req.tenantId, bookingId });
+      const gateway = selectGateway({ method: 'mpesa', tenantId });
+
+      // Outside production, gateways with a hosted checkout take the payment there
+      const useCheckout = !isProduction && gateway.hostedCheckout;
 
       // Generate unique references
-      const timestamp = Date.now();
-      const initReference = `mpesa_${uuidv4().replace(/-/g, '')}`;
-      const chargeReference = `chg_${uuidv4().replace(/-/g, '')}`;
+      const reference = useCheckout
+        ? `mpesa_${uuidv4().replace(/-/g, '')}`
+        : `chg_${uuidv4().replace(/-/g, '')}`;
+
+      // Installment payments must match the amount due on the schedule, and
+      // reserve the installment for this charge
+      if (metadata.payment_type === 'installment') {
+        const rejection = await checkInstallmentCharge({ bookingId, amount, metadata, reference });
+
+        if (rejection) {
+          return res.status(rejection.httpStatus).json({
+            success: false,
+            message: rejection.message,
+            requestId
+          });
+        }
+      }
 
-      // Step 1: Initialize transaction
-      const protocol = req.protocol;
-      const host = req.get('host');
-      const callbackUrl = `${protocol}://${host}/api/payments/webhook`;
+      // Platform commission split for tuition/escrow payments
+      const { split } = await buildPaymentSplit({
+        amount,
+        paymentType: metadata.payment_type || 'booking_fee',
+        teacherId: metadata.teacherId,
+        bookingId,
+        splitAtCharge: gateway.splitsAtCharge
+      });
+
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      const paymentMetadata = {
+        booking_id: bookingId,
+        payment_method: 'mpesa',
+        user_id: metadata.userId,
+        payment_type: metadata.payment_type || 'booking_fee',
+        ...metadata
+      };
 
-      const initData = {
+      // Recorded before calling the gateway so an early webhook or verify
+      // call finds it; a failed write fails the request before any charge
+      const transactionData = {
+        reference,
+        gateway: gateway.name,
+        bookingId,
         email,
-        amount: amountInKobo,
-        reference: initReference,
-        currency: 'KES',
-        channels: ['mobile_money'],
-        callback_url: callbackUrl,
-        metadata: {
-          booking_id: bookingId,
-          payment_method: 'mpesa',
-          user_id: metadata.userId,
-          payment_type: metadata.payment_type || 'booking_fee',
-          ...metadata
-        }
+        phone: '+' + phone,
+        amount,
+        status: 'pending',
+        paymentMethod: 'mpesa',
+        createdAt: Date.now(),
+        metadata: paymentMetadata,
+        split,
+        requestId,
+        environment: isProduction ? 'production' : 'test'
       };
 
-      const initStartTime = Date.now();
-      const initResponse = await paystackApi.post('/transaction/initialize', initData);
-      const initDuration = Date.now() - initStartTime;
+      await transactions.create(reference, transactionData);
+      paymentLogger.log('INFO', 'Transaction logged to Firebase', { reference });
+
+      let checkout = null;
+      let charge = null;
+      const gatewayStartTime = Date.now();
+
+      try {
+        if (useCheckout) {
+          checkout = await gateway.initialize({
+            reference,
+            email,
+            amount,
+            channels: ['mobile_money'],
+            baseUrl,
+            split,
+            metadata: paymentMetadata
+          });
+        } else {
+          charge = await gateway.charge({
+            reference,
+            email,
+            amount,
+            phone,
+            baseUrl,
+            split,
+            metadata: paymentMetadata
+          });
+        }
+      } catch (error) {
+        await transitionPayment(reference, PAYMENT_STATES.FAILED, {
+          updates: { failedAt: new Date().toISOString(), failureReason: error.message },
+          source: 'mpesa_charge',
+          reason: error.message
+        });
+
+        throw error;
+      }
 
       paymentLogger.thirdPartyCall(
-        'paystack',
+        gateway.name,
         'POST',
-        '/transaction/initialize',
-        initResponse.status,
-        initDuration,
+        useCheckout ? 'initialize' : 'charge',
+        200,
+        Date.now() - gatewayStartTime,
         requestId
       );
 
-      if (!initResponse.data.status) {
-        paymentLogger.paymentFailed(initReference, new Error(initResponse.data.message), {
-          step: 'initialization',
-          response: initResponse.data
+      if (charge?.gatewayData) {
+        await transactions.update(reference, charge.gatewayData);
+      }
+
+      if (charge?.status === 'failed') {
+        paymentLogger.paymentFailed(reference, new Error(charge.displayText || 'Charge failed'), {
+          step: 'charge',
+          response: charge.raw
+        });
+
+        await transitionPayment(reference, PAYMENT_STATES.FAILED, {
+          updates: { failedAt: new Date().toISOString(), failureReason: charge.displayText || 'Charge failed' },
+          source: 'mpesa_charge'
         });
-        
+
         return res.status(400).json({
           success: false,
           message: 'Failed to initialize payment',
-          error: initResponse.data.message,
+          error: charge.displayText || 'Charge failed',
           requestId
         });
       }
 
-      // Step 2: Charge mobile money (for production)
-      let chargeResponse;
-      if (isProduction) {
-        const chargeData = {
-          email,
-          amount: amountInKobo,
-          reference: chargeReference,
-          mobile_money: {
-            phone: formattedPhone,
-            provider: 'mpesa'
-          },
-          metadata: initData.metadata
-        };
-
-        const chargeStartTime = Date.now();
-        chargeResponse = await paystackApi.post('/charge', chargeData);
-        const chargeDuration = Date.now() - chargeStartTime;
-
-        paymentLogger.thirdPartyCall(
-          'paystack',
-          'POST',
-          '/charge',
-          chargeResponse.status,
-          chargeDuration,
-          requestId
-        );
+      if (charge) {
+        // Not awaited so the SMS does not delay the response (it never throws)
+        notifyStkPromptSent(reference);
       }
 
-      // Log transaction to Firebase asynchronously
-      const transactionData = {
-        reference: chargeReference || initReference,
-        initReference,
-        bookingId,
-        email,
-        phone: formattedPhone,
-        amount,
-        status: 'pending',
-        paymentMethod: 'mpesa',
-        createdAt: Date.now(),
-        metadata: initData.metadata,
-        requestId,
-        environment: isProduction ? 'production' : 'test'
-      };
-
-      // Async Firebase logging (non-blocking)
-      setImmediate(async () => {
-        try {
-          const db = getDatabase();
-          await db.ref(`payment-transactions/${transactionData.reference}`).set(transactionData);
-          paymentLogger.log('INFO', 'Transaction logged to Firebase', {
-            reference: transactionData.reference
-          });
-        } catch (firebaseError) {
-          paymentLogger.log('ERROR', 'Failed to log to Firebase', {
-            reference: transactionData.reference,
-            error: firebaseError.message
-          });
-        }
-      });
-
       // Return immediate acknowledgment
       const responseData = {
         success: true,
         message: 'Payment initiated successfully',
         data: {
-          reference: chargeReference || initReference,
+          reference,
           status: 'pending',
           amount,
           currency: 'KES',
           phone: phone.replace(/(\d{6})\d{4}(\d{2})/, '$1****$2'), // Mask phone in response
-          checkout_url: initResponse.data.data?.authorization_url,
-          display_text: 'Please check your phone for MPesa prompt'
+          checkout_url: checkout?.authorizationUrl,
+          display_text: charge?.displayText || 'Please check your phone for MPesa prompt'
         },
         requestId
       };
@@ -193,8 +225,8 @@ class ProductionPaymentController {
         amount
       });
 
-      // Handle specific Paystack errors
-      if (error.response?.status === 401) {
+      // Handle specific gateway errors
+      if (error.providerStatus === 401) {
         return res.status(500).json({
           success: false,
           message: 'Payment service configuration error',
@@ -202,7 +234,7 @@ class ProductionPaymentController {
         });
       }
 
-      if (error.response?.status === 429) {
+      if (error.providerStatus === 429) {
         return res.status(429).json({
           success: false,
           message: 'Payment service temporarily busy, please try again',
@@ -231,45 +263,60 @@ class ProductionPaymentController {
     const requestId = req.requestId;
 
     try {
+      const transaction = await transactions.get(reference);
+      const gateway = gatewayForTransaction(transaction);
+
       const verifyStartTime = Date.now();
-      const response = await paystackApi.get(`/transaction/verify/${reference}`);
+      const paymentData = await gateway.verify({ reference, transaction });
       const verifyDuration = Date.now() - verifyStartTime;
 
       paymentLogger.thirdPartyCall(
-        'paystack',
+        gateway.name,
         'GET',
-        `/transaction/verify/${reference}`,
-        response.status,
+        `verify/${reference}`,
+        paymentData ? 200 : 404,
         verifyDuration,
         requestId
       );
 
-      if (response.data.status) {
-        const paymentData = response.data.data;
-
-        // Async Firebase update
-        setImmediate(async () => {
-          try {
-            const db = getDatabase();
-            await db.ref(`payment-transactions/${reference}`).update({
-              status: paymentData.status,
-              verifiedAt: Date.now(),
-              gateway_response: paymentData.gateway_response,
-              paid_at: paymentData.paid_at,
-              channel: paymentData.channel
-            });
-
-            paymentLogger.log('INFO', 'Payment verification updated in Firebase', {
-              reference,
-              status: paymentData.status
-            });
-          } catch (firebaseError) {
-            paymentLogger.log('ERROR', 'Failed to update Firebase', {
-              reference,
-              error: firebaseError.message
-            });
+      if (paymentData) {
+        // Recorded before responding; a failed write fails the request
+        const status = fromGatewayStatus(paymentData.status);
+        const updates = {
+          verifiedAt: new Date().toISOString(),
+          gateway_response: paymentData.gateway_response,
+          paid_at: paymentData.paid_at,
+          channel: paymentData.channel
+        };
+
+        // Successful payments are fulfilled here when the webhook has not
+        // done so already
+        const transition = status === PAYMENT_STATES.SUCCESS
+          ? await settleSuccessfulCharge({
+            transaction: transaction || {},
+            data: paymentData,
+            source: 'payment_verification',
+            updates
+          })
+          : await transitionPayment(reference, status, { updates, source: 'payment_verification' });
+
+        if (!transition.applied) {
+          paymentLogger.log('WARN', 'Payment verification not applied', {
+            reference,
+            status: paymentData.status,
+            outcome: transition.outcome || `${transition.reason} from ${transition.from}`
+          });
+        } else {
+          paymentLogger.log('INFO', 'Payment verification updated in Firebase', {
+            reference,
+            status,
+            ...(transition.fulfillment && { fulfillment: transition.fulfillment.action })
+          });
+
+          if (status === PAYMENT_STATES.FAILED) {
+            await notifyPaymentFailed(reference);
           }
-        });
+        }
 
         return res.status(200).json({
           success: true,
@@ -284,9 +331,9 @@ class ProductionPaymentController {
           requestId
         });
       } else {
-        return res.status(400).json({
+        return res.status(404).json({
           success: false,
-          message: 'Payment verification failed',
+          message: 'Payment transaction not found',
           requestId
         });
       }
@@ -298,14 +345,6 @@ class ProductionPaymentController {
         requestId
       });
 
-      if (error.response?.status === 404) {
-        return res.status(404).json({
-          success: false,
-          message: 'Payment transaction not found',
-          requestId
-        });
-      }
-
       throw error;
     }
   });
@@ -319,9 +358,7 @@ class ProductionPaymentController {
     const requestId = req.requestId;
 
     try {
-      const db = getDatabase();
-      const snapshot = await db.ref(`payment-transactions/${reference}`).once('value');
-      const transaction = snapshot.val();
+      const transaction = await transactions.get(reference);
 
       if (!transaction) {
         return res.status(404).json({
@@ -354,6 +391,163 @@ class ProductionPaymentController {
     }
   });
 
+  /**
+   * Download the PDF receipt for a successful payment
+   * GET /api/payments/receipt/:reference
+   */
+  static getReceipt = asyncHandler(async (req, res) => {
+    const { reference } = req.params;
+    const requestId = req.requestId;
+
+    const { document, rejection } = await issueReceipt(reference);
+
+    if (rejection) {
+      return res.status(rejection.httpStatus).json({
+        success: false,
+        message: rejection.message,
+        requestId
+      });
+    }
+
+    paymentLogger.log('INFO', 'Receipt downloaded', {
+      reference,
+      number: document.number,
+      requestId
+    });
+
+    return sendDocumentPdf(req, res, document);
+  });
+
+  /**
+   * Refund a successful payment (full or partial)
+   * POST /api/payments/refund/:reference
+   */
+  static refundPayment = asyncHandler(async (req, res) => {
+    const { reference } = req.params;
+    const { amount, reason, requestedBy } = req.body;
+    const requestId = req.requestId;
+
+    const result = await requestRefund({ reference, amount, reason, requestedBy });
+
+    if (result.httpStatus !== 200) {
+      paymentLogger.log('WARN', 'Refund request not accepted', {
+        reference,
+        amount,
+        reason: result.error || result.message,
+        requestId
+      });
+
+      return res.status(result.httpStatus).json({
+        success: false,
+        message: result.message,
+        requestId
+      });
+    }
+
+    paymentLogger.log('INFO', 'Refund initiated', {
+      event: 'refund_initiated',
+      ...result.data,
+      requestId
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: result.message,
+      data: result.data,
+      requestId
+    });
+  });
+
+  /**
+   * Paystack webhook (authenticated by signature, not API key)
+   * POST /api/payments/webhook
+   */
+  static handleWebhook = asyncHandler(async (req, res) => {
+    const requestId = req.requestId;
+    const { event: eventType, data = {} } = req.body || {};
+    const reference = data.reference || 'unknown';
+
+    paymentLogger.webhookReceived(eventType, reference);
+
+    const verification = await getGateway('paystack').parseWebhook(req);
+
+    if (!verification.valid) {
+      paymentLogger.securityEvent('webhook_signature_invalid', {
+        requestId,
+        eventType,
+        reason: verification.reason,
+        ip: req.ip
+      });
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature',
+        requestId
+      });
+    }
+
+    // Paystack retries deliveries - acknowledge duplicates without re-applying them
+    const webhookEvent = await claimWebhookEvent(verification.event);
+
+    if (!webhookEvent.claimed) {
+      paymentLogger.webhookProcessed(eventType, reference, 'duplicate');
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        requestId
+      });
+    }
+
+    try {
+      const result = await processPaystackEvent(verification.event);
+
+      if (result.httpStatus !== 200) {
+        await failWebhookEvent(webhookEvent.fingerprint, result.message);
+
+        paymentLogger.log('WARN', 'Webhook not applied', {
+          eventType,
+          reference,
+          reason: result.message,
+          requestId
+        });
+
+        return res.status(result.httpStatus).json({
+          success: false,
+          message: result.message,
+          requestId
+        });
+      }
+
+      await completeWebhookEvent(webhookEvent.fingerprint, result.outcome);
+
+      if (result.fulfillment) {
+        paymentLogger.paymentSuccess(reference, {
+          bookingId: result.fulfillment.bookingId,
+          action: result.fulfillment.action,
+          previousStatus: result.fulfillment.previousStatus,
+          newStatus: result.fulfillment.newStatus,
+          requestId
+        });
+      }
+
+      paymentLogger.webhookProcessed(eventType, reference, result.outcome);
+
+      return res.status(200).json({
+        success: true,
+        requestId
+      });
+    } catch (error) {
+      await failWebhookEvent(webhookEvent.fingerprint, error).catch(markError => {
+        paymentLogger.log('ERROR', 'Failed to mark webhook event as failed', {
+          fingerprint: webhookEvent.fingerprint,
+          error: markError.message
+        });
+      });
+
+      throw error;
+    }
+  });
+
   /**
    * Validate phone number
    * POST /api/payments/validate-phone
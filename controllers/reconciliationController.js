@@ -0,0 +1,96 @@
+const {
+  runReconciliation,
+  getReconciliationRun,
+  listReconciliationRuns
+} = require('../services/reconciler');
+
+/**
+ * Trigger a reconciliation run now
+ * POST /api/payments/reconciliation/run
+ */
+const triggerReconciliation = async (req, res) => {
+  try {
+    const report = await runReconciliation({ trigger: 'manual' });
+
+    if (!report) {
+      return res.status(409).json({
+        success: false,
+        message: 'A reconciliation run is already in progress'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Reconciliation completed',
+      data: report
+    });
+  } catch (error) {
+    console.error('Reconciliation run error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to run reconciliation',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List recent reconciliation runs
+ * GET /api/payments/reconciliation/runs
+ */
+const getReconciliationRuns = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const runs = await listReconciliationRuns(limit);
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        runs,
+        limit
+      }
+    });
+  } catch (error) {
+    console.error('Get reconciliation runs error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation runs',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single reconciliation run report
+ * GET /api/payments/reconciliation/runs/:runId
+ */
+const getReconciliationReport = async (req, res) => {
+  try {
+    const report = await getReconciliationRun(req.params.runId);
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reconciliation run not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Get reconciliation report error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch reconciliation run',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  triggerReconciliation,
+  getReconciliationRuns,
+  getReconciliationReport
+};
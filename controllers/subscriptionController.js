@@ -0,0 +1,150 @@
+const {
+  listPlans,
+  syncPlans,
+  getSubscription,
+  toSubscriptionView,
+  subscribe,
+  cancelSubscription
+} = require('../services/subscriptions');
+
+/**
+ * Send a subscriptions service result as the response
+ */
+const sendResult = (res, result) => {
+  const success = result.httpStatus < 400;
+
+  return res.status(result.httpStatus).json({
+    success,
+    message: result.message,
+    ...(success ? { data: result.data } : result.error && { error: result.error })
+  });
+};
+
+/**
+ * List the Study Booster plans
+ * GET /api/subscriptions/plans
+ */
+const getPlans = async (req, res) => {
+  try {
+    const plans = await listPlans();
+
+    return res.status(200).json({
+      success: true,
+      data: plans
+    });
+  } catch (error) {
+    console.error('Get plans error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plans',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create or update the plans on Paystack
+ * POST /api/subscriptions/plans/sync
+ */
+const syncSubscriptionPlans = async (req, res) => {
+  try {
+    const plans = await syncPlans();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Plans synced with Paystack',
+      data: plans
+    });
+  } catch (error) {
+    console.error('Sync plans error:', error.response?.data || error.message);
+    return res.status(502).json({
+      success: false,
+      message: 'Failed to sync plans with Paystack',
+      error: error.response?.data?.message || error.message
+    });
+  }
+};
+
+/**
+ * Subscribe a user to a plan
+ * POST /api/subscriptions
+ */
+const createSubscription = async (req, res) => {
+  try {
+    const { userId, email, planId, callbackUrl } = req.body;
+
+    if (!userId || !email || !planId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Missing required fields: userId, email, planId'
+      });
+    }
+
+    const result = await subscribe({ userId, email, planId, callbackUrl });
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Create subscription error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to start subscription',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a user's subscription and entitlement
+ * GET /api/subscriptions/:userId
+ */
+const getUserSubscription = async (req, res) => {
+  try {
+    const subscription = await getSubscription(req.params.userId);
+
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Subscription not found'
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: toSubscriptionView(subscription)
+    });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch subscription',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Cancel a user's subscription at the end of the current period
+ * POST /api/subscriptions/:userId/cancel
+ */
+const cancelUserSubscription = async (req, res) => {
+  try {
+    const result = await cancelSubscription(req.params.userId, req.body.cancelledBy);
+
+    return sendResult(res, result);
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to cancel subscription',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPlans,
+  syncSubscriptionPlans,
+  createSubscription,
+  getUserSubscription,
+  cancelUserSubscription
+};
@@ -1,7 +1,11 @@
 require('dotenv').config();
+const { TENANT_API_KEYS } = require('../config/gateways');
 
 /**
  * Simple API key authentication middleware
+ *
+ * Accepts API_SECRET or a tenant's key from TENANT_API_KEYS; with a tenant
+ * key, req.tenantId is the tenant it belongs to (null otherwise).
  */
 const authenticateApiKey = (req, res, next) => {
   const apiKey = req.headers['x-api-key'];
@@ -13,16 +17,51 @@ const authenticateApiKey = (req, res, next) => {
     });
   }
 
-  if (apiKey !== process.env.API_SECRET) {
+  const [tenantId] = Object.entries(TENANT_API_KEYS).find(([, key]) => key === apiKey) || [null];
+
+  if (apiKey !== process.env.API_SECRET && !tenantId) {
     return res.status(403).json({
       success: false,
       message: 'Invalid API key'
     });
   }
 
+  req.tenantId = tenantId;
+  next();
+};
+
+/**
+ * Admin key authentication for operations that move escrowed funds by hand
+ * (e.g. resolving disputes)
+ */
+const authenticateAdminKey = (req, res, next) => {
+  const adminKey = req.headers['x-admin-key'];
+
+  if (!process.env.ADMIN_API_SECRET) {
+    return res.status(503).json({
+      success: false,
+      message: 'Admin operations are not configured'
+    });
+  }
+
+  if (!adminKey) {
+    return res.status(401).json({
+      success: false,
+      message: 'Admin key is required'
+    });
+  }
+
+  if (adminKey !== process.env.ADMIN_API_SECRET) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid admin key'
+    });
+  }
+
   next();
 };
 
 module.exports = {
-  authenticateApiKey
+  authenticateApiKey,
+  authenticateAdminKey
 };
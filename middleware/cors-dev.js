@@ -7,8 +7,8 @@ const devCorsConfig = cors({
   origin: true, // Allow all origins
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'X-Requested-With', 'Origin', 'Accept'],
-  exposedHeaders: ['x-request-id', 'x-total-count'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'x-admin-key', 'Idempotency-Key', 'X-Requested-With', 'Origin', 'Accept'],
+  exposedHeaders: ['x-request-id', 'x-total-count', 'Idempotent-Replayed'],
   maxAge: 86400,
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -55,8 +55,8 @@ const prodCorsConfig = cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'X-Requested-With'],
-  exposedHeaders: ['x-request-id', 'x-total-count'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'x-admin-key', 'Idempotency-Key', 'X-Requested-With'],
+  exposedHeaders: ['x-request-id', 'x-total-count', 'Idempotent-Replayed'],
   maxAge: 86400,
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -0,0 +1,136 @@
+const { getDatabase } = require('../config/firebase');
+const { sha256, stableStringify } = require('../utils/hashing');
+
+// How long a stored response can be replayed for the same key
+const IDEMPOTENCY_TTL_MS = parseInt(process.env.IDEMPOTENCY_TTL_MS || `${24 * 60 * 60 * 1000}`, 10);
+
+// A request still in progress after this long is assumed to have died with
+// its process, and its key may be used again
+const IN_PROGRESS_TTL_MS = parseInt(process.env.IDEMPOTENCY_IN_PROGRESS_TTL_MS || `${5 * 60 * 1000}`, 10);
+
+const MAX_KEY_LENGTH = 255;
+
+const hashRequestBody = (body) => sha256(stableStringify(body || {}));
+
+/**
+ * Idempotency-Key middleware for payment-creating endpoints
+ *
+ * The first request for a key is processed normally and its response is
+ * stored in idempotency-keys/{hash} together with a hash of the request body.
+ * A repeat with the same key and body replays the stored response, a repeat
+ * with a different body is rejected with 422. The key is released again if
+ * the request fails, the client disconnects before a response is sent, or it
+ * stays in progress for longer than IN_PROGRESS_TTL_MS.
+ */
+const idempotency = async (req, res, next) => {
+  const idempotencyKey = req.get('Idempotency-Key');
+
+  if (!idempotencyKey) {
+    return next();
+  }
+
+  if (idempotencyKey.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key cannot exceed ${MAX_KEY_LENGTH} characters`,
+      requestId: req.requestId
+    });
+  }
+
+  try {
+    const scope = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequestBody(req.body);
+    const recordRef = getDatabase().ref(`idempotency-keys/${sha256(`${scope}:${idempotencyKey}`)}`);
+    const now = Date.now();
+    let existing = null;
+
+    const { committed } = await recordRef.transaction(current => {
+      const ttl = current?.state === 'completed' ? IDEMPOTENCY_TTL_MS : IN_PROGRESS_TTL_MS;
+
+      if (current && now - current.createdAt < ttl) {
+        existing = current;
+        return; // abort - key already used
+      }
+
+      existing = null;
+      return {
+        scope,
+        requestHash,
+        state: 'in_progress',
+        createdAt: now
+      };
+    });
+
+    if (!committed) {
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request body',
+          requestId: req.requestId
+        });
+      }
+
+      if (existing.state !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed',
+          requestId: req.requestId
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.statusCode).json(existing.responseBody);
+    }
+
+    // Capture the response of the first request so it can be replayed
+    let responseBody;
+    const originalJson = res.json;
+    res.json = function(data) {
+      responseBody = data;
+      return originalJson.call(this, data);
+    };
+
+    res.on('finish', async () => {
+      try {
+        if (res.statusCode >= 500 || responseBody === undefined) {
+          // Let the client retry failed requests with the same key
+          await recordRef.remove();
+          return;
+        }
+
+        await recordRef.update({
+          state: 'completed',
+          statusCode: res.statusCode,
+          // Round-trip through JSON to drop undefined values Firebase rejects
+          responseBody: JSON.parse(JSON.stringify(responseBody)),
+          completedAt: Date.now()
+        });
+      } catch (error) {
+        console.error('Failed to store idempotent response:', error.message);
+      }
+    });
+
+    // 'close' without 'finish' means no response was sent (e.g. the client
+    // disconnected), so there is nothing to replay
+    res.on('close', async () => {
+      if (res.writableFinished) {
+        return;
+      }
+
+      try {
+        await recordRef.remove();
+      } catch (error) {
+        console.error('Failed to release idempotency key:', error.message);
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotency,
+  hashRequestBody
+};
@@ -0,0 +1,16 @@
+/**
+ * Keep the exact bytes of a parsed request body on req.rawBody
+ *
+ * Pass as the `verify` option of express.json(). Webhook signatures are
+ * computed over the payload as sent, which JSON.stringify(req.body) cannot
+ * reproduce reliably (key order, whitespace, unicode escaping).
+ */
+const captureRawBody = (req, res, buf) => {
+  if (buf && buf.length) {
+    req.rawBody = buf;
+  }
+};
+
+module.exports = {
+  captureRawBody
+};
@@ -203,8 +203,8 @@ const corsConfig = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'X-Requested-With'],
-  exposedHeaders: ['x-request-id', 'x-total-count'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-api-key', 'x-admin-key', 'Idempotency-Key', 'X-Requested-With'],
+  exposedHeaders: ['x-request-id', 'x-total-count', 'Idempotent-Replayed'],
   maxAge: 86400, // 24 hours
   preflightContinue: false,
   optionsSuccessStatus: 204
@@ -47,10 +47,14 @@ const schemas = {
       }),
     metadata: Joi.object({
       payment_type: Joi.string()
-        .valid('booking_fee', 'escrow', 'tuition')
+        .valid('booking_fee', 'escrow', 'tuition', 'installment')
         .default('booking_fee'),
       userId: Joi.string()
         .optional(),
+      teacherId: Joi.string()
+        .optional(),
+      installment_id: Joi.string()
+        .optional(),
       description: Joi.string()
         .optional(),
       custom_fields: Joi.object()
@@ -67,6 +71,24 @@ const schemas = {
       })
   }),
 
+  // Refund request
+  refundRequest: Joi.object({
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .optional()
+      .messages({
+        'number.base': 'Refund amount must be a number',
+        'number.positive': 'Refund amount must be positive'
+      }),
+    reason: Joi.string()
+      .max(500)
+      .optional(),
+    requestedBy: Joi.string()
+      .max(100)
+      .optional()
+  }),
+
   // Phone validation
   phoneValidation: Joi.object({
     phone: Joi.string()
@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+require('dotenv').config();
+
+/**
+ * Local stand-in for the Safaricom Daraja endpoints used by services/daraja.js
+ *
+ *   GET  /oauth/v1/generate
+ *   POST /mpesa/stkpush/v1/processrequest
+ *   POST /mpesa/stkpushquery/v1/query
+ *
+ * Each accepted STK push is answered with a callback to its CallBackURL after
+ * DARAJA_STUB_CALLBACK_DELAY_MS. The outcome is picked by the phone number
+ * (see SCENARIOS); any other number succeeds. Run it with
+ * `npm run mock:daraja` and point the backend at it with
+ * DARAJA_BASE_URL=http://localhost:4010.
+ */
+
+const SCENARIOS = {
+  '254700000001': { resultCode: 1, resultDesc: 'The balance is insufficient for the transaction.' },
+  '254700000002': { resultCode: 1032, resultDesc: 'Request cancelled by user' },
+  '254700000003': { resultCode: 1037, resultDesc: 'DS timeout user cannot be reached' },
+  '254700000004': { resultCode: 2001, resultDesc: 'The initiator information is invalid.' },
+  // Succeeds, but the callback is never sent - only the STK query reports it
+  '254700000005': { resultCode: 0, resultDesc: 'The service request is processed successfully.', noCallback: true }
+};
+
+const SUCCESS = { resultCode: 0, resultDesc: 'The service request is processed successfully.' };
+
+const randomId = (length) => crypto.randomBytes(length).toString('hex').toUpperCase().substring(0, length);
+
+/**
+ * Create the stand-in app
+ *
+ * Options: consumerKey/consumerSecret (checked when set), passkey (used to
+ * check the STK password when set) and callbackDelayMs. The app exposes the
+ * STK pushes it received as `app.locals.requests`.
+ */
+const createDarajaServer = ({
+  consumerKey = process.env.DARAJA_CONSUMER_KEY,
+  consumerSecret = process.env.DARAJA_CONSUMER_SECRET,
+  passkey = process.env.DARAJA_PASSKEY,
+  callbackDelayMs = parseInt(process.env.DARAJA_STUB_CALLBACK_DELAY_MS || '3000', 10)
+} = {}) => {
+  const app = express();
+  const tokens = new Set();
+  const requests = new Map();
+
+  app.use(express.json());
+  app.locals.requests = requests;
+
+  const requireToken = (req, res, next) => {
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+
+    if (!tokens.has(token)) {
+      return res.status(401).json({ errorCode: '404.001.03', errorMessage: 'Invalid Access Token' });
+    }
+
+    next();
+  };
+
+  const checkPassword = (body) => {
+    if (!passkey) {
+      return true;
+    }
+
+    const expected = Buffer.from(`${body.BusinessShortCode}${passkey}${body.Timestamp}`).toString('base64');
+    return body.Password === expected;
+  };
+
+  const sendCallback = async (request) => {
+    const { scenario, body } = request;
+    const stkCallback = {
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResultCode: scenario.resultCode,
+      ResultDesc: scenario.resultDesc
+    };
+
+    if (scenario.resultCode === 0) {
+      stkCallback.CallbackMetadata = {
+        Item: [
+          { Name: 'Amount', Value: body.Amount },
+          { Name: 'MpesaReceiptNumber', Value: request.receiptNumber },
+          { Name: 'Balance' },
+          { Name: 'TransactionDate', Value: Number(request.completedAt) },
+          { Name: 'PhoneNumber', Value: Number(body.PhoneNumber) }
+        ]
+      };
+    }
+
+    try {
+      await axios.post(body.CallBackURL, { Body: { stkCallback } }, { timeout: 10000 });
+      console.log(`Daraja stub: callback ${request.checkoutRequestId} -> ${scenario.resultCode}`);
+    } catch (error) {
+      console.error(`Daraja stub: callback ${request.checkoutRequestId} failed - ${error.message}`);
+    }
+  };
+
+  app.get('/oauth/v1/generate', (req, res) => {
+    const [key, secret] = Buffer.from((req.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+      .toString()
+      .split(':');
+
+    if (req.query.grant_type !== 'client_credentials' || !key ||
+      (consumerKey && (key !== consumerKey || secret !== consumerSecret))) {
+      return res.status(400).json({ errorCode: '400.008.01', errorMessage: 'Invalid Authentication passed' });
+    }
+
+    const token = crypto.randomBytes(16).toString('base64').replace(/\W/g, '');
+    tokens.add(token);
+
+    return res.json({ access_token: token, expires_in: '3599' });
+  });
+
+  app.post('/mpesa/stkpush/v1/processrequest', requireToken, (req, res) => {
+    const body = req.body;
+
+    if (!checkPassword(body)) {
+      return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid Password' });
+    }
+
+    if (!/^254\d{9}$/.test(String(body.PhoneNumber)) || !Number.isInteger(Number(body.Amount)) || !body.CallBackURL) {
+      return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid request' });
+    }
+
+    const request = {
+      merchantRequestId: `${randomId(5)}-${randomId(8)}-1`,
+      checkoutRequestId: `ws_CO_${Date.now()}${randomId(6)}`,
+      receiptNumber: randomId(10),
+      scenario: SCENARIOS[String(body.PhoneNumber)] || SUCCESS,
+      body,
+      completedAt: null
+    };
+
+    requests.set(request.checkoutRequestId, request);
+
+    setTimeout(() => {
+      const kenyanTime = new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString();
+      request.completedAt = kenyanTime.replace(/\D/g, '').substring(0, 14);
+
+      if (!request.scenario.noCallback) {
+        sendCallback(request);
+      }
+    }, callbackDelayMs);
+
+    return res.json({
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing'
+    });
+  });
+
+  app.post('/mpesa/stkpushquery/v1/query', requireToken, (req, res) => {
+    if (!checkPassword(req.body)) {
+      return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid Password' });
+    }
+
+    const request = requests.get(req.body.CheckoutRequestID);
+
+    if (!request) {
+      return res.status(400).json({ errorCode: '400.002.02', errorMessage: 'Bad Request - Invalid CheckoutRequestID' });
+    }
+
+    if (!request.completedAt) {
+      return res.status(500).json({ errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+    }
+
+    return res.json({
+      ResponseCode: '0',
+      ResponseDescription: 'The service request has been accepted successfully',
+      MerchantRequestID: request.merchantRequestId,
+      CheckoutRequestID: request.checkoutRequestId,
+      ResultCode: String(request.scenario.resultCode),
+      ResultDesc: request.scenario.resultDesc
+    });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.DARAJA_STUB_PORT || '4010', 10);
+
+  createDarajaServer().listen(port, () => {
+    console.log(`Daraja stub listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  SCENARIOS,
+  createDarajaServer
+};
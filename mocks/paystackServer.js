@@ -0,0 +1,338 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+require('dotenv').config();
+
+/**
+ * Local stand-in for the Paystack endpoints used by services/gateways/paystackGateway.js
+ *
+ *   POST /transaction/initialize
+ *   GET  /transaction/verify/:reference
+ *   POST /charge
+ *   POST /refund
+ *   POST /transferrecipient
+ *   POST /transfer
+ *   GET  /checkout/:accessCode   (stands in for the hosted checkout page)
+ *
+ * Charges settle PAYSTACK_MOCK_WEBHOOK_DELAY_MS after they are made and are
+ * reported with a webhook to PAYSTACK_MOCK_WEBHOOK_URL, signed with the
+ * backend's webhook secret. The outcome is picked by the phone number (see
+ * SCENARIOS); any other number succeeds. Run it with `npm run mock:paystack`
+ * and point the backend at it with PAYSTACK_BASE_URL=http://localhost:4011.
+ */
+
+const SCENARIOS = {
+  '254700000001': { status: 'failed', gatewayResponse: 'Insufficient funds' },
+  '254700000002': { status: 'failed', gatewayResponse: 'Transaction cancelled by user' },
+  // Timeout - the customer never answers the prompt: Paystack sends no
+  // webhook and verify reports the charge as abandoned
+  '254700000003': { status: 'abandoned', gatewayResponse: 'The customer did not complete the payment', noWebhook: true },
+  '254700000004': { status: 'failed', gatewayResponse: 'Declined by M-Pesa' },
+  // Succeeds, but the webhook is never sent - only verify reports it
+  '254700000005': { status: 'success', gatewayResponse: 'Approved', noWebhook: true }
+};
+
+const SUCCESS = { status: 'success', gatewayResponse: 'Approved' };
+
+// Transfers to this M-Pesa recipient (254700000001) fail
+const FAILING_TRANSFER_ACCOUNT = '0700000001';
+
+const randomId = (length) => crypto.randomBytes(length).toString('hex').toUpperCase().substring(0, length);
+
+const scenarioFor = (phone) => SCENARIOS[String(phone || '').replace(/^\+/, '')] || SUCCESS;
+
+/**
+ * Create the stand-in app
+ *
+ * Options: secretKey (checked when set), webhookUrl, webhookSecret and
+ * webhookDelayMs. The app exposes its transactions as
+ * `app.locals.transactions` and the webhooks it sent as `app.locals.webhooks`.
+ */
+const createPaystackServer = ({
+  secretKey = process.env.PAYSTACK_TEST_SECRET_KEY,
+  webhookUrl = process.env.PAYSTACK_MOCK_WEBHOOK_URL || 'http://localhost:3000/api/payments/webhook',
+  webhookSecret = process.env.PAYSTACK_MOCK_WEBHOOK_SECRET || process.env.PAYSTACK_TEST_WEBHOOK_SECRET,
+  webhookDelayMs = parseInt(process.env.PAYSTACK_MOCK_WEBHOOK_DELAY_MS || '3000', 10)
+} = {}) => {
+  const app = express();
+  const transactions = new Map();
+  const recipients = new Map();
+  const webhooks = [];
+  let nextId = 1000;
+
+  app.use(express.json());
+  app.locals.transactions = transactions;
+  app.locals.webhooks = webhooks;
+
+  const ok = (res, message, data) => res.json({ status: true, message, data });
+  const fail = (res, httpStatus, message) => res.status(httpStatus).json({ status: false, message });
+
+  app.use((req, res, next) => {
+    if (req.path.startsWith('/checkout/')) {
+      return next();
+    }
+
+    const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+
+    if (!token || (secretKey && token !== secretKey)) {
+      return fail(res, 401, 'Invalid key');
+    }
+
+    next();
+  });
+
+  const sendWebhook = async (event, data) => {
+    const body = JSON.stringify({ event, data });
+    const signature = crypto.createHmac('sha512', webhookSecret || '').update(body).digest('hex');
+
+    webhooks.push({ event, reference: data.reference || data.transaction_reference });
+
+    try {
+      await axios.post(webhookUrl, body, {
+        timeout: 10000,
+        headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signature }
+      });
+      console.log(`Paystack mock: ${event} ${data.reference || data.transaction_reference} delivered`);
+    } catch (error) {
+      console.error(`Paystack mock: ${event} ${data.reference || data.transaction_reference} failed - ${error.message}`);
+    }
+  };
+
+  // Transaction object as returned by /transaction/verify and in charge webhooks
+  const transactionData = (transaction) => ({
+    id: transaction.id,
+    reference: transaction.reference,
+    status: transaction.status,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    channel: transaction.channel,
+    gateway_response: transaction.gatewayResponse,
+    receipt_number: transaction.status === 'success' ? transaction.receiptNumber : null,
+    paid_at: transaction.paidAt,
+    created_at: transaction.createdAt,
+    metadata: transaction.metadata,
+    customer: { email: transaction.email, phone: transaction.phone },
+    ...(transaction.split && { split: transaction.split })
+  });
+
+  const createTransaction = (body, res) => {
+    if (!body.email || !Number.isInteger(Number(body.amount)) || Number(body.amount) <= 0) {
+      fail(res, 400, 'Invalid email or amount');
+      return null;
+    }
+
+    const reference = body.reference || `T${randomId(12)}`;
+
+    if (transactions.has(reference)) {
+      fail(res, 400, 'Duplicate Transaction Reference');
+      return null;
+    }
+
+    const transaction = {
+      id: nextId++,
+      reference,
+      accessCode: randomId(15).toLowerCase(),
+      email: body.email,
+      phone: null,
+      amount: Number(body.amount),
+      currency: body.currency || 'KES',
+      channel: null,
+      status: 'ongoing',
+      gatewayResponse: null,
+      receiptNumber: randomId(10),
+      paidAt: null,
+      createdAt: new Date().toISOString(),
+      metadata: body.metadata || {},
+      split: body.split_code || body.subaccount ? { split_code: body.split_code, subaccount: body.subaccount } : null,
+      refunded: 0
+    };
+
+    transactions.set(reference, transaction);
+    return transaction;
+  };
+
+  // Settle a charge after the webhook delay, as the customer would
+  const settle = (transaction, scenario) => {
+    setTimeout(() => {
+      transaction.status = scenario.status;
+      transaction.gatewayResponse = scenario.gatewayResponse;
+      transaction.paidAt = scenario.status === 'success' ? new Date().toISOString() : null;
+
+      if (!scenario.noWebhook) {
+        sendWebhook(scenario.status === 'success' ? 'charge.success' : 'charge.failed', transactionData(transaction));
+      }
+    }, webhookDelayMs);
+  };
+
+  app.post('/transaction/initialize', (req, res) => {
+    const transaction = createTransaction(req.body, res);
+
+    if (!transaction) {
+      return;
+    }
+
+    const host = `${req.protocol}://${req.get('host')}`;
+
+    return ok(res, 'Authorization URL created', {
+      authorization_url: `${host}/checkout/${transaction.accessCode}`,
+      access_code: transaction.accessCode,
+      reference: transaction.reference
+    });
+  });
+
+  // Opening the checkout page pays the transaction; ?phone= picks the scenario
+  app.get('/checkout/:accessCode', (req, res) => {
+    const transaction = [...transactions.values()].find(item => item.accessCode === req.params.accessCode);
+
+    if (!transaction) {
+      return res.status(404).send('Unknown checkout');
+    }
+
+    if (transaction.status === 'ongoing' && !transaction.channel) {
+      transaction.channel = 'mobile_money';
+      transaction.phone = req.query.phone || null;
+      settle(transaction, scenarioFor(req.query.phone));
+    }
+
+    return res.send(`Paystack mock: payment ${transaction.reference} submitted`);
+  });
+
+  app.get('/transaction/verify/:reference', (req, res) => {
+    const transaction = transactions.get(req.params.reference);
+
+    if (!transaction) {
+      return fail(res, 404, 'Transaction reference not found');
+    }
+
+    return ok(res, 'Verification successful', transactionData(transaction));
+  });
+
+  app.post('/charge', (req, res) => {
+    const phone = req.body.mobile_money?.phone;
+
+    if (!/^\+?254\d{9}$/.test(String(phone || ''))) {
+      return fail(res, 400, 'Invalid mobile money phone number');
+    }
+
+    const transaction = createTransaction(req.body, res);
+
+    if (!transaction) {
+      return;
+    }
+
+    transaction.channel = 'mobile_money';
+    transaction.phone = phone;
+    settle(transaction, scenarioFor(phone));
+
+    return ok(res, 'Charge attempted', {
+      reference: transaction.reference,
+      status: 'pay_offline',
+      display_text: 'Please complete authorization process on your mobile phone'
+    });
+  });
+
+  app.post('/refund', (req, res) => {
+    const transaction = transactions.get(req.body.transaction);
+
+    if (!transaction) {
+      return fail(res, 404, 'Transaction reference not found');
+    }
+
+    const remaining = transaction.amount - transaction.refunded;
+    const amount = req.body.amount ? Number(req.body.amount) : remaining;
+
+    if (transaction.status !== 'success' || remaining <= 0) {
+      return fail(res, 400, 'Transaction has been fully reversed');
+    }
+
+    if (amount > remaining) {
+      return fail(res, 400, 'Refund amount cannot be more than the transaction amount');
+    }
+
+    transaction.refunded += amount;
+
+    const refund = {
+      id: nextId++,
+      transaction_reference: transaction.reference,
+      amount,
+      currency: transaction.currency,
+      status: 'pending'
+    };
+
+    setTimeout(() => {
+      if (transaction.refunded === transaction.amount) {
+        transaction.status = 'reversed';
+      }
+
+      sendWebhook('refund.processed', { ...refund, status: 'processed' });
+    }, webhookDelayMs);
+
+    return ok(res, 'Refund has been queued for processing', {
+      ...refund,
+      transaction: { id: transaction.id, reference: transaction.reference }
+    });
+  });
+
+  app.post('/transferrecipient', (req, res) => {
+    if (!req.body.type || !req.body.account_number) {
+      return fail(res, 400, 'Invalid recipient details');
+    }
+
+    const recipient = {
+      recipient_code: `RCP_${randomId(12).toLowerCase()}`,
+      type: req.body.type,
+      name: req.body.name,
+      details: { account_number: req.body.account_number, bank_code: req.body.bank_code }
+    };
+
+    recipients.set(recipient.recipient_code, recipient);
+
+    return ok(res, 'Transfer recipient created successfully', recipient);
+  });
+
+  app.post('/transfer', (req, res) => {
+    const recipient = recipients.get(req.body.recipient);
+
+    if (!recipient) {
+      return fail(res, 400, 'Invalid transfer recipient');
+    }
+
+    if (!req.body.reference || !Number.isInteger(Number(req.body.amount))) {
+      return fail(res, 400, 'Invalid reference or amount');
+    }
+
+    const transfer = {
+      reference: req.body.reference,
+      transfer_code: `TRF_${randomId(12).toLowerCase()}`,
+      amount: Number(req.body.amount),
+      currency: req.body.currency || 'KES',
+      recipient: recipient.recipient_code
+    };
+    const failed = recipient.details.account_number === FAILING_TRANSFER_ACCOUNT;
+
+    setTimeout(() => {
+      sendWebhook(failed ? 'transfer.failed' : 'transfer.success', {
+        ...transfer,
+        status: failed ? 'failed' : 'success',
+        ...(failed && { reason: 'Recipient account could not be credited' })
+      });
+    }, webhookDelayMs);
+
+    return ok(res, 'Transfer has been queued', { ...transfer, status: 'pending' });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  const port = parseInt(process.env.PAYSTACK_MOCK_PORT || '4011', 10);
+
+  createPaystackServer().listen(port, () => {
+    console.log(`Paystack mock listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = {
+  SCENARIOS,
+  createPaystackServer
+};
@@ -0,0 +1,172 @@
+/**
+ * Bookings (tuition-bookings/{bookingId})
+ *
+ * tuition-bookings/ is the canonical store. Older code also wrote bookings to
+ * bookings/{bookingId}; until scripts/migrateBookings.js has moved them over,
+ * reads merge the two records, and the first write to a booking moves its
+ * legacy record into the canonical one.
+ */
+
+const CANONICAL_PATH = 'tuition-bookings';
+const LEGACY_PATH = 'bookings';
+
+// Always differs between the two copies, so never reported as a conflict
+const IGNORED_CONFLICT_FIELDS = ['lastUpdated'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const toMillis = (value) => (typeof value === 'number' ? value : Date.parse(value || '') || 0);
+
+/**
+ * Merge a booking's canonical and legacy records
+ *
+ * Nested objects (activityLog, negotiation, escrowMilestones...) are merged
+ * key by key; where both records hold a different value the more recently
+ * updated record (by lastUpdated, the canonical one on a tie) wins. Returns
+ * { booking, conflicts }, each conflict being { field, canonical,
+ * legacy, kept }.
+ */
+const mergeBookingRecords = (canonical, legacy) => {
+  if (!legacy || !canonical) {
+    return { booking: canonical || legacy || null, conflicts: [] };
+  }
+
+  const kept = toMillis(legacy.lastUpdated) > toMillis(canonical.lastUpdated) ? 'legacy' : 'canonical';
+  const conflicts = [];
+
+  const merge = (canonicalValue, legacyValue, field) => {
+    if (isPlainObject(canonicalValue) && isPlainObject(legacyValue)) {
+      const keys = new Set([...Object.keys(legacyValue), ...Object.keys(canonicalValue)]);
+
+      return Object.fromEntries([...keys].map(key => [
+        key,
+        merge(canonicalValue[key], legacyValue[key], field ? `${field}.${key}` : key)
+      ]));
+    }
+
+    if (legacyValue === undefined || legacyValue === null) {
+      return canonicalValue;
+    }
+
+    if (canonicalValue === undefined || canonicalValue === null) {
+      return legacyValue;
+    }
+
+    if (JSON.stringify(canonicalValue) !== JSON.stringify(legacyValue) && !IGNORED_CONFLICT_FIELDS.includes(field)) {
+      conflicts.push({ field, canonical: canonicalValue, legacy: legacyValue, kept });
+    }
+
+    return kept === 'legacy' ? legacyValue : canonicalValue;
+  };
+
+  return { booking: merge(canonical, legacy, ''), conflicts };
+};
+
+/**
+ * Create the repository over a database (`getDb` returns the Realtime
+ * Database or an in-memory one)
+ */
+const createBookingRepository = (getDb) => {
+  const read = async (path) => (await getDb().ref(path).once('value')).val();
+
+  const readBoth = (bookingId) => Promise.all([
+    read(`${CANONICAL_PATH}/${bookingId}`),
+    read(`${LEGACY_PATH}/${bookingId}`)
+  ]);
+
+  /**
+   * Move a booking's legacy record (if any) into the canonical store
+   *
+   * Resolves with { migrated, merged, conflicts }; `merged` is true when a
+   * canonical record already existed. With `dryRun` nothing is written.
+   */
+  const migrate = async (bookingId, { dryRun = false } = {}) => {
+    const legacy = await read(`${LEGACY_PATH}/${bookingId}`);
+
+    if (!legacy) {
+      return { migrated: false, merged: false, conflicts: [] };
+    }
+
+    if (dryRun) {
+      const canonical = await read(`${CANONICAL_PATH}/${bookingId}`);
+      return { migrated: true, merged: canonical !== null, conflicts: mergeBookingRecords(canonical, legacy).conflicts };
+    }
+
+    let merged = false;
+    let conflicts = [];
+
+    await getDb().ref(`${CANONICAL_PATH}/${bookingId}`).transaction(current => {
+      const result = mergeBookingRecords(current, legacy);
+      merged = current !== null;
+      conflicts = result.conflicts;
+      return result.booking;
+    });
+
+    await getDb().ref(`${LEGACY_PATH}/${bookingId}`).remove();
+
+    return { migrated: true, merged, conflicts };
+  };
+
+  return {
+    /**
+     * Booking by ID, or null, merged with any legacy record not yet migrated
+     */
+    get: async (bookingId) => {
+      const [canonical, legacy] = await readBoth(bookingId);
+      return mergeBookingRecords(canonical, legacy).booking;
+    },
+
+    /**
+     * Merge fields into a booking
+     */
+    update: async (bookingId, updates) => {
+      await migrate(bookingId);
+      await getDb().ref(`${CANONICAL_PATH}/${bookingId}`).update(updates);
+    },
+
+    /**
+     * Atomically replace a booking, or the value at `path` inside it, with
+     * `mutate(current)` (return undefined to leave it alone)
+     *
+     * Resolves with { committed, value }.
+     */
+    transaction: async (bookingId, mutate, { path = '' } = {}) => {
+      await migrate(bookingId);
+
+      const target = path ? `${CANONICAL_PATH}/${bookingId}/${path}` : `${CANONICAL_PATH}/${bookingId}`;
+      const { committed, snapshot } = await getDb().ref(target).transaction(mutate);
+
+      return { committed, value: snapshot.val() };
+    },
+
+    /**
+     * Add an entry to a booking's activity log, resolving with its key
+     */
+    appendActivity: async (bookingId, entry) => {
+      await migrate(bookingId);
+
+      const entryRef = getDb().ref(`${CANONICAL_PATH}/${bookingId}/activityLog`).push();
+      await entryRef.set(entry);
+      return entryRef.key;
+    },
+
+    /**
+     * New unique key for a record nested in a booking (e.g. a milestone)
+     */
+    newKey: () => getDb().ref(CANONICAL_PATH).push().key,
+
+    /**
+     * IDs of bookings still in the legacy bookings/ tree
+     */
+    listLegacyIds: async () => Object.keys((await read(LEGACY_PATH)) || {}),
+
+    migrate
+  };
+};
+
+module.exports = {
+  CANONICAL_PATH,
+  LEGACY_PATH,
+  mergeBookingRecords,
+  createBookingRepository
+};
@@ -0,0 +1,38 @@
+const { getDatabase } = require('../config/firebase');
+const { createMemoryDatabase } = require('./memoryDatabase');
+const { createTransactionRepository } = require('./transactionRepository');
+const { createBookingRepository } = require('./bookingRepository');
+const { createWebhookEventRepository } = require('./webhookEventRepository');
+
+/**
+ * Data access for controllers and services
+ *
+ * Each repository wraps the Realtime Database paths of one kind of record.
+ * The exported repositories use the configured store (Firebase, the Firebase
+ * emulator or, with DATA_STORE=memory, an in-memory database - see
+ * config/firebase.js).
+ */
+
+/**
+ * Create the repositories over a database (`getDb` returns it)
+ */
+const createRepositories = (getDb) => ({
+  transactions: createTransactionRepository(getDb),
+  bookings: createBookingRepository(getDb),
+  webhookEvents: createWebhookEventRepository(getDb)
+});
+
+/**
+ * Repositories over a private in-memory database, optionally seeded with a
+ * database tree ({ 'payment-transactions': { ... }, ... })
+ */
+const createMemoryRepositories = (seed = {}) => {
+  const database = createMemoryDatabase(seed);
+  return { ...createRepositories(() => database), database };
+};
+
+module.exports = {
+  ...createRepositories(getDatabase),
+  createRepositories,
+  createMemoryRepositories
+};
@@ -0,0 +1,244 @@
+const crypto = require('crypto');
+
+/**
+ * In-memory stand-in for the Firebase Realtime Database
+ *
+ * Implements the part of the admin SDK reference API the backend uses: once,
+ * get, set, update (including multi-path updates), remove, push, transaction,
+ * child and the orderByChild / orderByKey / equalTo / startAt / endAt /
+ * limitToFirst / limitToLast queries. Values are copied in and out, so callers
+ * never share objects with the store. Selected with DATA_STORE=memory (see
+ * config/firebase.js); data is lost when the process exits.
+ */
+
+const clone = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+const splitPath = (path) => String(path || '').split('/').filter(Boolean);
+
+const isEmpty = (value) => value === null || (typeof value === 'object' && Object.keys(value).length === 0);
+
+// Realtime Database ordering: null, false, true, numbers, strings, objects
+const typeRank = (value) => {
+  if (value === null || value === undefined) return 0;
+  if (value === false) return 1;
+  if (value === true) return 2;
+  if (typeof value === 'number') return 3;
+  if (typeof value === 'string') return 4;
+  return 5;
+};
+
+const compareValues = (a, b) => {
+  const rank = typeRank(a) - typeRank(b);
+
+  if (rank !== 0) {
+    return rank;
+  }
+
+  if (typeof a === 'number' || typeof a === 'string') {
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  return 0;
+};
+
+const compareKeys = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Snapshot of a value, with children in query order
+ */
+const createSnapshot = (key, value, orderedKeys = null) => ({
+  key,
+  val: () => clone(value),
+  exists: () => value !== null && value !== undefined,
+  numChildren: () => (value && typeof value === 'object' ? Object.keys(value).length : 0),
+  child: (path) => {
+    const parts = splitPath(path);
+    const childValue = parts.reduce((node, part) => (node && typeof node === 'object' ? node[part] : null), value);
+
+    return createSnapshot(parts[parts.length - 1] || key, childValue ?? null);
+  },
+  forEach: (callback) => {
+    if (!value || typeof value !== 'object') {
+      return false;
+    }
+
+    const keys = orderedKeys || Object.keys(value).sort(compareKeys);
+
+    return keys.some(childKey => callback(createSnapshot(childKey, value[childKey])) === true);
+  }
+});
+
+/**
+ * Create an empty (or seeded) in-memory database
+ */
+const createMemoryDatabase = (seed = {}) => {
+  let root = clone(seed) || {};
+  let pushCounter = 0;
+  let lastPushTime = 0;
+
+  const read = (parts) => {
+    let node = root;
+
+    for (const part of parts) {
+      if (!node || typeof node !== 'object' || !(part in node)) {
+        return null;
+      }
+
+      node = node[part];
+    }
+
+    return node;
+  };
+
+  const write = (parts, value) => {
+    const stored = isEmpty(clone(value)) ? null : clone(value);
+
+    if (parts.length === 0) {
+      root = stored || {};
+      return;
+    }
+
+    const parents = [];
+    let node = root;
+
+    for (const part of parts.slice(0, -1)) {
+      if (!node[part] || typeof node[part] !== 'object') {
+        if (stored === null) {
+          return;
+        }
+
+        node[part] = {};
+      }
+
+      parents.push([node, part]);
+      node = node[part];
+    }
+
+    const last = parts[parts.length - 1];
+
+    if (stored === null) {
+      delete node[last];
+    } else {
+      node[last] = stored;
+    }
+
+    // Like the Realtime Database, drop parents left without children
+    for (const [parent, part] of parents.reverse()) {
+      if (isEmpty(parent[part])) {
+        delete parent[part];
+      }
+    }
+  };
+
+  // Push IDs sort by creation time, as Firebase's do
+  const pushKey = () => {
+    const now = Date.now();
+    pushCounter = now === lastPushTime ? pushCounter + 1 : 0;
+    lastPushTime = now;
+
+    return `-${now.toString(36).padStart(9, '0')}${pushCounter.toString(36).padStart(4, '0')}${crypto.randomBytes(4).toString('hex')}`;
+  };
+
+  const runQuery = (value, query) => {
+    if (!value || typeof value !== 'object' || !query.orderBy) {
+      return { value, orderedKeys: null };
+    }
+
+    const childPath = splitPath(query.orderBy);
+    const sortValue = (key) => (query.orderBy === '$key'
+      ? key
+      : childPath.reduce((node, part) => (node && typeof node === 'object' ? node[part] : null), value[key]) ?? null);
+    let keys = Object.keys(value).sort((a, b) => compareValues(sortValue(a), sortValue(b)) || compareKeys(a, b));
+
+    if (query.equalTo !== undefined) {
+      keys = keys.filter(key => compareValues(sortValue(key), query.equalTo) === 0 && typeRank(sortValue(key)) === typeRank(query.equalTo));
+    }
+
+    if (query.startAt !== undefined) {
+      keys = keys.filter(key => compareValues(sortValue(key), query.startAt) >= 0);
+    }
+
+    if (query.endAt !== undefined) {
+      keys = keys.filter(key => compareValues(sortValue(key), query.endAt) <= 0);
+    }
+
+    if (query.limitToFirst !== undefined) {
+      keys = keys.slice(0, query.limitToFirst);
+    }
+
+    if (query.limitToLast !== undefined) {
+      keys = keys.slice(-query.limitToLast);
+    }
+
+    return {
+      value: keys.length ? Object.fromEntries(keys.map(key => [key, value[key]])) : null,
+      orderedKeys: keys
+    };
+  };
+
+  const createReference = (parts, query = {}) => {
+    const key = parts.length ? parts[parts.length - 1] : null;
+    const withQuery = (changes) => createReference(parts, { orderBy: '$key', ...query, ...changes });
+
+    const snapshot = () => {
+      const { value, orderedKeys } = runQuery(read(parts), query);
+      return createSnapshot(key, value, orderedKeys);
+    };
+
+    return {
+      key,
+      toString: () => `/${parts.join('/')}`,
+      child: (path) => createReference([...parts, ...splitPath(path)]),
+      once: async () => snapshot(),
+      get: async () => snapshot(),
+      set: async (value) => write(parts, value),
+      update: async (values) => {
+        for (const [path, value] of Object.entries(values || {})) {
+          write([...parts, ...splitPath(path)], value);
+        }
+      },
+      remove: async () => write(parts, null),
+      push: (value) => {
+        const childParts = [...parts, pushKey()];
+        const reference = createReference(childParts);
+
+        if (value === undefined) {
+          return reference;
+        }
+
+        const written = Promise.resolve(write(childParts, value)).then(() => createReference(childParts));
+
+        return { ...reference, then: written.then.bind(written), catch: written.catch.bind(written) };
+      },
+      // Runs the update function once against the current value: there are
+      // no concurrent writers to retry against
+      transaction: async (update) => {
+        const next = update(clone(read(parts)));
+
+        if (next === undefined) {
+          return { committed: false, snapshot: createSnapshot(key, read(parts)) };
+        }
+
+        write(parts, next);
+        return { committed: true, snapshot: createSnapshot(key, read(parts)) };
+      },
+      orderByChild: (path) => createReference(parts, { ...query, orderBy: path }),
+      orderByKey: () => createReference(parts, { ...query, orderBy: '$key' }),
+      equalTo: (value) => withQuery({ equalTo: value }),
+      startAt: (value) => withQuery({ startAt: value }),
+      endAt: (value) => withQuery({ endAt: value }),
+      limitToFirst: (limit) => withQuery({ limitToFirst: limit }),
+      limitToLast: (limit) => withQuery({ limitToLast: limit })
+    };
+  };
+
+  return {
+    ref: (path = '') => createReference(splitPath(path)),
+    // Copy of the whole tree
+    export: () => clone(root) || {}
+  };
+};
+
+module.exports = {
+  createMemoryDatabase
+};
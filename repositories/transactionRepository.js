@@ -0,0 +1,110 @@
+/**
+ * Payment transactions (payment-transactions/{reference})
+ */
+
+const PATH = 'payment-transactions';
+
+/**
+ * Create the repository over a database (`getDb` returns the Realtime
+ * Database or an in-memory one)
+ */
+const createTransactionRepository = (getDb) => {
+  const transactionRef = (reference, path = '') => getDb().ref(path ? `${PATH}/${reference}/${path}` : `${PATH}/${reference}`);
+
+  return {
+    /**
+     * Transaction by reference, or null
+     */
+    get: async (reference) => (await transactionRef(reference).once('value')).val(),
+
+    /**
+     * Store a new transaction, replacing any with the same reference
+     */
+    create: async (reference, transaction) => {
+      await transactionRef(reference).set(transaction);
+    },
+
+    /**
+     * Value at `path` inside a transaction (e.g. 'split'), or null
+     */
+    getField: async (reference, path) => (await transactionRef(reference, path).once('value')).val(),
+
+    /**
+     * Merge fields into a transaction, or into the value at `path` inside it
+     */
+    update: async (reference, updates, { path = '' } = {}) => {
+      await transactionRef(reference, path).update(updates);
+    },
+
+    /**
+     * Atomically replace a transaction, or the value at `path` inside it,
+     * with `mutate(current)` (return undefined to leave it alone)
+     *
+     * Resolves with { committed, value }.
+     */
+    transaction: async (reference, mutate, { path = '' } = {}) => {
+      const { committed, snapshot } = await transactionRef(reference, path).transaction(mutate);
+      return { committed, value: snapshot.val() };
+    },
+
+    /**
+     * New unique key for a record nested in a transaction (e.g. a status
+     * history entry)
+     */
+    newKey: () => getDb().ref(PATH).push().key,
+
+    /**
+     * Transactions in a payment status (at most `limit` when given, in key
+     * order)
+     */
+    listByStatus: async (status, { limit = null } = {}) => {
+      const query = getDb().ref(PATH).orderByChild('status').equalTo(status);
+      const snapshot = await (limit ? query.limitToFirst(limit) : query).once('value');
+
+      return Object.values(snapshot.val() || {});
+    },
+
+    /**
+     * Transactions whose fulfillment (see services/fulfillment.js) is in a
+     * given status
+     */
+    listByFulfillmentStatus: async (status) => {
+      const snapshot = await getDb().ref(PATH)
+        .orderByChild('fulfillment/status')
+        .equalTo(status)
+        .once('value');
+
+      return Object.values(snapshot.val() || {});
+    },
+
+    /**
+     * Transactions whose teacher-share settlement (split.settlement, see
+     * services/payouts.js) is in a given status
+     */
+    listBySettlementStatus: async (status) => {
+      const snapshot = await getDb().ref(PATH)
+        .orderByChild('split/settlement/status')
+        .equalTo(status)
+        .once('value');
+
+      return Object.values(snapshot.val() || {});
+    },
+
+    /**
+     * Transactions made with an email address (at most `limit`, in key order)
+     */
+    listByEmail: async (email, { limit = 50 } = {}) => {
+      const snapshot = await getDb().ref(PATH)
+        .orderByChild('email')
+        .equalTo(email)
+        .limitToFirst(limit)
+        .once('value');
+
+      return Object.values(snapshot.val() || {});
+    }
+  };
+};
+
+module.exports = {
+  createTransactionRepository
+};
@@ -0,0 +1,54 @@
+/**
+ * Webhook deliveries (webhook-events/{fingerprint}), see
+ * services/webhookEvents.js
+ */
+
+const PATH = 'webhook-events';
+
+/**
+ * Create the repository over a database (`getDb` returns the Realtime
+ * Database or an in-memory one)
+ */
+const createWebhookEventRepository = (getDb) => {
+  const eventRef = (fingerprint) => getDb().ref(`${PATH}/${fingerprint}`);
+
+  return {
+    /**
+     * Delivery record by fingerprint, or null
+     */
+    get: async (fingerprint) => (await eventRef(fingerprint).once('value')).val(),
+
+    /**
+     * Atomically replace a record with `update(current)` (current is null
+     * for a new event), resolving with the stored record
+     */
+    modify: async (fingerprint, update) => {
+      const { snapshot } = await eventRef(fingerprint).transaction(update);
+      return snapshot.val();
+    },
+
+    /**
+     * Merge fields into a record
+     */
+    update: async (fingerprint, updates) => {
+      await eventRef(fingerprint).update(updates);
+    },
+
+    /**
+     * Records for a payment reference, oldest first
+     */
+    listByReference: async (reference) => {
+      const snapshot = await getDb().ref(PATH)
+        .orderByChild('reference')
+        .equalTo(reference)
+        .once('value');
+
+      return Object.values(snapshot.val() || {})
+        .sort((a, b) => (a.firstReceivedAt || 0) - (b.firstReceivedAt || 0));
+    }
+  };
+};
+
+module.exports = {
+  createWebhookEventRepository
+};
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { handleStkCallback } = require('../controllers/darajaController');
+
+/**
+ * Daraja STK callback routes
+ *
+ * Mounted without API key authentication because Safaricom cannot send one -
+ * the secret DARAJA_CALLBACK_TOKEN in the URL authenticates the request.
+ */
+
+/**
+ * POST /api/payments/daraja/callback/:token
+ * Receive the result of an STK push
+ */
+router.post('/:token', handleStkCallback);
+
+module.exports = router;
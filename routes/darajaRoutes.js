@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { initiateStkPush, queryStkPush } = require('../controllers/darajaController');
+const { idempotency } = require('../middleware/idempotency');
+
+// M-Pesa payments through Safaricom Daraja (Lipa Na M-Pesa Online)
+router.post('/stk-push', idempotency, initiateStkPush);
+router.post('/query/:reference', queryStkPush);
+
+module.exports = router;
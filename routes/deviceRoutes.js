@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const {
+  registerDevice,
+  unregisterDevice,
+  getDevices
+} = require('../controllers/deviceController');
+
+// FCM device tokens for push notifications
+router.post('/:userId/tokens', registerDevice);
+router.get('/:userId/tokens', getDevices);
+router.delete('/:userId/tokens', unregisterDevice);
+
+module.exports = router;
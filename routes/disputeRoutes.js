@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createDispute,
+  addDisputeStatement,
+  resolveEscrowDispute,
+  getDisputeDetails,
+  getBookingDisputes
+} = require('../controllers/disputeController');
+const { authenticateAdminKey } = require('../middleware/auth');
+
+// Escrow disputes
+router.post('/', createDispute);
+router.get('/booking/:bookingId', getBookingDisputes);
+router.get('/:disputeId', getDisputeDetails);
+router.post('/:disputeId/statements', addDisputeStatement);
+router.post('/:disputeId/resolve', authenticateAdminKey, resolveEscrowDispute);
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createMilestones,
+  getEscrowMilestones,
+  confirmEscrowMilestone,
+  releaseEscrowMilestone
+} = require('../controllers/escrowController');
+const { idempotency } = require('../middleware/idempotency');
+
+// Milestone-based escrow release
+router.post('/:bookingId/milestones', createMilestones);
+router.get('/:bookingId/milestones', getEscrowMilestones);
+router.post('/:bookingId/milestones/:milestoneId/confirm', confirmEscrowMilestone);
+router.post('/:bookingId/milestones/:milestoneId/release', idempotency, releaseEscrowMilestone);
+
+module.exports = router;
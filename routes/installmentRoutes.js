@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createInstallments,
+  getInstallments,
+  getInstallmentInvoice
+} = require('../controllers/installmentController');
+
+// Tuition installment plans (installments are paid through /api/payments/mpesa)
+router.post('/:bookingId', createInstallments);
+router.get('/:bookingId', getInstallments);
+router.get('/:bookingId/:installmentId/invoice', getInstallmentInvoice);
+
+module.exports = router;
@@ -6,27 +6,44 @@ const {
   processMpesaPayment,
   processMpesaPaymentDirect,
   handleWebhook,
+  getWebhookEvents,
   releaseEscrow,
+  refundPayment,
   getPaymentStatus,
   retryMpesaPayment,
   cancelPayment,
   getTransactionHistory,
   validateMpesaNumber,
-  getNegotiationStatus
+  getNegotiationStatus,
+  getReceipt
 } = require('../controllers/paymentController');
+const {
+  triggerReconciliation,
+  getReconciliationRuns,
+  getReconciliationReport
+} = require('../controllers/reconciliationController');
+const { idempotency } = require('../middleware/idempotency');
 
 // Payment routes
-router.post('/initialize', initializePayment);
+router.post('/initialize', idempotency, initializePayment);
 router.get('/verify/:reference', verifyPayment);
-router.post('/mpesa', processMpesaPayment);
-router.post('/mpesa/direct', processMpesaPaymentDirect);
+router.post('/mpesa', idempotency, processMpesaPayment);
+router.post('/mpesa/direct', idempotency, processMpesaPaymentDirect);
 router.post('/webhook', handleWebhook);
+router.get('/webhook-events/:reference', getWebhookEvents);
 router.post('/release-escrow', releaseEscrow);
+router.post('/refund/:reference', idempotency, refundPayment);
 router.get('/status/:reference', getPaymentStatus);
+router.get('/receipt/:reference', getReceipt);
 router.post('/retry/:reference', retryMpesaPayment);
 router.post('/cancel/:reference', cancelPayment);
 router.get('/history/:userId', getTransactionHistory);
 router.post('/validate-phone', validateMpesaNumber);
 router.get('/negotiation-status/:bookingId', getNegotiationStatus);
 
+// Reconciliation of stale pending transactions
+router.post('/reconciliation/run', triggerReconciliation);
+router.get('/reconciliation/runs', getReconciliationRuns);
+router.get('/reconciliation/runs/:runId', getReconciliationReport);
+
 module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+  addPayoutRecipient,
+  getPayoutRecipients,
+  getPayoutRecipient,
+  updatePayoutRecipient,
+  removePayoutRecipient,
+  addTeacherSubaccount,
+  getTeacherSubaccountDetails
+} = require('../controllers/payoutController');
+
+// Teacher payout recipients (M-Pesa numbers and bank accounts)
+router.post('/recipients/:teacherId', addPayoutRecipient);
+router.get('/recipients/:teacherId', getPayoutRecipients);
+router.get('/recipients/:teacherId/:recipientId', getPayoutRecipient);
+router.patch('/recipients/:teacherId/:recipientId', updatePayoutRecipient);
+router.delete('/recipients/:teacherId/:recipientId', removePayoutRecipient);
+
+// Teacher Paystack subaccounts (platform commission splits)
+router.post('/subaccounts/:teacherId', addTeacherSubaccount);
+router.get('/subaccounts/:teacherId', getTeacherSubaccountDetails);
+
+module.exports = router;
@@ -1,9 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const ProductionPaymentController = require('../controllers/productionPaymentController');
+const {
+  triggerReconciliation,
+  getReconciliationRuns,
+  getReconciliationReport
+} = require('../controllers/reconciliationController');
 const { authenticateApiKey } = require('../middleware/auth');
 const { validate, validateParams, schemas } = require('../middleware/validation');
 const { rateLimiters } = require('../middleware/security');
+const { idempotency } = require('../middleware/idempotency');
 
 /**
  * Production-ready payment routes with security and validation
@@ -17,9 +23,10 @@ router.use(authenticateApiKey);
 
 /**
  * POST /api/payments/mpesa
- * Initialize MPesa payment
+ * Initialize MPesa payment (supports Idempotency-Key header)
  */
 router.post('/mpesa', 
+  idempotency,
   validate(schemas.mpesaPayment),
   ProductionPaymentController.initializeMpesaPayment
 );
@@ -42,6 +49,15 @@ router.get('/status/:reference',
   ProductionPaymentController.getPaymentStatus
 );
 
+/**
+ * GET /api/payments/receipt/:reference
+ * Download the PDF receipt for a successful payment
+ */
+router.get('/receipt/:reference',
+  validateParams(schemas.paymentReference),
+  ProductionPaymentController.getReceipt
+);
+
 /**
  * POST /api/payments/validate-phone
  * Validate phone number format
@@ -51,4 +67,33 @@ router.post('/validate-phone',
   ProductionPaymentController.validatePhone
 );
 
+/**
+ * POST /api/payments/refund/:reference
+ * Refund a successful payment (supports Idempotency-Key header)
+ */
+router.post('/refund/:reference',
+  idempotency,
+  validateParams(schemas.paymentReference),
+  validate(schemas.refundRequest),
+  ProductionPaymentController.refundPayment
+);
+
+/**
+ * POST /api/payments/reconciliation/run
+ * Reconcile stale pending transactions now
+ */
+router.post('/reconciliation/run', triggerReconciliation);
+
+/**
+ * GET /api/payments/reconciliation/runs
+ * List recent reconciliation reports
+ */
+router.get('/reconciliation/runs', getReconciliationRuns);
+
+/**
+ * GET /api/payments/reconciliation/runs/:runId
+ * Get a reconciliation report
+ */
+router.get('/reconciliation/runs/:runId', getReconciliationReport);
+
 module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const ProductionPaymentController = require('../controllers/productionPaymentController');
+const { rateLimiters } = require('../middleware/security');
+
+/**
+ * Paystack webhook routes
+ *
+ * Mounted separately from the payment routes because Paystack cannot send an
+ * API key - requests are authenticated by their x-paystack-signature instead.
+ */
+
+/**
+ * POST /api/payments/webhook
+ * Receive Paystack events
+ */
+router.post('/',
+  rateLimiters.webhooks,
+  ProductionPaymentController.handleWebhook
+);
+
+module.exports = router;
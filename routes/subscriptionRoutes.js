@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPlans,
+  syncSubscriptionPlans,
+  createSubscription,
+  getUserSubscription,
+  cancelUserSubscription
+} = require('../controllers/subscriptionController');
+const { authenticateAdminKey } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+
+// Study Booster subscriptions
+router.get('/plans', getPlans);
+router.post('/plans/sync', authenticateAdminKey, syncSubscriptionPlans);
+router.post('/', idempotency, createSubscription);
+router.get('/:userId', getUserSubscription);
+router.post('/:userId/cancel', cancelUserSubscription);
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const { initializeFirebase } = require('../config/firebase');
+const { bookings } = require('../repositories');
+
+/**
+ * Move bookings from the legacy bookings/ tree into tuition-bookings/
+ *
+ *   npm run migrate:bookings -- --dry-run   (report only)
+ *   npm run migrate:bookings
+ *
+ * Each legacy record is merged into the canonical one (see
+ * mergeBookingRecords in repositories/bookingRepository.js) and then removed.
+ * Fields both records hold with different values are reported as conflicts,
+ * with the copy whose value was kept. Running it again only picks up bookings
+ * that are still in bookings/.
+ */
+
+/**
+ * Migrate every legacy booking
+ *
+ * Resolves with { dryRun, total, moved, merged, conflicts, failed }, where
+ * conflicts and failed list { bookingId, ... } entries.
+ */
+const migrateBookings = async ({ dryRun = false } = {}) => {
+  const bookingIds = await bookings.listLegacyIds();
+  const report = { dryRun, total: bookingIds.length, moved: 0, merged: 0, conflicts: [], failed: [] };
+
+  for (const bookingId of bookingIds) {
+    try {
+      const result = await bookings.migrate(bookingId, { dryRun });
+
+      if (result.merged) {
+        report.merged += 1;
+      } else if (result.migrated) {
+        report.moved += 1;
+      }
+
+      report.conflicts.push(...result.conflicts.map(conflict => ({ bookingId, ...conflict })));
+    } catch (error) {
+      report.failed.push({ bookingId, error: error.message });
+    }
+  }
+
+  return report;
+};
+
+const formatValue = (value) => JSON.stringify(value).substring(0, 60);
+
+if (require.main === module) {
+  const dryRun = process.argv.includes('--dry-run');
+
+  initializeFirebase();
+
+  migrateBookings({ dryRun })
+    .then(report => {
+      console.log(`${dryRun ? 'Dry run - nothing was written. ' : ''}${report.total} legacy booking(s)`);
+      console.log(`  moved:     ${report.moved} (only in bookings/)`);
+      console.log(`  merged:    ${report.merged} (also in tuition-bookings/)`);
+      console.log(`  conflicts: ${report.conflicts.length}`);
+
+      for (const conflict of report.conflicts) {
+        console.log(`    ${conflict.bookingId} ${conflict.field}: tuition-bookings=${formatValue(conflict.canonical)} bookings=${formatValue(conflict.legacy)} -> kept ${conflict.kept}`);
+      }
+
+      for (const failure of report.failed) {
+        console.error(`  ❌ ${failure.bookingId}: ${failure.error}`);
+      }
+
+      process.exit(report.failed.length ? 1 : 0);
+    })
+    .catch(error => {
+      console.error('❌ Booking migration failed:', error.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  migrateBookings
+};
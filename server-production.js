@@ -23,7 +23,20 @@ const {
 
 // Import Firebase and routes
 const { initializeFirebase } = require('./config/firebase');
+const { captureRawBody } = require('./middleware/rawBody');
 const productionPaymentRoutes = require('./routes/productionPaymentRoutes');
+const productionWebhookRoutes = require('./routes/productionWebhookRoutes');
+const payoutRoutes = require('./routes/payoutRoutes');
+const disputeRoutes = require('./routes/disputeRoutes');
+const escrowRoutes = require('./routes/escrowRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const installmentRoutes = require('./routes/installmentRoutes');
+const deviceRoutes = require('./routes/deviceRoutes');
+const darajaRoutes = require('./routes/darajaRoutes');
+const darajaCallbackRoutes = require('./routes/darajaCallbackRoutes');
+const { authenticateApiKey } = require('./middleware/auth');
+const { startReconciler, stopReconciler } = require('./services/reconciler');
+const { startInstallmentMonitor, stopInstallmentMonitor } = require('./services/installments');
 
 // Initialize Express app
 const app = express();
@@ -88,9 +101,16 @@ app.use(requestLogger);
 app.use(performanceMonitor);
 
 // Body parsing with size limits
-app.use(express.json({ limit: '10kb' }));
+app.use(express.json({ limit: '10kb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 
+// Paystack webhooks - signature-verified, mounted ahead of the API key routes
+// and the general rate limiter (which would throttle Paystack's IPs)
+app.use('/api/payments/webhook', productionWebhookRoutes);
+
+// Daraja STK callbacks - authenticated by the token in their URL
+app.use('/api/payments/daraja/callback', rateLimiters.webhooks, darajaCallbackRoutes);
+
 // Rate limiting
 app.use(rateLimiters.api);
 
@@ -138,7 +158,14 @@ app.get('/health', asyncHandler(async (req, res) => {
 }));
 
 // API routes
+app.use('/api/payments/daraja', rateLimiters.payments, authenticateApiKey, darajaRoutes);
 app.use('/api/payments', productionPaymentRoutes);
+app.use('/api/payouts', rateLimiters.payments, authenticateApiKey, payoutRoutes);
+app.use('/api/disputes', rateLimiters.payments, authenticateApiKey, disputeRoutes);
+app.use('/api/escrow', rateLimiters.payments, authenticateApiKey, escrowRoutes);
+app.use('/api/subscriptions', rateLimiters.payments, authenticateApiKey, subscriptionRoutes);
+app.use('/api/installments', rateLimiters.payments, authenticateApiKey, installmentRoutes);
+app.use('/api/devices', rateLimiters.payments, authenticateApiKey, deviceRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -149,6 +176,8 @@ app.use(errorHandler);
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   paymentLogger.log('INFO', `Received ${signal}, shutting down gracefully`);
+  stopReconciler();
+  stopInstallmentMonitor();
   
   server.close(() => {
     paymentLogger.log('INFO', 'Server closed successfully');
@@ -192,6 +221,9 @@ const server = app.listen(PORT, () => {
     timestamp: new Date().toISOString()
   });
 
+  startReconciler();
+  startInstallmentMonitor();
+
   console.log(`
 ╔════════════════════════════════════════════════════════╗
 ║                                                        ║
@@ -208,7 +240,17 @@ const server = app.listen(PORT, () => {
 ║   - POST /api/payments/mpesa                           ║
 ║   - GET  /api/payments/verify/:reference              ║
 ║   - GET  /api/payments/status/:reference              ║
+║   - GET  /api/payments/receipt/:reference              ║
 ║   - POST /api/payments/validate-phone                ║
+║   - POST /api/payments/webhook                         ║
+║   - *    /api/payouts/recipients/:teacherId            ║
+║   - *    /api/disputes                                 ║
+║   - *    /api/escrow/:bookingId/milestones             ║
+║   - *    /api/subscriptions                            ║
+║   - *    /api/installments/:bookingId                  ║
+║   - *    /api/devices/:userId/tokens                   ║
+║   - POST /api/payments/daraja/stk-push                 ║
+║   - POST /api/payments/daraja/callback/:token          ║
 ║   - GET  /health                                       ║
 ║                                                        ║
 ╚════════════════════════════════════════════════════════╝
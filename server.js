@@ -6,10 +6,22 @@ const bodyParser = require('body-parser');
 require('dotenv').config();
 
 const { initializeFirebase } = require('./config/firebase');
+const { startReconciler } = require('./services/reconciler');
+const { startInstallmentMonitor } = require('./services/installments');
 const paymentRoutes = require('./routes/paymentRoutes');
+const payoutRoutes = require('./routes/payoutRoutes');
+const disputeRoutes = require('./routes/disputeRoutes');
+const escrowRoutes = require('./routes/escrowRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const installmentRoutes = require('./routes/installmentRoutes');
+const deviceRoutes = require('./routes/deviceRoutes');
+const darajaRoutes = require('./routes/darajaRoutes');
+const darajaCallbackRoutes = require('./routes/darajaCallbackRoutes');
 const frontendRoutes = require('./routes/frontendRoutes');
+const { handleWebhook } = require('./controllers/paymentController');
 const { authenticateApiKey } = require('./middleware/auth');
 const apiLogger = require('./middleware/apiLogger');
+const { captureRawBody } = require('./middleware/rawBody');
 const path = require('path');
 
 // Initialize Express app
@@ -64,7 +76,7 @@ app.use(helmet({
 // Enhanced CORS configuration for Postman and development
 const { getCorsConfig } = require('./middleware/cors-dev');
 app.use(getCorsConfig());
-app.use(express.json()); // Parse JSON bodies
+app.use(express.json({ verify: captureRawBody })); // Parse JSON bodies, keeping raw bytes for webhooks
 app.use(apiLogger); // Comprehensive API logging
 app.use(morgan('dev'));
 // Enhanced request logging (for debugging)
@@ -88,7 +100,7 @@ app.use((req, res, next) => {
 });
 
 app.use(morgan('dev')); // Additional HTTP request logging
-app.use(bodyParser.json()); // Parse JSON bodies
+app.use(bodyParser.json({ verify: captureRawBody })); // Parse JSON bodies
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Serve static files from the frontend build directory
@@ -96,7 +108,16 @@ const frontendPath = path.join(__dirname, '../frontend/build');
 app.use(express.static(frontendPath));
 
 // API Routes
+app.post('/api/payments/webhook', handleWebhook); // Authenticated by the Paystack signature
+app.use('/api/payments/daraja/callback', darajaCallbackRoutes); // Authenticated by the token in the URL
+app.use('/api/payments/daraja', authenticateApiKey, darajaRoutes);
 app.use('/api/payments', authenticateApiKey, paymentRoutes);
+app.use('/api/payouts', authenticateApiKey, payoutRoutes);
+app.use('/api/disputes', authenticateApiKey, disputeRoutes);
+app.use('/api/escrow', authenticateApiKey, escrowRoutes);
+app.use('/api/subscriptions', authenticateApiKey, subscriptionRoutes);
+app.use('/api/installments', authenticateApiKey, installmentRoutes);
+app.use('/api/devices', authenticateApiKey, deviceRoutes);
 
 // 404 handler for API routes
 app.use('/api/*', (req, res) => {
@@ -129,10 +150,6 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Payment routes (protected with API key, except webhook)
-app.use('/api/payments/webhook', paymentRoutes); // Webhook doesn't need API key
-app.use('/api/payments', authenticateApiKey, paymentRoutes);
-
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({
@@ -153,6 +170,9 @@ app.use((err, req, res, next) => {
 
 // Start server
 app.listen(PORT, () => {
+  startReconciler();
+  startInstallmentMonitor();
+
   console.log(`
 ╔════════════════════════════════════════════════════════╗
 ║                                                        ║
@@ -170,10 +190,19 @@ app.listen(PORT, () => {
 ║   - POST /api/payments/retry/:reference               ║
 ║   - POST /api/payments/cancel/:reference              ║
 ║   - GET  /api/payments/status/:reference              ║
+║   - GET  /api/payments/receipt/:reference             ║
 ║   - GET  /api/payments/history/:userId               ║
 ║   - POST /api/payments/validate-phone                ║
 ║   - POST /api/payments/release-escrow                 ║
 ║   - POST /api/payments/webhook                        ║
+║   - *    /api/payouts/recipients/:teacherId           ║
+║   - *    /api/disputes                                ║
+║   - *    /api/escrow/:bookingId/milestones            ║
+║   - *    /api/subscriptions                           ║
+║   - *    /api/installments/:bookingId                 ║
+║   - *    /api/devices/:userId/tokens                  ║
+║   - POST /api/payments/daraja/stk-push                ║
+║   - POST /api/payments/daraja/callback/:token         ║
 ║                                                        ║
 ╚════════════════════════════════════════════════════════╝
   `);
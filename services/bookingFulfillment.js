@@ -0,0 +1,81 @@
+const { bookings } = require('../repositories');
+
+/**
+ * Atomically apply a payment's changes to a booking
+ *
+ * `changes(current)` returns the fields to set, which are merged over the
+ * booking field by field inside a transaction, so concurrent changes to other
+ * fields (negotiation messages, confirmations) are kept. Each reference is
+ * applied at most once - it is recorded in appliedPayments in the same write -
+ * so verification and the webhook racing on one payment leave a single
+ * result. `activity(current)` optionally returns an activity log entry
+ * written along with the changes, all stamped with `now` (an ISO timestamp,
+ * by default the current time). Resolves with { applied, previous, booking }.
+ */
+const applyPaymentToBooking = async ({ bookingId, reference, paymentType, amount, changes, activity = null, now = new Date().toISOString() }) => {
+  const activityKey = bookings.newKey();
+  let applied = false;
+  let previous = null;
+
+  const { value } = await bookings.transaction(bookingId, current => {
+    if (current?.appliedPayments?.[reference]) {
+      applied = false;
+      return; // abort
+    }
+
+    const booking = current || {};
+    const entry = activity ? activity(booking) : null;
+
+    applied = true;
+    previous = current;
+
+    return {
+      ...booking,
+      ...changes(booking),
+      appliedPayments: {
+        ...(booking.appliedPayments || {}),
+        [reference]: { paymentType: paymentType || null, amount, appliedAt: now }
+      },
+      ...(entry && {
+        activityLog: {
+          ...(booking.activityLog || {}),
+          [activityKey]: { timestamp: now, ...entry }
+        }
+      }),
+      lastUpdated: now
+    };
+  });
+
+  return { applied, previous, booking: value };
+};
+
+/**
+ * Apply an update to a booking if it exists, optionally logging an activity
+ * entry alongside it
+ *
+ * Resolves with whether the booking exists.
+ */
+const updateExistingBooking = async (bookingId, update, activity = null) => {
+  if (!(await bookings.get(bookingId))) {
+    return false;
+  }
+
+  await bookings.update(bookingId, {
+    ...update,
+    lastUpdated: new Date().toISOString()
+  });
+
+  if (activity) {
+    await bookings.appendActivity(bookingId, {
+      timestamp: new Date().toISOString(),
+      ...activity
+    });
+  }
+
+  return true;
+};
+
+module.exports = {
+  applyPaymentToBooking,
+  updateExistingBooking
+};
@@ -0,0 +1,211 @@
+const { paystackApi } = require('../config/paystack');
+const { getDatabase } = require('../config/firebase');
+const { bookings } = require('../repositories');
+const {
+  COMMISSION_TYPE,
+  COMMISSION_PERCENTAGE,
+  COMMISSION_FLAT_FEE,
+  COMMISSION_BEARER,
+  COMMISSION_PAYMENT_TYPES,
+  COMMISSION_SPLIT_AT_CHARGE,
+  PAYSTACK_SPLIT_CODE
+} = require('../config/commission');
+const { maskAccountNumber } = require('./payoutRecipients');
+
+/**
+ * Platform commission and Paystack split payments
+ *
+ * Teachers are onboarded as Paystack subaccounts (teacher-subaccounts/{teacherId}).
+ * Every commissionable charge gets a `split` record on its payment-transactions
+ * entry describing how the amount is divided:
+ *
+ *   mode "split_code" - Paystack splits it using PAYSTACK_SPLIT_CODE
+ *   mode "subaccount" - Paystack settles the teacher's share to their subaccount
+ *   mode "deferred"   - the platform receives everything; the commission is
+ *                       deducted from escrow payouts, and other payments
+ *                       transfer the teacher's share once fulfilled
+ *                       (settleDeferredShare in payouts.js)
+ */
+
+const toKes = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Platform commission on an amount (KES)
+ */
+const calculateCommission = (amount) => {
+  const commission = COMMISSION_TYPE === 'flat'
+    ? Math.min(COMMISSION_FLAT_FEE, amount)
+    : amount * COMMISSION_PERCENTAGE / 100;
+
+  return toKes(commission);
+};
+
+/**
+ * Subaccount as returned by the API (masked account number)
+ */
+const maskSubaccount = (subaccount) => ({
+  teacherId: subaccount.teacherId,
+  subaccountCode: subaccount.subaccountCode,
+  businessName: subaccount.businessName,
+  settlementBank: subaccount.settlementBank,
+  accountNumber: maskAccountNumber(subaccount.accountNumber),
+  percentageCharge: subaccount.percentageCharge,
+  createdAt: subaccount.createdAt
+});
+
+/**
+ * Get a teacher's Paystack subaccount (null if not onboarded)
+ */
+const getTeacherSubaccount = async (teacherId) => {
+  const snapshot = await getDatabase().ref(`teacher-subaccounts/${teacherId}`).once('value');
+  return snapshot.val();
+};
+
+/**
+ * Onboard a teacher as a Paystack subaccount
+ *
+ * Resolves with { httpStatus, message, data }.
+ */
+const createTeacherSubaccount = async ({ teacherId, businessName, settlementBank, accountNumber, description }) => {
+  const existing = await getTeacherSubaccount(teacherId);
+
+  if (existing) {
+    return { httpStatus: 409, message: 'Teacher already has a subaccount', data: maskSubaccount(existing) };
+  }
+
+  let subaccountData;
+
+  try {
+    const response = await paystackApi.post('/subaccount', {
+      business_name: businessName,
+      settlement_bank: settlementBank,
+      account_number: accountNumber,
+      // Default platform share; each split charge overrides it with transaction_charge
+      percentage_charge: COMMISSION_TYPE === 'percentage' ? COMMISSION_PERCENTAGE : 0,
+      description: description || `ShuleGram teacher ${teacherId}`
+    });
+
+    if (!response.data.status) {
+      throw new Error(response.data.message || 'Failed to create subaccount');
+    }
+
+    subaccountData = response.data.data;
+  } catch (error) {
+    return {
+      httpStatus: 502,
+      message: 'Failed to create Paystack subaccount',
+      error: error.response?.data?.message || error.message
+    };
+  }
+
+  const subaccount = {
+    teacherId,
+    subaccountCode: subaccountData.subaccount_code,
+    businessName,
+    settlementBank,
+    accountNumber: String(accountNumber),
+    percentageCharge: subaccountData.percentage_charge ?? null,
+    createdAt: new Date().toISOString()
+  };
+
+  await getDatabase().ref(`teacher-subaccounts/${teacherId}`).set(subaccount);
+
+  return { httpStatus: 201, message: 'Teacher subaccount created', data: maskSubaccount(subaccount) };
+};
+
+/**
+ * Work out the commission split for a charge
+ *
+ * Resolves with { split }: stored on the transaction (null for payment types
+ * without commission) and passed to the gateway's initialize or charge. With
+ * `splitAtCharge: false` (gateways that cannot split a charge) the
+ * commission is always deferred.
+ */
+const buildPaymentSplit = async ({ amount, paymentType, teacherId, bookingId, splitAtCharge = true }) => {
+  if (!COMMISSION_PAYMENT_TYPES.includes(paymentType)) {
+    return { split: null };
+  }
+
+  let resolvedTeacherId = teacherId || null;
+
+  if (!resolvedTeacherId && bookingId) {
+    resolvedTeacherId = (await bookings.get(bookingId))?.teacherId || null;
+  }
+
+  const platformAmount = calculateCommission(amount);
+  const split = {
+    mode: 'deferred',
+    commissionType: COMMISSION_TYPE,
+    percentage: COMMISSION_TYPE === 'percentage' ? COMMISSION_PERCENTAGE : null,
+    flatFee: COMMISSION_TYPE === 'flat' ? COMMISSION_FLAT_FEE : null,
+    amount: toKes(amount),
+    platformAmount,
+    teacherAmount: toKes(amount - platformAmount),
+    teacherId: resolvedTeacherId,
+    subaccount: null,
+    splitCode: null,
+    bearer: COMMISSION_BEARER,
+    computedAt: new Date().toISOString()
+  };
+
+  if (!splitAtCharge || !COMMISSION_SPLIT_AT_CHARGE.includes(paymentType)) {
+    return { split };
+  }
+
+  if (PAYSTACK_SPLIT_CODE) {
+    split.mode = 'split_code';
+    split.splitCode = PAYSTACK_SPLIT_CODE;
+    return { split };
+  }
+
+  const subaccount = resolvedTeacherId ? await getTeacherSubaccount(resolvedTeacherId) : null;
+
+  // Teachers who have not been onboarded yet are paid their share by transfer
+  if (subaccount) {
+    split.mode = 'subaccount';
+    split.subaccount = subaccount.subaccountCode;
+  }
+
+  return { split };
+};
+
+/**
+ * Paystack /transaction/initialize or /charge parameters for a split
+ */
+const paystackSplitParams = (split) => {
+  if (split?.mode === 'split_code') {
+    return { split_code: split.splitCode };
+  }
+
+  if (split?.mode === 'subaccount') {
+    return {
+      subaccount: split.subaccount,
+      // Flat platform share in kobo; overrides the subaccount's percentage_charge
+      transaction_charge: Math.round(split.platformAmount * 100),
+      bearer: split.bearer
+    };
+  }
+
+  return {};
+};
+
+/**
+ * Share of a deferred-commission payment that goes to the teacher (0-1)
+ */
+const teacherShareOf = (split) => {
+  if (!split || split.mode !== 'deferred' || !split.amount) {
+    return 1;
+  }
+
+  return split.teacherAmount / split.amount;
+};
+
+module.exports = {
+  calculateCommission,
+  buildPaymentSplit,
+  paystackSplitParams,
+  teacherShareOf,
+  createTeacherSubaccount,
+  getTeacherSubaccount,
+  maskSubaccount
+};
@@ -0,0 +1,182 @@
+const { v4: uuidv4 } = require('uuid');
+const { DARAJA } = require('../config/daraja');
+const { transactions } = require('../repositories');
+const { PAYMENT_STATES, fromGatewayStatus, transitionPayment } = require('./paymentLifecycle');
+const { settleSuccessfulCharge, settleUnsuccessfulCharge } = require('./webhookProcessor');
+const { buildPaymentSplit } = require('./commission');
+const { checkInstallmentCharge } = require('./installments');
+const { notifyStkPromptSent } = require('./notifications');
+const { getGateway } = require('./gateways');
+const { normalizeMpesaNumber } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+/**
+ * M-Pesa payments through Safaricom Daraja (Lipa Na M-Pesa Online)
+ *
+ * Transactions are stored in payment-transactions/{reference} like Paystack
+ * ones, with gateway "daraja". The Daraja API itself is wrapped by
+ * services/gateways/darajaGateway.js.
+ */
+
+const darajaGateway = getGateway('daraja');
+
+/**
+ * Start an M-Pesa payment with an STK push
+ *
+ * `baseUrl` is used to build the callback URL when DARAJA_CALLBACK_URL is not
+ * set. Resolves with { httpStatus, message, data }.
+ */
+const initiateDarajaPayment = async ({ phone, amount, email, bookingId, metadata = {}, baseUrl, requestId = null }) => {
+  if (!darajaGateway.enabled) {
+    return { httpStatus: 503, message: 'Daraja M-Pesa payments are not configured' };
+  }
+
+  const normalized = normalizeMpesaNumber(phone);
+
+  if (normalized.error) {
+    return { httpStatus: 400, message: normalized.error };
+  }
+
+  // Daraja only accepts whole shillings
+  if (!Number.isInteger(Number(amount)) || Number(amount) < 1) {
+    return { httpStatus: 400, message: 'Amount must be a whole number of KES (at least 1)' };
+  }
+
+  const reference = `dar_${uuidv4().replace(/-/g, '')}`;
+
+  if (metadata.payment_type === 'installment') {
+    const rejection = await checkInstallmentCharge({ bookingId, amount: Number(amount), metadata, reference });
+
+    if (rejection) {
+      return rejection;
+    }
+  }
+
+  const paymentType = metadata.payment_type || 'booking_fee';
+
+  // Daraja charges land in the platform shortcode, so commission is always
+  // deferred to the payout
+  const { split } = await buildPaymentSplit({
+    amount: Number(amount),
+    paymentType,
+    teacherId: metadata.teacherId,
+    bookingId,
+    splitAtCharge: false
+  });
+
+  await transactions.create(reference, {
+    reference,
+    gateway: 'daraja',
+    bookingId: bookingId || null,
+    email: email || null,
+    phone: `+${normalized.phone}`,
+    amount: Number(amount),
+    status: PAYMENT_STATES.PENDING,
+    paymentMethod: 'mpesa',
+    createdAt: Date.now(),
+    metadata: {
+      booking_id: bookingId || null,
+      payment_method: 'mpesa',
+      user_id: metadata.userId || null,
+      payment_type: paymentType,
+      ...metadata
+    },
+    split,
+    requestId,
+    environment: DARAJA.environment
+  });
+
+  let push;
+
+  try {
+    push = await darajaGateway.charge({
+      reference,
+      phone: normalized.phone,
+      amount: Number(amount),
+      metadata: { booking_id: bookingId || null, payment_type: paymentType },
+      baseUrl
+    });
+  } catch (error) {
+    await transitionPayment(reference, PAYMENT_STATES.FAILED, {
+      updates: { failedAt: new Date().toISOString(), failureReason: error.message },
+      source: 'daraja:stk_push',
+      reason: error.message
+    });
+
+    logger.warning(`DARAJA_STK_PUSH_FAILED | Ref: ${reference} | ${error.message}`);
+    return { httpStatus: 502, message: 'Failed to send the M-Pesa prompt', error: error.message };
+  }
+
+  await transactions.update(reference, push.gatewayData);
+  await notifyStkPromptSent(reference);
+
+  return {
+    httpStatus: 200,
+    message: 'Payment initiated successfully',
+    data: {
+      reference,
+      checkoutRequestId: push.gatewayData.checkoutRequestId,
+      status: PAYMENT_STATES.PENDING,
+      amount: Number(amount),
+      currency: 'KES',
+      gateway: 'daraja',
+      display_text: push.displayText || 'Please check your phone for MPesa prompt'
+    }
+  };
+};
+
+
+/**
+ * Query Daraja for the outcome of a payment and apply it
+ *
+ * Used when the callback has not arrived. Resolves with
+ * { httpStatus, message, data }.
+ */
+const queryDarajaPayment = async (reference) => {
+  if (!darajaGateway.enabled) {
+    return { httpStatus: 503, message: 'Daraja M-Pesa payments are not configured' };
+  }
+
+  const transaction = await transactions.get(reference);
+
+  if (!transaction || transaction.gateway !== 'daraja') {
+    return { httpStatus: 404, message: 'Daraja transaction not found' };
+  }
+
+  let outcome = 'not_pending';
+
+  if (transaction.status === PAYMENT_STATES.PENDING) {
+    const data = await darajaGateway.verify({ reference, transaction });
+    const status = data ? fromGatewayStatus(data.status) : PAYMENT_STATES.PENDING;
+    const updates = { lastQueriedAt: new Date().toISOString() };
+
+    if (status === PAYMENT_STATES.SUCCESS) {
+      outcome = (await settleSuccessfulCharge({ transaction, data, source: 'daraja:stk_query', updates })).outcome;
+    } else if (status !== PAYMENT_STATES.PENDING) {
+      outcome = (await settleUnsuccessfulCharge({ transaction, data, status, source: 'daraja:stk_query', updates })).outcome;
+    } else {
+      outcome = 'still_pending';
+    }
+  }
+
+  const updated = await transactions.get(reference);
+
+  return {
+    httpStatus: 200,
+    message: 'Payment status retrieved',
+    data: {
+      reference,
+      status: updated.status,
+      amount: updated.amount,
+      mpesaReceiptNumber: updated.mpesaReceiptNumber || null,
+      resultDesc: updated.failureReason || null,
+      outcome
+    }
+  };
+};
+
+
+module.exports = {
+  initiateDarajaPayment,
+  queryDarajaPayment
+};
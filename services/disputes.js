@@ -0,0 +1,455 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../config/firebase');
+const logger = require('../utils/logger');
+const { updateExistingBooking } = require('./bookingFulfillment');
+const { bookings } = require('../repositories');
+const { getEscrowBalance, releaseEscrowPayout } = require('./payouts');
+const { requestRefund } = require('./refunds');
+
+/**
+ * Escrow disputes
+ *
+ * Opening a dispute sets activeDisputeId on the booking, which freezes escrow
+ * release until an admin resolves it as a release to the teacher, a refund to
+ * the parent, or a split of the two. Disputes live in
+ * escrow-disputes/{disputeId}; every step is also written to the booking's
+ * activityLog.
+ */
+
+const DISPUTE_ROLES = ['parent', 'teacher', 'admin'];
+const RESOLUTIONS = ['release', 'refund', 'split'];
+const MAX_EVIDENCE_ITEMS = 10;
+
+// A resolution still claimed after this long is assumed to have crashed, and
+// a retry may take it over
+const RESOLVING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const toKes = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Normalize evidence references: URLs/storage paths as strings, or objects
+ * with a `url` and optional `description`. Returns null if any item is invalid.
+ */
+const normalizeEvidence = (evidence = []) => {
+  if (!Array.isArray(evidence) || evidence.length > MAX_EVIDENCE_ITEMS) {
+    return null;
+  }
+
+  const items = evidence.map(item => {
+    if (typeof item === 'string' && item.trim()) {
+      return { url: item.trim(), description: null };
+    }
+
+    if (item && typeof item.url === 'string' && item.url.trim()) {
+      return { url: item.url.trim(), description: item.description || null };
+    }
+
+    return null;
+  });
+
+  return items.includes(null) ? null : items;
+};
+
+/**
+ * Append a dispute step to the booking's activityLog
+ */
+const logDisputeActivity = (bookingId, action, disputeId, triggeredBy, details = {}) => {
+  return updateExistingBooking(bookingId, {}, {
+    action,
+    disputeId,
+    triggeredBy,
+    details
+  });
+};
+
+/**
+ * Open a dispute on a booking whose escrow is held
+ *
+ * Resolves with { httpStatus, message, data }.
+ */
+const openDispute = async ({ bookingId, openedBy, role, reason, statement, evidence }) => {
+  if (!DISPUTE_ROLES.includes(role)) {
+    return { httpStatus: 400, message: `Role must be one of: ${DISPUTE_ROLES.join(', ')}` };
+  }
+
+  const evidenceItems = normalizeEvidence(evidence);
+
+  if (!evidenceItems) {
+    return { httpStatus: 400, message: `Evidence must be a list of at most ${MAX_EVIDENCE_ITEMS} URLs or { url, description } objects` };
+  }
+
+  const db = getDatabase();
+  const disputeId = `dsp_${uuidv4().replace(/-/g, '')}`;
+  let rejection = { httpStatus: 404, message: 'Booking not found' };
+  let booking = null;
+
+  // Freeze the escrow in the same write that checks it is still held
+  await bookings.transaction(bookingId, current => {
+    if (current === null) {
+      rejection = { httpStatus: 404, message: 'Booking not found' };
+      return null;
+    }
+
+    if (current.activeDisputeId) {
+      rejection = { httpStatus: 409, message: 'A dispute is already open on this booking' };
+      return; // abort
+    }
+
+    if (current.escrowStatus !== 'held') {
+      rejection = {
+        httpStatus: 400,
+        message: current.escrowStatus
+          ? `Cannot dispute a booking whose escrow is ${current.escrowStatus}`
+          : 'Booking has no escrow to dispute'
+      };
+      return; // abort
+    }
+
+    if (getEscrowBalance(current).held <= 0) {
+      rejection = { httpStatus: 400, message: 'No escrow is left to dispute on this booking' };
+      return; // abort
+    }
+
+    rejection = null;
+    booking = current;
+
+    return {
+      ...current,
+      activeDisputeId: disputeId,
+      disputeStatus: 'open',
+      lastUpdated: new Date().toISOString()
+    };
+  });
+
+  if (rejection) {
+    return rejection;
+  }
+
+  const now = new Date().toISOString();
+  const statementKey = db.ref(`escrow-disputes/${disputeId}/statements`).push().key;
+  const dispute = {
+    id: disputeId,
+    bookingId,
+    status: 'open',
+    reason,
+    openedBy,
+    openedByRole: role,
+    // Only what is still held (e.g. unreleased milestones) is in dispute
+    escrowAmount: getEscrowBalance(booking).held,
+    escrowReference: booking.escrowReference || null,
+    statements: {
+      [statementKey]: {
+        author: openedBy,
+        role,
+        statement: statement || reason,
+        evidence: evidenceItems,
+        createdAt: now
+      }
+    },
+    createdAt: now,
+    updatedAt: now
+  };
+
+  await db.ref(`escrow-disputes/${disputeId}`).set(dispute);
+  await logDisputeActivity(bookingId, 'dispute_opened', disputeId, openedBy, {
+    role,
+    reason,
+    evidenceCount: evidenceItems.length
+  });
+
+  logger.warning(`DISPUTE_OPENED | Booking: ${bookingId} | Dispute: ${disputeId} | By: ${openedBy} (${role})`);
+
+  return { httpStatus: 201, message: 'Dispute opened. Escrow release is frozen until it is resolved.', data: dispute };
+};
+
+/**
+ * Add a statement (and evidence references) to an open dispute
+ */
+const addStatement = async (disputeId, { author, role, statement, evidence }) => {
+  if (!DISPUTE_ROLES.includes(role)) {
+    return { httpStatus: 400, message: `Role must be one of: ${DISPUTE_ROLES.join(', ')}` };
+  }
+
+  const evidenceItems = normalizeEvidence(evidence);
+
+  if (!evidenceItems) {
+    return { httpStatus: 400, message: `Evidence must be a list of at most ${MAX_EVIDENCE_ITEMS} URLs or { url, description } objects` };
+  }
+
+  const db = getDatabase();
+  const dispute = await getDispute(disputeId);
+
+  if (!dispute) {
+    return { httpStatus: 404, message: 'Dispute not found' };
+  }
+
+  if (dispute.status !== 'open') {
+    return { httpStatus: 400, message: `Cannot add statements to a ${dispute.status} dispute` };
+  }
+
+  const now = new Date().toISOString();
+  const statementRef = db.ref(`escrow-disputes/${disputeId}/statements`).push();
+  const entry = {
+    author,
+    role,
+    statement,
+    evidence: evidenceItems,
+    createdAt: now
+  };
+
+  await statementRef.set(entry);
+  await db.ref(`escrow-disputes/${disputeId}`).update({ updatedAt: now });
+  await logDisputeActivity(dispute.bookingId, 'dispute_statement_added', disputeId, author, {
+    role,
+    evidenceCount: evidenceItems.length
+  });
+
+  return { httpStatus: 201, message: 'Statement added', data: { id: statementRef.key, ...entry } };
+};
+
+/**
+ * Resolve an open dispute (admin only)
+ *
+ * `release` pays the full escrow to the teacher, `refund` returns it to the
+ * parent, and `split` refunds `parentAmount` and pays out the rest (or
+ * `teacherAmount`). Both are reserved against the booking's escrow before
+ * the freeze is lifted. Completed steps are recorded on the dispute, so a
+ * resolution that fails halfway can be retried without repeating them; one
+ * that crashed can be retried once RESOLVING_TIMEOUT_MS has passed.
+ */
+const resolveDispute = async (disputeId, { resolution, teacherAmount, parentAmount, notes, resolvedBy, recipientId, teacherPhone }) => {
+  if (!RESOLUTIONS.includes(resolution)) {
+    return { httpStatus: 400, message: `Resolution must be one of: ${RESOLUTIONS.join(', ')}` };
+  }
+
+  const db = getDatabase();
+  const disputeRef = db.ref(`escrow-disputes/${disputeId}`);
+  let rejection = { httpStatus: 404, message: 'Dispute not found' };
+  let dispute = null;
+
+  // Claim the dispute so two admins cannot resolve it at once
+  await disputeRef.transaction(current => {
+    if (current === null) {
+      rejection = { httpStatus: 404, message: 'Dispute not found' };
+      return null;
+    }
+
+    const stale = current.status === 'resolving' &&
+      Date.now() - Date.parse(current.resolvingAt || 0) > RESOLVING_TIMEOUT_MS;
+
+    if (current.status !== 'open' && !stale) {
+      rejection = { httpStatus: 409, message: `Dispute is already ${current.status}` };
+      return; // abort
+    }
+
+    if (current.resolution && current.resolution.type !== resolution) {
+      rejection = {
+        httpStatus: 409,
+        message: `A ${current.resolution.type} resolution was partly applied - retry it with the same resolution`
+      };
+      return; // abort
+    }
+
+    rejection = null;
+    dispute = {
+      ...current,
+      status: 'resolving',
+      resolvingAt: new Date().toISOString(),
+      resolution: current.resolution || { type: resolution },
+      updatedAt: new Date().toISOString()
+    };
+    return dispute;
+  });
+
+  if (rejection) {
+    return rejection;
+  }
+
+  try {
+    const { bookingId } = dispute;
+    const escrowAmount = dispute.escrowAmount;
+    const steps = dispute.resolution;
+
+    // Work out the amounts for each side
+    let refundAmount = 0;
+    let payoutAmount = 0;
+
+    if (resolution === 'release') {
+      payoutAmount = escrowAmount;
+    } else if (resolution === 'refund') {
+      refundAmount = escrowAmount;
+    } else {
+      refundAmount = parentAmount !== undefined
+        ? toKes(Number(parentAmount))
+        : toKes(escrowAmount - Number(teacherAmount));
+      payoutAmount = toKes(escrowAmount - refundAmount);
+    }
+
+    const reopen = async (message, error) => {
+      await disputeRef.update({
+        status: 'open',
+        resolvingAt: null,
+        lastResolutionError: error || message,
+        updatedAt: new Date().toISOString()
+      });
+      await logDisputeActivity(bookingId, 'dispute_resolution_failed', disputeId, resolvedBy, {
+        resolution,
+        error: error || message
+      });
+      return { httpStatus: 502, message, error };
+    };
+
+    if (!escrowAmount || !(refundAmount >= 0) || !(payoutAmount >= 0) || (resolution === 'split' && (!refundAmount || !payoutAmount))) {
+      await disputeRef.update({ status: 'open', resolvingAt: null, updatedAt: new Date().toISOString() });
+      return {
+        httpStatus: 400,
+        message: resolution === 'split'
+          ? `Split amounts must both be greater than 0 and add up to ${escrowAmount} KES`
+          : 'Dispute has no escrow amount to resolve'
+      };
+    }
+
+    if (refundAmount > 0 && !steps.refund) {
+      if (!dispute.escrowReference) {
+        return reopen('Escrow payment reference is missing - cannot refund');
+      }
+
+      const refund = await requestRefund({
+        reference: dispute.escrowReference,
+        amount: refundAmount,
+        reason: `Dispute ${disputeId} resolved (${resolution})`,
+        requestedBy: resolvedBy,
+        disputeId
+      });
+
+      if (refund.httpStatus !== 200) {
+        return reopen('Failed to refund the parent', refund.error || refund.message);
+      }
+
+      steps.refund = { refundId: refund.data.refundId, amount: refundAmount, status: refund.data.status };
+      await disputeRef.child('resolution').update({ refund: steps.refund });
+    }
+
+    if (payoutAmount > 0 && !steps.payout) {
+      const payout = await releaseEscrowPayout({
+        bookingId,
+        recipientId,
+        teacherPhone,
+        amount: payoutAmount,
+        requestedBy: resolvedBy,
+        disputeId
+      });
+
+      if (payout.httpStatus !== 200) {
+        return reopen('Failed to pay out the teacher', payout.error || payout.message);
+      }
+
+      steps.payout = { transferReference: payout.data.transferReference, amount: payoutAmount, status: payout.data.escrowStatus };
+      await disputeRef.child('resolution').update({ payout: steps.payout });
+    }
+
+    const resolvedAt = new Date().toISOString();
+
+    await disputeRef.update({
+      status: 'resolved',
+      resolvingAt: null,
+      resolvedBy,
+      resolvedAt,
+      notes: notes || null,
+      lastResolutionError: null,
+      updatedAt: resolvedAt
+    });
+
+    // Lift the freeze. The refunded share was reserved on the booking
+    // (escrowRefundingAmount) when the refund was requested, so it is no longer
+    // part of the held balance a later release could pay out.
+    await bookings.transaction(bookingId, current => {
+      if (current === null || current.activeDisputeId !== disputeId) {
+        return; // abort
+      }
+
+      return {
+        ...current,
+        activeDisputeId: null,
+        disputeStatus: 'resolved',
+        disputeResolution: resolution,
+        disputeRefundAmount: refundAmount,
+        disputePayoutAmount: payoutAmount,
+        lastUpdated: resolvedAt
+      };
+    });
+
+    await logDisputeActivity(bookingId, 'dispute_resolved', disputeId, resolvedBy, {
+      resolution,
+      refundAmount,
+      payoutAmount,
+      escrowHeld: getEscrowBalance((await bookings.get(bookingId)) || {}).held,
+      notes: notes || null
+    });
+
+    logger.info(`DISPUTE_RESOLVED | Booking: ${bookingId} | Dispute: ${disputeId} | Resolution: ${resolution} | Refund: KES ${refundAmount} | Payout: KES ${payoutAmount}`);
+
+    return {
+      httpStatus: 200,
+      message: 'Dispute resolved',
+      data: {
+        disputeId,
+        bookingId,
+        resolution,
+        refundAmount,
+        payoutAmount,
+        refund: steps.refund || null,
+        payout: steps.payout || null,
+        resolvedAt
+      }
+    };
+  } catch (error) {
+    // Release the claim so the resolution can be retried straight away
+    await disputeRef.transaction(current => {
+      if (current?.status !== 'resolving') {
+        return; // abort
+      }
+
+      return {
+        ...current,
+        status: 'open',
+        resolvingAt: null,
+        lastResolutionError: error.message,
+        updatedAt: new Date().toISOString()
+      };
+    });
+
+    throw error;
+  }
+};
+
+/**
+ * Get a dispute (null if not found)
+ */
+const getDispute = async (disputeId) => {
+  const snapshot = await getDatabase().ref(`escrow-disputes/${disputeId}`).once('value');
+  return snapshot.val();
+};
+
+/**
+ * List the disputes raised on a booking, newest first
+ */
+const listDisputesForBooking = async (bookingId) => {
+  const snapshot = await getDatabase()
+    .ref('escrow-disputes')
+    .orderByChild('bookingId')
+    .equalTo(bookingId)
+    .once('value');
+
+  return Object.values(snapshot.val() || {}).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+module.exports = {
+  DISPUTE_ROLES,
+  RESOLUTIONS,
+  openDispute,
+  addStatement,
+  resolveDispute,
+  getDispute,
+  listDisputesForBooking
+};
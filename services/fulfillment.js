@@ -0,0 +1,321 @@
+const { transactions } = require('../repositories');
+const { PAYMENT_STATES } = require('./paymentLifecycle');
+const { applyPaymentToBooking } = require('./bookingFulfillment');
+const { recordInstallmentPayment } = require('./installments');
+const { issueReceipt } = require('./receipts');
+const { settleDeferredShare } = require('./payouts');
+const { notifyPaymentSucceeded, notifyNegotiationUnlocked } = require('./notifications');
+const logger = require('../utils/logger');
+
+/**
+ * Fulfillment of successful payments
+ *
+ * Every path that sees a payment succeed (verification, webhooks, Daraja
+ * queries and the reconciler) calls fulfillPayment, which applies the
+ * payment's side effects - booking changes, teacher share, receipt,
+ * notifications - once.
+ * The booking changes come from the handler in FULFILLMENT_HANDLERS for the
+ * payment's metadata.payment_type.
+ *
+ * Progress is kept on the transaction as `fulfillment`: "pending" when it
+ * becomes successful, "processing" while being applied, then "fulfilled" or
+ * "failed". Failed (and abandoned) fulfillments are retried by the next call
+ * or reconciliation run.
+ */
+
+// A fulfillment stuck in "processing" for longer than this is assumed to
+// have crashed and may be picked up again
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+const toKes = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Fulfillment handlers by payment_type
+ *
+ * Booking handlers describe the payment's booking fields: `changes(context,
+ * current)` returns them and `activity(context, current)` the activity log
+ * entry, applied together by applyPaymentToBooking. `notify(context)` sends
+ * any notification specific to the payment type. Handlers with their own
+ * store implement `fulfill(context)` instead, resolving with { action }.
+ *
+ * `context` is { reference, bookingId, paymentType, amount, metadata,
+ * unlockedBy, source, now } - `now` is one ISO timestamp for everything the
+ * fulfillment writes.
+ */
+const FULFILLMENT_HANDLERS = {
+  booking_fee: {
+    action: 'negotiation_unlocked',
+    // Unlock negotiation features, keeping any negotiation already under way
+    changes: ({ reference, unlockedBy, now }, current) => ({
+      status: 'negotiating',
+      bookingFeePaid: true,
+      bookingFeeReference: reference,
+      bookingFeePaidAt: now,
+      negotiationUnlocked: true,
+      negotiationUnlockedAt: current.negotiationUnlockedAt || now,
+      negotiation: current.negotiation || {
+        status: 'ready', // ready for negotiation to start
+        unlockedBy,
+        unlockedAt: now,
+        messages: [],
+        offers: [],
+        lastActivity: now
+      }
+    }),
+    activity: ({ reference, amount, source }, current) => ({
+      action: 'negotiation_unlocked',
+      paymentReference: reference,
+      amount,
+      triggeredBy: source,
+      details: {
+        previousStatus: current.status || 'pending',
+        newStatus: 'negotiating',
+        negotiationFeatures: ['messaging', 'offers', 'counter_offers']
+      }
+    }),
+    notify: ({ reference }) => notifyNegotiationUnlocked(reference)
+  },
+
+  escrow: {
+    action: 'escrow_held',
+    changes: ({ reference, amount, now }) => ({
+      status: 'confirmed',
+      escrowPaid: true,
+      escrowAmount: amount,
+      escrowReference: reference,
+      escrowPaidAt: now,
+      escrowStatus: 'held'
+    }),
+    activity: ({ reference, amount, source }) => ({
+      action: 'escrow_held',
+      paymentReference: reference,
+      amount,
+      triggeredBy: source
+    })
+  },
+
+  // Tuition paid in full in one payment (see installment for schedules)
+  tuition: {
+    action: 'tuition_paid',
+    changes: ({ reference, amount, now }, current) => ({
+      status: 'confirmed',
+      tuitionPaymentStatus: 'fully_paid',
+      tuitionPaidAmount: toKes((current.tuitionPaidAmount || 0) + amount),
+      tuitionBalance: 0,
+      tuitionReference: reference,
+      tuitionPaidAt: now
+    }),
+    activity: ({ reference, amount, source }) => ({
+      action: 'tuition_paid',
+      paymentReference: reference,
+      amount,
+      triggeredBy: source
+    })
+  },
+
+  // Installment plans record their own payments (installment-plans/)
+  installment: {
+    fulfill: ({ bookingId, metadata, reference, amount }) => recordInstallmentPayment({
+      bookingId,
+      installmentId: metadata.installment_id,
+      reference,
+      amount
+    })
+  }
+};
+
+// Payments without a (known) payment_type confirm their booking
+const DEFAULT_HANDLER = {
+  action: 'booking_confirmed',
+  changes: () => ({ status: 'confirmed' })
+};
+
+/**
+ * Apply a booking handler's changes, resolving with { action, bookingId,
+ * previousStatus, newStatus }
+ */
+const applyBookingHandler = async (handler, context) => {
+  const result = await applyPaymentToBooking({
+    bookingId: context.bookingId,
+    reference: context.reference,
+    paymentType: context.paymentType,
+    amount: context.amount,
+    changes: (current) => handler.changes(context, current),
+    activity: handler.activity ? (current) => handler.activity(context, current) : null,
+    now: context.now
+  });
+
+  if (result.applied && handler.notify) {
+    await handler.notify(context);
+  }
+
+  return {
+    action: result.applied ? handler.action : 'booking_payment_already_applied',
+    bookingId: context.bookingId,
+    previousStatus: result.previous?.status || 'pending',
+    newStatus: result.booking?.status || null
+  };
+};
+
+/**
+ * Issue the receipt for a fulfilled payment
+ *
+ * Best-effort: a receipt that fails here is issued when first downloaded.
+ */
+const issueReceiptFor = async (reference, data) => {
+  try {
+    await issueReceipt(reference, data);
+  } catch (error) {
+    logger.warning(`Receipt for ${reference} not issued - ${error.message}`);
+  }
+};
+
+/**
+ * Claim a successful transaction's fulfillment
+ *
+ * Resolves with { claimed, reason, transaction }.
+ */
+const claimFulfillment = async (reference, source, now) => {
+  let reason = 'not_found';
+  let claimed = false;
+
+  const { value } = await transactions.transaction(reference, current => {
+    if (current === null) {
+      reason = 'not_found';
+      claimed = false;
+      return null;
+    }
+
+    const fulfillment = current.fulfillment;
+    const stale = fulfillment?.status === 'processing' &&
+      Date.parse(now) - Date.parse(fulfillment.startedAt || 0) > PROCESSING_TIMEOUT_MS;
+
+    claimed = false;
+
+    if (current.status !== PAYMENT_STATES.SUCCESS) {
+      reason = `status ${current.status}`;
+      return; // abort
+    }
+
+    // Payments from before fulfillment was tracked have no record and were
+    // fulfilled when they succeeded
+    if (!fulfillment || fulfillment.status === 'fulfilled') {
+      reason = 'already_fulfilled';
+      return; // abort
+    }
+
+    if (fulfillment.status === 'processing' && !stale) {
+      reason = 'in_progress';
+      return; // abort
+    }
+
+    claimed = true;
+    return {
+      ...current,
+      fulfillment: {
+        ...fulfillment,
+        status: 'processing',
+        source,
+        startedAt: now,
+        attempts: (fulfillment.attempts || 0) + 1,
+        error: null
+      }
+    };
+  });
+
+  return { claimed, reason, transaction: value };
+};
+
+/**
+ * Apply the side effects of a successful payment, once
+ *
+ * `data` is the gateway's transaction data when the caller has it (used for
+ * the receipt). Resolves with { applied, outcome, fulfillment }, where
+ * fulfillment is { action, bookingId, ... }; rejects if a side effect fails,
+ * leaving the fulfillment "failed" to be retried.
+ */
+const fulfillPayment = async (reference, { source = 'unknown', data = null } = {}) => {
+  const now = new Date().toISOString();
+  const { claimed, reason, transaction } = await claimFulfillment(reference, source, now);
+
+  if (!claimed) {
+    return { applied: false, outcome: `ignored (${reason})` };
+  }
+
+  const metadata = transaction.metadata || {};
+  const bookingId = metadata.booking_id || transaction.bookingId || null;
+  const context = {
+    reference,
+    bookingId,
+    paymentType: metadata.payment_type || null,
+    amount: transaction.amount,
+    metadata,
+    unlockedBy: metadata.userId || transaction.email || null,
+    source,
+    now
+  };
+
+  try {
+    let fulfillment = { action: 'payment_recorded', bookingId: null };
+
+    if (bookingId) {
+      const handler = FULFILLMENT_HANDLERS[context.paymentType] || DEFAULT_HANDLER;
+
+      fulfillment = handler.fulfill
+        ? await handler.fulfill(context)
+        : await applyBookingHandler(handler, context);
+    }
+
+    // The teacher's share when the platform received the whole amount
+    await settleDeferredShare(reference, source);
+
+    await issueReceiptFor(reference, data);
+    await notifyPaymentSucceeded(reference);
+
+    await transactions.update(reference, {
+      'fulfillment/status': 'fulfilled',
+      'fulfillment/action': fulfillment.action,
+      'fulfillment/fulfilledAt': new Date().toISOString()
+    });
+
+    return {
+      applied: true,
+      outcome: bookingId ? `${fulfillment.action} (booking ${bookingId})` : fulfillment.action,
+      fulfillment
+    };
+  } catch (error) {
+    await transactions.update(reference, {
+      'fulfillment/status': 'failed',
+      'fulfillment/error': error.message,
+      'fulfillment/failedAt': new Date().toISOString()
+    });
+
+    logger.warning(`FULFILLMENT_FAILED | Ref: ${reference} | Source: ${source} | ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Successful payments whose fulfillment failed, or never finished
+ *
+ * Pending and processing fulfillments are only returned once older than
+ * `minAgeMs` / PROCESSING_TIMEOUT_MS, so ones still in flight are left alone.
+ */
+const listUnfulfilledPayments = async ({ minAgeMs = 0, now = Date.now() } = {}) => {
+  const [pending, processing, failed] = await Promise.all(
+    ['pending', 'processing', 'failed'].map(status => transactions.listByFulfillmentStatus(status))
+  );
+  const olderThan = (value, ageMs) => now - (Date.parse(value || '') || now) >= ageMs;
+
+  return [
+    ...pending.filter(transaction => olderThan(transaction.fulfillment.pendingAt, minAgeMs)),
+    ...processing.filter(transaction => olderThan(transaction.fulfillment.startedAt, PROCESSING_TIMEOUT_MS)),
+    ...failed
+  ].filter(transaction => transaction.status === PAYMENT_STATES.SUCCESS);
+};
+
+module.exports = {
+  FULFILLMENT_HANDLERS,
+  fulfillPayment,
+  listUnfulfilledPayments
+};
@@ -0,0 +1,372 @@
+const crypto = require('crypto');
+const { DARAJA, DARAJA_ENABLED, darajaApi } = require('../../config/daraja');
+const { getDatabase } = require('../../config/firebase');
+const { transactions } = require('../../repositories');
+const { toGatewayError, unsupportedOperation } = require('./gatewayError');
+const logger = require('../../utils/logger');
+
+/**
+ * Safaricom Daraja (Lipa Na M-Pesa Online) payment gateway
+ *
+ * M-Pesa STK push only: there is no hosted checkout, and refunds and payouts
+ * stay on Paystack. daraja-checkouts/{CheckoutRequestID} maps an STK push back
+ * to its transaction reference. Callback and STK query results are turned
+ * into Paystack-shaped transaction data so they settle through the same path
+ * as Paystack webhooks.
+ */
+
+const NAME = 'daraja';
+
+// Daraja answers an STK query with this error while the customer has not
+// completed the prompt yet
+const STK_QUERY_PROCESSING_ERROR = '500.001.1001';
+
+// Result codes of prompts the customer never completed: 1032 cancelled,
+// 1037 phone unreachable
+const UNANSWERED_RESULT_CODES = [1032, 1037];
+
+// Limits of the STK push AccountReference and TransactionDesc fields
+const ACCOUNT_REFERENCE_LENGTH = 12;
+const TRANSACTION_DESC_LENGTH = 13;
+
+let accessToken = null;
+
+/**
+ * OAuth access token, cached until shortly before it expires
+ */
+const getAccessToken = async () => {
+  if (accessToken && accessToken.expiresAt > Date.now()) {
+    return accessToken.value;
+  }
+
+  const credentials = Buffer.from(`${DARAJA.consumerKey}:${DARAJA.consumerSecret}`).toString('base64');
+  const response = await darajaApi.get('/oauth/v1/generate', {
+    params: { grant_type: 'client_credentials' },
+    headers: { Authorization: `Basic ${credentials}` }
+  });
+  const expiresIn = parseInt(response.data.expires_in, 10) || 3599;
+
+  accessToken = {
+    value: response.data.access_token,
+    expiresAt: Date.now() + (expiresIn - 60) * 1000
+  };
+
+  return accessToken.value;
+};
+
+/**
+ * POST to Daraja, fetching a new token once if the cached one is rejected
+ */
+const darajaPost = async (url, body) => {
+  const send = async () => darajaApi.post(url, body, {
+    headers: { Authorization: `Bearer ${await getAccessToken()}` }
+  });
+
+  try {
+    return await send();
+  } catch (error) {
+    if (error.response?.status !== 401) {
+      throw error;
+    }
+
+    accessToken = null;
+    return send();
+  }
+};
+
+/**
+ * Timestamp in Kenyan time (UTC+3), as yyyyMMddHHmmss
+ */
+const darajaTimestamp = (date = new Date()) => {
+  return new Date(date.getTime() + 3 * 60 * 60 * 1000).toISOString().replace(/\D/g, '').substring(0, 14);
+};
+
+/**
+ * STK push password: base64(shortcode + passkey + timestamp)
+ */
+const stkPassword = (timestamp) => {
+  return Buffer.from(`${DARAJA.shortcode}${DARAJA.passkey}${timestamp}`).toString('base64');
+};
+
+/**
+ * Send an STK push (the M-Pesa PIN prompt) to a 254XXXXXXXXX number
+ */
+const sendStkPush = async ({ phone, amount, accountReference, description, callbackUrl }) => {
+  const timestamp = darajaTimestamp();
+  const response = await darajaPost('/mpesa/stkpush/v1/processrequest', {
+    BusinessShortCode: DARAJA.shortcode,
+    Password: stkPassword(timestamp),
+    Timestamp: timestamp,
+    TransactionType: DARAJA.transactionType,
+    Amount: amount,
+    PartyA: phone,
+    PartyB: DARAJA.partyB || DARAJA.shortcode,
+    PhoneNumber: phone,
+    CallBackURL: callbackUrl,
+    AccountReference: accountReference.substring(0, ACCOUNT_REFERENCE_LENGTH),
+    TransactionDesc: description.substring(0, TRANSACTION_DESC_LENGTH)
+  });
+
+  return response.data;
+};
+
+/**
+ * Callback URL for STK pushes, carrying the callback token
+ */
+const darajaCallbackUrl = (baseUrl) => {
+  return `${DARAJA.callbackUrl || `${baseUrl}/api/payments/daraja/callback`}/${DARAJA.callbackToken}`;
+};
+
+/**
+ * Ask Daraja for the result of an STK push
+ *
+ * Resolves with null while the prompt is still open.
+ */
+const queryStkPush = async (checkoutRequestId) => {
+  const timestamp = darajaTimestamp();
+
+  try {
+    const response = await darajaPost('/mpesa/stkpushquery/v1/query', {
+      BusinessShortCode: DARAJA.shortcode,
+      Password: stkPassword(timestamp),
+      Timestamp: timestamp,
+      CheckoutRequestID: checkoutRequestId
+    });
+
+    return response.data;
+  } catch (error) {
+    if (error.response?.data?.errorCode === STK_QUERY_PROCESSING_ERROR) {
+      return null;
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Parse the body of an STK callback
+ *
+ * Returns null when it is not one.
+ */
+const parseStkCallback = (body) => {
+  const callback = body?.Body?.stkCallback;
+
+  if (!callback?.CheckoutRequestID || callback.ResultCode === undefined) {
+    return null;
+  }
+
+  const items = Object.fromEntries((callback.CallbackMetadata?.Item || [])
+    .map(item => [item.Name, item.Value]));
+
+  return {
+    merchantRequestId: callback.MerchantRequestID || null,
+    checkoutRequestId: callback.CheckoutRequestID,
+    resultCode: Number(callback.ResultCode),
+    resultDesc: callback.ResultDesc || null,
+    amount: items.Amount ?? null,
+    mpesaReceiptNumber: items.MpesaReceiptNumber || null,
+    transactionDate: items.TransactionDate ? String(items.TransactionDate) : null,
+    phone: items.PhoneNumber ? String(items.PhoneNumber) : null
+  };
+};
+
+/**
+ * Convert a yyyyMMddHHmmss Kenyan-time timestamp to ISO 8601
+ */
+const fromDarajaTimestamp = (timestamp) => {
+  const parts = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(timestamp || '');
+
+  if (!parts) {
+    return null;
+  }
+
+  const [, year, month, day, hours, minutes, seconds] = parts;
+  return new Date(`${year}-${month}-${day}T${hours}:${minutes}:${seconds}+03:00`).toISOString();
+};
+
+/**
+ * Paystack-shaped transaction data for a Daraja result
+ *
+ * A null resultCode means the prompt is still open.
+ */
+const toChargeData = (transaction, result) => {
+  const resultCode = Number(result.resultCode);
+  let status = 'failed';
+
+  if (result.resultCode === null) {
+    status = 'pending';
+  } else if (resultCode === 0) {
+    status = 'success';
+  } else if (UNANSWERED_RESULT_CODES.includes(resultCode)) {
+    status = 'abandoned';
+  }
+
+  return {
+    reference: transaction.reference,
+    status,
+    amount: Math.round((result.amount ?? transaction.amount) * 100),
+    currency: 'KES',
+    channel: 'mobile_money',
+    gateway_response: result.resultDesc,
+    receipt_number: result.mpesaReceiptNumber || null,
+    paid_at: status === 'success' ? (fromDarajaTimestamp(result.transactionDate) || new Date().toISOString()) : null,
+    metadata: { booking_id: transaction.bookingId || null, ...transaction.metadata }
+  };
+};
+
+// Webhook event of a Daraja result, in the Paystack event format
+const CHARGE_EVENTS = {
+  success: 'charge.success',
+  failed: 'charge.failed',
+  abandoned: 'charge.abandoned'
+};
+
+/**
+ * Send an STK push (the M-Pesa PIN prompt) and index its CheckoutRequestID
+ */
+const charge = async ({ reference, amount, phone, metadata = {}, baseUrl }) => {
+  if (!DARAJA_ENABLED) {
+    throw toGatewayError(NAME, 'charge', new Error('Daraja M-Pesa payments are not configured'));
+  }
+
+  if (!Number.isInteger(amount)) {
+    throw toGatewayError(NAME, 'charge', new Error('Daraja only accepts whole KES amounts'));
+  }
+
+  let response;
+
+  try {
+    response = await sendStkPush({
+      phone,
+      amount,
+      accountReference: metadata.booking_id || 'ShuleGram',
+      description: (metadata.payment_type || 'payment').replace(/_/g, ' '),
+      callbackUrl: darajaCallbackUrl(baseUrl)
+    });
+  } catch (error) {
+    throw toGatewayError(NAME, 'charge', error);
+  }
+
+  if (String(response.ResponseCode) !== '0' || !response.CheckoutRequestID) {
+    throw toGatewayError(NAME, 'charge', new Error(response.ResponseDescription || 'STK push rejected'));
+  }
+
+  await getDatabase().ref(`daraja-checkouts/${response.CheckoutRequestID}`).set(reference);
+
+  logger.info(`DARAJA_STK_PUSH | Ref: ${reference} | Checkout: ${response.CheckoutRequestID}`);
+
+  return {
+    reference,
+    status: 'pending',
+    displayText: response.CustomerMessage || null,
+    gatewayData: {
+      checkoutRequestId: response.CheckoutRequestID,
+      merchantRequestId: response.MerchantRequestID || null
+    },
+    raw: response
+  };
+};
+
+/**
+ * Check the token carried in the callback URL
+ */
+const isValidCallbackToken = (token) => {
+  if (!DARAJA.callbackToken || typeof token !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(DARAJA.callbackToken);
+  const received = Buffer.from(token);
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Authenticate an STK callback and turn it into a webhook event
+ *
+ * The token is the last segment of the callback URL. `event` is in the
+ * Paystack event format ({ event: 'charge.success', data }) so it is applied
+ * by processPaystackEvent like a Paystack webhook; rejected callbacks carry
+ * the `httpStatus` to answer with.
+ */
+const parseWebhook = async (req) => {
+  const { token } = req.params;
+  const body = req.body;
+
+  if (!isValidCallbackToken(token)) {
+    return { valid: false, httpStatus: 403, reason: 'Invalid callback token' };
+  }
+
+  const result = parseStkCallback(body);
+
+  if (!result) {
+    return { valid: false, httpStatus: 400, reason: 'Not an STK callback' };
+  }
+
+  const reference = (await getDatabase().ref(`daraja-checkouts/${result.checkoutRequestId}`).once('value')).val();
+  const transaction = reference ? await transactions.get(reference) : null;
+
+  if (!transaction) {
+    return { valid: false, httpStatus: 404, reason: `Unknown CheckoutRequestID ${result.checkoutRequestId}` };
+  }
+
+  const data = toChargeData(transaction, result);
+
+  return {
+    valid: true,
+    event: {
+      event: CHARGE_EVENTS[data.status],
+      data: { ...data, id: result.checkoutRequestId }
+    }
+  };
+};
+
+/**
+ * Paystack-shaped transaction data for a Daraja transaction, from an STK
+ * query
+ *
+ * Status is "pending" while the customer has not completed the prompt.
+ * Resolves with null for transactions that never reached Daraja.
+ */
+const verify = async ({ transaction }) => {
+  if (!transaction?.checkoutRequestId) {
+    return null;
+  }
+
+  let response;
+
+  try {
+    response = await queryStkPush(transaction.checkoutRequestId);
+  } catch (error) {
+    throw toGatewayError(NAME, 'verify', error);
+  }
+
+  if (!response || response.ResultCode === undefined) {
+    return toChargeData(transaction, { resultCode: null, resultDesc: 'The transaction is being processed' });
+  }
+
+  return toChargeData(transaction, {
+    resultCode: response.ResultCode,
+    resultDesc: response.ResultDesc
+  });
+};
+
+module.exports = {
+  name: NAME,
+  enabled: DARAJA_ENABLED,
+  hostedCheckout: false,
+  // Charges land in the platform shortcode
+  splitsAtCharge: false,
+  initialize: async () => {
+    throw unsupportedOperation(NAME, 'initialize');
+  },
+  charge,
+  verify,
+  refund: async () => {
+    throw unsupportedOperation(NAME, 'refund');
+  },
+  transfer: async () => {
+    throw unsupportedOperation(NAME, 'transfer');
+  },
+  parseWebhook
+};
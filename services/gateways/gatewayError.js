@@ -0,0 +1,37 @@
+/**
+ * Errors raised by payment gateways
+ *
+ * Every failed gateway call rejects with an Error whose message is the
+ * provider's own message when it sent one. `providerStatus` is the provider's
+ * HTTP status, `code` the network error code (e.g. ECONNABORTED) and
+ * `details` the provider's response body.
+ */
+
+const toGatewayError = (gateway, operation, error) => {
+  if (error.gateway) {
+    return error;
+  }
+
+  const data = error.response?.data;
+  const gatewayError = new Error(data?.message || data?.errorMessage || error.message);
+
+  gatewayError.gateway = gateway;
+  gatewayError.operation = operation;
+  gatewayError.providerStatus = error.response?.status || null;
+  gatewayError.code = error.code;
+  gatewayError.details = data || null;
+
+  return gatewayError;
+};
+
+/**
+ * Error for an operation a gateway does not offer
+ */
+const unsupportedOperation = (gateway, operation) => {
+  return toGatewayError(gateway, operation, new Error(`${operation} is not supported by the ${gateway} gateway`));
+};
+
+module.exports = {
+  toGatewayError,
+  unsupportedOperation
+};
@@ -0,0 +1,113 @@
+const {
+  PAYMENT_METHODS,
+  DEFAULT_GATEWAY,
+  METHOD_GATEWAYS,
+  TENANT_GATEWAYS
+} = require('../../config/gateways');
+const paystackGateway = require('./paystackGateway');
+const darajaGateway = require('./darajaGateway');
+const { bookings } = require('../../repositories');
+
+/**
+ * Payment gateway registry
+ *
+ * Every gateway implements the same operations (amounts in KES, phones as
+ * 254XXXXXXXXX):
+ *
+ *   initialize({ reference, email, amount, channels, baseUrl, metadata, split })
+ *     -> { reference, authorizationUrl, accessCode }      (hosted checkout)
+ *   charge({ reference, email, amount, phone, baseUrl, metadata, split })
+ *     -> { reference, status, displayText, gatewayData }  (M-Pesa prompt)
+ *   verify({ reference, transaction })
+ *     -> transaction data in the Paystack format, or null if unknown
+ *   refund({ reference, amount, reason }) -> { refundId, status }
+ *   transfer({ reference, amount, recipient, reason }) -> { transferCode, status }
+ *   parseWebhook(req) -> { valid, reason, event }         (Paystack event format)
+ *
+ * `gatewayData` is stored on the transaction (e.g. Daraja's
+ * checkoutRequestId). Failures reject with errors from ./gatewayError.
+ *
+ * Gateways also describe themselves: `name`, `enabled` (configured),
+ * `hostedCheckout` (supports initialize) and `splitsAtCharge` (commission is
+ * split by the gateway rather than deducted from the payout).
+ */
+
+const GATEWAYS = {
+  [paystackGateway.name]: paystackGateway,
+  [darajaGateway.name]: darajaGateway
+};
+
+/**
+ * Look up a gateway by name
+ */
+const getGateway = (name) => {
+  const gateway = GATEWAYS[name];
+
+  if (!gateway) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+
+  return gateway;
+};
+
+/**
+ * Tenant a new payment belongs to: the tenant whose API key authenticated
+ * the request (req.tenantId), otherwise the booking's tenantId
+ *
+ * Never taken from the request body, which the payer controls.
+ */
+const resolveTenant = async ({ apiKeyTenantId = null, bookingId = null }) => {
+  if (apiKeyTenantId) {
+    return apiKeyTenantId;
+  }
+
+  const booking = bookingId ? await bookings.get(bookingId) : null;
+  return booking?.tenantId || null;
+};
+
+/**
+ * Gateway for a new payment, by tenant override, then payment method, then
+ * the default (see resolveTenant for `tenantId`)
+ */
+const selectGateway = ({ method, tenantId = null }) => {
+  const tenantGateway = tenantId ? TENANT_GATEWAYS[tenantId] : null;
+  const name = (typeof tenantGateway === 'string' ? tenantGateway : tenantGateway?.[method]) ||
+    METHOD_GATEWAYS[method] ||
+    DEFAULT_GATEWAY;
+
+  return getGateway(name);
+};
+
+/**
+ * Gateway a stored transaction was made through (Paystack for transactions
+ * from before gateways were recorded)
+ */
+const gatewayForTransaction = (transaction) => getGateway(transaction?.gateway || paystackGateway.name);
+
+// Fail fast on misconfigured selection rather than on the first payment
+const configuredGateways = [
+  DEFAULT_GATEWAY,
+  ...Object.values(METHOD_GATEWAYS),
+  ...Object.values(TENANT_GATEWAYS).flatMap(value => (typeof value === 'string' ? [value] : Object.values(value || {})))
+].filter(Boolean);
+
+for (const name of configuredGateways) {
+  if (!getGateway(name).enabled) {
+    console.warn(`Warning: payment gateway "${name}" is selected but not configured`);
+  }
+}
+
+for (const value of Object.values(TENANT_GATEWAYS)) {
+  const unknownMethod = typeof value === 'object' && Object.keys(value || {}).find(method => !PAYMENT_METHODS.includes(method));
+
+  if (unknownMethod) {
+    throw new Error(`PAYMENT_GATEWAY_TENANTS: unknown payment method "${unknownMethod}" (use ${PAYMENT_METHODS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  getGateway,
+  resolveTenant,
+  selectGateway,
+  gatewayForTransaction
+};
@@ -0,0 +1,164 @@
+const { paystackApi, PAYSTACK_WEBHOOK_SECRETS } = require('../../config/paystack');
+const { verifyPaystackSignature } = require('../../utils/paystackSignature');
+const { paystackSplitParams } = require('../commission');
+const { toGatewayError } = require('./gatewayError');
+const logger = require('../../utils/logger');
+
+/**
+ * Paystack payment gateway
+ */
+
+const NAME = 'paystack';
+
+// Paystack amounts are in kobo (cents)
+const toKobo = (amount) => Math.round(amount * 100);
+
+/**
+ * Call Paystack and resolve with the `data` of its response
+ *
+ * Paystack reports rejected requests as { status: false, message }.
+ */
+const send = async (operation, request) => {
+  let response;
+
+  try {
+    response = await request();
+  } catch (error) {
+    throw toGatewayError(NAME, operation, error);
+  }
+
+  if (!response.data.status) {
+    throw toGatewayError(NAME, operation, {
+      message: response.data.message || `${operation} rejected`,
+      response
+    });
+  }
+
+  return response.data.data;
+};
+
+/**
+ * Charge status of a /charge response
+ *
+ * M-Pesa charges are "pay_offline" while the prompt is on the phone.
+ */
+const chargeStatusOf = (status) => {
+  if (status === 'success' || status === 'failed') {
+    return status;
+  }
+
+  return 'pending';
+};
+
+const initialize = async ({ reference, email, amount, channels = ['mobile_money', 'card'], baseUrl = null, metadata = {}, split = null }) => {
+  const data = await send('initialize', () => paystackApi.post('/transaction/initialize', {
+    email,
+    amount: toKobo(amount),
+    reference,
+    currency: 'KES',
+    channels,
+    ...(baseUrl && { callback_url: `${baseUrl}/api/payments/webhook` }),
+    ...paystackSplitParams(split),
+    metadata
+  }));
+
+  return {
+    reference: data.reference,
+    authorizationUrl: data.authorization_url,
+    accessCode: data.access_code
+  };
+};
+
+const charge = async ({ reference, email, amount, phone, metadata = {}, split = null }) => {
+  const data = await send('charge', () => paystackApi.post('/charge', {
+    email,
+    amount: toKobo(amount),
+    currency: 'KES',
+    reference,
+    mobile_money: {
+      phone: `+${phone}`,
+      provider: 'mpesa'
+    },
+    ...paystackSplitParams(split),
+    metadata
+  }));
+
+  return {
+    reference: data?.reference || reference,
+    status: chargeStatusOf(data?.status),
+    displayText: data?.display_text || null,
+    gatewayData: {},
+    raw: data
+  };
+};
+
+const verify = async ({ reference }) => {
+  try {
+    return await send('verify', () => paystackApi.get(`/transaction/verify/${reference}`));
+  } catch (error) {
+    // Paystack has no record of references that never reached checkout
+    if (error.providerStatus === 404) {
+      return null;
+    }
+
+    throw error;
+  }
+};
+
+const refund = async ({ reference, amount, reason }) => {
+  const data = await send('refund', () => paystackApi.post('/refund', {
+    transaction: reference,
+    amount: toKobo(amount),
+    currency: 'KES',
+    merchant_note: reason || 'Refund requested via API'
+  }));
+
+  return { refundId: data.id, status: data.status };
+};
+
+const transfer = async ({ reference, amount, recipient, reason }) => {
+  const data = await send('transfer', () => paystackApi.post('/transfer', {
+    source: 'balance',
+    amount: toKobo(amount),
+    recipient,
+    reference,
+    currency: 'KES',
+    reason
+  }));
+
+  return { transferCode: data.transfer_code || null, status: data.status || null };
+};
+
+/**
+ * Check the x-paystack-signature of a webhook against the raw body
+ */
+const parseWebhook = async (req) => {
+  const { valid, reason, secretIndex } = verifyPaystackSignature(
+    req.rawBody,
+    req.headers['x-paystack-signature'],
+    PAYSTACK_WEBHOOK_SECRETS
+  );
+
+  if (!valid) {
+    return { valid: false, reason };
+  }
+
+  if (secretIndex > 0) {
+    logger.warning(`Webhook verified with secondary secret #${secretIndex} - promote it to the primary secret once rotation is complete`);
+  }
+
+  return { valid: true, event: req.body };
+};
+
+module.exports = {
+  name: NAME,
+  enabled: true,
+  hostedCheckout: true,
+  splitsAtCharge: true,
+  initialize,
+  charge,
+  verify,
+  refund,
+  transfer,
+  parseWebhook
+};
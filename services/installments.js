@@ -0,0 +1,502 @@
+const { getDatabase } = require('../config/firebase');
+const { bookings, transactions } = require('../repositories');
+const logger = require('../utils/logger');
+const { PAYMENT_STATES } = require('./paymentLifecycle');
+const { updateExistingBooking } = require('./bookingFulfillment');
+
+/**
+ * Installment plans for tuition
+ *
+ * A booking's tuition can be split into a schedule of installments, stored in
+ * installment-plans/{bookingId}. Each installment is charged through the
+ * normal M-Pesa endpoints with metadata.payment_type "installment" and
+ * metadata.installment_id, and the successful charge is recorded against it.
+ * The booking's tuitionPaymentStatus moves to "fully_paid" once every
+ * installment is paid.
+ *
+ * Installment status: pending -> paid. Unpaid installments past their due
+ * date are flagged `overdue` by a scheduled check. The charge last started
+ * for an installment is kept as `pendingCharge`, and no other charge may
+ * start while it can still be paid.
+ */
+const config = {
+  enabled: process.env.INSTALLMENT_OVERDUE_CHECK_ENABLED !== 'false',
+  intervalMs: parseInt(process.env.INSTALLMENT_OVERDUE_CHECK_INTERVAL_MS || `${60 * 60 * 1000}`, 10)
+};
+
+const MAX_INSTALLMENTS = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A charge reserved this recently is assumed to still be starting, even
+// though its transaction has not been recorded yet
+const CHARGE_START_GRACE_MS = 60 * 1000;
+
+let timer = null;
+
+const toKes = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Installments of a plan in order
+ */
+const sortedInstallments = (plan) => {
+  return Object.values(plan.installments || {}).sort((a, b) => a.order - b.order);
+};
+
+/**
+ * Totals for a plan
+ */
+const summarizePlan = (plan) => {
+  const installments = sortedInstallments(plan);
+  const paid = toKes(installments.reduce((sum, installment) => sum + (installment.paidAmount || 0), 0));
+  const nextDue = installments.find(installment => installment.status !== 'paid') || null;
+
+  return {
+    total: plan.total,
+    paid,
+    balance: toKes(Math.max(plan.total - paid, 0)),
+    paidCount: installments.filter(installment => installment.status === 'paid').length,
+    overdueCount: installments.filter(installment => installment.overdue).length,
+    nextDueDate: nextDue ? nextDue.dueDate : null
+  };
+};
+
+/**
+ * Turn a request into a list of { amount, dueDate }
+ *
+ * Accepts an explicit `installments` list, or `count` + `firstDueDate` (and
+ * optionally `intervalDays`, default 30) to split `total` evenly. Returns
+ * { schedule } or { rejection }.
+ */
+const buildSchedule = ({ total, installments, count, firstDueDate, intervalDays = 30 }) => {
+  const reject = (message) => ({ rejection: { httpStatus: 400, message } });
+  let schedule;
+
+  if (Array.isArray(installments)) {
+    schedule = installments.map(installment => ({
+      amount: toKes(Number(installment?.amount)),
+      dueDate: installment?.dueDate
+    }));
+  } else {
+    const parts = parseInt(count, 10);
+    const start = new Date(firstDueDate);
+
+    if (!(parts > 0) || !firstDueDate || isNaN(start.getTime()) || !(Number(total) > 0)) {
+      return reject('Provide installments, or total, count and firstDueDate');
+    }
+
+    // Whole shillings per installment; the last one absorbs the remainder
+    const base = Math.floor(Number(total) / parts);
+
+    schedule = Array.from({ length: parts }, (value, index) => ({
+      amount: index === parts - 1 ? toKes(Number(total) - base * (parts - 1)) : base,
+      dueDate: new Date(start.getTime() + index * intervalDays * DAY_MS).toISOString().slice(0, 10)
+    }));
+  }
+
+  if (schedule.length < 2 || schedule.length > MAX_INSTALLMENTS) {
+    return reject(`Provide between 2 and ${MAX_INSTALLMENTS} installments`);
+  }
+
+  if (schedule.some(installment => !(installment.amount > 0) || isNaN(new Date(installment.dueDate).getTime()))) {
+    return reject('Every installment needs an amount greater than 0 and a valid dueDate');
+  }
+
+  const sorted = schedule.every((installment, index) => {
+    return index === 0 || new Date(installment.dueDate) >= new Date(schedule[index - 1].dueDate);
+  });
+
+  if (!sorted) {
+    return reject('Installment due dates must be in order');
+  }
+
+  const scheduleTotal = toKes(schedule.reduce((sum, installment) => sum + installment.amount, 0));
+
+  if (total !== undefined && toKes(Number(total)) !== scheduleTotal) {
+    return reject(`Installments add up to ${scheduleTotal} KES but the total is ${toKes(Number(total))} KES`);
+  }
+
+  return { schedule, total: scheduleTotal };
+};
+
+/**
+ * Split a booking's tuition into a schedule of installments
+ *
+ * Replaces any existing plan as long as nothing has been paid on it. Resolves
+ * with { httpStatus, message, data }.
+ */
+const createInstallmentPlan = async (bookingId, request, createdBy) => {
+  const { schedule, total, rejection: scheduleRejection } = buildSchedule(request);
+
+  if (scheduleRejection) {
+    return scheduleRejection;
+  }
+
+  if (!(await bookings.get(bookingId))) {
+    return { httpStatus: 404, message: 'Booking not found' };
+  }
+
+  const db = getDatabase();
+
+  const planRef = db.ref(`installment-plans/${bookingId}`);
+  const now = new Date().toISOString();
+  const installments = {};
+
+  schedule.forEach((installment, index) => {
+    const id = planRef.child('installments').push().key;
+
+    installments[id] = {
+      id,
+      order: index + 1,
+      amount: installment.amount,
+      dueDate: installment.dueDate,
+      status: 'pending',
+      paidAmount: 0,
+      overdue: false
+    };
+  });
+
+  const plan = {
+    bookingId,
+    total,
+    currency: 'KES',
+    status: 'active',
+    installments,
+    createdBy: createdBy || null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  let rejection = null;
+
+  await planRef.transaction(current => {
+    if (current && sortedInstallments(current).some(installment => installment.paidAmount > 0)) {
+      rejection = { httpStatus: 409, message: 'The installment plan cannot be replaced once a payment has been made' };
+      return; // abort
+    }
+
+    rejection = null;
+    return plan;
+  });
+
+  if (rejection) {
+    return rejection;
+  }
+
+  const summary = summarizePlan(plan);
+
+  await updateExistingBooking(bookingId, {
+    tuitionPaymentStatus: 'installments',
+    tuitionTotal: total,
+    tuitionPaidAmount: 0,
+    tuitionBalance: total,
+    hasOverdueInstallments: false
+  }, {
+    action: 'installment_plan_created',
+    triggeredBy: createdBy || null,
+    details: {
+      count: schedule.length,
+      total
+    }
+  });
+
+  return {
+    httpStatus: 201,
+    message: 'Installment plan created',
+    data: {
+      ...plan,
+      installments: sortedInstallments(plan),
+      summary
+    }
+  };
+};
+
+/**
+ * Get a booking's installment plan (null if it has none)
+ */
+const getInstallmentPlan = async (bookingId) => {
+  const snapshot = await getDatabase().ref(`installment-plans/${bookingId}`).once('value');
+
+  if (!snapshot.exists()) {
+    return null;
+  }
+
+  const plan = snapshot.val();
+
+  return {
+    ...plan,
+    installments: sortedInstallments(plan),
+    summary: summarizePlan(plan)
+  };
+};
+
+/**
+ * Whether an installment's pending charge can still be paid
+ */
+const isChargeInFlight = async (pendingCharge) => {
+  if (!pendingCharge) {
+    return false;
+  }
+
+  const transaction = await transactions.get(pendingCharge.reference);
+
+  if (!transaction) {
+    return Date.now() - Date.parse(pendingCharge.reservedAt) < CHARGE_START_GRACE_MS;
+  }
+
+  return transaction.status === PAYMENT_STATES.PENDING;
+};
+
+/**
+ * Check that a charge for an installment may be started, and reserve the
+ * installment for it
+ *
+ * Called by the payment endpoints with the charge's reference just before
+ * recording it, when metadata.payment_type is "installment". Resolves with
+ * null when the charge may go ahead, or a { httpStatus, message } rejection.
+ */
+const checkInstallmentCharge = async ({ bookingId, amount, metadata = {}, reference }) => {
+  const installmentId = metadata.installment_id;
+
+  if (!installmentId) {
+    return { httpStatus: 400, message: 'metadata.installment_id is required for installment payments' };
+  }
+
+  const installmentRef = getDatabase().ref(`installment-plans/${bookingId}/installments/${installmentId}`);
+  const snapshot = await installmentRef.once('value');
+  const installment = snapshot.val();
+
+  if (!installment) {
+    return { httpStatus: 404, message: 'Installment not found' };
+  }
+
+  if (installment.status === 'paid') {
+    return { httpStatus: 409, message: 'Installment has already been paid' };
+  }
+
+  const outstanding = toKes(installment.amount - (installment.paidAmount || 0));
+
+  if (toKes(Number(amount)) !== outstanding) {
+    return { httpStatus: 400, message: `Installment amount due is ${outstanding} KES` };
+  }
+
+  const inFlight = { httpStatus: 409, message: 'Another payment for this installment is still pending' };
+  const observed = installment.pendingCharge?.reference || null;
+
+  if (observed && observed !== reference && await isChargeInFlight(installment.pendingCharge)) {
+    return inFlight;
+  }
+
+  let rejection = null;
+
+  // Take the reservation only if no other charge took it since it was checked
+  await installmentRef.transaction(current => {
+    if (current === null) {
+      return null;
+    }
+
+    if (current.status === 'paid') {
+      rejection = { httpStatus: 409, message: 'Installment has already been paid' };
+      return; // abort
+    }
+
+    if ((current.pendingCharge?.reference || null) !== observed) {
+      rejection = inFlight;
+      return; // abort
+    }
+
+    rejection = null;
+    return {
+      ...current,
+      pendingCharge: { reference, reservedAt: new Date().toISOString() }
+    };
+  });
+
+  return rejection;
+};
+
+/**
+ * Record a successful installment charge against the schedule
+ *
+ * The installment handler of services/fulfillment.js. Resolves with
+ * { action, bookingId }.
+ */
+const recordInstallmentPayment = async ({ bookingId, installmentId, reference, amount }) => {
+  const db = getDatabase();
+  const now = new Date().toISOString();
+  let result = { action: 'installment_not_found', bookingId };
+  let summary = null;
+  let paidInstallment = null;
+
+  await db.ref(`installment-plans/${bookingId}`).transaction(current => {
+    if (current === null) {
+      return null;
+    }
+
+    const installment = current.installments?.[installmentId];
+
+    if (!installment) {
+      result = { action: 'installment_not_found', bookingId };
+      return; // abort
+    }
+
+    if (installment.payments?.[reference]) {
+      result = { action: 'installment_payment_already_recorded', bookingId };
+      return; // abort
+    }
+
+    const paidAmount = toKes((installment.paidAmount || 0) + amount);
+    const paid = paidAmount >= installment.amount;
+
+    paidInstallment = {
+      ...installment,
+      paidAmount,
+      status: paid ? 'paid' : 'pending',
+      overdue: paid ? false : installment.overdue,
+      paidAt: paid ? now : installment.paidAt || null,
+      pendingCharge: installment.pendingCharge?.reference === reference ? null : installment.pendingCharge || null,
+      payments: {
+        ...(installment.payments || {}),
+        [reference]: { amount, paidAt: now }
+      }
+    };
+
+    const next = {
+      ...current,
+      installments: { ...current.installments, [installmentId]: paidInstallment },
+      updatedAt: now
+    };
+
+    const allPaid = sortedInstallments(next).every(item => item.status === 'paid');
+    next.status = allPaid ? 'completed' : 'active';
+
+    if (allPaid) {
+      next.completedAt = now;
+    }
+
+    summary = summarizePlan(next);
+    result = {
+      action: allPaid ? 'tuition_fully_paid' : (paid ? 'installment_paid' : 'installment_partially_paid'),
+      bookingId
+    };
+
+    return next;
+  });
+
+  if (!summary) {
+    logger.warning(`INSTALLMENT_PAYMENT_IGNORED | Booking: ${bookingId} | Installment: ${installmentId} | Reference: ${reference} | ${result.action}`);
+    return result;
+  }
+
+  const fullyPaid = result.action === 'tuition_fully_paid';
+
+  await updateExistingBooking(bookingId, {
+    tuitionPaymentStatus: fullyPaid ? 'fully_paid' : 'partially_paid',
+    tuitionPaidAmount: summary.paid,
+    tuitionBalance: summary.balance,
+    hasOverdueInstallments: summary.overdueCount > 0,
+    ...(fullyPaid && { status: 'confirmed', tuitionPaidAt: now })
+  }, {
+    action: result.action,
+    paymentReference: reference,
+    amount,
+    triggeredBy: 'payment_success',
+    details: {
+      installmentId,
+      installmentStatus: paidInstallment.status,
+      paid: summary.paid,
+      balance: summary.balance
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Flag unpaid installments whose due date has passed
+ *
+ * Resolves with the number of installments newly flagged.
+ */
+const flagOverdueInstallments = async () => {
+  const db = getDatabase();
+  const snapshot = await db.ref('installment-plans')
+    .orderByChild('status')
+    .equalTo('active')
+    .once('value');
+
+  const today = new Date().toISOString().slice(0, 10);
+  let flagged = 0;
+
+  for (const plan of Object.values(snapshot.val() || {})) {
+    const overdue = sortedInstallments(plan)
+      .filter(installment => installment.status !== 'paid' && !installment.overdue && installment.dueDate < today);
+
+    if (overdue.length === 0) {
+      continue;
+    }
+
+    const updates = { updatedAt: new Date().toISOString() };
+
+    overdue.forEach(installment => {
+      updates[`installments/${installment.id}/overdue`] = true;
+      updates[`installments/${installment.id}/overdueSince`] = installment.dueDate;
+    });
+
+    await db.ref(`installment-plans/${plan.bookingId}`).update(updates);
+
+    await updateExistingBooking(plan.bookingId, { hasOverdueInstallments: true }, {
+      action: 'installments_overdue',
+      triggeredBy: 'installment_monitor',
+      details: {
+        installmentIds: overdue.map(installment => installment.id)
+      }
+    });
+
+    flagged += overdue.length;
+  }
+
+  if (flagged > 0) {
+    logger.info(`INSTALLMENTS_OVERDUE | Flagged: ${flagged}`);
+  }
+
+  return flagged;
+};
+
+/**
+ * Start the scheduled overdue check (no-op when disabled or already started)
+ */
+const startInstallmentMonitor = () => {
+  if (!config.enabled || timer) {
+    return;
+  }
+
+  timer = setInterval(() => {
+    flagOverdueInstallments().catch(error => {
+      logger.error(error, { operation: 'flagOverdueInstallments' });
+    });
+  }, config.intervalMs);
+
+  // Do not keep the process alive just for the monitor
+  timer.unref();
+
+  logger.info(`Installment overdue check scheduled every ${Math.round(config.intervalMs / 1000)}s`);
+};
+
+/**
+ * Stop the scheduled overdue check
+ */
+const stopInstallmentMonitor = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  createInstallmentPlan,
+  getInstallmentPlan,
+  checkInstallmentCharge,
+  recordInstallmentPayment,
+  flagOverdueInstallments,
+  startInstallmentMonitor,
+  stopInstallmentMonitor
+};
@@ -0,0 +1,224 @@
+const { bookings } = require('../repositories');
+const { updateExistingBooking } = require('./bookingFulfillment');
+const { getEscrowBalance } = require('./payouts');
+
+/**
+ * Milestone-based escrow for multi-session tuition
+ *
+ * A booking's escrow can be split into milestones (e.g. one per week), stored
+ * in tuition-bookings/{bookingId}/escrowMilestones/{milestoneId}. Each
+ * milestone is confirmed by the parent and the teacher and then paid out on
+ * its own (see releaseMilestonePayout in payouts.js).
+ *
+ * Milestone status: pending -> confirmed -> releasing -> released
+ */
+
+const CONFIRMING_ROLES = ['parent', 'teacher'];
+const MAX_MILESTONES = 52;
+
+const toKes = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Milestones of a booking in order
+ */
+const sortedMilestones = (booking) => {
+  return Object.values(booking.escrowMilestones || {}).sort((a, b) => a.order - b.order);
+};
+
+/**
+ * Split a booking's held escrow into milestones
+ *
+ * Replaces any existing plan as long as no milestone has started paying out.
+ * The milestone amounts must add up to the escrow still held. Resolves with
+ * { httpStatus, message, data }.
+ */
+const defineMilestones = async (bookingId, milestones, definedBy) => {
+  if (!Array.isArray(milestones) || milestones.length === 0 || milestones.length > MAX_MILESTONES) {
+    return { httpStatus: 400, message: `Provide between 1 and ${MAX_MILESTONES} milestones` };
+  }
+
+  const invalid = milestones.find(milestone => !milestone || !milestone.title || !(Number(milestone.amount) > 0));
+
+  if (invalid) {
+    return { httpStatus: 400, message: 'Every milestone needs a title and an amount greater than 0' };
+  }
+
+  const now = new Date().toISOString();
+  const plan = {};
+
+  milestones.forEach((milestone, index) => {
+    const id = bookings.newKey();
+
+    plan[id] = {
+      id,
+      order: index + 1,
+      title: milestone.title,
+      description: milestone.description || null,
+      dueDate: milestone.dueDate || null,
+      amount: toKes(Number(milestone.amount)),
+      status: 'pending',
+      parentConfirmedAt: null,
+      teacherConfirmedAt: null,
+      createdAt: now
+    };
+  });
+
+  const planTotal = toKes(Object.values(plan).reduce((sum, milestone) => sum + milestone.amount, 0));
+  let rejection = { httpStatus: 404, message: 'Booking not found' };
+  let balance = null;
+
+  await bookings.transaction(bookingId, current => {
+    if (current === null) {
+      rejection = { httpStatus: 404, message: 'Booking not found' };
+      return null;
+    }
+
+    if (current.escrowStatus !== 'held') {
+      rejection = {
+        httpStatus: 400,
+        message: current.escrowStatus
+          ? `Cannot split escrow that is ${current.escrowStatus}`
+          : 'Booking has no escrow to split'
+      };
+      return; // abort
+    }
+
+    if (current.activeDisputeId) {
+      rejection = { httpStatus: 409, message: 'Escrow is frozen while a dispute is open on this booking' };
+      return; // abort
+    }
+
+    if (sortedMilestones(current).some(milestone => ['releasing', 'released'].includes(milestone.status))) {
+      rejection = { httpStatus: 409, message: 'Milestones cannot be redefined once a payout has started' };
+      return; // abort
+    }
+
+    balance = getEscrowBalance(current);
+
+    if (planTotal !== balance.held) {
+      rejection = {
+        httpStatus: 400,
+        message: `Milestone amounts add up to ${planTotal} KES but ${balance.held} KES is held in escrow`
+      };
+      return; // abort
+    }
+
+    rejection = null;
+
+    return {
+      ...current,
+      escrowMilestones: plan,
+      escrowHeldAmount: balance.held,
+      escrowReleasedAmount: current.escrowReleasedAmount || 0,
+      lastUpdated: now
+    };
+  });
+
+  if (rejection) {
+    return rejection;
+  }
+
+  await updateExistingBooking(bookingId, {}, {
+    action: 'escrow_milestones_defined',
+    triggeredBy: definedBy || null,
+    details: {
+      count: milestones.length,
+      total: planTotal
+    }
+  });
+
+  return {
+    httpStatus: 201,
+    message: 'Escrow milestones defined',
+    data: {
+      bookingId,
+      balance,
+      milestones: Object.values(plan)
+    }
+  };
+};
+
+/**
+ * Record the parent's or teacher's confirmation of a milestone
+ *
+ * The milestone becomes "confirmed" (and releasable) once both have confirmed.
+ */
+const confirmMilestone = async (bookingId, milestoneId, { role, confirmedBy }) => {
+  if (!CONFIRMING_ROLES.includes(role)) {
+    return { httpStatus: 400, message: `Role must be one of: ${CONFIRMING_ROLES.join(', ')}` };
+  }
+
+  const now = new Date().toISOString();
+  let rejection = { httpStatus: 404, message: 'Milestone not found' };
+  let milestone = null;
+
+  await bookings.transaction(bookingId, current => {
+    if (current === null) {
+      rejection = { httpStatus: 404, message: 'Milestone not found' };
+      return null;
+    }
+
+    if (['releasing', 'released'].includes(current.status)) {
+      rejection = { httpStatus: 400, message: `Milestone is already ${current.status}` };
+      return; // abort
+    }
+
+    const next = {
+      ...current,
+      [`${role}ConfirmedAt`]: current[`${role}ConfirmedAt`] || now,
+      [`${role}ConfirmedBy`]: current[`${role}ConfirmedBy`] || confirmedBy || null
+    };
+
+    next.status = next.parentConfirmedAt && next.teacherConfirmedAt ? 'confirmed' : 'pending';
+
+    rejection = null;
+    milestone = next;
+    return next;
+  }, { path: `escrowMilestones/${milestoneId}` });
+
+  if (rejection) {
+    return rejection;
+  }
+
+  await updateExistingBooking(bookingId, {}, {
+    action: 'escrow_milestone_confirmed',
+    triggeredBy: confirmedBy || role,
+    details: {
+      milestoneId,
+      role,
+      status: milestone.status
+    }
+  });
+
+  return {
+    httpStatus: 200,
+    message: milestone.status === 'confirmed'
+      ? 'Milestone confirmed by both parties and ready for release'
+      : `Milestone confirmed by ${role}`,
+    data: milestone
+  };
+};
+
+/**
+ * Get a booking's milestones and escrow balance (null if the booking does not exist)
+ */
+const getMilestones = async (bookingId) => {
+  const booking = await bookings.get(bookingId);
+
+  if (!booking) {
+    return null;
+  }
+
+  return {
+    bookingId,
+    escrowStatus: booking.escrowStatus || null,
+    balance: getEscrowBalance(booking),
+    milestones: sortedMilestones(booking)
+  };
+};
+
+module.exports = {
+  defineMilestones,
+  confirmMilestone,
+  getMilestones
+};
@@ -0,0 +1,415 @@
+const { transactions } = require('../repositories');
+const { EMAIL_TRANSPORT, EMAIL_NOTIFICATIONS_ENABLED, sendMail } = require('../config/email');
+const { SMS_PROVIDER, SMS_NOTIFICATIONS_ENABLED } = require('../config/sms');
+const { PLATFORM } = require('../config/platform');
+const { getBooking, describePayment, issueReceipt } = require('./receipts');
+const { sendSms } = require('./sms');
+const { PUSH_NOTIFICATIONS_ENABLED, getDeviceTokens, sendPushToUsers } = require('./pushNotifications');
+const { renderEmail, formatKes } = require('../utils/emailTemplates');
+const { renderReceiptPdf } = require('../utils/receiptPdf');
+const { normalizeMpesaNumber } = require('../utils/phone');
+const logger = require('../utils/logger');
+
+/**
+ * Payment notifications by email (the `email` stored on the transaction), SMS
+ * (its `phone`, normalized to 254XXXXXXXXX) and push (the FCM devices of the
+ * payer - metadata.userId - and/or the booking's teacher)
+ *
+ * Each notification is recorded in
+ * payment-transactions/{reference}/notifications/{channel}_{key} with its
+ * outcome (sending → sent / failed, or skipped). The key is claimed before
+ * sending, so a replayed webhook does not notify twice; a failed send is
+ * retried the next time the same event is applied.
+ *
+ * Sending is best-effort: failures are recorded and logged, never thrown.
+ */
+
+// A send still marked "sending" after this is assumed to have crashed
+const SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * User IDs a push goes to: `audience` is a list of "payer" and "teacher"
+ */
+const pushRecipients = async (transaction, audience) => {
+  const metadata = transaction.metadata || {};
+  const userIds = [];
+
+  if (audience.includes('payer') && (metadata.userId || metadata.user_id)) {
+    userIds.push(metadata.userId || metadata.user_id);
+  }
+
+  if (audience.includes('teacher')) {
+    const teacherId = metadata.teacherId || (await getBooking(transaction.bookingId || metadata.booking_id)).teacherId;
+
+    if (teacherId) {
+      userIds.push(teacherId);
+    }
+  }
+
+  return [...new Set(userIds)];
+};
+
+/**
+ * Delivery per channel: `recipient(transaction, options)` resolves with who to
+ * send to (null to skip with `skipReason`), `send(to, content, reference)`
+ * with the fields recorded on a sent notification
+ */
+const CHANNELS = {
+  email: {
+    enabled: EMAIL_NOTIFICATIONS_ENABLED,
+    transport: EMAIL_TRANSPORT,
+    skipReason: 'no_email',
+    recipient: async (transaction) => transaction.email || null,
+    send: async (to, { template, subject, values, attachments = [] }, reference) => {
+      const email = renderEmail(template, subject, { ...values, reference });
+      const { messageId, location } = await sendMail({
+        to,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        attachments
+      });
+
+      return {
+        subject: email.subject,
+        messageId,
+        ...(location && { location }),
+        attachments: attachments.map(attachment => attachment.filename)
+      };
+    }
+  },
+  sms: {
+    enabled: SMS_NOTIFICATIONS_ENABLED,
+    transport: SMS_PROVIDER,
+    skipReason: 'no_phone',
+    recipient: async (transaction) => normalizeMpesaNumber(transaction.phone).phone || null,
+    send: async (to, { message }) => {
+      const { messageId, cost } = await sendSms(to, message);
+
+      return { message, messageId, cost };
+    }
+  },
+  push: {
+    enabled: PUSH_NOTIFICATIONS_ENABLED,
+    transport: 'fcm',
+    skipReason: 'no_devices',
+    // Only users with a registered device
+    recipient: async (transaction, { audience = ['payer'] }) => {
+      const userIds = await pushRecipients(transaction, audience);
+      const devices = await getDeviceTokens(userIds);
+      const withDevices = userIds.filter(userId => devices.some(device => device.userId === userId));
+
+      return withDevices.length ? withDevices : null;
+    },
+    send: async (to, { title, body, data }, reference) => {
+      const result = await sendPushToUsers(to, { title, body, data: { ...data, reference } });
+
+      if (result.successCount === 0) {
+        throw new Error(`No device accepted the notification (${result.failureCount} failed, ${result.removedCount} removed)`);
+      }
+
+      return { title, body, ...result };
+    }
+  }
+};
+
+const formatDateTime = (value) => {
+  return value
+    ? new Date(value).toLocaleString('en-KE', { timeZone: 'Africa/Nairobi', dateStyle: 'medium', timeStyle: 'short' })
+    : '-';
+};
+
+const payerName = (transaction) => {
+  return transaction.metadata?.payerName || transaction.metadata?.parentName || 'there';
+};
+
+/**
+ * Claim a notification key (the path of its record in the transaction);
+ * resolves with false if it was already sent (or is being sent)
+ */
+const claimNotification = async (reference, path, record) => {
+  const { committed } = await transactions.transaction(reference, current => {
+    if (current && (
+      current.status === 'sent' ||
+      current.status === 'skipped' ||
+      (current.status === 'sending' && Date.now() - new Date(current.createdAt).getTime() < SENDING_TIMEOUT_MS)
+    )) {
+      return; // abort
+    }
+
+    return {
+      ...record,
+      attempts: (current?.attempts || 0) + 1
+    };
+  }, { path });
+
+  return committed;
+};
+
+/**
+ * Send one notification for a transaction on one channel
+ *
+ * `build(transaction)` resolves with the channel's content: { template,
+ * subject, values, attachments? } for email, { message } for SMS, { title,
+ * body, data } for push. `options.audience` picks the push recipients.
+ * Resolves with the notification record, or null if nothing was sent.
+ */
+const notify = async (channel, reference, key, type, build, options = {}) => {
+  const { enabled, transport, skipReason, recipient, send } = CHANNELS[channel];
+
+  if (!enabled || !reference) {
+    return null;
+  }
+
+  try {
+    const transaction = await transactions.get(reference);
+
+    if (!transaction) {
+      return null;
+    }
+
+    const to = await recipient(transaction, options);
+    const notificationPath = `notifications/${channel}_${key}`;
+    const record = {
+      type,
+      channel,
+      transport,
+      to,
+      status: to ? 'sending' : 'skipped',
+      ...(!to && { reason: skipReason }),
+      createdAt: new Date().toISOString()
+    };
+
+    if (!await claimNotification(reference, notificationPath, record)) {
+      return null;
+    }
+
+    if (!to) {
+      logger.warning(`${channel.toUpperCase()}_SKIPPED | ${type} | ${reference} | ${record.reason}`);
+      return record;
+    }
+
+    try {
+      const sent = await send(to, await build(transaction), reference);
+      const outcome = {
+        ...sent,
+        status: 'sent',
+        sentAt: new Date().toISOString(),
+        error: null
+      };
+
+      await transactions.update(reference, outcome, { path: notificationPath });
+      logger.info(`${channel.toUpperCase()}_SENT | ${type} | ${reference} | To: ${to} | ${sent.messageId || `${sent.successCount} device(s)`}`);
+
+      return { ...record, ...outcome };
+    } catch (error) {
+      const outcome = {
+        status: 'failed',
+        error: error.message,
+        failedAt: new Date().toISOString()
+      };
+
+      await transactions.update(reference, outcome, { path: notificationPath });
+      logger.warning(`${channel.toUpperCase()}_FAILED | ${type} | ${reference} | To: ${to} | ${error.message}`);
+
+      return { ...record, ...outcome };
+    }
+  } catch (error) {
+    logger.error(error, { operation: 'notify', channel, reference, type });
+    return null;
+  }
+};
+
+/**
+ * The receipt for a successful payment (issued here if not issued yet)
+ */
+const receiptFor = async (reference) => {
+  const { document, rejection } = await issueReceipt(reference);
+
+  if (rejection) {
+    throw new Error(`Receipt not available: ${rejection.message}`);
+  }
+
+  return document;
+};
+
+/**
+ * Tell the payer to complete the M-Pesa prompt (SMS)
+ */
+const notifyStkPromptSent = (reference) => notify('sms', reference, 'stk_prompt_sent', 'stk_prompt_sent', async (transaction) => ({
+  message: `${PLATFORM.name}: Enter your M-Pesa PIN on the prompt sent to your phone to pay ${formatKes(transaction.amount)}` +
+    (transaction.bookingId ? ` for booking ${transaction.bookingId}.` : '.')
+}));
+
+/**
+ * Tell the payer a payment succeeded (the receipt by email, SMS, push) and
+ * the teacher (push)
+ */
+const notifyPaymentSucceeded = async (reference) => {
+  await notify('email', reference, 'payment_succeeded', 'payment_succeeded', async (transaction) => {
+    const document = await receiptFor(reference);
+
+    return {
+      template: 'payment-succeeded',
+      subject: `Payment received - ${document.number}`,
+      values: {
+        name: document.payer?.name || payerName(transaction),
+        amount: formatKes(document.amount),
+        description: document.items?.[0]?.description || 'Payment',
+        bookingId: document.booking?.id || '-',
+        paidAt: formatDateTime(document.paidAt),
+        receiptNumber: document.number
+      },
+      attachments: [{
+        filename: `${document.number}.pdf`,
+        content: await renderReceiptPdf(document),
+        contentType: 'application/pdf'
+      }]
+    };
+  });
+
+  await notify('sms', reference, 'payment_succeeded', 'payment_succeeded', async (transaction) => {
+    const document = await receiptFor(reference);
+
+    return {
+      message: `${PLATFORM.name}: Payment of ${formatKes(document.amount)} received` +
+        (transaction.bookingId ? ` for booking ${transaction.bookingId}` : '') +
+        (document.mpesaReference ? `, M-Pesa ref ${document.mpesaReference}` : '') +
+        `. Receipt ${document.number}.`
+    };
+  });
+
+  await notify('push', reference, 'payment_succeeded', 'payment_succeeded', async (transaction) => ({
+    title: 'Payment received',
+    body: `${formatKes(transaction.amount)} paid` + (transaction.bookingId ? ` for booking ${transaction.bookingId}.` : '.'),
+    data: {
+      type: 'payment_succeeded',
+      status: transaction.status,
+      bookingId: transaction.bookingId,
+      paymentType: transaction.metadata?.payment_type
+    }
+  }), { audience: ['payer', 'teacher'] });
+};
+
+/**
+ * Tell the payer a payment failed (email and push)
+ */
+const notifyPaymentFailed = async (reference) => {
+  await notify('email', reference, 'payment_failed', 'payment_failed', async (transaction) => ({
+    template: 'payment-failed',
+    subject: `Your ${PLATFORM.name} payment did not go through`,
+    values: {
+      name: payerName(transaction),
+      amount: formatKes(transaction.amount),
+      description: await describePayment(transaction, transaction.metadata || {}),
+      bookingId: transaction.bookingId || '-',
+      reason: transaction.failureReason || transaction.gateway_response || 'The payment was declined'
+    }
+  }));
+
+  await notify('push', reference, 'payment_failed', 'payment_failed', async (transaction) => ({
+    title: 'Payment failed',
+    body: `Your payment of ${formatKes(transaction.amount)} did not go through. Tap to try again.`,
+    data: {
+      type: 'payment_failed',
+      status: transaction.status,
+      bookingId: transaction.bookingId,
+      reason: transaction.failureReason || transaction.gateway_response
+    }
+  }));
+};
+
+/**
+ * Tell the payer and teacher that a booking fee unlocked negotiation (push)
+ */
+const notifyNegotiationUnlocked = (reference) => notify('push', reference, 'negotiation_unlocked', 'negotiation_unlocked', async (transaction) => ({
+  title: 'Negotiation unlocked',
+  body: `The booking fee for booking ${transaction.bookingId} is paid - you can now agree on the lessons.`,
+  data: {
+    type: 'negotiation_unlocked',
+    bookingId: transaction.bookingId
+  }
+}), { audience: ['payer', 'teacher'] });
+
+/**
+ * Tell the payer a refund has been processed (email)
+ */
+const notifyRefundProcessed = (reference, refundKey, refundAmount) => notify('email', reference, `${refundKey}_processed`, 'refund_processed', async (transaction) => ({
+  template: 'refund-processed',
+  subject: `Refund of ${formatKes(refundAmount)} processed`,
+  values: {
+    name: payerName(transaction),
+    amount: formatKes(transaction.amount),
+    refundAmount: formatKes(refundAmount),
+    refundedTotal: formatKes(transaction.refundedAmount || refundAmount),
+    description: await describePayment(transaction, transaction.metadata || {}),
+    bookingId: transaction.bookingId || '-'
+  }
+}));
+
+/**
+ * Tell the payer escrow has been released to the teacher (email, SMS, push)
+ * and the teacher (push)
+ *
+ * The notifications are recorded on the booking's escrow payment
+ * (escrowReference).
+ */
+const notifyEscrowReleased = async (payout) => {
+  let booking;
+
+  try {
+    booking = await getBooking(payout.bookingId);
+  } catch (error) {
+    logger.error(error, { operation: 'notifyEscrowReleased', bookingId: payout.bookingId });
+    return;
+  }
+
+  if (!booking.escrowReference) {
+    logger.warning(`NOTIFICATION_SKIPPED | escrow_released | Booking ${payout.bookingId} has no escrow payment`);
+    return;
+  }
+
+  const milestone = payout.milestoneId && booking.escrowMilestones?.[payout.milestoneId];
+  const milestoneText = milestone ? ` for "${milestone.title || payout.milestoneId}"` : '';
+  const teacherName = booking.teacherName || 'your teacher';
+  const key = `escrow_released_${payout.reference}`;
+
+  await notify('email', booking.escrowReference, key, 'escrow_released', async (transaction) => ({
+    template: 'escrow-released',
+    subject: `Tuition released for booking ${payout.bookingId}`,
+    values: {
+      name: payerName(transaction),
+      bookingId: payout.bookingId,
+      teacherName,
+      milestoneText,
+      releasedAmount: formatKes(payout.amount),
+      releasedTotal: formatKes(booking.escrowReleasedAmount || payout.amount),
+      heldAmount: formatKes(booking.escrowHeldAmount || 0)
+    }
+  }));
+
+  await notify('sms', booking.escrowReference, key, 'escrow_released', async () => ({
+    message: `${PLATFORM.name}: ${formatKes(payout.amount)} of your tuition for booking ${payout.bookingId} ` +
+      `has been released to ${teacherName}${milestoneText}.`
+  }));
+
+  await notify('push', booking.escrowReference, key, 'escrow_released', async () => ({
+    title: 'Tuition released',
+    body: `${formatKes(payout.amount)} for booking ${payout.bookingId} has been released to ${teacherName}${milestoneText}.`,
+    data: {
+      type: 'escrow_released',
+      bookingId: payout.bookingId,
+      milestoneId: payout.milestoneId,
+      transferReference: payout.reference
+    }
+  }), { audience: ['payer', 'teacher'] });
+};
+
+module.exports = {
+  notifyStkPromptSent,
+  notifyPaymentSucceeded,
+  notifyPaymentFailed,
+  notifyNegotiationUnlocked,
+  notifyRefundProcessed,
+  notifyEscrowReleased
+};
@@ -0,0 +1,173 @@
+const { transactions } = require('../repositories');
+const logger = require('../utils/logger');
+
+/**
+ * Payment lifecycle for payment-transactions/{reference} records.
+ *
+ * All status changes go through transitionPayment so that a late webhook or
+ * a client action can never move a transaction backwards (e.g. a delayed
+ * charge.failed overwriting a success).
+ */
+const PAYMENT_STATES = {
+  PENDING: 'pending',
+  ABANDONED: 'abandoned',
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  RETRYING: 'retrying',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+  REVERSED: 'reversed',
+  REFUND_PENDING: 'refund_pending',
+  PARTIALLY_REFUNDED: 'partially_refunded',
+  REFUNDED: 'refunded'
+};
+
+// Allowed transitions: current status -> statuses it may move to
+const TRANSITIONS = {
+  pending: ['success', 'failed', 'abandoned', 'cancelled', 'expired'],
+  abandoned: ['success', 'failed', 'cancelled', 'expired'],
+  failed: ['retrying', 'success', 'cancelled'],
+  retrying: ['success', 'failed'],
+  // Refund webhooks can arrive out of order, so success may skip refund_pending
+  success: ['reversed', 'refund_pending', 'partially_refunded', 'refunded'],
+  cancelled: [],
+  // Expired only means we stopped waiting - a late success is still recorded
+  expired: ['success'],
+  reversed: [],
+  refund_pending: ['partially_refunded', 'refunded'],
+  partially_refunded: ['refund_pending', 'refunded'],
+  refunded: []
+};
+
+// Transitions that undo a refund which failed, allowed only with `rollback`
+// (see refunds.js). Kept out of TRANSITIONS so a verification or late
+// charge.success cannot make a payment refundable again mid-refund.
+const ROLLBACK_TRANSITIONS = {
+  refund_pending: ['success', 'partially_refunded']
+};
+
+/**
+ * Check whether a transaction may move from one status to another
+ */
+const canTransition = (from, to, { allowSame = true, rollback = false } = {}) => {
+  if (from === to) {
+    return allowSame;
+  }
+
+  const allowed = rollback ? ROLLBACK_TRANSITIONS : TRANSITIONS;
+  return (allowed[from] || []).includes(to);
+};
+
+/**
+ * Map a Paystack transaction status onto a lifecycle state
+ */
+const fromGatewayStatus = (gatewayStatus) => {
+  switch (gatewayStatus) {
+    case 'success':
+      return PAYMENT_STATES.SUCCESS;
+    case 'failed':
+      return PAYMENT_STATES.FAILED;
+    case 'abandoned':
+      return PAYMENT_STATES.ABANDONED;
+    case 'reversed':
+      return PAYMENT_STATES.REVERSED;
+    default:
+      // ongoing, queued, processing, send_otp, ...
+      return PAYMENT_STATES.PENDING;
+  }
+};
+
+/**
+ * Move a transaction to a new status, applying `updates` in the same write.
+ *
+ * The status check and write happen inside a Firebase transaction, and each
+ * applied change is appended to the record's statusHistory. `updates` may be
+ * a function of the current record for fields derived from it (e.g. running
+ * totals). `to` may also be a function of the current record returning the
+ * status, or null to leave the record alone (reason "skipped"). With
+ * `rollback` only ROLLBACK_TRANSITIONS are allowed. Resolves with
+ * { applied, from, to, reason } - callers decide how to respond when a
+ * transition is rejected.
+ */
+const transitionPayment = async (reference, to, options = {}) => {
+  const { updates = {}, source = 'unknown', reason = null, allowSame = true, rollback = false } = options;
+  const targetFor = typeof to === 'function' ? to : () => to;
+  const requested = typeof to === 'function' ? null : to;
+
+  if (typeof to !== 'function' && !TRANSITIONS[to]) {
+    throw new Error(`Unknown payment status: ${to}`);
+  }
+
+  const historyKey = transactions.newKey();
+  const now = new Date().toISOString();
+  let outcome = { applied: false, from: null, to: requested, reason: 'not_found' };
+
+  await transactions.transaction(reference, current => {
+    if (current === null) {
+      // Either the record does not exist or the local cache is empty;
+      // returning null lets Firebase retry with the server value.
+      outcome = { applied: false, from: null, to: requested, reason: 'not_found' };
+      return null;
+    }
+
+    const from = current.status || PAYMENT_STATES.PENDING;
+    const target = targetFor(current);
+
+    if (target === null) {
+      outcome = { applied: false, from, to: null, reason: 'skipped' };
+      return; // abort
+    }
+
+    if (!TRANSITIONS[target]) {
+      throw new Error(`Unknown payment status: ${target}`);
+    }
+
+    if (!canTransition(from, target, { allowSame, rollback })) {
+      outcome = { applied: false, from, to: target, reason: 'illegal_transition' };
+      return; // abort
+    }
+
+    outcome = { applied: true, from, to: target, reason: null };
+
+    const next = {
+      ...current,
+      ...(typeof updates === 'function' ? updates(current) : updates),
+      status: target,
+      statusUpdatedAt: now
+    };
+
+    if (from !== target) {
+      next.statusHistory = {
+        ...(current.statusHistory || {}),
+        [historyKey]: {
+          from,
+          to: target,
+          at: now,
+          source,
+          ...(reason && { reason })
+        }
+      };
+    }
+
+    return next;
+  });
+
+  if (outcome.reason === 'illegal_transition') {
+    logger.warning(
+      `PAYMENT_TRANSITION_REJECTED | Ref: ${reference} | From: ${outcome.from} | To: ${outcome.to} | Source: ${source}`
+    );
+  } else if (outcome.applied && outcome.from !== outcome.to) {
+    logger.payment.status(reference, outcome.to, { from: outcome.from, source });
+  }
+
+  return outcome;
+};
+
+module.exports = {
+  PAYMENT_STATES,
+  TRANSITIONS,
+  ROLLBACK_TRANSITIONS,
+  canTransition,
+  fromGatewayStatus,
+  transitionPayment
+};
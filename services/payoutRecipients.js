@@ -0,0 +1,350 @@
+const { v4: uuidv4 } = require('uuid');
+const { paystackApi } = require('../config/paystack');
+const { getDatabase } = require('../config/firebase');
+
+/**
+ * Teacher payout destinations (M-Pesa numbers and bank accounts)
+ *
+ * Every destination is resolved with Paystack /bank/resolve and registered as
+ * a transfer recipient before it is stored in
+ * payout-recipients/{teacherId}/{recipientId}. Each teacher has at most one
+ * default recipient, which escrow payouts use when no recipient is named.
+ */
+
+const RECIPIENT_TYPES = ['mobile_money', 'bank'];
+
+// Paystack recipient types for Kenyan payout destinations
+const PAYSTACK_RECIPIENT_TYPES = {
+  mobile_money: 'mobile_money',
+  bank: 'kepss'
+};
+
+const MPESA_BANK_CODE = 'MPESA';
+
+/**
+ * Normalize a Kenyan phone number to 254XXXXXXXXX (null if invalid)
+ */
+const formatKenyanPhone = (phone) => {
+  let formattedPhone = String(phone || '').replace(/\s+/g, '');
+
+  if (formattedPhone.startsWith('+254')) {
+    formattedPhone = formattedPhone.substring(1);
+  } else if (formattedPhone.startsWith('0')) {
+    formattedPhone = '254' + formattedPhone.substring(1);
+  } else if (!formattedPhone.startsWith('254')) {
+    formattedPhone = '254' + formattedPhone;
+  }
+
+  return /^254\d{9}$/.test(formattedPhone) ? formattedPhone : null;
+};
+
+// Paystack expects the local format for Kenyan mobile money accounts
+const toMpesaAccountNumber = (phone) => '0' + phone.substring(3);
+
+/**
+ * Mask an account number for display, keeping the last four digits
+ */
+const maskAccountNumber = (accountNumber = '') => {
+  const value = String(accountNumber);
+  return value.length <= 4 ? value : '*'.repeat(value.length - 4) + value.slice(-4);
+};
+
+/**
+ * Recipient as returned by the API (no recipient code, masked account number)
+ */
+const maskRecipient = (recipient) => ({
+  id: recipient.id,
+  teacherId: recipient.teacherId,
+  type: recipient.type,
+  name: recipient.name,
+  accountName: recipient.accountName,
+  accountNumber: maskAccountNumber(recipient.accountNumber),
+  bankCode: recipient.bankCode,
+  bankName: recipient.bankName || null,
+  isDefault: !!recipient.isDefault,
+  createdAt: recipient.createdAt,
+  updatedAt: recipient.updatedAt
+});
+
+/**
+ * Register a transfer recipient with Paystack and return its recipient code
+ */
+const createPaystackRecipient = async ({ type, name, accountNumber, bankCode }) => {
+  const response = await paystackApi.post('/transferrecipient', {
+    type: PAYSTACK_RECIPIENT_TYPES[type],
+    name,
+    account_number: accountNumber,
+    bank_code: bankCode,
+    currency: 'KES'
+  });
+
+  if (!response.data.status) {
+    throw new Error(response.data.message || 'Failed to create transfer recipient');
+  }
+
+  return response.data.data;
+};
+
+/**
+ * Make `recipientId` the teacher's only default recipient
+ */
+const setDefaultRecipient = async (teacherId, recipientId) => {
+  const updatedAt = new Date().toISOString();
+
+  await getDatabase().ref(`payout-recipients/${teacherId}`).transaction(current => {
+    if (current === null) {
+      return null;
+    }
+
+    if (!current[recipientId]) {
+      return; // abort
+    }
+
+    return Object.fromEntries(Object.entries(current).map(([id, recipient]) => [
+      id,
+      recipient.isDefault === (id === recipientId)
+        ? recipient
+        : { ...recipient, isDefault: id === recipientId, updatedAt }
+    ]));
+  });
+};
+
+/**
+ * Verify and store a payout destination for a teacher
+ *
+ * Resolves with { httpStatus, message, data } where data is the masked
+ * recipient.
+ */
+const createRecipient = async ({ teacherId, type, phone, accountNumber, bankCode, name, isDefault }) => {
+  if (!RECIPIENT_TYPES.includes(type)) {
+    return { httpStatus: 400, message: `Recipient type must be one of: ${RECIPIENT_TYPES.join(', ')}` };
+  }
+
+  let destination;
+
+  if (type === 'mobile_money') {
+    const formattedPhone = formatKenyanPhone(phone || accountNumber);
+
+    if (!formattedPhone) {
+      return { httpStatus: 400, message: 'Invalid phone number format. Should be 254XXXXXXXXX' };
+    }
+
+    destination = { accountNumber: toMpesaAccountNumber(formattedPhone), bankCode: MPESA_BANK_CODE, phone: formattedPhone };
+  } else {
+    if (!accountNumber || !bankCode) {
+      return { httpStatus: 400, message: 'Missing required fields: accountNumber, bankCode' };
+    }
+
+    destination = { accountNumber: String(accountNumber).replace(/\s+/g, ''), bankCode: String(bankCode) };
+  }
+
+  let accountName;
+
+  try {
+    const response = await paystackApi.get('/bank/resolve', {
+      params: {
+        account_number: destination.accountNumber,
+        bank_code: destination.bankCode
+      }
+    });
+
+    if (!response.data.status) {
+      throw new Error(response.data.message || 'Account could not be resolved');
+    }
+
+    accountName = response.data.data.account_name;
+  } catch (error) {
+    return {
+      httpStatus: 422,
+      message: 'Payout destination could not be verified',
+      error: error.response?.data?.message || error.message
+    };
+  }
+
+  let paystackRecipient;
+
+  try {
+    paystackRecipient = await createPaystackRecipient({
+      type,
+      name: accountName || name,
+      accountNumber: destination.accountNumber,
+      bankCode: destination.bankCode
+    });
+  } catch (error) {
+    return {
+      httpStatus: 502,
+      message: 'Failed to register transfer recipient',
+      error: error.response?.data?.message || error.message
+    };
+  }
+
+  const db = getDatabase();
+  const id = `rcp_${uuidv4().replace(/-/g, '')}`;
+  const now = new Date().toISOString();
+  const recipient = {
+    id,
+    teacherId,
+    type,
+    name: name || accountName,
+    accountName: accountName || null,
+    accountNumber: destination.accountNumber,
+    bankCode: destination.bankCode,
+    bankName: paystackRecipient.details?.bank_name || null,
+    phone: destination.phone || null,
+    recipientCode: paystackRecipient.recipient_code,
+    isDefault: false,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  const existing = await db.ref(`payout-recipients/${teacherId}`).once('value');
+  await db.ref(`payout-recipients/${teacherId}/${id}`).set(recipient);
+
+  // The first recipient is always the default
+  if (isDefault || !existing.exists()) {
+    await setDefaultRecipient(teacherId, id);
+    recipient.isDefault = true;
+  }
+
+  return { httpStatus: 201, message: 'Payout recipient added', data: maskRecipient(recipient) };
+};
+
+/**
+ * Get a stored recipient (unmasked, null if not found)
+ */
+const getRecipient = async (teacherId, recipientId) => {
+  const snapshot = await getDatabase().ref(`payout-recipients/${teacherId}/${recipientId}`).once('value');
+  return snapshot.val();
+};
+
+/**
+ * Get the teacher's default recipient (unmasked, null if none)
+ */
+const getDefaultRecipient = async (teacherId) => {
+  const snapshot = await getDatabase().ref(`payout-recipients/${teacherId}`).once('value');
+  return Object.values(snapshot.val() || {}).find(recipient => recipient.isDefault) || null;
+};
+
+/**
+ * List a teacher's recipients, default first (masked)
+ */
+const listRecipients = async (teacherId) => {
+  const snapshot = await getDatabase().ref(`payout-recipients/${teacherId}`).once('value');
+
+  return Object.values(snapshot.val() || {})
+    .sort((a, b) => (b.isDefault - a.isDefault) || a.createdAt.localeCompare(b.createdAt))
+    .map(maskRecipient);
+};
+
+/**
+ * Rename a recipient or make it the default
+ *
+ * The destination itself cannot be changed - add a new recipient instead.
+ */
+const updateRecipient = async (teacherId, recipientId, { name, isDefault }) => {
+  const recipient = await getRecipient(teacherId, recipientId);
+
+  if (!recipient) {
+    return { httpStatus: 404, message: 'Payout recipient not found' };
+  }
+
+  if (isDefault === false && recipient.isDefault) {
+    return { httpStatus: 400, message: 'Make another recipient the default instead' };
+  }
+
+  const updates = { updatedAt: new Date().toISOString() };
+
+  if (name) {
+    updates.name = name;
+  }
+
+  await getDatabase().ref(`payout-recipients/${teacherId}/${recipientId}`).update(updates);
+
+  if (isDefault) {
+    await setDefaultRecipient(teacherId, recipientId);
+  }
+
+  return {
+    httpStatus: 200,
+    message: 'Payout recipient updated',
+    data: maskRecipient({ ...recipient, ...updates, isDefault: isDefault || recipient.isDefault })
+  };
+};
+
+/**
+ * Remove a recipient, promoting the oldest remaining one to default
+ */
+const deleteRecipient = async (teacherId, recipientId) => {
+  const db = getDatabase();
+  const recipient = await getRecipient(teacherId, recipientId);
+
+  if (!recipient) {
+    return { httpStatus: 404, message: 'Payout recipient not found' };
+  }
+
+  await db.ref(`payout-recipients/${teacherId}/${recipientId}`).remove();
+
+  try {
+    await paystackApi.delete(`/transferrecipient/${recipient.recipientCode}`);
+  } catch (error) {
+    // The recipient is already unusable locally; Paystack keeps an inactive record
+    console.warn(`Failed to deactivate Paystack recipient ${recipient.recipientCode}:`, error.response?.data?.message || error.message);
+  }
+
+  if (recipient.isDefault) {
+    const remaining = await listRecipients(teacherId);
+
+    if (remaining.length > 0) {
+      await setDefaultRecipient(teacherId, remaining[0].id);
+    }
+  }
+
+  return { httpStatus: 200, message: 'Payout recipient removed', data: { id: recipientId } };
+};
+
+/**
+ * Look up the M-Pesa transfer recipient for a raw phone number, creating it on
+ * first use
+ *
+ * Used when an escrow release names a phone number instead of a stored
+ * recipient. Recipient codes are cached in transfer-recipients/{phone}.
+ */
+const getOrCreatePhoneRecipient = async (phone, name) => {
+  const db = getDatabase();
+  const recipientRef = db.ref(`transfer-recipients/${phone}`);
+  const snapshot = await recipientRef.once('value');
+
+  if (snapshot.exists()) {
+    return snapshot.val().recipientCode;
+  }
+
+  const paystackRecipient = await createPaystackRecipient({
+    type: 'mobile_money',
+    name,
+    accountNumber: toMpesaAccountNumber(phone),
+    bankCode: MPESA_BANK_CODE
+  });
+
+  await recipientRef.set({
+    recipientCode: paystackRecipient.recipient_code,
+    name,
+    phone,
+    createdAt: new Date().toISOString()
+  });
+
+  return paystackRecipient.recipient_code;
+};
+
+module.exports = {
+  RECIPIENT_TYPES,
+  formatKenyanPhone,
+  maskAccountNumber,
+  maskRecipient,
+  createRecipient,
+  getRecipient,
+  getDefaultRecipient,
+  listRecipients,
+  updateRecipient,
+  deleteRecipient,
+  getOrCreatePhoneRecipient
+};
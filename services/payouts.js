@@ -0,0 +1,888 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../config/firebase');
+const logger = require('../utils/logger');
+const { transactions, bookings } = require('../repositories');
+const { PAYMENT_STATES } = require('./paymentLifecycle');
+const { teacherShareOf } = require('./commission');
+const { notifyEscrowReleased } = require('./notifications');
+const { getGateway } = require('./gateways');
+const {
+  formatKenyanPhone,
+  maskAccountNumber,
+  getRecipient,
+  getDefaultRecipient,
+  getOrCreatePhoneRecipient
+} = require('./payoutRecipients');
+
+/**
+ * Escrow payouts to teachers via Paystack /transfer
+ *
+ * Escrow is paid out either as one lump sum (escrowStatus "releasing" until
+ * the transfer completes) or milestone by milestone (see milestones.js). The
+ * transfer.success / transfer.failed webhook confirms or rolls back each
+ * payout. Payouts are recorded in escrow-payouts/{transferReference} so the
+ * webhook can find their booking, and the booking keeps running totals in
+ * escrowReleasingAmount / escrowReleasedAmount.
+ *
+ * The payout goes to a stored payout recipient (see payoutRecipients.js) or,
+ * for older clients, to a raw M-Pesa number.
+ *
+ * The same transfers pay teachers their share of tuition and installments
+ * the platform received in full (see settleDeferredShare). Those payouts have
+ * kind "settlement" and update the payment's split instead of a booking.
+ */
+
+const toKes = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Running escrow balance of a booking (KES)
+ *
+ * `held` is what can still be paid out or refunded: the escrow minus what has
+ * been released, is being released, was refunded or is being refunded.
+ */
+const getEscrowBalance = (booking = {}) => {
+  const total = booking.escrowAmount || 0;
+  const released = booking.escrowReleasedAmount || 0;
+  const releasing = booking.escrowReleasingAmount || 0;
+  const refunded = booking.escrowRefundedAmount || 0;
+  const refunding = booking.escrowRefundingAmount || 0;
+
+  return {
+    total,
+    released,
+    releasing,
+    refunded,
+    refunding,
+    held: Math.max(toKes(total - released - releasing - refunded - refunding), 0)
+  };
+};
+
+/**
+ * Apply a change to the escrow fields of a booking in a transaction, then log
+ * an activity entry for it. `mutate` returns the changed fields, or undefined
+ * to leave the booking alone.
+ */
+const updateEscrowState = async (bookingId, mutate, activity) => {
+  let changes = null;
+
+  await bookings.transaction(bookingId, current => {
+    if (current === null) {
+      return null;
+    }
+
+    changes = mutate(current);
+
+    if (!changes) {
+      return; // abort
+    }
+
+    return { ...current, ...changes, lastUpdated: new Date().toISOString() };
+  });
+
+  if (!changes) {
+    return null;
+  }
+
+  await bookings.appendActivity(bookingId, {
+    timestamp: new Date().toISOString(),
+    ...activity
+  });
+
+  return changes;
+};
+
+/**
+ * Update one milestone inside a booking's escrowMilestones
+ */
+const withMilestone = (booking, milestoneId, update) => ({
+  ...(booking.escrowMilestones || {}),
+  [milestoneId]: {
+    ...booking.escrowMilestones[milestoneId],
+    ...update
+  }
+});
+
+/**
+ * Update the teacher-share settlement of a payment (split.settlement), unless
+ * a later transfer has taken it over
+ */
+const updateSettlement = (paymentReference, transferReference, update) => {
+  return transactions.transaction(paymentReference, current => {
+    if (current?.transferReference !== transferReference) {
+      return; // abort
+    }
+
+    return { ...current, ...update };
+  }, { path: 'split/settlement' });
+};
+
+/**
+ * Mark a payout as paid and add it to the booking's released total
+ */
+const confirmPayout = async (transferReference, source, details = {}) => {
+  const db = getDatabase();
+  let payout = null;
+
+  // Only the first confirmation is applied
+  await db.ref(`escrow-payouts/${transferReference}`).transaction(current => {
+    if (current === null) {
+      return null;
+    }
+
+    if (current.status !== 'pending') {
+      payout = null;
+      return; // abort
+    }
+
+    payout = {
+      ...current,
+      ...details,
+      status: 'success',
+      completedAt: new Date().toISOString()
+    };
+    return payout;
+  });
+
+  if (!payout) {
+    return { applied: false, outcome: 'ignored (payout not pending)' };
+  }
+
+  if (payout.kind === 'settlement') {
+    await updateSettlement(payout.paymentReference, transferReference, {
+      status: 'success',
+      transferCode: payout.transferCode || null,
+      reason: null,
+      completedAt: payout.completedAt
+    });
+
+    logger.info(`TEACHER_SHARE_PAID | Ref: ${payout.paymentReference} | Transfer: ${transferReference} | Amount: KES ${payout.amount}`);
+    return { applied: true, outcome: `teacher_share_paid (payment ${payout.paymentReference})` };
+  }
+
+  const { bookingId, milestoneId, amount } = payout;
+
+  const changes = await updateEscrowState(bookingId, current => {
+    const released = toKes((current.escrowReleasedAmount || 0) + amount);
+    const balance = getEscrowBalance({
+      ...current,
+      escrowReleasedAmount: released,
+      escrowReleasingAmount: toKes((current.escrowReleasingAmount || 0) - amount)
+    });
+    // A lump-sum payout settles the escrow; milestones do once nothing is left
+    const fullyReleased = !milestoneId || (balance.held <= 0 && balance.releasing <= 0);
+
+    return {
+      escrowReleasedAmount: released,
+      escrowReleasingAmount: balance.releasing,
+      escrowHeldAmount: balance.held,
+      escrowStatus: fullyReleased ? 'released' : 'held',
+      ...(milestoneId && {
+        escrowMilestones: withMilestone(current, milestoneId, {
+          status: 'released',
+          releasedAt: payout.completedAt
+        })
+      }),
+      ...(fullyReleased && {
+        escrowPayoutReference: null,
+        escrowReleasedAt: payout.completedAt,
+        paymentStatus: 'paid',
+        paidAt: Date.now(),
+        status: 'completed',
+        // Restored if the transfer is reversed (see rollBackPayout)
+        statusBeforeRelease: current.status || null,
+        paymentStatusBeforeRelease: current.paymentStatus || null
+      })
+    };
+  }, {
+    action: milestoneId ? 'escrow_milestone_released' : 'escrow_released',
+    paymentReference: transferReference,
+    amount,
+    triggeredBy: source,
+    details: {
+      milestoneId: milestoneId || null,
+      destination: payout.destination,
+      recipientId: payout.recipientId || null,
+      transferCode: payout.transferCode || null
+    }
+  });
+
+  logger.info(
+    `ESCROW_RELEASED | Booking: ${bookingId} | Transfer: ${transferReference} | Amount: KES ${amount}` +
+    (milestoneId ? ` | Milestone: ${milestoneId}` : '')
+  );
+
+  await notifyEscrowReleased(payout);
+
+  return {
+    applied: true,
+    outcome: milestoneId
+      ? `escrow_milestone_released (booking ${bookingId}, milestone ${milestoneId})`
+      : `escrow_released (booking ${bookingId})`,
+    escrowStatus: changes?.escrowStatus || null
+  };
+};
+
+/**
+ * Mark a payout as failed (or reversed) and return its amount to the held
+ * balance
+ */
+const rollBackPayout = async (transferReference, failureReason, source, fromStatuses = ['pending']) => {
+  const db = getDatabase();
+  let payout = null;
+  let previousStatus = null;
+
+  await db.ref(`escrow-payouts/${transferReference}`).transaction(current => {
+    if (current === null) {
+      return null;
+    }
+
+    if (!fromStatuses.includes(current.status)) {
+      payout = null;
+      return; // abort
+    }
+
+    previousStatus = current.status;
+    payout = {
+      ...current,
+      status: current.status === 'success' ? 'reversed' : 'failed',
+      failureReason,
+      failedAt: new Date().toISOString()
+    };
+    return payout;
+  });
+
+  if (!payout) {
+    return { applied: false, outcome: `ignored (payout not ${fromStatuses.join('/')})` };
+  }
+
+  if (payout.kind === 'settlement') {
+    // Failed settlements are retried by the reconciler
+    await updateSettlement(payout.paymentReference, transferReference, {
+      status: 'failed',
+      reason: failureReason,
+      failedAt: payout.failedAt
+    });
+
+    logger.warning(`TEACHER_SHARE_FAILED | Ref: ${payout.paymentReference} | Transfer: ${transferReference} | Reason: ${failureReason}`);
+    return { applied: true, outcome: `teacher_share_failed (payment ${payout.paymentReference})` };
+  }
+
+  const { bookingId, milestoneId, amount } = payout;
+
+  await updateEscrowState(bookingId, current => {
+    const totals = previousStatus === 'success'
+      ? { escrowReleasedAmount: toKes((current.escrowReleasedAmount || 0) - amount) }
+      : { escrowReleasingAmount: toKes((current.escrowReleasingAmount || 0) - amount) };
+    // A reversed transfer that had settled the escrow un-completes the booking
+    const reopened = previousStatus === 'success' && current.escrowStatus === 'released';
+
+    return {
+      ...totals,
+      ...(reopened && {
+        status: current.statusBeforeRelease || 'confirmed',
+        paymentStatus: current.paymentStatusBeforeRelease || null,
+        paidAt: null,
+        escrowReleasedAt: null,
+        statusBeforeRelease: null,
+        paymentStatusBeforeRelease: null
+      }),
+      escrowHeldAmount: getEscrowBalance({ ...current, ...totals }).held,
+      escrowStatus: 'held',
+      escrowPayoutFailureReason: failureReason,
+      ...(milestoneId
+        ? {
+          escrowMilestones: withMilestone(current, milestoneId, {
+            status: 'confirmed',
+            transferReference: null,
+            lastPayoutFailure: failureReason
+          })
+        }
+        : { escrowPayoutReference: null })
+    };
+  }, {
+    action: milestoneId ? 'escrow_milestone_release_failed' : 'escrow_release_failed',
+    paymentReference: transferReference,
+    amount,
+    triggeredBy: source,
+    details: { milestoneId: milestoneId || null, reason: failureReason }
+  });
+
+  logger.warning(`ESCROW_RELEASE_FAILED | Booking: ${bookingId} | Transfer: ${transferReference} | Reason: ${failureReason}`);
+
+  return { applied: true, outcome: `escrow_release_failed (booking ${bookingId})` };
+};
+
+/**
+ * Work out where a payout goes: a named recipient, a raw phone number, or the
+ * teacher's default recipient. Resolves with { destination } or { rejection }.
+ */
+const resolvePayoutDestination = async ({ bookingId, teacherId, recipientId, teacherPhone }) => {
+  if (teacherPhone && !recipientId) {
+    const phone = formatKenyanPhone(teacherPhone);
+
+    if (!phone) {
+      return { rejection: { httpStatus: 400, message: 'Invalid phone number format. Should be 254XXXXXXXXX' } };
+    }
+
+    return { destination: { phone, display: phone } };
+  }
+
+  const resolvedTeacherId = teacherId || (await bookings.get(bookingId))?.teacherId;
+
+  if (!resolvedTeacherId) {
+    return { rejection: { httpStatus: 400, message: 'Missing required fields: teacherId or teacherPhone' } };
+  }
+
+  const recipient = recipientId
+    ? await getRecipient(resolvedTeacherId, recipientId)
+    : await getDefaultRecipient(resolvedTeacherId);
+
+  if (!recipient) {
+    return {
+      rejection: {
+        httpStatus: 404,
+        message: recipientId ? 'Payout recipient not found' : 'Teacher has no default payout recipient'
+      }
+    };
+  }
+
+  return {
+    destination: {
+      recipientId: recipient.id,
+      recipientCode: recipient.recipientCode,
+      teacherId: resolvedTeacherId,
+      display: maskAccountNumber(recipient.accountNumber)
+    }
+  };
+};
+
+/**
+ * Reserve part of a booking's escrow for a payout
+ *
+ * The booking's escrow must be held and the payout within what is left of
+ * it. Lump-sum payouts (no `milestoneId`) need both parties' completion, unless
+ * they resolve a dispute. Milestone payouts need the milestone confirmed by
+ * both parties. Resolves with { rejection } or { amount, booking }.
+ */
+const reserveEscrow = async ({ bookingId, milestoneId, amount, disputeId, transferReference }) => {
+  let rejection = { httpStatus: 404, message: 'Booking not found' };
+  let reserved = null;
+  let booking = null;
+
+  await bookings.transaction(bookingId, current => {
+    if (current === null) {
+      rejection = { httpStatus: 404, message: 'Booking not found' };
+      return null;
+    }
+
+    const reject = (httpStatus, message) => {
+      rejection = { httpStatus, message };
+    };
+
+    if (current.activeDisputeId && current.activeDisputeId !== disputeId) {
+      return reject(409, 'Escrow is frozen while a dispute is open on this booking');
+    }
+
+    if (current.escrowStatus === 'released') {
+      return reject(400, 'Escrow has already been released');
+    }
+
+    if (current.escrowStatus === 'refunded') {
+      return reject(400, 'Escrow has been refunded to the parent');
+    }
+
+    if (current.escrowStatus === 'releasing') {
+      return reject(409, 'An escrow payout is already in progress for this booking');
+    }
+
+    const balance = getEscrowBalance(current);
+
+    // Only escrow that was actually collected can be paid out
+    if (current.escrowStatus !== 'held' || !(balance.total > 0)) {
+      return reject(400, 'No escrow is held for this booking');
+    }
+    const milestone = milestoneId ? current.escrowMilestones?.[milestoneId] : null;
+    let requested;
+
+    if (milestoneId) {
+      if (!milestone) {
+        return reject(404, 'Milestone not found');
+      }
+
+      if (milestone.status === 'released') {
+        return reject(400, 'Milestone has already been released');
+      }
+
+      if (milestone.status === 'releasing') {
+        return reject(409, 'A payout is already in progress for this milestone');
+      }
+
+      if (milestone.status !== 'confirmed') {
+        return reject(400, 'Both parties must confirm the milestone before it is released');
+      }
+
+      requested = milestone.amount;
+    } else {
+      if (current.escrowMilestones && !disputeId) {
+        return reject(409, 'Escrow is split into milestones - release them individually');
+      }
+
+      if (!disputeId && (!current.parentCompletedAt || !current.teacherCompletedAt)) {
+        return reject(400, 'Both parties must confirm completion before releasing escrow');
+      }
+
+      requested = amount === undefined || amount === null ? balance.held : toKes(Number(amount));
+    }
+
+    if (!(requested > 0) || requested > balance.held) {
+      return reject(400, `Payout amount must be greater than 0 and at most ${balance.held} KES`);
+    }
+
+    rejection = null;
+    reserved = requested;
+    booking = current;
+
+    return {
+      ...current,
+      escrowReleasingAmount: toKes(balance.releasing + requested),
+      escrowHeldAmount: toKes(balance.held - requested),
+      ...(milestoneId
+        ? {
+          escrowMilestones: withMilestone(current, milestoneId, {
+            status: 'releasing',
+            transferReference
+          })
+        }
+        : {
+          escrowStatus: 'releasing',
+          escrowPayoutReference: transferReference
+        }),
+      escrowReleaseRequestedAt: new Date().toISOString(),
+      lastUpdated: new Date().toISOString()
+    };
+  });
+
+  return rejection ? { rejection } : { amount: reserved, booking };
+};
+
+/**
+ * Reserve part of a booking's escrow for a refund to the parent
+ *
+ * Like payouts, refunds are frozen while a dispute is open (except the one
+ * resolving it, `disputeId`) and limited to the held balance, so money being
+ * paid out to the teacher cannot also be refunded. Resolves with
+ * { rejection } or {}.
+ */
+const reserveEscrowRefund = async ({ bookingId, amount, disputeId = null }) => {
+  let rejection = { httpStatus: 404, message: 'Booking not found' };
+
+  await bookings.transaction(bookingId, current => {
+    if (current === null) {
+      rejection = { httpStatus: 404, message: 'Booking not found' };
+      return null;
+    }
+
+    if (current.activeDisputeId && current.activeDisputeId !== disputeId) {
+      rejection = { httpStatus: 409, message: 'Escrow is frozen while a dispute is open on this booking' };
+      return; // abort
+    }
+
+    const balance = getEscrowBalance(current);
+
+    if (!(amount > 0) || amount > balance.held) {
+      rejection = {
+        httpStatus: 400,
+        message: `Only ${balance.held} KES of the escrow is held - the rest has been paid out or refunded`
+      };
+      return; // abort
+    }
+
+    rejection = null;
+
+    return {
+      ...current,
+      escrowRefundingAmount: toKes(balance.refunding + amount),
+      escrowHeldAmount: toKes(balance.held - amount),
+      lastUpdated: new Date().toISOString()
+    };
+  });
+
+  return rejection ? { rejection } : {};
+};
+
+/**
+ * Settle a refund reserved with reserveEscrowRefund
+ *
+ * A processed refund moves from escrowRefundingAmount to escrowRefundedAmount
+ * (refunds started from the Paystack dashboard were never reserved); a failed
+ * one returns to the held balance. `activity` is logged on the booking.
+ */
+const settleEscrowRefund = (bookingId, amount, { processed, fullyRefunded = false, activity }) => {
+  return updateEscrowState(bookingId, current => {
+    const totals = {
+      escrowRefundingAmount: Math.max(toKes((current.escrowRefundingAmount || 0) - amount), 0),
+      ...(processed && {
+        escrowRefundedAmount: toKes((current.escrowRefundedAmount || 0) + amount),
+        escrowRefundedAt: new Date().toISOString()
+      })
+    };
+
+    return {
+      ...totals,
+      escrowHeldAmount: getEscrowBalance({ ...current, ...totals }).held,
+      // A partial refund leaves the rest of the escrow in whatever state it is
+      // in (held, or being paid out after a split dispute resolution)
+      ...(processed && fullyRefunded && { escrowStatus: 'refunded' })
+    };
+  }, activity);
+};
+
+/**
+ * Platform commission on an escrow payout (KES)
+ *
+ * Escrow is charged without a split, so the commission recorded on the
+ * escrow payment is deducted proportionally from each payout instead.
+ */
+const payoutCommission = async (booking, payoutAmount) => {
+  if (!booking.escrowReference) {
+    return 0;
+  }
+
+  const split = await transactions.getField(booking.escrowReference, 'split');
+  return toKes(payoutAmount * (1 - teacherShareOf(split)));
+};
+
+/**
+ * Reserve the escrow and start the Paystack transfer for one payout
+ */
+const startEscrowPayout = async ({
+  bookingId,
+  milestoneId = null,
+  teacherId,
+  recipientId,
+  teacherPhone,
+  teacherName,
+  amount,
+  requestedBy,
+  disputeId = null
+}) => {
+  const db = getDatabase();
+  const { destination, rejection: destinationRejection } = await resolvePayoutDestination({
+    bookingId,
+    teacherId,
+    recipientId,
+    teacherPhone
+  });
+
+  if (destinationRejection) {
+    return destinationRejection;
+  }
+
+  const transferReference = `payout_${uuidv4().replace(/-/g, '')}`;
+  const reservation = await reserveEscrow({ bookingId, milestoneId, amount, disputeId, transferReference });
+
+  if (reservation.rejection) {
+    return reservation.rejection;
+  }
+
+  const { amount: payoutAmount, booking } = reservation;
+  const commissionAmount = await payoutCommission(booking, payoutAmount);
+  const transferAmount = toKes(payoutAmount - commissionAmount);
+  const payoutRef = db.ref(`escrow-payouts/${transferReference}`);
+  const payout = {
+    reference: transferReference,
+    bookingId,
+    milestoneId,
+    amount: payoutAmount,
+    commissionAmount,
+    transferAmount,
+    teacherId: destination.teacherId || null,
+    recipientId: destination.recipientId || null,
+    recipientCode: destination.recipientCode || null,
+    teacherPhone: destination.phone || null,
+    destination: destination.display,
+    status: 'pending',
+    requestedBy: requestedBy || null,
+    disputeId,
+    createdAt: new Date().toISOString()
+  };
+
+  // Written before calling Paystack so an early webhook can find the booking
+  await payoutRef.set(payout);
+
+  let transfer;
+
+  try {
+    let { recipientCode } = destination;
+
+    if (!recipientCode) {
+      recipientCode = await getOrCreatePhoneRecipient(destination.phone, teacherName || booking.teacherName || 'Teacher');
+      await payoutRef.update({ recipientCode });
+    }
+
+    // Payouts go to Paystack transfer recipients whatever the payment gateway
+    transfer = await getGateway('paystack').transfer({
+      reference: transferReference,
+      amount: transferAmount,
+      recipient: recipientCode,
+      reason: milestoneId
+        ? `Escrow milestone ${booking.escrowMilestones[milestoneId].title || milestoneId} for booking ${bookingId}`
+        : `Escrow release for booking ${bookingId}`
+    });
+  } catch (error) {
+    const { message } = error;
+    await rollBackPayout(transferReference, message, 'release_request');
+
+    return { httpStatus: 502, message: 'Failed to start escrow payout', error: message };
+  }
+
+  await payoutRef.update({
+    transferCode: transfer.transferCode,
+    transferStatus: transfer.status
+  });
+
+  let escrowStatus = milestoneId ? 'held' : 'releasing';
+  let completed = false;
+
+  if (transfer.status === 'success') {
+    const confirmation = await confirmPayout(transferReference, 'release_request', { transferCode: transfer.transferCode });
+    escrowStatus = confirmation.escrowStatus || escrowStatus;
+    completed = true;
+  } else if (transfer.status === 'failed') {
+    await rollBackPayout(transferReference, 'Transfer failed', 'release_request');
+    return { httpStatus: 502, message: 'Failed to start escrow payout', error: 'Transfer failed' };
+  }
+
+  logger.info(
+    `ESCROW_RELEASE_STARTED | Booking: ${bookingId} | Transfer: ${transferReference} | Amount: KES ${payoutAmount}` +
+    (commissionAmount ? ` | Commission: KES ${commissionAmount}` : '') +
+    (milestoneId ? ` | Milestone: ${milestoneId}` : '')
+  );
+
+  return {
+    httpStatus: 200,
+    message: completed
+      ? 'Escrow payment released successfully'
+      : 'Escrow payout initiated. The booking will be released once the transfer completes.',
+    data: {
+      bookingId,
+      ...(milestoneId && { milestoneId, milestoneStatus: completed ? 'released' : 'releasing' }),
+      amount: payoutAmount,
+      commissionAmount,
+      transferAmount,
+      recipientId: destination.recipientId || null,
+      destination: destination.display,
+      transferReference,
+      transferCode: transfer.transferCode,
+      escrowStatus
+    }
+  };
+};
+
+/**
+ * Start the payout of a completed booking's escrow to the teacher
+ *
+ * Pass `recipientId` (or nothing, to use the teacher's default recipient) or
+ * a raw `teacherPhone`. `amount` (KES) defaults to the escrow still held on
+ * the booking. Release is frozen while a dispute is open, except for the
+ * payout that resolves it (`disputeId`), which also skips the completion
+ * check. Resolves with { httpStatus, message, data }.
+ */
+const releaseEscrowPayout = (options) => startEscrowPayout({ ...options, milestoneId: null });
+
+/**
+ * Start the payout of one confirmed escrow milestone to the teacher
+ */
+const releaseMilestonePayout = ({ bookingId, milestoneId, ...options }) => {
+  return startEscrowPayout({ ...options, bookingId, milestoneId, amount: null, disputeId: null });
+};
+
+/**
+ * Get the escrow payout recorded for a transfer reference (null if none)
+ */
+const getEscrowPayout = async (transferReference) => {
+  const snapshot = await getDatabase().ref(`escrow-payouts/${transferReference}`).once('value');
+  return snapshot.val();
+};
+
+/**
+ * Claim the teacher-share settlement of a deferred-commission payment
+ *
+ * Resolves with { payment, reason }: the payment when claimed, otherwise why
+ * it was not.
+ */
+const claimSettlement = async (reference, transferReference, source) => {
+  let payment = null;
+  let reason = 'not_found';
+
+  await transactions.transaction(reference, current => {
+    payment = null;
+
+    if (current === null) {
+      reason = 'not_found';
+      return null;
+    }
+
+    const { split } = current;
+    const settlement = split?.settlement;
+
+    // Escrow is settled by its own payouts (see payoutCommission)
+    if (split?.mode !== 'deferred' || !(split.teacherAmount > 0) || current.metadata?.payment_type === 'escrow') {
+      reason = 'no_deferred_share';
+      return; // abort
+    }
+
+    if (current.status !== PAYMENT_STATES.SUCCESS) {
+      reason = `status ${current.status}`;
+      return; // abort
+    }
+
+    if (settlement && settlement.status !== 'failed') {
+      reason = `settlement ${settlement.status}`;
+      return; // abort
+    }
+
+    payment = {
+      ...current,
+      split: {
+        ...split,
+        settlement: {
+          status: 'pending',
+          transferReference,
+          amount: split.teacherAmount,
+          attempts: (settlement?.attempts || 0) + 1,
+          source,
+          startedAt: new Date().toISOString()
+        }
+      }
+    };
+    return payment;
+  });
+
+  return { payment, reason };
+};
+
+/**
+ * Pay the teacher their share of a payment the platform received in full
+ *
+ * Tuition and installments are split at charge where the gateway allows it.
+ * When it cannot (Daraja, or a teacher not yet onboarded as a subaccount) the
+ * split is "deferred", and once the payment is fulfilled split.teacherAmount
+ * is transferred to the teacher's default payout recipient. Progress is kept
+ * in split.settlement: "pending", then "success" or "failed" (with a reason);
+ * failed settlements are retried by the reconciler. Resolves with
+ * { settled, outcome }.
+ */
+const settleDeferredShare = async (reference, source) => {
+  const transferReference = `settle_${uuidv4().replace(/-/g, '')}`;
+  const { payment, reason } = await claimSettlement(reference, transferReference, source);
+
+  if (!payment) {
+    return { settled: false, outcome: `ignored (${reason})` };
+  }
+
+  const { split } = payment;
+  const bookingId = payment.metadata?.booking_id || payment.bookingId || null;
+  const { destination, rejection } = await resolvePayoutDestination({ bookingId, teacherId: split.teacherId });
+
+  if (rejection) {
+    await updateSettlement(reference, transferReference, {
+      status: 'failed',
+      reason: rejection.message,
+      failedAt: new Date().toISOString()
+    });
+
+    logger.warning(`TEACHER_SHARE_FAILED | Ref: ${reference} | Reason: ${rejection.message}`);
+    return { settled: false, outcome: `teacher_share_failed (${rejection.message})` };
+  }
+
+  const payoutRef = getDatabase().ref(`escrow-payouts/${transferReference}`);
+
+  // Written before calling Paystack so an early webhook can find the payment
+  await payoutRef.set({
+    reference: transferReference,
+    kind: 'settlement',
+    paymentReference: reference,
+    bookingId,
+    amount: split.teacherAmount,
+    commissionAmount: split.platformAmount,
+    transferAmount: split.teacherAmount,
+    teacherId: destination.teacherId,
+    recipientId: destination.recipientId,
+    recipientCode: destination.recipientCode,
+    destination: destination.display,
+    status: 'pending',
+    requestedBy: source,
+    createdAt: new Date().toISOString()
+  });
+
+  let transfer;
+
+  try {
+    transfer = await getGateway('paystack').transfer({
+      reference: transferReference,
+      amount: split.teacherAmount,
+      recipient: destination.recipientCode,
+      reason: `Teacher share of payment ${reference}`
+    });
+  } catch (error) {
+    await rollBackPayout(transferReference, error.message, source);
+    return { settled: false, outcome: `teacher_share_failed (${error.message})` };
+  }
+
+  await payoutRef.update({
+    transferCode: transfer.transferCode,
+    transferStatus: transfer.status
+  });
+
+  if (transfer.status === 'success') {
+    const confirmation = await confirmPayout(transferReference, source, { transferCode: transfer.transferCode });
+    return { settled: true, outcome: confirmation.outcome };
+  }
+
+  if (transfer.status === 'failed') {
+    await rollBackPayout(transferReference, 'Transfer failed', source);
+    return { settled: false, outcome: 'teacher_share_failed (Transfer failed)' };
+  }
+
+  return { settled: false, outcome: `teacher_share_pending (transfer ${transferReference})` };
+};
+
+/**
+ * Apply a transfer.success / transfer.failed / transfer.reversed webhook to its payout
+ *
+ * Resolves with { httpStatus, outcome } like processPaystackEvent.
+ */
+const applyTransferEvent = async (eventType, data = {}) => {
+  const source = `webhook:${eventType}`;
+
+  if (eventType === 'transfer.success') {
+    const result = await confirmPayout(data.reference, source, { transferCode: data.transfer_code || null });
+    return { httpStatus: 200, outcome: result.outcome };
+  }
+
+  if (eventType === 'transfer.failed') {
+    const reason = data.reason || data.gateway_response || 'Transfer failed';
+    const result = await rollBackPayout(data.reference, reason, source);
+    return { httpStatus: 200, outcome: result.outcome };
+  }
+
+  if (eventType === 'transfer.reversed') {
+    // A reversal can arrive after transfer.success - the money is back in our balance
+    const result = await rollBackPayout(data.reference, 'Transfer reversed', source, ['pending', 'success']);
+    return { httpStatus: 200, outcome: result.outcome };
+  }
+
+  return { httpStatus: 200, outcome: 'unhandled' };
+};
+
+module.exports = {
+  getEscrowBalance,
+  releaseEscrowPayout,
+  reserveEscrowRefund,
+  settleEscrowRefund,
+  releaseMilestonePayout,
+  getEscrowPayout,
+  applyTransferEvent,
+  settleDeferredShare
+};
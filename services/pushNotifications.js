@@ -0,0 +1,208 @@
+const { getDatabase, getMessaging } = require('../config/firebase');
+const { sha256 } = require('../utils/hashing');
+const logger = require('../utils/logger');
+
+/**
+ * FCM device tokens and push sending
+ *
+ * Tokens are stored in device-tokens/{userId}/{tokenId} (tokenId is derived
+ * from the token) and device-token-owners/{tokenId} holds the user a token
+ * belongs to, so a device that signs in as another user stops receiving the
+ * previous user's notifications.
+ */
+
+const PUSH_NOTIFICATIONS_ENABLED = process.env.PUSH_NOTIFICATIONS_ENABLED !== 'false';
+
+const DEVICE_PLATFORMS = ['android', 'ios', 'web'];
+
+// Oldest tokens (by lastSeenAt) are dropped beyond this
+const MAX_TOKENS_PER_USER = 10;
+
+// sendEachForMulticast accepts at most 500 tokens per call
+const MULTICAST_LIMIT = 500;
+
+// FCM errors that mean a token will never work again
+const STALE_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
+const tokenIdOf = (token) => sha256(token).substring(0, 32);
+
+const maskToken = (token) => `${token.substring(0, 8)}...${token.slice(-6)}`;
+
+const toDeviceView = (tokenId, device) => ({
+  tokenId,
+  token: maskToken(device.token),
+  platform: device.platform || null,
+  registeredAt: device.registeredAt,
+  lastSeenAt: device.lastSeenAt
+});
+
+/**
+ * Remove a token from a user and, if it is theirs, its owner entry
+ */
+const removeToken = async (userId, tokenId) => {
+  const db = getDatabase();
+
+  await db.ref(`device-tokens/${userId}/${tokenId}`).remove();
+  await db.ref(`device-token-owners/${tokenId}`).transaction(current => {
+    if (current === null) {
+      return null;
+    }
+
+    return current === userId ? null : undefined;
+  });
+};
+
+/**
+ * Register (or refresh) a device token for a user
+ *
+ * Resolves with { httpStatus, message, data }.
+ */
+const registerDeviceToken = async ({ userId, token, platform = null }) => {
+  if (typeof token !== 'string' || token.length < 20 || token.length > 4096) {
+    return { httpStatus: 400, message: 'A valid FCM device token is required' };
+  }
+
+  if (platform && !DEVICE_PLATFORMS.includes(platform)) {
+    return { httpStatus: 400, message: `platform must be one of: ${DEVICE_PLATFORMS.join(', ')}` };
+  }
+
+  const db = getDatabase();
+  const tokenId = tokenIdOf(token);
+  const now = new Date().toISOString();
+
+  // A token belongs to the user last signed in on the device
+  const ownerSnapshot = await db.ref(`device-token-owners/${tokenId}`).once('value');
+  const previousOwner = ownerSnapshot.val();
+
+  if (previousOwner && previousOwner !== userId) {
+    await db.ref(`device-tokens/${previousOwner}/${tokenId}`).remove();
+  }
+
+  const deviceRef = db.ref(`device-tokens/${userId}/${tokenId}`);
+  const existing = (await deviceRef.once('value')).val();
+  const device = {
+    token,
+    platform: platform || existing?.platform || null,
+    registeredAt: existing?.registeredAt || now,
+    lastSeenAt: now
+  };
+
+  await deviceRef.set(device);
+  await db.ref(`device-token-owners/${tokenId}`).set(userId);
+
+  const devices = Object.entries((await db.ref(`device-tokens/${userId}`).once('value')).val() || {});
+
+  if (devices.length > MAX_TOKENS_PER_USER) {
+    const oldest = devices
+      .sort(([, a], [, b]) => a.lastSeenAt.localeCompare(b.lastSeenAt))
+      .slice(0, devices.length - MAX_TOKENS_PER_USER);
+
+    for (const [oldTokenId] of oldest) {
+      await removeToken(userId, oldTokenId);
+    }
+  }
+
+  return {
+    httpStatus: existing ? 200 : 201,
+    message: existing ? 'Device token refreshed' : 'Device token registered',
+    data: toDeviceView(tokenId, device)
+  };
+};
+
+/**
+ * Unregister a device token (e.g. on sign-out)
+ *
+ * Resolves with { httpStatus, message }.
+ */
+const unregisterDeviceToken = async ({ userId, token }) => {
+  if (typeof token !== 'string' || !token) {
+    return { httpStatus: 400, message: 'token is required' };
+  }
+
+  const tokenId = tokenIdOf(token);
+  const snapshot = await getDatabase().ref(`device-tokens/${userId}/${tokenId}`).once('value');
+
+  if (!snapshot.exists()) {
+    return { httpStatus: 404, message: 'Device token not registered for this user' };
+  }
+
+  await removeToken(userId, tokenId);
+
+  return { httpStatus: 200, message: 'Device token unregistered' };
+};
+
+/**
+ * A user's registered devices (tokens masked)
+ */
+const listDeviceTokens = async (userId) => {
+  const snapshot = await getDatabase().ref(`device-tokens/${userId}`).once('value');
+
+  return Object.entries(snapshot.val() || {}).map(([tokenId, device]) => toDeviceView(tokenId, device));
+};
+
+/**
+ * Registered tokens of several users, as [{ userId, tokenId, token }]
+ */
+const getDeviceTokens = async (userIds) => {
+  const db = getDatabase();
+  const snapshots = await Promise.all(userIds.map(userId => db.ref(`device-tokens/${userId}`).once('value')));
+
+  return snapshots.flatMap((snapshot, index) => Object.entries(snapshot.val() || {})
+    .map(([tokenId, device]) => ({ userId: userIds[index], tokenId, token: device.token })));
+};
+
+/**
+ * Send a push notification to every device of the given users
+ *
+ * `data` values are sent as strings. Tokens FCM reports as no longer valid
+ * are unregistered. Resolves with { tokenCount, successCount, failureCount,
+ * removedCount }.
+ */
+const sendPushToUsers = async (userIds, { title, body, data = {} }) => {
+  const devices = await getDeviceTokens(userIds);
+  const payloadData = Object.fromEntries(Object.entries(data)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => [key, String(value)]));
+  let successCount = 0;
+  let failureCount = 0;
+  let removedCount = 0;
+
+  for (let start = 0; start < devices.length; start += MULTICAST_LIMIT) {
+    const batch = devices.slice(start, start + MULTICAST_LIMIT);
+    const response = await getMessaging().sendEachForMulticast({
+      tokens: batch.map(device => device.token),
+      notification: { title, body },
+      data: payloadData,
+      android: { priority: 'high' },
+      apns: { payload: { aps: { sound: 'default' } } }
+    });
+
+    successCount += response.successCount;
+    failureCount += response.failureCount;
+
+    for (const [index, result] of response.responses.entries()) {
+      if (!result.success && STALE_TOKEN_ERRORS.includes(result.error?.code)) {
+        await removeToken(batch[index].userId, batch[index].tokenId);
+        removedCount += 1;
+      }
+    }
+  }
+
+  if (removedCount > 0) {
+    logger.info(`PUSH_TOKENS_REMOVED | ${removedCount} stale token(s) for ${userIds.join(', ')}`);
+  }
+
+  return { tokenCount: devices.length, successCount, failureCount, removedCount };
+};
+
+module.exports = {
+  PUSH_NOTIFICATIONS_ENABLED,
+  registerDeviceToken,
+  unregisterDeviceToken,
+  listDeviceTokens,
+  getDeviceTokens,
+  sendPushToUsers
+};
@@ -0,0 +1,339 @@
+const { getDatabase } = require('../config/firebase');
+const { transactions, bookings } = require('../repositories');
+const { PLATFORM, DOCUMENT_NUMBER_PREFIX, FINANCIAL_YEAR_START_MONTH } = require('../config/platform');
+const { PAYMENT_STATES } = require('./paymentLifecycle');
+const { gatewayForTransaction } = require('./gateways');
+const logger = require('../utils/logger');
+
+/**
+ * Receipts for successful payments and invoices for unpaid installments
+ *
+ * Each document is issued once and stored in receipts/{reference} or
+ * invoices/{bookingId}_{installmentId} with everything printed on it, so the
+ * PDF can be regenerated identically later. Numbers are sequential and
+ * gap-free per financial year (SG-RCT-2025-000042):
+ *
+ *   1. the document key is claimed, so only one request numbers it
+ *   2. the next number is taken in a transaction on
+ *      document-counters/{kind}/{financialYear}, which also keeps a pending
+ *      copy of the numbered document
+ *   3. the document is stored and its pending copy removed
+ *
+ * Pending copies left by an interrupted issue are stored by the next issue,
+ * so a number is never taken without its document being written.
+ */
+
+const DOCUMENT_KINDS = {
+  receipt: { collection: 'receipts', code: 'RCT' },
+  invoice: { collection: 'invoices', code: 'INV' }
+};
+
+// Payment statuses that have a receipt (refunded payments keep theirs)
+const RECEIPTABLE_STATUSES = [
+  PAYMENT_STATES.SUCCESS,
+  PAYMENT_STATES.REFUND_PENDING,
+  PAYMENT_STATES.PARTIALLY_REFUNDED,
+  PAYMENT_STATES.REFUNDED
+];
+
+// A claim older than this is assumed to have crashed and may be taken over
+const CLAIM_TIMEOUT_MS = 30 * 1000;
+
+const PAYMENT_DESCRIPTIONS = {
+  booking_fee: 'Booking fee',
+  escrow: 'Tuition (held in escrow until the lessons are completed)',
+  tuition: 'Tuition',
+  subscription: 'Study Booster subscription'
+};
+
+/**
+ * Financial year label for a date, e.g. "2025" or "2025-26"
+ */
+const financialYearOf = (date) => {
+  const value = new Date(date);
+  const year = value.getUTCMonth() + 1 >= FINANCIAL_YEAR_START_MONTH
+    ? value.getUTCFullYear()
+    : value.getUTCFullYear() - 1;
+
+  return FINANCIAL_YEAR_START_MONTH === 1
+    ? String(year)
+    : `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Store any documents whose numbers were taken but never written
+ *
+ * Resolves with the stored documents.
+ */
+const storePendingDocuments = async (counterRef, collection) => {
+  const snapshot = await counterRef.child('pending').once('value');
+  const stored = [];
+
+  for (const [pendingKey, document] of Object.entries(snapshot.val() || {})) {
+    await getDatabase().ref(`${collection}/${document.key}`).set(document);
+    await counterRef.child(`pending/${pendingKey}`).remove();
+    stored.push(document);
+  }
+
+  return stored;
+};
+
+/**
+ * Number and store a document exactly once
+ *
+ * `build` returns the document fields (without number) and is only called by
+ * the request that claimed the key. Resolves with { document } or
+ * { rejection }.
+ */
+const issueDocument = async (kind, key, build) => {
+  const { collection, code } = DOCUMENT_KINDS[kind];
+  const db = getDatabase();
+  const documentRef = db.ref(`${collection}/${key}`);
+  const claimedAt = Date.now();
+  let existing = null;
+
+  const { committed } = await documentRef.transaction(current => {
+    existing = null;
+
+    if (current && (current.status === 'issued' || claimedAt - (current.claimedAt || 0) < CLAIM_TIMEOUT_MS)) {
+      existing = current;
+      return; // abort
+    }
+
+    return { key, status: 'issuing', claimedAt };
+  });
+
+  if (!committed) {
+    return existing?.status === 'issued'
+      ? { document: existing }
+      : { rejection: { httpStatus: 409, message: `The ${kind} is being issued, try again shortly` } };
+  }
+
+  let fields;
+
+  try {
+    fields = await build();
+  } catch (error) {
+    await documentRef.remove();
+    throw error;
+  }
+
+  if (fields.rejection) {
+    await documentRef.remove();
+    return fields;
+  }
+
+  const issuedAt = new Date().toISOString();
+  const financialYear = financialYearOf(issuedAt);
+  const counterRef = db.ref(`document-counters/${kind}/${financialYear}`);
+  let document = null;
+
+  // Taken over from a crashed issue that already got its number
+  const recovered = (await storePendingDocuments(counterRef, collection)).find(item => item.key === key);
+
+  if (recovered) {
+    return { document: recovered };
+  }
+
+  await counterRef.transaction(current => {
+    const counter = current || { lastSequence: 0, pending: {} };
+
+    // Recovered concurrently by another issue's storePendingDocuments
+    const pending = Object.values(counter.pending || {}).find(item => item.key === key);
+
+    if (pending) {
+      document = pending;
+      return counter;
+    }
+
+    const sequence = counter.lastSequence + 1;
+
+    document = {
+      ...fields,
+      key,
+      kind,
+      status: 'issued',
+      number: `${DOCUMENT_NUMBER_PREFIX}-${code}-${financialYear}-${String(sequence).padStart(6, '0')}`,
+      financialYear,
+      sequence,
+      issuedAt,
+      platform: PLATFORM
+    };
+
+    return {
+      ...counter,
+      lastSequence: sequence,
+      // Prefixed so Firebase does not turn the map into an array
+      pending: { ...(counter.pending || {}), [`seq_${sequence}`]: document }
+    };
+  });
+
+  await documentRef.set(document);
+  await counterRef.child(`pending/seq_${document.sequence}`).remove();
+
+  logger.info(`DOCUMENT_ISSUED | ${document.number} | ${kind} ${key}`);
+
+  return { document };
+};
+
+/**
+ * Read a booking (empty object if it does not exist)
+ */
+const getBooking = async (bookingId) => {
+  if (!bookingId) {
+    return {};
+  }
+
+  return (await bookings.get(bookingId)) || {};
+};
+
+/**
+ * Booking details printed on a document
+ */
+const bookingDetails = (bookingId, booking) => {
+  if (!bookingId) {
+    return null;
+  }
+
+  return {
+    id: bookingId,
+    teacherName: booking.teacherName || null,
+    studentName: booking.studentName || null,
+    subject: booking.subject || null
+  };
+};
+
+/**
+ * Line description for a payment
+ */
+const describePayment = async (transaction, metadata) => {
+  const paymentType = metadata.payment_type;
+
+  if (paymentType === 'installment' && metadata.installment_id) {
+    const snapshot = await getDatabase()
+      .ref(`installment-plans/${transaction.bookingId || metadata.booking_id}`)
+      .once('value');
+    const installments = snapshot.val()?.installments || {};
+    const installment = installments[metadata.installment_id];
+
+    return installment
+      ? `Tuition installment ${installment.order} of ${Object.keys(installments).length} (due ${installment.dueDate})`
+      : 'Tuition installment';
+  }
+
+  if (paymentType === 'subscription' && metadata.plan) {
+    return `Study Booster subscription (${metadata.plan.replace(/_/g, ' ')})`;
+  }
+
+  return PAYMENT_DESCRIPTIONS[paymentType] || 'Payment';
+};
+
+/**
+ * Issue (or fetch) the receipt for a successful payment
+ *
+ * `gatewayData` is the Paystack transaction when the caller has it (webhook);
+ * otherwise it is fetched from /transaction/verify. Resolves with
+ * { document } or { rejection }.
+ */
+const issueReceipt = async (reference, gatewayData = null) => {
+  return issueDocument('receipt', reference, async () => {
+    const transaction = await transactions.get(reference);
+
+    if (!transaction) {
+      return { rejection: { httpStatus: 404, message: 'Transaction not found' } };
+    }
+
+    if (!RECEIPTABLE_STATUSES.includes(transaction.status)) {
+      return {
+        rejection: {
+          httpStatus: 409,
+          message: `A receipt is only available once the payment has succeeded (status: ${transaction.status})`
+        }
+      };
+    }
+
+    let paymentData = gatewayData;
+
+    if (!paymentData) {
+      try {
+        paymentData = await gatewayForTransaction(transaction).verify({ reference, transaction });
+      } catch (error) {
+        // The stored transaction has everything except the M-Pesa receipt code
+        logger.warning(`Receipt ${reference}: could not fetch ${error.gateway || 'gateway'} transaction - ${error.message}`);
+      }
+    }
+
+    const metadata = { ...(transaction.metadata || {}), ...(paymentData?.metadata || {}) };
+    const bookingId = transaction.bookingId || metadata.booking_id || null;
+    const customer = paymentData?.customer || {};
+    const amount = paymentData?.amount ? paymentData.amount / 100 : transaction.amount;
+    const payerName = [customer.first_name, customer.last_name].filter(Boolean).join(' ');
+
+    return {
+      reference,
+      paidAt: paymentData?.paid_at || transaction.paid_at || transaction.completedAt || null,
+      payer: {
+        name: metadata.payerName || payerName || null,
+        email: transaction.email || customer.email || null,
+        phone: transaction.phone || customer.phone || null
+      },
+      booking: bookingDetails(bookingId, await getBooking(bookingId)),
+      items: [{ description: await describePayment(transaction, metadata), amount }],
+      amount,
+      currency: paymentData?.currency || 'KES',
+      paymentMethod: (paymentData?.channel || transaction.channel || transaction.paymentMethod) === 'card' ? 'Card' : 'M-Pesa',
+      mpesaReference: paymentData?.receipt_number || transaction.mpesaReceiptNumber || null
+    };
+  });
+};
+
+/**
+ * Issue (or fetch) the invoice for an unpaid installment
+ *
+ * Resolves with { document } or { rejection }.
+ */
+const issueInstallmentInvoice = async (bookingId, installmentId) => {
+  return issueDocument('invoice', `${bookingId}_${installmentId}`, async () => {
+    const snapshot = await getDatabase().ref(`installment-plans/${bookingId}`).once('value');
+    const plan = snapshot.val();
+    const installment = plan?.installments?.[installmentId];
+
+    if (!installment) {
+      return { rejection: { httpStatus: 404, message: 'Installment not found' } };
+    }
+
+    if (installment.status === 'paid') {
+      return { rejection: { httpStatus: 409, message: 'Installment has been paid - download its receipt instead' } };
+    }
+
+    const amount = Math.round((installment.amount - (installment.paidAmount || 0)) * 100) / 100;
+    const booking = await getBooking(bookingId);
+
+    return {
+      bookingId,
+      installmentId,
+      dueDate: installment.dueDate,
+      payer: {
+        name: booking.parentName || null,
+        email: booking.parentEmail || null,
+        phone: booking.parentPhone || null
+      },
+      booking: bookingDetails(bookingId, booking),
+      items: [{
+        description: `Tuition installment ${installment.order} of ${Object.keys(plan.installments).length} (due ${installment.dueDate})`,
+        amount
+      }],
+      amount,
+      currency: plan.currency || 'KES',
+      paymentInstructions: `Pay via M-Pesa in the ShuleGram app, quoting installment ${installmentId}`
+    };
+  });
+};
+
+module.exports = {
+  financialYearOf,
+  getBooking,
+  describePayment,
+  issueReceipt,
+  issueInstallmentInvoice
+};
@@ -0,0 +1,330 @@
+const { v4: uuidv4 } = require('uuid');
+const { getDatabase } = require('../config/firebase');
+const { transactions } = require('../repositories');
+const logger = require('../utils/logger');
+const { PAYMENT_STATES, fromGatewayStatus, transitionPayment } = require('./paymentLifecycle');
+const { settleRetriedPayment, settleSuccessfulCharge, settleUnsuccessfulCharge } = require('./webhookProcessor');
+const { fulfillPayment, listUnfulfilledPayments } = require('./fulfillment');
+const { gatewayForTransaction } = require('./gateways');
+const { settleDeferredShare } = require('./payouts');
+
+/**
+ * Background reconciliation of stale pending transactions
+ *
+ * A transaction only leaves "pending" (or "abandoned") when a webhook arrives
+ * or the client calls /verify. If the webhook is lost, the reconciler asks the
+ * gateway for the outcome and applies it through the same settlement path as
+ * the webhook. Records still unresolved after RECONCILE_EXPIRE_AFTER_MS are
+ * marked expired. Payments left "retrying" are settled from their retry's
+ * record. Each run also retries the fulfillment of successful payments whose
+ * fulfillment failed or never finished (see services/fulfillment.js), and
+ * teacher-share settlements that failed (see settleDeferredShare).
+ */
+const config = {
+  enabled: process.env.RECONCILE_ENABLED !== 'false',
+  intervalMs: parseInt(process.env.RECONCILE_INTERVAL_MS || `${10 * 60 * 1000}`, 10),
+  minAgeMs: parseInt(process.env.RECONCILE_MIN_AGE_MS || `${15 * 60 * 1000}`, 10),
+  expireAfterMs: parseInt(process.env.RECONCILE_EXPIRE_AFTER_MS || `${24 * 60 * 60 * 1000}`, 10),
+  batchSize: parseInt(process.env.RECONCILE_BATCH_SIZE || '100', 10)
+};
+
+// Statuses the reconciler looks for a final outcome of
+const RECONCILABLE_STATES = [PAYMENT_STATES.PENDING, PAYMENT_STATES.ABANDONED, PAYMENT_STATES.RETRYING];
+
+// A retry in one of these was not paid, so its original can be retried again
+const UNPAID_RETRY_STATES = [
+  PAYMENT_STATES.FAILED,
+  PAYMENT_STATES.ABANDONED,
+  PAYMENT_STATES.CANCELLED,
+  PAYMENT_STATES.EXPIRED,
+  PAYMENT_STATES.REVERSED
+];
+
+let timer = null;
+let running = false;
+
+/**
+ * Settle a payment left "retrying" from the retry charged for it
+ *
+ * The original was never charged again, so asking the gateway about it would
+ * only report the failure the retry was made for.
+ */
+const reconcileRetriedPayment = async (transaction) => {
+  const retry = transaction.retryReference ? await transactions.get(transaction.retryReference) : null;
+
+  if (!retry) {
+    // The retry charge was never created - e.g. the server stopped mid-way
+    const transition = await transitionPayment(transaction.reference, PAYMENT_STATES.FAILED, {
+      updates: { reconciledAt: new Date().toISOString(), failedAt: new Date().toISOString() },
+      source: 'reconciler',
+      reason: 'Retry was never charged',
+      allowSame: false
+    });
+
+    return {
+      result: transition.applied ? 'failed' : 'skipped',
+      outcome: transition.applied ? 'retry_missing' : `ignored (${transition.reason} from ${transition.from})`
+    };
+  }
+
+  const paid = [PAYMENT_STATES.SUCCESS, PAYMENT_STATES.REFUND_PENDING, PAYMENT_STATES.PARTIALLY_REFUNDED, PAYMENT_STATES.REFUNDED]
+    .includes(retry.status);
+
+  if (!paid && !UNPAID_RETRY_STATES.includes(retry.status)) {
+    // The retry is reconciled on its own; this settles once it does
+    return { result: 'still_pending', outcome: `retry ${retry.reference} is ${retry.status}` };
+  }
+
+  const transition = await settleRetriedPayment(retry, paid);
+
+  return {
+    result: transition.applied ? (paid ? 'succeeded' : 'failed') : 'skipped',
+    outcome: transition.applied ? `retry_${paid ? 'paid' : 'unpaid'}` : `ignored (${transition.reason} from ${transition.from})`
+  };
+};
+
+/**
+ * Verify one pending or abandoned transaction with its gateway and apply the
+ * result
+ */
+const reconcileTransaction = async (transaction, now) => {
+  if (transaction.status === PAYMENT_STATES.RETRYING) {
+    return reconcileRetriedPayment(transaction);
+  }
+
+  const { reference } = transaction;
+  const age = now - (transaction.createdAt || now);
+  const paymentData = await gatewayForTransaction(transaction).verify({ reference, transaction });
+
+  const gatewayStatus = paymentData ? fromGatewayStatus(paymentData.status) : PAYMENT_STATES.PENDING;
+  const updates = { reconciledAt: new Date().toISOString() };
+
+  if (gatewayStatus === PAYMENT_STATES.SUCCESS) {
+    const settlement = await settleSuccessfulCharge({
+      transaction,
+      data: paymentData,
+      source: 'reconciler',
+      updates
+    });
+    return { result: settlement.applied ? 'succeeded' : 'skipped', outcome: settlement.outcome };
+  }
+
+  // An abandoned charge the gateway still reports as abandoned may yet be paid
+  if (gatewayStatus !== PAYMENT_STATES.PENDING && gatewayStatus !== transaction.status) {
+    const settlement = await settleUnsuccessfulCharge({
+      transaction,
+      data: paymentData,
+      status: gatewayStatus,
+      source: 'reconciler',
+      updates
+    });
+    return { result: settlement.applied ? gatewayStatus : 'skipped', outcome: settlement.outcome };
+  }
+
+  if (age < config.expireAfterMs) {
+    return { result: 'still_pending', outcome: paymentData ? `gateway status ${paymentData.status}` : 'unknown to gateway' };
+  }
+
+  const transition = await transitionPayment(reference, PAYMENT_STATES.EXPIRED, {
+    updates: {
+      ...updates,
+      expiredAt: new Date().toISOString()
+    },
+    source: 'reconciler',
+    reason: `Unresolved after ${Math.round(age / 60000)} minutes`
+  });
+
+  if (transition.applied) {
+    await settleRetriedPayment(transaction, false);
+  }
+
+  return {
+    result: transition.applied ? 'expired' : 'skipped',
+    outcome: transition.applied ? 'payment_expired' : `ignored (${transition.reason} from ${transition.from})`
+  };
+};
+
+/**
+ * Run one reconciliation pass and store its report in reconciliation-runs/{runId}
+ */
+const runReconciliation = async ({ trigger = 'schedule' } = {}) => {
+  if (running) {
+    return null;
+  }
+
+  running = true;
+  const db = getDatabase();
+  const startedAt = Date.now();
+  const report = {
+    runId: `recon_${uuidv4().replace(/-/g, '')}`,
+    trigger,
+    startedAt,
+    finishedAt: null,
+    durationMs: null,
+    settings: {
+      minAgeMs: config.minAgeMs,
+      expireAfterMs: config.expireAfterMs,
+      batchSize: config.batchSize
+    },
+    totals: {
+      scanned: 0,
+      checked: 0,
+      succeeded: 0,
+      failed: 0,
+      abandoned: 0,
+      reversed: 0,
+      expired: 0,
+      still_pending: 0,
+      fulfilled: 0,
+      settled: 0,
+      skipped: 0,
+      errors: 0
+    },
+    items: []
+  };
+
+  try {
+    // At most a batch of each status is loaded; the oldest are checked first
+    const unsettled = (await Promise.all(RECONCILABLE_STATES.map(status => (
+      transactions.listByStatus(status, { limit: config.batchSize })
+    )))).flat();
+    report.totals.scanned = unsettled.length;
+
+    const candidates = unsettled
+      .filter(transaction => transaction.reference && startedAt - (transaction.createdAt || startedAt) >= config.minAgeMs)
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0))
+      .slice(0, config.batchSize);
+
+    for (const transaction of candidates) {
+      report.totals.checked += 1;
+
+      try {
+        const { result, outcome } = await reconcileTransaction(transaction, startedAt);
+        report.totals[result] += 1;
+        report.items.push({ reference: transaction.reference, result, outcome });
+      } catch (error) {
+        report.totals.errors += 1;
+        report.items.push({
+          reference: transaction.reference,
+          result: 'error',
+          error: error.response?.data?.message || error.message
+        });
+      }
+    }
+
+    // Successful payments left unfulfilled by a crash or a failed side effect
+    const unfulfilled = (await listUnfulfilledPayments({ minAgeMs: config.minAgeMs, now: startedAt }))
+      .slice(0, config.batchSize);
+
+    for (const transaction of unfulfilled) {
+      report.totals.checked += 1;
+
+      try {
+        const { applied, outcome } = await fulfillPayment(transaction.reference, { source: 'reconciler' });
+        const result = applied ? 'fulfilled' : 'skipped';
+        report.totals[result] += 1;
+        report.items.push({ reference: transaction.reference, result, outcome });
+      } catch (error) {
+        report.totals.errors += 1;
+        report.items.push({ reference: transaction.reference, result: 'error', error: error.message });
+      }
+    }
+
+    // Teacher shares whose transfer failed or had no recipient to go to
+    const unsettledShares = (await transactions.listBySettlementStatus('failed')).slice(0, config.batchSize);
+
+    for (const transaction of unsettledShares) {
+      report.totals.checked += 1;
+
+      try {
+        const { settled, outcome } = await settleDeferredShare(transaction.reference, 'reconciler');
+        const result = settled ? 'settled' : 'skipped';
+        report.totals[result] += 1;
+        report.items.push({ reference: transaction.reference, result, outcome });
+      } catch (error) {
+        report.totals.errors += 1;
+        report.items.push({ reference: transaction.reference, result: 'error', error: error.message });
+      }
+    }
+  } catch (error) {
+    report.error = error.message;
+    logger.error(error, { operation: 'runReconciliation', runId: report.runId });
+  } finally {
+    running = false;
+  }
+
+  report.finishedAt = Date.now();
+  report.durationMs = report.finishedAt - startedAt;
+
+  await db.ref(`reconciliation-runs/${report.runId}`).set(report);
+
+  logger.info(
+    `RECONCILIATION_RUN | Run: ${report.runId} | Trigger: ${trigger} | Checked: ${report.totals.checked} | ` +
+    `Succeeded: ${report.totals.succeeded} | Fulfilled: ${report.totals.fulfilled} | Settled: ${report.totals.settled} | ` +
+    `Expired: ${report.totals.expired} | ` +
+    `Errors: ${report.totals.errors}`
+  );
+
+  return report;
+};
+
+/**
+ * Get a stored reconciliation report
+ */
+const getReconciliationRun = async (runId) => {
+  const snapshot = await getDatabase().ref(`reconciliation-runs/${runId}`).once('value');
+  return snapshot.val();
+};
+
+/**
+ * List the most recent reconciliation reports (newest first, without items)
+ */
+const listReconciliationRuns = async (limit = 20) => {
+  const snapshot = await getDatabase()
+    .ref('reconciliation-runs')
+    .orderByChild('startedAt')
+    .limitToLast(limit)
+    .once('value');
+
+  return Object.values(snapshot.val() || {})
+    .sort((a, b) => b.startedAt - a.startedAt)
+    .map(({ items, ...summary }) => summary);
+};
+
+/**
+ * Start the scheduled reconciler (no-op when disabled or already started)
+ */
+const startReconciler = () => {
+  if (!config.enabled || timer) {
+    return;
+  }
+
+  timer = setInterval(() => {
+    runReconciliation().catch(error => {
+      logger.error(error, { operation: 'scheduledReconciliation' });
+    });
+  }, config.intervalMs);
+
+  // Do not keep the process alive just for the reconciler
+  timer.unref();
+
+  logger.info(`Reconciler scheduled every ${Math.round(config.intervalMs / 1000)}s`);
+};
+
+/**
+ * Stop the scheduled reconciler
+ */
+const stopReconciler = () => {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+};
+
+module.exports = {
+  runReconciliation,
+  getReconciliationRun,
+  listReconciliationRuns,
+  startReconciler,
+  stopReconciler
+};
@@ -0,0 +1,385 @@
+const { transactions } = require('../repositories');
+const { PAYMENT_STATES, transitionPayment } = require('./paymentLifecycle');
+const { updateExistingBooking } = require('./bookingFulfillment');
+const { notifyRefundProcessed } = require('./notifications');
+const { gatewayForTransaction } = require('./gateways');
+const { reserveEscrowRefund, settleEscrowRefund } = require('./payouts');
+
+/**
+ * Refunds via Paystack /refund
+ *
+ * Only one refund may be in flight per transaction: the transaction moves to
+ * refund_pending before Paystack is called and leaves it when the
+ * refund.processed / refund.failed webhook arrives. Refund records live in
+ * payment-transactions/{reference}/refunds/{refundKey}. Refunds of escrow
+ * are also reserved against the booking's escrow balance (see payouts.js).
+ */
+
+const REFUNDABLE_STATES = [PAYMENT_STATES.SUCCESS, PAYMENT_STATES.PARTIALLY_REFUNDED];
+
+const toKes = (amount) => Math.round(amount * 100) / 100;
+
+const refundKeyFor = (refundId) => `refund_${refundId}`;
+
+const bookingIdOf = (transaction) => transaction.metadata?.booking_id || transaction.bookingId || null;
+
+// Escrow refunds with a booking are reserved against its escrow balance
+const isEscrowRefund = (transaction) => transaction.metadata?.payment_type === 'escrow' && Boolean(bookingIdOf(transaction));
+
+/**
+ * Status a transaction returns to when a refund fails
+ */
+const statusAfterFailedRefund = (transaction) => {
+  return (transaction.refundedAmount || 0) > 0
+    ? PAYMENT_STATES.PARTIALLY_REFUNDED
+    : PAYMENT_STATES.SUCCESS;
+};
+
+/**
+ * Return a failed escrow refund to the booking's held balance
+ */
+const releaseEscrowRefund = (transaction, refundAmount, triggeredBy, reason) => {
+  return settleEscrowRefund(bookingIdOf(transaction), refundAmount, {
+    processed: false,
+    activity: {
+      action: 'escrow_refund_failed',
+      paymentReference: transaction.reference,
+      amount: refundAmount,
+      triggeredBy,
+      details: { reason: reason || null }
+    }
+  });
+};
+
+/**
+ * Reflect a processed refund on the booking the payment belongs to
+ */
+const applyRefundToBooking = async (transaction, refundAmount, fullyRefunded) => {
+  const bookingId = bookingIdOf(transaction);
+
+  if (!bookingId) {
+    return [];
+  }
+
+  const paymentType = transaction.metadata?.payment_type;
+  const refundedAt = new Date().toISOString();
+  let update;
+
+  if (paymentType === 'escrow') {
+    return settleEscrowRefund(bookingId, refundAmount, {
+      processed: true,
+      fullyRefunded,
+      activity: {
+        action: fullyRefunded ? 'payment_refunded' : 'payment_partially_refunded',
+        paymentReference: transaction.reference,
+        amount: refundAmount,
+        triggeredBy: 'refund_processed',
+        details: { paymentType }
+      }
+    });
+  }
+
+  if (paymentType === 'booking_fee') {
+    update = fullyRefunded
+      ? { bookingFeePaid: false, bookingFeeRefunded: true, bookingFeeRefundedAt: refundedAt }
+      : { bookingFeeRefundedAmount: toKes((transaction.refundedAmount || 0) + refundAmount) };
+  } else {
+    update = {
+      paymentStatus: fullyRefunded ? 'refunded' : 'partially_refunded',
+      refundedAt
+    };
+  }
+
+  return updateExistingBooking(bookingId, update, {
+    action: fullyRefunded ? 'payment_refunded' : 'payment_partially_refunded',
+    paymentReference: transaction.reference,
+    amount: refundAmount,
+    triggeredBy: 'refund_processed',
+    details: { paymentType: paymentType || 'unknown', ...update }
+  });
+};
+
+/**
+ * Record a processed refund on the transaction and its booking
+ *
+ * The sync refund response and the refund.processed webhook can both report
+ * the same refund, so whether it was already counted and whether it completes
+ * the refund are decided from the current record, inside the transaction.
+ */
+const markRefundProcessed = async (transaction, refundKey, refundAmount, source) => {
+  let refundedBefore = 0;
+
+  const transition = await transitionPayment(
+    transaction.reference,
+    current => {
+      if (current.refunds?.[refundKey]?.status === 'processed') {
+        return null;
+      }
+
+      refundedBefore = current.refundedAmount || 0;
+      return toKes(refundedBefore + refundAmount) >= current.amount
+        ? PAYMENT_STATES.REFUNDED
+        : PAYMENT_STATES.PARTIALLY_REFUNDED;
+    },
+    {
+      updates: current => ({
+        refundedAmount: toKes((current.refundedAmount || 0) + refundAmount),
+        refundPendingAmount: 0,
+        activeRefundKey: null,
+        refunds: {
+          ...(current.refunds || {}),
+          [refundKey]: {
+            ...(current.refunds?.[refundKey] || {}),
+            amount: refundAmount,
+            status: 'processed',
+            processedAt: new Date().toISOString()
+          }
+        }
+      }),
+      source
+    }
+  );
+
+  if (transition.reason === 'skipped') {
+    return { applied: false, outcome: 'ignored (refund already processed)' };
+  }
+
+  if (!transition.applied) {
+    return { applied: false, outcome: `ignored (${transition.reason} from ${transition.from})` };
+  }
+
+  const fullyRefunded = transition.to === PAYMENT_STATES.REFUNDED;
+
+  await applyRefundToBooking({ ...transaction, refundedAmount: refundedBefore }, refundAmount, fullyRefunded);
+  await notifyRefundProcessed(transaction.reference, refundKey, refundAmount);
+
+  return { applied: true, outcome: fullyRefunded ? 'refunded' : 'partially_refunded' };
+};
+
+/**
+ * Request a full or partial refund for a successful transaction
+ *
+ * `amount` is in KES; omit it to refund the remaining balance. Escrow refunds
+ * are frozen while a dispute is open on the booking, unless they resolve it
+ * (`disputeId`). Resolves with { httpStatus, message, data }.
+ */
+const requestRefund = async ({ reference, amount, reason, requestedBy, disputeId = null }) => {
+  const transaction = await transactions.get(reference);
+
+  if (!transaction) {
+    return { httpStatus: 404, message: 'Transaction not found' };
+  }
+
+  if (transaction.status === PAYMENT_STATES.REFUND_PENDING) {
+    return { httpStatus: 409, message: 'A refund is already in progress for this payment' };
+  }
+
+  // The money was collected under the retry's reference, not this one
+  if (transaction.paidByRetry) {
+    return { httpStatus: 400, message: `This payment was paid by retry ${transaction.paidByRetry} - refund that payment instead` };
+  }
+
+  if (!REFUNDABLE_STATES.includes(transaction.status)) {
+    return { httpStatus: 400, message: `Cannot refund a payment with status ${transaction.status}` };
+  }
+
+  const refundable = toKes(transaction.amount - (transaction.refundedAmount || 0));
+  const refundAmount = amount === undefined || amount === null ? refundable : toKes(Number(amount));
+
+  if (!(refundAmount > 0) || refundAmount > refundable) {
+    return {
+      httpStatus: 400,
+      message: `Refund amount must be greater than 0 and at most ${refundable} KES`
+    };
+  }
+
+  // Reserve the refund before calling Paystack so concurrent requests cannot
+  // refund more than was paid
+  const reservation = await transitionPayment(reference, PAYMENT_STATES.REFUND_PENDING, {
+    updates: {
+      refundPendingAmount: refundAmount,
+      refundRequestedAt: new Date().toISOString()
+    },
+    source: 'refund_request',
+    reason: reason || null,
+    allowSame: false
+  });
+
+  if (!reservation.applied) {
+    return { httpStatus: 409, message: 'A refund is already in progress for this payment' };
+  }
+
+  const cancelReservation = (message) => transitionPayment(reference, statusAfterFailedRefund(transaction), {
+    updates: {
+      refundPendingAmount: 0,
+      lastRefundError: message
+    },
+    source: 'refund_request',
+    reason: message,
+    rollback: true
+  });
+
+  // Escrow being paid out to the teacher cannot also be refunded
+  if (isEscrowRefund(transaction)) {
+    const { rejection } = await reserveEscrowRefund({ bookingId: bookingIdOf(transaction), amount: refundAmount, disputeId });
+
+    if (rejection) {
+      await cancelReservation(rejection.message);
+      return rejection;
+    }
+  }
+
+  let refundData;
+
+  try {
+    refundData = await gatewayForTransaction(transaction).refund({ reference, amount: refundAmount, reason });
+  } catch (error) {
+    const { message } = error;
+
+    await cancelReservation(message);
+
+    if (isEscrowRefund(transaction)) {
+      await releaseEscrowRefund(transaction, refundAmount, 'refund_request', message);
+    }
+
+    return { httpStatus: 502, message: 'The payment gateway rejected the refund request', error: message };
+  }
+
+  const refundKey = refundKeyFor(refundData.refundId);
+  const refund = {
+    refundId: refundData.refundId,
+    amount: refundAmount,
+    status: 'pending',
+    reason: reason || null,
+    requestedBy: requestedBy || null,
+    requestedAt: new Date().toISOString()
+  };
+
+  // The refund webhook may already have written this record - keep its status
+  const { value: stored } = await transactions.transaction(
+    reference,
+    current => (current ? { ...refund, ...current } : refund),
+    { path: `refunds/${refundKey}` }
+  );
+  refund.status = stored.status;
+
+  if (refund.status === 'pending') {
+    await transactions.update(reference, { activeRefundKey: refundKey });
+  }
+
+  // Small refunds can be processed synchronously
+  if (refundData.status === 'processed' && refund.status !== 'processed') {
+    await markRefundProcessed(transaction, refundKey, refundAmount, 'refund_request');
+    refund.status = 'processed';
+  }
+
+  return {
+    httpStatus: 200,
+    message: 'Refund initiated successfully',
+    data: {
+      reference,
+      refundId: refundData.refundId,
+      amount: refundAmount,
+      status: refund.status,
+      remainingRefundable: toKes(refundable - refundAmount)
+    }
+  };
+};
+
+/**
+ * Apply a refund.pending / refund.processed / refund.failed webhook
+ *
+ * Resolves with { httpStatus, outcome, message } like processPaystackEvent.
+ */
+const applyRefundEvent = async (eventType, data = {}) => {
+  const reference = data.transaction_reference || data.transaction?.reference;
+
+  if (!reference) {
+    return { httpStatus: 400, outcome: 'rejected', message: 'Missing transaction reference' };
+  }
+
+  const transaction = await transactions.get(reference);
+
+  if (!transaction) {
+    return { httpStatus: 404, outcome: 'rejected', message: 'Transaction not found' };
+  }
+  // Refunds started from the Paystack dashboard have no local record yet
+  const refundKey = data.id ? refundKeyFor(data.id) : (transaction.activeRefundKey || refundKeyFor(data.refund_reference || Date.now()));
+  const existingRefund = transaction.refunds?.[refundKey];
+  const refundAmount = data.amount ? toKes(data.amount / 100) : (existingRefund?.amount || transaction.refundPendingAmount || 0);
+  const source = `webhook:${eventType}`;
+
+  switch (eventType) {
+    case 'refund.pending': {
+      const transition = await transitionPayment(reference, PAYMENT_STATES.REFUND_PENDING, {
+        updates: current => ({
+          refundPendingAmount: refundAmount,
+          activeRefundKey: refundKey,
+          refunds: {
+            ...(current.refunds || {}),
+            [refundKey]: {
+              refundId: data.id || null,
+              requestedAt: new Date().toISOString(),
+              ...(current.refunds?.[refundKey] || {}),
+              amount: refundAmount,
+              status: 'pending'
+            }
+          }
+        }),
+        source
+      });
+
+      return {
+        httpStatus: 200,
+        outcome: transition.applied ? 'refund_pending' : `ignored (${transition.reason} from ${transition.from})`
+      };
+    }
+
+    case 'refund.processed': {
+      if (existingRefund?.status === 'processed') {
+        return { httpStatus: 200, outcome: 'ignored (refund already processed)' };
+      }
+
+      const result = await markRefundProcessed(transaction, refundKey, refundAmount, source);
+      return { httpStatus: 200, outcome: result.outcome };
+    }
+
+    case 'refund.failed': {
+      const transition = await transitionPayment(reference, statusAfterFailedRefund(transaction), {
+        updates: current => ({
+          refundPendingAmount: 0,
+          activeRefundKey: null,
+          lastRefundError: data.reason || data.status || 'Refund failed',
+          refunds: {
+            ...(current.refunds || {}),
+            [refundKey]: {
+              ...(current.refunds?.[refundKey] || {}),
+              amount: refundAmount,
+              status: 'failed',
+              failedAt: new Date().toISOString()
+            }
+          }
+        }),
+        source,
+        rollback: true
+      });
+
+      if (transition.applied && isEscrowRefund(transaction)) {
+        await releaseEscrowRefund(transaction, refundAmount, source, data.reason || null);
+      }
+
+      return {
+        httpStatus: 200,
+        outcome: transition.applied ? 'refund_failed' : `ignored (${transition.reason} from ${transition.from})`
+      };
+    }
+
+    default:
+      return { httpStatus: 200, outcome: 'unhandled' };
+  }
+};
+
+module.exports = {
+  requestRefund,
+  applyRefundEvent
+};
@@ -0,0 +1,53 @@
+const axios = require('axios');
+
+// Recipient status codes that mean the message was accepted
+const ACCEPTED_STATUS_CODES = [100, 101, 102];
+
+/**
+ * Africa's Talking SMS adapter (POST /version1/messaging)
+ *
+ * Also works with gateways that implement the same API.
+ */
+const createAfricasTalkingProvider = ({ username, apiKey, senderId, baseUrl }) => {
+  const client = axios.create({
+    baseURL: baseUrl,
+    timeout: 15000,
+    headers: {
+      apiKey,
+      Accept: 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }
+  });
+
+  const send = async ({ to, message }) => {
+    const body = new URLSearchParams({
+      username,
+      to: `+${to}`,
+      message,
+      ...(senderId && { from: senderId })
+    });
+
+    const response = await client.post('/version1/messaging', body.toString());
+    const recipient = response.data?.SMSMessageData?.Recipients?.[0];
+
+    if (!recipient) {
+      throw new Error(response.data?.SMSMessageData?.Message || 'No recipient in SMS response');
+    }
+
+    if (!ACCEPTED_STATUS_CODES.includes(Number(recipient.statusCode))) {
+      throw new Error(`SMS rejected: ${recipient.status} (${recipient.statusCode})`);
+    }
+
+    return {
+      messageId: recipient.messageId,
+      status: recipient.status,
+      cost: recipient.cost || null
+    };
+  };
+
+  return { name: 'africastalking', send };
+};
+
+module.exports = {
+  createAfricasTalkingProvider
+};
@@ -0,0 +1,56 @@
+const { SMS_PROVIDER, AFRICASTALKING } = require('../../config/sms');
+const { normalizeMpesaNumber } = require('../../utils/phone');
+const { createAfricasTalkingProvider } = require('./africasTalkingProvider');
+const { createMemoryProvider } = require('./memoryProvider');
+
+/**
+ * SMS sending through the configured provider adapter
+ *
+ * A provider is { name, send({ to, message }) } where `to` is a normalized
+ * 254XXXXXXXXX number and send resolves with { messageId, status, cost } or
+ * rejects if the message was not accepted.
+ */
+
+const createProvider = () => {
+  switch (SMS_PROVIDER) {
+    case 'africastalking':
+      return createAfricasTalkingProvider(AFRICASTALKING);
+
+    default:
+      return createMemoryProvider();
+  }
+};
+
+let provider = createProvider();
+
+const getSmsProvider = () => provider;
+
+/**
+ * Replace the provider (tests)
+ */
+const setSmsProvider = (replacement) => {
+  provider = replacement;
+};
+
+/**
+ * Send an SMS to any Kenyan mobile number format
+ *
+ * Resolves with { to, provider, messageId, status, cost }.
+ */
+const sendSms = async (phone, message) => {
+  const { phone: to, error } = normalizeMpesaNumber(phone);
+
+  if (error) {
+    throw new Error(`Cannot send SMS to ${phone}: ${error}`);
+  }
+
+  const result = await provider.send({ to, message });
+
+  return { to, provider: provider.name, ...result };
+};
+
+module.exports = {
+  getSmsProvider,
+  setSmsProvider,
+  sendSms
+};
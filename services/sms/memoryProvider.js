@@ -0,0 +1,38 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * SMS adapter that keeps messages in memory instead of sending them
+ *
+ * For development and tests: `messages` holds everything "sent" since the
+ * last clear().
+ */
+const createMemoryProvider = ({ log = true } = {}) => {
+  const messages = [];
+
+  const send = async ({ to, message }) => {
+    const sent = {
+      messageId: `memory_${uuidv4()}`,
+      to,
+      message,
+      sentAt: new Date().toISOString()
+    };
+
+    messages.push(sent);
+
+    if (log) {
+      console.log('📱 SMS (memory provider):', { to, message });
+    }
+
+    return { messageId: sent.messageId, status: 'Stored', cost: null };
+  };
+
+  const clear = () => {
+    messages.length = 0;
+  };
+
+  return { name: 'memory', send, messages, clear };
+};
+
+module.exports = {
+  createMemoryProvider
+};
@@ -0,0 +1,452 @@
+const { v4: uuidv4 } = require('uuid');
+const { paystackApi } = require('../config/paystack');
+const { getDatabase } = require('../config/firebase');
+const { transactions } = require('../repositories');
+const { PLANS } = require('../config/plans');
+const logger = require('../utils/logger');
+
+/**
+ * Study Booster subscriptions on Paystack plans
+ *
+ * Each user has one record in subscriptions/{userId}. Subscribing starts a
+ * Paystack checkout for the plan; Paystack creates the subscription once the
+ * first charge succeeds and drives every later change through webhooks:
+ *
+ *   subscription.create    -> active
+ *   invoice.create/update  -> active, period extended once the invoice is paid
+ *   invoice.payment_failed -> past_due
+ *   subscription.not_renew -> non_renewing (cancelled, runs to period end)
+ *   subscription.disable   -> cancelled
+ *
+ * Invoices are kept in subscription-invoices/{userId}/{invoiceCode}.
+ */
+
+// Statuses that give access while the current period has not ended
+const ENTITLED_STATUSES = ['active', 'non_renewing', 'past_due'];
+
+/**
+ * Whether a subscription record currently grants Study Booster access
+ */
+const isEntitled = (subscription) => {
+  if (!subscription || !ENTITLED_STATUSES.includes(subscription.status)) {
+    return false;
+  }
+
+  return !subscription.currentPeriodEnd || new Date(subscription.currentPeriodEnd).getTime() > Date.now();
+};
+
+/**
+ * Plans with their stored Paystack plan codes
+ */
+const listPlans = async () => {
+  const snapshot = await getDatabase().ref('subscription-plans').once('value');
+  const synced = snapshot.val() || {};
+
+  return Object.entries(PLANS).map(([planId, plan]) => ({
+    id: planId,
+    ...plan,
+    currency: 'KES',
+    planCode: synced[planId]?.planCode || null
+  }));
+};
+
+/**
+ * Create or update the configured plans on Paystack
+ *
+ * Plans are matched to existing Paystack plans by name, so running the sync
+ * again only updates plans whose amount or interval changed.
+ */
+const syncPlans = async () => {
+  const db = getDatabase();
+  const response = await paystackApi.get('/plan', { params: { perPage: 100 } });
+  const existingPlans = response.data.data || [];
+  const results = [];
+
+  for (const [planId, plan] of Object.entries(PLANS)) {
+    const amountInKobo = Math.round(plan.amount * 100);
+    const existing = existingPlans.find(paystackPlan => paystackPlan.name === plan.name);
+    let planCode;
+    let action;
+
+    if (!existing) {
+      const created = await paystackApi.post('/plan', {
+        name: plan.name,
+        description: plan.description,
+        amount: amountInKobo,
+        interval: plan.interval,
+        currency: 'KES'
+      });
+
+      planCode = created.data.data.plan_code;
+      action = 'created';
+    } else if (existing.amount !== amountInKobo || existing.interval !== plan.interval) {
+      await paystackApi.put(`/plan/${existing.plan_code}`, {
+        description: plan.description,
+        amount: amountInKobo,
+        interval: plan.interval
+      });
+
+      planCode = existing.plan_code;
+      action = 'updated';
+    } else {
+      planCode = existing.plan_code;
+      action = 'unchanged';
+    }
+
+    await db.ref(`subscription-plans/${planId}`).set({
+      planCode,
+      name: plan.name,
+      amount: plan.amount,
+      interval: plan.interval,
+      syncedAt: new Date().toISOString()
+    });
+
+    results.push({ id: planId, planCode, action });
+  }
+
+  return results;
+};
+
+/**
+ * Get a user's subscription (null if they never subscribed)
+ */
+const getSubscription = async (userId) => {
+  const snapshot = await getDatabase().ref(`subscriptions/${userId}`).once('value');
+  return snapshot.val();
+};
+
+/**
+ * Subscription as returned by the API (no email token)
+ */
+const toSubscriptionView = (subscription) => {
+  const { emailToken, ...view } = subscription;
+  return { ...view, entitled: isEntitled(subscription) };
+};
+
+/**
+ * Start a Paystack checkout that subscribes the user to a plan
+ *
+ * Resolves with { httpStatus, message, data } where data holds the checkout
+ * details. The subscription becomes active on the subscription.create webhook.
+ */
+const subscribe = async ({ userId, email, planId, callbackUrl }) => {
+  const plan = PLANS[planId];
+
+  if (!plan) {
+    return { httpStatus: 400, message: `Plan must be one of: ${Object.keys(PLANS).join(', ')}` };
+  }
+
+  const db = getDatabase();
+  const planSnapshot = await db.ref(`subscription-plans/${planId}/planCode`).once('value');
+  const planCode = planSnapshot.val();
+
+  if (!planCode) {
+    return { httpStatus: 503, message: 'Subscription plans have not been synced with Paystack' };
+  }
+
+  const existing = await getSubscription(userId);
+
+  if (isEntitled(existing)) {
+    return {
+      httpStatus: 409,
+      message: `Subscription is already ${existing.status.replace('_', '-')} until ${existing.currentPeriodEnd}`
+    };
+  }
+
+  const reference = `sub_${uuidv4().replace(/-/g, '')}`;
+  const metadata = {
+    userId,
+    payment_type: 'subscription',
+    plan: planId
+  };
+
+  let checkout;
+
+  try {
+    const response = await paystackApi.post('/transaction/initialize', {
+      email,
+      amount: Math.round(plan.amount * 100),
+      plan: planCode,
+      reference,
+      currency: 'KES',
+      ...(callbackUrl && { callback_url: callbackUrl }),
+      metadata
+    });
+
+    if (!response.data.status) {
+      throw new Error(response.data.message || 'Failed to initialize subscription');
+    }
+
+    checkout = response.data.data;
+  } catch (error) {
+    return {
+      httpStatus: 502,
+      message: 'Failed to start subscription checkout',
+      error: error.response?.data?.message || error.message
+    };
+  }
+
+  const now = new Date().toISOString();
+
+  await transactions.create(reference, {
+    reference,
+    email,
+    amount: plan.amount,
+    status: 'pending',
+    createdAt: Date.now(),
+    metadata,
+    paymentMethod: 'unknown',
+    source: 'subscription'
+  });
+
+  await db.ref(`subscriptions/${userId}`).set({
+    userId,
+    email,
+    planId,
+    planCode,
+    status: 'pending',
+    initReference: reference,
+    subscriptionCode: null,
+    currentPeriodEnd: null,
+    createdAt: now,
+    updatedAt: now,
+    ...(existing && { previousSubscriptionCode: existing.subscriptionCode || null })
+  });
+
+  return {
+    httpStatus: 200,
+    message: 'Subscription checkout initialized',
+    data: {
+      planId,
+      reference,
+      access_code: checkout.access_code,
+      authorization_url: checkout.authorization_url
+    }
+  };
+};
+
+/**
+ * Cancel a user's subscription at the end of the current period
+ *
+ * Disables the subscription on Paystack with its email token; the
+ * subscription.not_renew / subscription.disable webhooks confirm it.
+ */
+const cancelSubscription = async (userId, cancelledBy) => {
+  const subscription = await getSubscription(userId);
+
+  if (!subscription) {
+    return { httpStatus: 404, message: 'Subscription not found' };
+  }
+
+  if (!['active', 'past_due'].includes(subscription.status) || !subscription.subscriptionCode) {
+    return { httpStatus: 400, message: `Cannot cancel a ${subscription.status.replace('_', '-')} subscription` };
+  }
+
+  try {
+    const response = await paystackApi.post('/subscription/disable', {
+      code: subscription.subscriptionCode,
+      token: subscription.emailToken
+    });
+
+    if (!response.data.status) {
+      throw new Error(response.data.message || 'Failed to disable subscription');
+    }
+  } catch (error) {
+    return {
+      httpStatus: 502,
+      message: 'Failed to cancel subscription',
+      error: error.response?.data?.message || error.message
+    };
+  }
+
+  const updates = {
+    status: 'non_renewing',
+    cancelledAt: new Date().toISOString(),
+    cancelledBy: cancelledBy || null,
+    updatedAt: new Date().toISOString()
+  };
+
+  await getDatabase().ref(`subscriptions/${userId}`).update(updates);
+
+  return {
+    httpStatus: 200,
+    message: 'Subscription cancelled. Access continues until the end of the current period.',
+    data: toSubscriptionView({ ...subscription, ...updates })
+  };
+};
+
+/**
+ * Find the user a subscription webhook belongs to
+ *
+ * Matches on the subscription code. subscription.create arrives before we
+ * know the code, so it falls back to the pending checkout for the customer's
+ * email and plan.
+ */
+const findSubscriptionOwner = async (eventType, data) => {
+  const db = getDatabase();
+  const subscriptionCode = data.subscription_code || data.subscription?.subscription_code;
+
+  if (subscriptionCode) {
+    const snapshot = await db.ref('subscriptions')
+      .orderByChild('subscriptionCode')
+      .equalTo(subscriptionCode)
+      .once('value');
+
+    const [userId] = Object.keys(snapshot.val() || {});
+
+    if (userId) {
+      return userId;
+    }
+  }
+
+  const email = data.customer?.email;
+
+  if (eventType !== 'subscription.create' || !email) {
+    return null;
+  }
+
+  const snapshot = await db.ref('subscriptions')
+    .orderByChild('email')
+    .equalTo(email)
+    .once('value');
+
+  const planCode = data.plan?.plan_code;
+  const pending = Object.values(snapshot.val() || {})
+    .find(subscription => subscription.status === 'pending' && (!planCode || subscription.planCode === planCode));
+
+  return pending ? pending.userId : null;
+};
+
+/**
+ * Record an invoice and apply it to the subscription
+ *
+ * Resolves with the outcome; subscription_not_found if the subscription was
+ * removed since its owner was looked up.
+ */
+const applyInvoice = async (userId, eventType, data) => {
+  const db = getDatabase();
+  const now = new Date().toISOString();
+  const failed = eventType === 'invoice.payment_failed';
+  const subscriptionRef = db.ref(`subscriptions/${userId}`);
+  const current = (await subscriptionRef.once('value')).val();
+
+  if (!current) {
+    return 'subscription_not_found';
+  }
+
+  await db.ref(`subscription-invoices/${userId}/${data.invoice_code}`).update({
+    invoiceCode: data.invoice_code,
+    amount: data.amount ? data.amount / 100 : null,
+    periodStart: data.period_start || null,
+    periodEnd: data.period_end || null,
+    status: failed ? 'failed' : (data.paid ? 'paid' : data.status || 'pending'),
+    paidAt: data.paid_at || null,
+    transactionReference: data.transaction?.reference || null,
+    updatedAt: now
+  });
+
+  const updates = {
+    lastInvoiceCode: data.invoice_code,
+    updatedAt: now
+  };
+
+  let outcome = 'subscription_invoice_recorded';
+
+  if (failed) {
+    updates.status = 'past_due';
+    updates.lastPaymentFailedAt = now;
+    outcome = 'subscription_past_due';
+  } else if (data.paid) {
+    updates.status = 'active';
+    updates.currentPeriodEnd = data.subscription?.next_payment_date || data.period_end || null;
+    updates.lastPaymentAt = data.paid_at || now;
+    outcome = 'subscription_renewed';
+  }
+
+  // A cancelled subscription is not revived by a late invoice
+  if (['non_renewing', 'cancelled'].includes(current?.status)) {
+    delete updates.status;
+  }
+
+  await subscriptionRef.update(updates);
+
+  return outcome;
+};
+
+/**
+ * Apply a subscription.* or invoice.* webhook
+ *
+ * Resolves with { httpStatus, outcome } like processPaystackEvent.
+ */
+const applySubscriptionEvent = async (eventType, data = {}) => {
+  const userId = await findSubscriptionOwner(eventType, data);
+
+  if (!userId) {
+    return { httpStatus: 404, outcome: 'rejected', message: 'Subscription not found' };
+  }
+
+  const subscriptionRef = getDatabase().ref(`subscriptions/${userId}`);
+  const now = new Date().toISOString();
+  let outcome;
+
+  switch (eventType) {
+    case 'subscription.create':
+      await subscriptionRef.update({
+        status: 'active',
+        subscriptionCode: data.subscription_code,
+        emailToken: data.email_token || null,
+        customerCode: data.customer?.customer_code || null,
+        currentPeriodEnd: data.next_payment_date || null,
+        activatedAt: now,
+        updatedAt: now
+      });
+      outcome = 'subscription_active';
+      break;
+
+    case 'subscription.not_renew':
+      await subscriptionRef.update({
+        status: 'non_renewing',
+        cancelledAt: now,
+        updatedAt: now
+      });
+      outcome = 'subscription_non_renewing';
+      break;
+
+    case 'subscription.disable':
+      await subscriptionRef.update({
+        status: 'cancelled',
+        endedAt: now,
+        updatedAt: now
+      });
+      outcome = 'subscription_cancelled';
+      break;
+
+    case 'invoice.create':
+    case 'invoice.update':
+    case 'invoice.payment_failed':
+      if (!data.invoice_code) {
+        return { httpStatus: 400, outcome: 'rejected', message: 'Missing invoice code' };
+      }
+
+      outcome = await applyInvoice(userId, eventType, data);
+      break;
+
+    default:
+      return { httpStatus: 200, outcome: 'unhandled' };
+  }
+
+  logger.info(`SUBSCRIPTION_EVENT | User: ${userId} | Event: ${eventType} | Outcome: ${outcome}`);
+
+  return { httpStatus: 200, outcome };
+};
+
+module.exports = {
+  isEntitled,
+  listPlans,
+  syncPlans,
+  getSubscription,
+  toSubscriptionView,
+  subscribe,
+  cancelSubscription,
+  applySubscriptionEvent
+};
@@ -0,0 +1,131 @@
+const { webhookEvents } = require('../repositories');
+const { sha256, stableStringify } = require('../utils/hashing');
+
+/**
+ * Webhook delivery store (webhook-events/{fingerprint})
+ *
+ * Paystack retries a webhook until it receives a 2xx, so the same event can
+ * arrive several times. Each delivery is recorded against a stable fingerprint
+ * and only the first one is applied.
+ */
+
+// A delivery stuck in "processing" for longer than this is assumed to have
+// crashed and may be picked up again
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Resolve the reference a webhook event refers to
+ */
+const getEventReference = (data = {}) => {
+  return data.reference ||
+    data.transaction_reference ||
+    data.subscription_code ||
+    data.invoice_code ||
+    null;
+};
+
+/**
+ * Build a stable fingerprint for a webhook event
+ *
+ * Uses the event type and the identifying fields of its payload, falling back
+ * to a hash of the whole payload when none are present.
+ */
+const fingerprintEvent = ({ event, data = {} }) => {
+  const reference = getEventReference(data);
+
+  if (data.id === undefined && !reference) {
+    return sha256(`${event}:${stableStringify(data)}`);
+  }
+
+  return sha256([event, data.id ?? '', reference ?? '', data.status ?? ''].join(':'));
+};
+
+/**
+ * Record a webhook delivery and decide whether it should be processed
+ *
+ * Resolves with { claimed, fingerprint, record }. `claimed` is false for
+ * duplicates of an event that was already processed (or is being processed).
+ */
+const claimWebhookEvent = async (body) => {
+  const fingerprint = fingerprintEvent(body);
+  const now = Date.now();
+  let claimed = false;
+
+  const record = await webhookEvents.modify(fingerprint, current => {
+    if (current === null) {
+      claimed = true;
+      return {
+        fingerprint,
+        event: body.event,
+        reference: getEventReference(body.data),
+        status: 'processing',
+        deliveries: 1,
+        duplicateCount: 0,
+        firstReceivedAt: now,
+        lastReceivedAt: now,
+        processingStartedAt: now
+      };
+    }
+
+    const stale = current.status === 'processing' &&
+      now - (current.processingStartedAt || 0) > PROCESSING_TIMEOUT_MS;
+
+    if (current.status === 'failed' || stale) {
+      // Previous attempt did not complete - process this delivery
+      claimed = true;
+      return {
+        ...current,
+        status: 'processing',
+        deliveries: (current.deliveries || 0) + 1,
+        lastReceivedAt: now,
+        processingStartedAt: now
+      };
+    }
+
+    claimed = false;
+    return {
+      ...current,
+      deliveries: (current.deliveries || 0) + 1,
+      duplicateCount: (current.duplicateCount || 0) + 1,
+      lastReceivedAt: now
+    };
+  });
+
+  return { claimed, fingerprint, record };
+};
+
+/**
+ * Mark a claimed webhook event as applied
+ */
+const completeWebhookEvent = async (fingerprint, outcome = 'processed') => {
+  await webhookEvents.update(fingerprint, {
+    status: 'processed',
+    outcome,
+    processedAt: Date.now()
+  });
+};
+
+/**
+ * Mark a claimed webhook event as failed so the next delivery is processed
+ */
+const failWebhookEvent = async (fingerprint, error) => {
+  await webhookEvents.update(fingerprint, {
+    status: 'failed',
+    error: error?.message || String(error),
+    failedAt: Date.now()
+  });
+};
+
+/**
+ * List recorded webhook events for a payment reference
+ */
+const getWebhookEventsForReference = (reference) => webhookEvents.listByReference(reference);
+
+module.exports = {
+  getEventReference,
+  fingerprintEvent,
+  claimWebhookEvent,
+  completeWebhookEvent,
+  failWebhookEvent,
+  getWebhookEventsForReference
+};
@@ -0,0 +1,216 @@
+const { transactions } = require('../repositories');
+const { PAYMENT_STATES, transitionPayment } = require('./paymentLifecycle');
+const { fulfillPayment } = require('./fulfillment');
+const { applyRefundEvent } = require('./refunds');
+const { getEscrowPayout, applyTransferEvent } = require('./payouts');
+const { applySubscriptionEvent } = require('./subscriptions');
+const { notifyPaymentFailed } = require('./notifications');
+
+/**
+ * Settle the payment a retry charge was made for, once the retry settles
+ *
+ * retryMpesaPayment moves the original payment to "retrying" and charges a
+ * new reference with `retryOf` pointing back at it. The original becomes
+ * success (paidByRetry) when the retry succeeds, and failed - so it can be
+ * retried again - when it does not. Does nothing for other charges.
+ */
+const settleRetriedPayment = async (retry, succeeded) => {
+  if (!retry?.retryOf) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+
+  return transitionPayment(retry.retryOf, succeeded ? PAYMENT_STATES.SUCCESS : PAYMENT_STATES.FAILED, {
+    updates: succeeded
+      ? { paidByRetry: retry.reference, completedAt: now }
+      : { failedAt: now, failureReason: `Retry ${retry.reference} was not paid` },
+    source: `retry:${retry.reference}`,
+    allowSame: false
+  });
+};
+
+/**
+ * Record a successful charge and fulfill it (see services/fulfillment.js)
+ *
+ * `data` is a Paystack transaction object, as found in a charge.success
+ * webhook or a /transaction/verify response. The first path to record the
+ * success marks its fulfillment pending; fulfillment runs once whichever
+ * path gets there, and a failed one is retried by the reconciler. Payments
+ * being or already refunded cannot return to success, so are left alone.
+ */
+const settleSuccessfulCharge = async ({ transaction, data, source, updates = {} }) => {
+  const { reference, metadata = {}, amount } = data;
+  const now = new Date().toISOString();
+
+  const transition = await transitionPayment(reference, PAYMENT_STATES.SUCCESS, {
+    updates: (current) => ({
+      ...updates,
+      amount: amount ? amount / 100 : transaction.amount,
+      completedAt: current.completedAt || now,
+      ...(data.receipt_number && { mpesaReceiptNumber: data.receipt_number }),
+      ...(data.paid_at && { paid_at: data.paid_at }),
+      metadata: { ...transaction.metadata, ...metadata },
+      ...(current.status !== PAYMENT_STATES.SUCCESS && {
+        fulfillment: { status: 'pending', pendingAt: now, attempts: 0 }
+      })
+    }),
+    source
+  });
+
+  if (!transition.applied) {
+    return { applied: false, outcome: `ignored (${transition.reason} from ${transition.from})` };
+  }
+
+  await settleRetriedPayment({ ...transaction, reference }, true);
+
+  return fulfillPayment(reference, { source, data });
+};
+
+/**
+ * Record an unsuccessful charge (failed, abandoned, reversed)
+ */
+const settleUnsuccessfulCharge = async ({ transaction, data, status, source, updates = {} }) => {
+  const { reference, metadata = {}, gateway_response } = data;
+
+  const transition = await transitionPayment(reference, status, {
+    updates: {
+      ...updates,
+      failedAt: new Date().toISOString(),
+      failureReason: gateway_response || 'Unknown error',
+      metadata: { ...transaction.metadata, ...metadata }
+    },
+    source,
+    reason: gateway_response || null
+  });
+
+  if (!transition.applied) {
+    return { applied: false, outcome: `ignored (${transition.reason} from ${transition.from})` };
+  }
+
+  await settleRetriedPayment({ ...transaction, reference }, false);
+
+  if (status === PAYMENT_STATES.FAILED) {
+    await notifyPaymentFailed(reference);
+  }
+
+  return { applied: true, outcome: `payment_${status}` };
+};
+
+/**
+ * Apply a verified Paystack webhook event
+ *
+ * Used by both the legacy and the production webhook handlers; signature
+ * verification and delivery deduplication happen in the handlers. Resolves
+ * with { httpStatus, outcome, message } - a non-200 status means the event
+ * could not be applied and Paystack should retry it.
+ */
+const processPaystackEvent = async ({ event: eventType, data = {} }) => {
+  const { reference, amount, gateway_response } = data;
+
+  // Refund events reference the original transaction as transaction_reference
+  if (eventType?.startsWith('refund.')) {
+    return applyRefundEvent(eventType, data);
+  }
+
+  // Subscription and invoice events are keyed by subscription code
+  if (eventType?.startsWith('subscription.') || eventType?.startsWith('invoice.')) {
+    return applySubscriptionEvent(eventType, data);
+  }
+
+  if (!reference) {
+    return { httpStatus: 400, outcome: 'rejected', message: 'Missing reference' };
+  }
+
+  // Escrow payouts are keyed by their transfer reference, not a payment
+  if (eventType?.startsWith('transfer.') && await getEscrowPayout(reference)) {
+    return applyTransferEvent(eventType, data);
+  }
+
+  const transaction = await transactions.get(reference);
+
+  if (!transaction) {
+    // Renewal charges are created by Paystack; the invoice events record them
+    if (eventType === 'charge.success' && data.plan?.plan_code) {
+      return { httpStatus: 200, outcome: 'subscription_renewal_charge' };
+    }
+
+    return { httpStatus: 404, outcome: 'rejected', message: 'Transaction not found' };
+  }
+
+  // Common update data
+  const updateData = {
+    lastWebhookEvent: eventType,
+    lastWebhookReceived: new Date().toISOString(),
+    amount: amount ? amount / 100 : transaction.amount
+  };
+
+  switch (eventType) {
+    case 'charge.success': {
+      const settlement = await settleSuccessfulCharge({
+        transaction,
+        data,
+        source: 'webhook:charge.success',
+        updates: { ...updateData, webhookReceived: true }
+      });
+
+      return { httpStatus: 200, outcome: settlement.outcome, fulfillment: settlement.fulfillment };
+    }
+
+    case 'charge.failed': {
+      const settlement = await settleUnsuccessfulCharge({
+        transaction,
+        data,
+        status: PAYMENT_STATES.FAILED,
+        source: 'webhook:charge.failed',
+        updates: updateData
+      });
+
+      return { httpStatus: 200, outcome: settlement.outcome };
+    }
+
+    // Not sent by Paystack; Daraja reports prompts the customer never answered
+    case 'charge.abandoned': {
+      const settlement = await settleUnsuccessfulCharge({
+        transaction,
+        data,
+        status: PAYMENT_STATES.ABANDONED,
+        source: 'webhook:charge.abandoned',
+        updates: updateData
+      });
+
+      return { httpStatus: 200, outcome: settlement.outcome };
+    }
+
+    case 'transfer.success':
+      await transactionRef.update({
+        ...updateData,
+        transferStatus: 'success',
+        transferCompletedAt: new Date().toISOString()
+      });
+      return { httpStatus: 200, outcome: 'transfer_succeeded' };
+
+    case 'transfer.failed':
+      await transactionRef.update({
+        ...updateData,
+        transferStatus: 'failed',
+        transferFailedAt: new Date().toISOString(),
+        transferFailureReason: gateway_response || 'Unknown error'
+      });
+      return { httpStatus: 200, outcome: 'transfer_failed' };
+
+    default:
+      await transactionRef.update({
+        ...updateData,
+        notes: `Unhandled event type: ${eventType}`
+      });
+      return { httpStatus: 200, outcome: 'unhandled' };
+  }
+};
+
+module.exports = {
+  processPaystackEvent,
+  settleRetriedPayment,
+  settleSuccessfulCharge,
+  settleUnsuccessfulCharge
+};
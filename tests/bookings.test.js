@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRepositories } = require('../repositories');
+const { mergeBookingRecords } = require('../repositories/bookingRepository');
+
+describe('mergeBookingRecords', () => {
+  it('merges nested records key by key, keeping the more recently updated copy on a conflict', () => {
+    const canonical = { status: 'confirmed', lastUpdated: 200, activityLog: { a: { action: 'created' } } };
+    const legacy = { status: 'pending', teacherId: 'teacher_1', lastUpdated: 100, activityLog: { b: { action: 'paid' } } };
+
+    const { booking, conflicts } = mergeBookingRecords(canonical, legacy);
+
+    assert.equal(booking.status, 'confirmed');
+    assert.equal(booking.teacherId, 'teacher_1');
+    assert.deepEqual(Object.keys(booking.activityLog).sort(), ['a', 'b']);
+    assert.deepEqual(conflicts, [{ field: 'status', canonical: 'confirmed', legacy: 'pending', kept: 'canonical' }]);
+
+    assert.equal(mergeBookingRecords({ ...canonical, lastUpdated: 50 }, legacy).booking.status, 'pending');
+    assert.deepEqual(mergeBookingRecords(null, legacy), { booking: legacy, conflicts: [] });
+  });
+});
+
+describe('booking repository', () => {
+  it('reads legacy bookings merged with their canonical record', async () => {
+    const { bookings } = createMemoryRepositories({
+      'tuition-bookings': { booking_1: { status: 'confirmed', lastUpdated: 2 } },
+      bookings: { booking_1: { teacherId: 'teacher_1', lastUpdated: 1 }, booking_2: { status: 'pending' } }
+    });
+
+    assert.deepEqual(await bookings.get('booking_1'), { status: 'confirmed', teacherId: 'teacher_1', lastUpdated: 2 });
+    assert.deepEqual(await bookings.get('booking_2'), { status: 'pending' });
+    assert.equal(await bookings.get('booking_missing'), null);
+  });
+
+  it('moves a legacy booking into the canonical store on its first write', async () => {
+    const { bookings, database } = createMemoryRepositories({
+      bookings: { booking_1: { status: 'pending', teacherId: 'teacher_1' } }
+    });
+
+    await bookings.update('booking_1', { bookingFeePaid: true });
+
+    const canonical = (await database.ref('tuition-bookings/booking_1').once('value')).val();
+    assert.deepEqual(canonical, { status: 'pending', teacherId: 'teacher_1', bookingFeePaid: true });
+    assert.equal((await database.ref('bookings/booking_1').once('value')).val(), null);
+    assert.deepEqual(await bookings.listLegacyIds(), []);
+  });
+
+  it('reports what a migration would do without writing on a dry run', async () => {
+    const { bookings } = createMemoryRepositories({
+      'tuition-bookings': { booking_1: { status: 'confirmed', lastUpdated: 2 } },
+      bookings: { booking_1: { status: 'pending', lastUpdated: 1 } }
+    });
+
+    const dryRun = await bookings.migrate('booking_1', { dryRun: true });
+    assert.equal(dryRun.merged, true);
+    assert.equal(dryRun.conflicts[0].field, 'status');
+    assert.deepEqual(await bookings.listLegacyIds(), ['booking_1']);
+
+    const migrated = await bookings.migrate('booking_1');
+    assert.equal(migrated.migrated, true);
+    assert.deepEqual(await bookings.listLegacyIds(), []);
+    assert.equal((await bookings.get('booking_1')).status, 'confirmed');
+
+    assert.equal((await bookings.migrate('booking_1')).migrated, false);
+  });
+});
@@ -0,0 +1,108 @@
+const { startBackend, waitFor, waitForPayment, chargeMpesa } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let backend;
+let bookings;
+let transactions;
+let getDatabase;
+let getOrCreatePhoneRecipient;
+let runReconciliation;
+
+before(async () => {
+  backend = await startBackend();
+  ({ bookings, transactions } = require('../repositories'));
+  ({ getDatabase } = require('../config/firebase'));
+  ({ getOrCreatePhoneRecipient } = require('../services/payoutRecipients'));
+  ({ runReconciliation } = require('../services/reconciler'));
+});
+
+after(() => backend.stop());
+
+let counter = 0;
+
+/**
+ * A booking with a teacher who is not onboarded as a subaccount
+ */
+const teacherBooking = async () => {
+  counter += 1;
+  const bookingId = `booking_commission_${counter}`;
+  const teacherId = `teacher_commission_${counter}`;
+
+  await bookings.update(bookingId, { status: 'pending', teacherId });
+
+  return { bookingId, teacherId };
+};
+
+/**
+ * Give a teacher a default M-Pesa payout recipient (the mock cannot resolve
+ * accounts, so it is stored directly)
+ */
+const addRecipient = async (teacherId) => {
+  const recipientCode = await getOrCreatePhoneRecipient('254722222222', 'Teacher');
+
+  await getDatabase().ref(`payout-recipients/${teacherId}/rcp_1`).set({
+    id: 'rcp_1',
+    teacherId,
+    type: 'mobile_money',
+    accountNumber: '0722222222',
+    recipientCode,
+    isDefault: true
+  });
+};
+
+/**
+ * Wait for the teacher-share settlement of a payment to reach `status`
+ */
+const waitForSettlement = (reference, status) => waitFor(async () => {
+  const split = await transactions.getField(reference, 'split');
+  return split?.settlement?.status === status && split;
+}, { message: `settlement ${status}` });
+
+describe('deferred commission', () => {
+  it('pays the teacher their share of a tuition payment once fulfilled', async () => {
+    const { bookingId, teacherId } = await teacherBooking();
+    await addRecipient(teacherId);
+
+    const reference = await chargeMpesa({ bookingId, amount: 1000, metadata: { payment_type: 'tuition' } });
+    await waitForPayment(reference, 'success');
+    const split = await waitForSettlement(reference, 'success');
+
+    assert.equal(split.mode, 'deferred');
+    assert.equal(split.settlement.amount, 900);
+    assert.equal(split.settlement.attempts, 1);
+    assert.match(split.settlement.transferCode, /^TRF_/);
+  });
+
+  it('retries the share once the teacher has a payout recipient', async () => {
+    const { bookingId, teacherId } = await teacherBooking();
+
+    const reference = await chargeMpesa({ bookingId, amount: 500, metadata: { payment_type: 'tuition' } });
+    await waitForPayment(reference, 'success');
+    const unpaid = await waitForSettlement(reference, 'failed');
+    assert.equal(unpaid.settlement.reason, 'Teacher has no default payout recipient');
+
+    await addRecipient(teacherId);
+    const report = await runReconciliation({ trigger: 'test' });
+    const item = report.items.find(entry => entry.reference === reference);
+    assert.match(item.outcome, /^teacher_share_pending/);
+
+    const split = await waitForSettlement(reference, 'success');
+    assert.equal(split.settlement.amount, 450);
+    assert.equal(split.settlement.attempts, 2);
+  });
+
+  it('leaves escrow to be paid out from the booking', async () => {
+    const { bookingId, teacherId } = await teacherBooking();
+    await addRecipient(teacherId);
+
+    const reference = await chargeMpesa({ bookingId, amount: 1000, metadata: { payment_type: 'escrow' } });
+    await waitForPayment(reference, 'success');
+    await waitFor(async () => (await bookings.get(bookingId)).escrowStatus === 'held', { message: 'escrow held' });
+
+    const split = await transactions.getField(reference, 'split');
+    assert.equal(split.mode, 'deferred');
+    assert.equal(split.settlement, undefined);
+  });
+});
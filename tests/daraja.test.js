@@ -0,0 +1,152 @@
+const { listen, urlOf, startBackend, waitFor, waitForPayment } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const axios = require('axios');
+const { createDarajaServer } = require('../mocks/darajaServer');
+
+const CALLBACK_TOKEN = 'daraja_callback_token';
+
+let backend;
+let servers;
+let callbackUrl;
+let bookings;
+let transactions;
+let initiateDarajaPayment;
+let queryDarajaPayment;
+
+// Daraja settings are read when the modules load, so the stand-in and the
+// callback endpoint are started first
+before(async () => {
+  const callbackApp = express();
+  const callbackServer = await listen(callbackApp);
+  const darajaServer = await listen(createDarajaServer({
+    consumerKey: 'daraja_key',
+    consumerSecret: 'daraja_secret',
+    passkey: 'daraja_passkey',
+    callbackDelayMs: 10
+  }));
+  servers = [callbackServer, darajaServer];
+  callbackUrl = `${urlOf(callbackServer)}/api/payments/daraja/callback`;
+
+  Object.assign(process.env, {
+    DARAJA_BASE_URL: urlOf(darajaServer),
+    DARAJA_CONSUMER_KEY: 'daraja_key',
+    DARAJA_CONSUMER_SECRET: 'daraja_secret',
+    DARAJA_SHORTCODE: '174379',
+    DARAJA_PASSKEY: 'daraja_passkey',
+    DARAJA_CALLBACK_TOKEN: CALLBACK_TOKEN,
+    DARAJA_CALLBACK_URL: callbackUrl
+  });
+
+  backend = await startBackend();
+  callbackApp.use('/api/payments/daraja/callback', express.json(), require('../routes/darajaCallbackRoutes'));
+
+  ({ bookings, transactions } = require('../repositories'));
+  ({ initiateDarajaPayment, queryDarajaPayment } = require('../services/daraja'));
+});
+
+after(async () => {
+  await backend.stop();
+  await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+});
+
+let counter = 0;
+
+/**
+ * Send an STK push for a booking fee, resolving with the reference and the
+ * CheckoutRequestID
+ */
+const stkPush = async (phone = '254712345678') => {
+  const bookingId = `booking_daraja_${++counter}`;
+  await bookings.update(bookingId, { status: 'pending' });
+
+  const result = await initiateDarajaPayment({
+    phone,
+    amount: 100,
+    email: 'parent@example.com',
+    bookingId,
+    metadata: { payment_type: 'booking_fee' }
+  });
+  assert.equal(result.httpStatus, 200);
+
+  return { bookingId, reference: result.data.reference, checkoutRequestId: result.data.checkoutRequestId };
+};
+
+const postCallback = (body, token = CALLBACK_TOKEN) => axios.post(`${callbackUrl}/${token}`, body, {
+  validateStatus: () => true
+});
+
+const stkCallback = (checkoutRequestId, resultCode = 0) => ({
+  Body: {
+    stkCallback: {
+      MerchantRequestID: 'merchant_1',
+      CheckoutRequestID: checkoutRequestId,
+      ResultCode: resultCode,
+      ResultDesc: 'Result',
+      ...(resultCode === 0 && {
+        CallbackMetadata: {
+          Item: [
+            { Name: 'Amount', Value: 100 },
+            { Name: 'MpesaReceiptNumber', Value: 'RCPT000001' },
+            { Name: 'TransactionDate', Value: 20251203131500 },
+            { Name: 'PhoneNumber', Value: 254712345678 }
+          ]
+        }
+      })
+    }
+  }
+});
+
+describe('Daraja STK push', () => {
+  it('fulfills a payment from its success callback', async () => {
+    const { bookingId, reference } = await stkPush();
+
+    const payment = await waitForPayment(reference, 'success');
+    assert.equal(payment.gateway, 'daraja');
+    assert.match(payment.mpesaReceiptNumber, /^[A-Z0-9]{10}$/);
+    assert.equal(payment.fulfillment.status, 'fulfilled');
+    assert.equal((await bookings.get(bookingId)).bookingFeePaid, true);
+  });
+
+  it('maps unsuccessful result codes to failed and abandoned', async () => {
+    const insufficient = await stkPush('254700000001');
+    const cancelled = await stkPush('254700000002');
+
+    const failed = await waitForPayment(insufficient.reference, 'failed');
+    assert.equal(failed.failureReason, 'The balance is insufficient for the transaction.');
+    await waitForPayment(cancelled.reference, 'abandoned');
+  });
+
+  it('settles a payment whose callback never arrives from an STK query', async () => {
+    const { bookingId, reference } = await stkPush('254700000005');
+
+    const result = await waitFor(async () => {
+      const query = await queryDarajaPayment(reference);
+      return query.data.status !== 'pending' && query;
+    }, { message: 'the STK query' });
+
+    assert.equal(result.data.status, 'success');
+    assert.equal(result.data.outcome, `negotiation_unlocked (booking ${bookingId})`);
+  });
+
+  it('applies a callback delivered twice only once', async () => {
+    const { reference, checkoutRequestId } = await stkPush('254700000005');
+
+    assert.equal((await postCallback(stkCallback(checkoutRequestId))).status, 200);
+    const payment = await waitForPayment(reference, 'success');
+
+    const repeat = await postCallback(stkCallback(checkoutRequestId));
+    assert.equal(repeat.status, 200);
+    assert.deepEqual(await transactions.get(reference), payment);
+  });
+
+  it('rejects callbacks with a wrong token, for unknown pushes or that are not STK results', async () => {
+    const { checkoutRequestId } = await stkPush('254700000005');
+
+    assert.equal((await postCallback(stkCallback(checkoutRequestId), 'wrong_token')).status, 403);
+    assert.equal((await postCallback(stkCallback('ws_CO_unknown'))).status, 404);
+    assert.equal((await postCallback({ Body: {} })).status, 400);
+  });
+});
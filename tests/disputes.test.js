@@ -0,0 +1,81 @@
+const { startBackend, waitForPayment, chargeMpesa } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let backend;
+let database;
+let transactions;
+let bookings;
+let openDispute;
+let resolveDispute;
+let getDispute;
+
+before(async () => {
+  backend = await startBackend();
+  database = require('../config/firebase').getDatabase();
+  ({ transactions, bookings } = require('../repositories'));
+  ({ openDispute, resolveDispute, getDispute } = require('../services/disputes'));
+});
+
+after(() => backend.stop());
+
+let counter = 0;
+
+/**
+ * An open dispute over 1000 KES of held escrow
+ */
+const openEscrowDispute = async () => {
+  const bookingId = `booking_disputes_${++counter}`;
+  await bookings.update(bookingId, { status: 'pending', teacherId: 'teacher_1' });
+
+  const reference = await chargeMpesa({ bookingId, amount: 1000, metadata: { payment_type: 'escrow' } });
+  await waitForPayment(reference, 'success');
+
+  const opened = await openDispute({ bookingId, openedBy: 'parent_1', role: 'parent', reason: 'Lessons missed' });
+  return { bookingId, reference, disputeId: opened.data.id };
+};
+
+const refundDispute = (disputeId) => resolveDispute(disputeId, { resolution: 'refund', resolvedBy: 'admin_1' });
+
+describe('dispute resolution', () => {
+  it('takes over a resolution left claimed by an attempt that crashed', async () => {
+    const { disputeId, reference } = await openEscrowDispute();
+    const claim = database.ref(`escrow-disputes/${disputeId}`);
+
+    await claim.update({ status: 'resolving', resolvingAt: new Date().toISOString() });
+    const inFlight = await refundDispute(disputeId);
+    assert.equal(inFlight.httpStatus, 409);
+
+    await claim.update({ resolvingAt: new Date(Date.now() - 10 * 60 * 1000).toISOString() });
+    const retried = await refundDispute(disputeId);
+
+    assert.equal(retried.httpStatus, 200);
+    assert.equal(retried.data.refundAmount, 1000);
+    assert.equal((await getDispute(disputeId)).status, 'resolved');
+    await waitForPayment(reference, 'refunded');
+  });
+
+  it('releases its claim when a resolution throws', async () => {
+    const { disputeId, bookingId } = await openEscrowDispute();
+    const { get } = transactions;
+
+    transactions.get = async () => {
+      throw new Error('Database unavailable');
+    };
+
+    try {
+      await assert.rejects(refundDispute(disputeId), /Database unavailable/);
+    } finally {
+      transactions.get = get;
+    }
+
+    const released = await getDispute(disputeId);
+    assert.equal(released.status, 'open');
+    assert.ok(!released.resolvingAt);
+    assert.equal(released.lastResolutionError, 'Database unavailable');
+
+    assert.equal((await refundDispute(disputeId)).httpStatus, 200);
+    assert.equal((await bookings.get(bookingId)).activeDisputeId, null);
+  });
+});
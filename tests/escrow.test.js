@@ -0,0 +1,152 @@
+const { startBackend, waitFor, waitForPayment, chargeMpesa } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TEACHER_PHONE = '254711111111';
+
+let backend;
+let bookings;
+let requestRefund;
+let releaseEscrowPayout;
+let getEscrowBalance;
+
+before(async () => {
+  backend = await startBackend();
+  ({ bookings } = require('../repositories'));
+  ({ requestRefund } = require('../services/refunds'));
+  ({ releaseEscrowPayout, getEscrowBalance } = require('../services/payouts'));
+});
+
+after(() => backend.stop());
+
+let counter = 0;
+
+/**
+ * A completed booking, with `amount` KES paid into escrow unless 0
+ */
+const completedBooking = async (amount = 1000) => {
+  const bookingId = `booking_escrow_${++counter}`;
+  const now = new Date().toISOString();
+
+  await bookings.update(bookingId, {
+    status: 'pending',
+    teacherId: 'teacher_1',
+    parentCompletedAt: now,
+    teacherCompletedAt: now
+  });
+
+  let reference = null;
+
+  if (amount > 0) {
+    reference = await chargeMpesa({ bookingId, amount, metadata: { payment_type: 'escrow' } });
+    await waitForPayment(reference, 'success');
+  }
+
+  return { bookingId, reference };
+};
+
+const balanceOf = async (bookingId) => getEscrowBalance(await bookings.get(bookingId));
+
+const release = (bookingId, amount) => releaseEscrowPayout({ bookingId, amount, teacherPhone: TEACHER_PHONE });
+
+describe('escrow', () => {
+  it('holds a paid escrow payment on its booking', async () => {
+    const { bookingId, reference } = await completedBooking();
+    const booking = await bookings.get(bookingId);
+
+    assert.equal(booking.escrowStatus, 'held');
+    assert.equal(booking.escrowReference, reference);
+    assert.equal(getEscrowBalance(booking).held, 1000);
+  });
+
+  it('only pays out escrow that was collected', async () => {
+    const { bookingId } = await completedBooking(0);
+
+    const result = await release(bookingId, 500);
+
+    assert.equal(result.httpStatus, 400);
+    assert.equal(result.message, 'No escrow is held for this booking');
+  });
+
+  it('limits a payout to the held balance', async () => {
+    const { bookingId } = await completedBooking();
+
+    const result = await release(bookingId, 1500);
+
+    assert.equal(result.httpStatus, 400);
+    assert.match(result.message, /at most 1000 KES/);
+    assert.equal((await balanceOf(bookingId)).held, 1000);
+  });
+
+  it('starts only one of two concurrent payouts', async () => {
+    const { bookingId } = await completedBooking();
+
+    const results = await Promise.all([release(bookingId, 600), release(bookingId, 600)]);
+
+    assert.deepEqual(results.map(result => result.httpStatus).sort(), [200, 409]);
+    assert.deepEqual(await balanceOf(bookingId), {
+      total: 1000, released: 0, releasing: 600, refunded: 0, refunding: 0, held: 400
+    });
+
+    // The stand-in's transfer.success webhook completes the payout
+    await waitFor(async () => (await balanceOf(bookingId)).released === 600, { message: 'the payout to complete' });
+  });
+
+  it('returns a reversed payout to the escrow and reopens the booking it completed', async () => {
+    const { bookingId } = await completedBooking();
+    const before = await bookings.get(bookingId);
+    const { data } = await release(bookingId, 1000);
+
+    const completed = await waitFor(async () => {
+      const booking = await bookings.get(bookingId);
+      return booking.escrowStatus === 'released' && booking;
+    }, { message: 'the payout to complete' });
+    assert.equal(completed.status, 'completed');
+
+    const delivery = await backend.deliverWebhook('transfer.reversed', { reference: data.transferReference });
+    const booking = await bookings.get(bookingId);
+
+    assert.equal(delivery.status, 200);
+    assert.equal(booking.escrowStatus, 'held');
+    assert.equal(booking.status, before.status);
+    assert.equal(booking.paymentStatus ?? null, before.paymentStatus ?? null);
+    assert.ok(!booking.escrowReleasedAt);
+    assert.deepEqual(getEscrowBalance(booking), {
+      total: 1000, released: 0, releasing: 0, refunded: 0, refunding: 0, held: 1000
+    });
+  });
+
+  it('reserves refunds against the escrow that is not being paid out', async () => {
+    const { bookingId, reference } = await completedBooking();
+    assert.equal((await release(bookingId, 600)).httpStatus, 200);
+
+    const tooMuch = await requestRefund({ reference, amount: 1000 });
+    assert.equal(tooMuch.httpStatus, 400);
+    assert.equal((await waitForPayment(reference, 'success')).refundPendingAmount, 0);
+
+    assert.equal((await requestRefund({ reference, amount: 400 })).httpStatus, 200);
+    assert.equal((await balanceOf(bookingId)).refunding, 400);
+
+    await waitForPayment(reference, 'partially_refunded');
+    const balance = await waitFor(async () => {
+      const current = await balanceOf(bookingId);
+      return current.refunded === 400 && current.released === 600 && current;
+    }, { message: 'the refund and payout to complete' });
+
+    assert.equal(balance.held, 0);
+    assert.equal((await release(bookingId, 1)).httpStatus, 400);
+  });
+
+  it('freezes refunds and payouts while a dispute is open', async () => {
+    const { bookingId, reference } = await completedBooking();
+    await bookings.update(bookingId, { activeDisputeId: 'dispute_1' });
+
+    assert.equal((await requestRefund({ reference, amount: 100 })).httpStatus, 409);
+    assert.equal((await release(bookingId, 100)).httpStatus, 409);
+    assert.equal((await waitForPayment(reference, 'success')).refundPendingAmount, 0);
+
+    // ...except for the refund that resolves the dispute
+    assert.equal((await requestRefund({ reference, amount: 100, disputeId: 'dispute_1' })).httpStatus, 200);
+  });
+});
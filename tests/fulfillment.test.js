@@ -0,0 +1,127 @@
+const { startBackend } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let backend;
+let transactions;
+let bookings;
+let FULFILLMENT_HANDLERS;
+let fulfillPayment;
+let listUnfulfilledPayments;
+
+// Receipts look the payment up on the gateway
+before(async () => {
+  backend = await startBackend();
+  ({ transactions, bookings } = require('../repositories'));
+  ({ FULFILLMENT_HANDLERS, fulfillPayment, listUnfulfilledPayments } = require('../services/fulfillment'));
+});
+
+after(() => backend.stop());
+
+let counter = 0;
+
+/**
+ * A successful payment waiting to be fulfilled, as settleSuccessfulCharge
+ * leaves it
+ */
+const successfulPayment = async (paymentType, { bookingId = `booking_fulfillment_${++counter}`, amount = 500 } = {}) => {
+  const reference = `fulfillment_${++counter}`;
+
+  await bookings.update(bookingId, { status: 'pending' });
+  await transactions.create(reference, {
+    reference,
+    bookingId,
+    amount,
+    status: 'success',
+    metadata: { booking_id: bookingId, payment_type: paymentType },
+    fulfillment: { status: 'pending', pendingAt: new Date().toISOString(), attempts: 0 },
+    createdAt: Date.now()
+  });
+
+  return { reference, bookingId };
+};
+
+describe('payment fulfillment', () => {
+  after(() => {
+    delete FULFILLMENT_HANDLERS.flaky;
+  });
+
+  it('applies a payment to its booking once, however many paths fulfill it', async () => {
+    const { reference, bookingId } = await successfulPayment('tuition');
+
+    const results = await Promise.all([
+      fulfillPayment(reference, { source: 'webhook' }),
+      fulfillPayment(reference, { source: 'verify' }),
+      fulfillPayment(reference, { source: 'reconciler' })
+    ]);
+    const again = await fulfillPayment(reference, { source: 'webhook' });
+
+    assert.equal(results.filter(result => result.applied).length, 1);
+    assert.equal(again.applied, false);
+    assert.equal(again.outcome, 'ignored (already_fulfilled)');
+
+    const booking = await bookings.get(bookingId);
+    assert.equal(booking.tuitionPaymentStatus, 'fully_paid');
+    assert.equal(booking.tuitionPaidAmount, 500);
+    assert.deepEqual(Object.keys(booking.appliedPayments), [reference]);
+
+    const payment = await transactions.get(reference);
+    assert.equal(payment.fulfillment.status, 'fulfilled');
+    assert.equal(payment.fulfillment.attempts, 1);
+  });
+
+  it('does not apply the same payment to a booking twice, even when fulfilled again', async () => {
+    const { reference, bookingId } = await successfulPayment('tuition');
+    await fulfillPayment(reference, { source: 'webhook' });
+
+    // A fulfillment that crashed after applying the booking changes
+    await transactions.update(reference, { 'fulfillment/status': 'failed' });
+    const retry = await fulfillPayment(reference, { source: 'reconciler' });
+
+    assert.equal(retry.applied, true);
+    assert.equal(retry.fulfillment.action, 'booking_payment_already_applied');
+    assert.equal((await bookings.get(bookingId)).tuitionPaidAmount, 500);
+  });
+
+  it('leaves a failed fulfillment to be retried', async () => {
+    let failing = true;
+
+    FULFILLMENT_HANDLERS.flaky = {
+      fulfill: async () => {
+        if (failing) {
+          throw new Error('Booking store unavailable');
+        }
+
+        return { action: 'flaky_applied' };
+      }
+    };
+
+    const { reference } = await successfulPayment('flaky');
+
+    await assert.rejects(fulfillPayment(reference, { source: 'webhook' }), /Booking store unavailable/);
+
+    const failed = await transactions.get(reference);
+    assert.equal(failed.fulfillment.status, 'failed');
+    assert.equal(failed.fulfillment.error, 'Booking store unavailable');
+    assert.ok((await listUnfulfilledPayments()).some(payment => payment.reference === reference));
+
+    failing = false;
+    const retry = await fulfillPayment(reference, { source: 'reconciler' });
+
+    assert.equal(retry.applied, true);
+    assert.equal(retry.fulfillment.action, 'flaky_applied');
+    assert.equal((await transactions.get(reference)).fulfillment.attempts, 2);
+    assert.ok(!(await listUnfulfilledPayments()).some(payment => payment.reference === reference));
+  });
+
+  it('does not fulfill payments that are not successful', async () => {
+    const { reference } = await successfulPayment('tuition');
+    await transactions.update(reference, { status: 'refunded' });
+
+    const result = await fulfillPayment(reference, { source: 'webhook' });
+
+    assert.equal(result.applied, false);
+    assert.equal(result.outcome, 'ignored (status refunded)');
+  });
+});
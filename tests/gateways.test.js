@@ -0,0 +1,83 @@
+const { createResponse } = require('./helpers/backend');
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+let bookings;
+let resolveTenant;
+let selectGateway;
+let authenticateApiKey;
+let validate;
+let schemas;
+
+// Gateway settings are read when the modules load
+before(() => {
+  process.env.API_SECRET = 'platform_key';
+  process.env.TENANT_API_KEYS = JSON.stringify({ school_a: 'school_a_key' });
+  process.env.PAYMENT_GATEWAY_TENANTS = JSON.stringify({ school_a: 'daraja', school_b: { checkout: 'daraja' } });
+
+  ({ bookings } = require('../repositories'));
+  ({ resolveTenant, selectGateway } = require('../services/gateways'));
+  ({ authenticateApiKey } = require('../middleware/auth'));
+  ({ validate, schemas } = require('../middleware/validation'));
+});
+
+/**
+ * Run a middleware, resolving with the request and response
+ */
+const runMiddleware = (middleware, req) => {
+  const res = createResponse();
+  let nextCalled = false;
+
+  middleware(req, res, () => {
+    nextCalled = true;
+  });
+
+  return { req, res, nextCalled };
+};
+
+describe('payment tenants', () => {
+  it('identifies the tenant by the API key the request is authenticated with', () => {
+    const tenant = runMiddleware(authenticateApiKey, { headers: { 'x-api-key': 'school_a_key' } });
+    assert.equal(tenant.nextCalled, true);
+    assert.equal(tenant.req.tenantId, 'school_a');
+
+    const platform = runMiddleware(authenticateApiKey, { headers: { 'x-api-key': 'platform_key' } });
+    assert.equal(platform.nextCalled, true);
+    assert.equal(platform.req.tenantId, null);
+
+    const invalid = runMiddleware(authenticateApiKey, { headers: { 'x-api-key': 'school_a' } });
+    assert.equal(invalid.nextCalled, false);
+    assert.equal(invalid.res.statusCode, 403);
+  });
+
+  it('takes the tenant from the API key, then the booking', async () => {
+    await bookings.update('booking_gateways_1', { status: 'pending', tenantId: 'school_b' });
+
+    assert.equal(await resolveTenant({ apiKeyTenantId: 'school_a', bookingId: 'booking_gateways_1' }), 'school_a');
+    assert.equal(await resolveTenant({ bookingId: 'booking_gateways_1' }), 'school_b');
+    assert.equal(await resolveTenant({ bookingId: 'booking_gateways_missing' }), null);
+  });
+
+  it('does not accept a tenant from the request body', () => {
+    const { req, nextCalled } = runMiddleware(validate(schemas.mpesaPayment), {
+      body: {
+        phone: '254712345678',
+        amount: 100,
+        email: 'parent@example.com',
+        bookingId: 'booking1',
+        metadata: { payment_type: 'tuition', tenantId: 'school_a' }
+      }
+    });
+
+    assert.equal(nextCalled, true);
+    assert.equal(req.body.metadata.tenantId, undefined);
+  });
+
+  it('selects the gateway configured for the tenant', () => {
+    assert.equal(selectGateway({ method: 'mpesa', tenantId: 'school_a' }).name, 'daraja');
+    assert.equal(selectGateway({ method: 'mpesa', tenantId: 'school_b' }).name, 'paystack');
+    assert.equal(selectGateway({ method: 'checkout', tenantId: 'school_b' }).name, 'daraja');
+    assert.equal(selectGateway({ method: 'mpesa' }).name, 'paystack');
+  });
+});
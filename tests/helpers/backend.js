@@ -0,0 +1,179 @@
+const http = require('http');
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+
+/**
+ * Test backend: the in-memory data store and the Paystack stand-in
+ *
+ * Require this before any backend module. Tests run with DATA_STORE=memory
+ * against mocks/paystackServer.js, whose webhooks are delivered (signed) to
+ * the real webhook handler. The Paystack config reads PAYSTACK_BASE_URL when
+ * it is loaded, so backend modules must be required after startBackend()
+ * has resolved - in before().
+ */
+
+const SECRET_KEY = 'sk_test_suite';
+const WEBHOOK_SECRET = 'whsec_test_suite';
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  DATA_STORE: 'memory',
+  PAYSTACK_TEST_SECRET_KEY: SECRET_KEY,
+  PAYSTACK_TEST_WEBHOOK_SECRET: WEBHOOK_SECRET,
+  PAYSTACK_TEST_WEBHOOK_SECRETS: '',
+  EMAIL_NOTIFICATIONS_ENABLED: 'false',
+  SMS_NOTIFICATIONS_ENABLED: 'false',
+  PUSH_NOTIFICATIONS_ENABLED: 'false',
+  RECONCILE_ENABLED: 'false',
+  INSTALLMENT_OVERDUE_CHECK_ENABLED: 'false'
+});
+
+const listen = (app) => new Promise((resolve, reject) => {
+  const server = http.createServer(app);
+
+  server.once('error', reject);
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+const urlOf = (server) => `http://127.0.0.1:${server.address().port}`;
+
+/**
+ * Start the webhook endpoint and the Paystack stand-in
+ *
+ * Resolves with { paystack, webhookUrl, deliverWebhook, stop }; `paystack`
+ * is the stand-in's app.locals (transactions and the webhooks it sent).
+ */
+const startBackend = async ({ webhookDelayMs = 10 } = {}) => {
+  const webhookApp = express();
+  const webhookServer = await listen(webhookApp);
+  const webhookUrl = `${urlOf(webhookServer)}/webhook`;
+
+  const { createPaystackServer } = require('../../mocks/paystackServer');
+  const paystackApp = createPaystackServer({
+    secretKey: SECRET_KEY,
+    webhookUrl,
+    webhookSecret: WEBHOOK_SECRET,
+    webhookDelayMs
+  });
+  const paystackServer = await listen(paystackApp);
+
+  process.env.PAYSTACK_BASE_URL = urlOf(paystackServer);
+
+  // The webhook route is added once the backend may be loaded
+  const { captureRawBody } = require('../../middleware/rawBody');
+  const { handleWebhook } = require('../../controllers/paymentController');
+
+  webhookApp.post('/webhook', express.json({ verify: captureRawBody }), handleWebhook);
+
+  /**
+   * Deliver a webhook the way Paystack does, resolving with { status, data }
+   */
+  const deliverWebhook = async (event, data) => {
+    const body = JSON.stringify({ event, data });
+    const signature = crypto.createHmac('sha512', WEBHOOK_SECRET).update(body).digest('hex');
+    const response = await axios.post(webhookUrl, body, {
+      headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signature },
+      validateStatus: () => true
+    });
+
+    return { status: response.status, data: response.data };
+  };
+
+  const stop = () => Promise.all([webhookServer, paystackServer].map(server => new Promise(resolve => {
+    server.closeAllConnections();
+    server.close(resolve);
+  })));
+
+  return { paystack: paystackApp.locals, webhookUrl, deliverWebhook, stop };
+};
+
+/**
+ * Resolve once `check` returns a truthy value (polled every 10ms), with that
+ * value; rejects after `timeoutMs`
+ */
+const waitFor = async (check, { timeoutMs = 3000, message = 'condition' } = {}) => {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const value = await check();
+
+    if (value) {
+      return value;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+
+  throw new Error(`Timed out waiting for ${message}`);
+};
+
+/**
+ * Minimal Express response double, recording the status and JSON body
+ */
+const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    headersSent: false,
+    sent: 0,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      res.headersSent = true;
+      res.sent += 1;
+      return res;
+    }
+  };
+
+  return res;
+};
+
+/**
+ * Charge through the direct M-Pesa endpoint, resolving with the reference
+ *
+ * The stand-in settles the charge by the phone number (see SCENARIOS in
+ * mocks/paystackServer.js) and sends its webhook shortly after.
+ */
+const chargeMpesa = async ({ bookingId, amount, metadata = {}, phone = '254712345678' }) => {
+  const { processMpesaPaymentDirect } = require('../../controllers/paymentController');
+  const res = createResponse();
+
+  await processMpesaPaymentDirect({
+    body: { phone, amount, email: 'parent@example.com', bookingId, metadata },
+    protocol: 'http',
+    get: () => 'localhost'
+  }, res);
+
+  if (res.statusCode !== 200) {
+    throw new Error(`Charge failed with ${res.statusCode}: ${JSON.stringify(res.body)}`);
+  }
+
+  return res.body.data.reference;
+};
+
+/**
+ * Resolve with a payment once it has reached `status` and is not being
+ * fulfilled
+ */
+const waitForPayment = (reference, status) => {
+  const { transactions } = require('../../repositories');
+
+  return waitFor(async () => {
+    const payment = await transactions.get(reference);
+    return payment?.status === status && payment.fulfillment?.status !== 'processing' && payment;
+  }, { message: `${reference} to become ${status}` });
+};
+
+module.exports = {
+  listen,
+  urlOf,
+  startBackend,
+  waitFor,
+  waitForPayment,
+  chargeMpesa,
+  createResponse
+};
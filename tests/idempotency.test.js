@@ -0,0 +1,134 @@
+const { waitFor } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const axios = require('axios');
+const { idempotency } = require('../middleware/idempotency');
+
+let server;
+let baseUrl;
+let charges = 0;
+let releaseSlowCharge = null;
+
+/**
+ * A payment endpoint that counts the charges it makes. `{ fail: true }`
+ * answers 500; `{ slow: true }` waits for releaseSlowCharge.
+ */
+before(async () => {
+  const app = express();
+  app.use(express.json());
+
+  app.post('/payments', idempotency, async (req, res) => {
+    if (req.body.slow) {
+      await new Promise(resolve => {
+        releaseSlowCharge = resolve;
+      });
+    }
+
+    if (req.body.fail) {
+      return res.status(500).json({ success: false, message: 'Gateway unavailable' });
+    }
+
+    charges += 1;
+    res.status(201).json({ success: true, data: { reference: `ref_${charges}`, amount: req.body.amount } });
+  });
+
+  server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+let counter = 0;
+const newKey = () => `key_${++counter}`;
+
+const pay = (key, body, options = {}) => axios.post(`${baseUrl}/payments`, body, {
+  headers: key ? { 'Idempotency-Key': key } : {},
+  validateStatus: () => true,
+  ...options
+});
+
+describe('Idempotency-Key', () => {
+  it('replays the stored response for a repeat with the same key and body', async () => {
+    const key = newKey();
+    const first = await pay(key, { amount: 100, phone: '254712345678' });
+    const chargesAfterFirst = charges;
+
+    // Key order does not change the body hash
+    const repeat = await pay(key, { phone: '254712345678', amount: 100 });
+
+    assert.equal(first.status, 201);
+    assert.equal(repeat.status, 201);
+    assert.deepEqual(repeat.data, first.data);
+    assert.equal(repeat.headers['idempotent-replayed'], 'true');
+    assert.equal(charges, chargesAfterFirst);
+  });
+
+  it('rejects a repeat with a different body', async () => {
+    const key = newKey();
+    await pay(key, { amount: 100 });
+
+    const repeat = await pay(key, { amount: 200 });
+
+    assert.equal(repeat.status, 422);
+    assert.match(repeat.data.message, /different request body/);
+  });
+
+  it('answers 409 while the first request is still in progress', async () => {
+    const key = newKey();
+    const first = pay(key, { amount: 100, slow: true });
+    await waitFor(() => releaseSlowCharge, { message: 'the first request' });
+
+    const repeat = await pay(key, { amount: 100, slow: true });
+    assert.equal(repeat.status, 409);
+
+    releaseSlowCharge();
+    releaseSlowCharge = null;
+    assert.equal((await first).status, 201);
+  });
+
+  it('releases the key when the request fails', async () => {
+    const key = newKey();
+    assert.equal((await pay(key, { amount: 100, fail: true })).status, 500);
+
+    // The retry runs again instead of replaying the failure
+    const retry = await waitFor(async () => {
+      const response = await pay(key, { amount: 100, fail: true });
+      return response.status === 500 && !response.headers['idempotent-replayed'] && response;
+    }, { message: 'the retry' });
+
+    assert.equal(retry.data.message, 'Gateway unavailable');
+  });
+
+  it('releases the key when the client disconnects before a response', async () => {
+    const key = newKey();
+    const controller = new AbortController();
+    const first = pay(key, { amount: 100, slow: true }, { signal: controller.signal });
+    await waitFor(() => releaseSlowCharge, { message: 'the first request' });
+
+    controller.abort();
+    await assert.rejects(first);
+
+    // A different body is rejected until the key is released
+    const retry = await waitFor(async () => {
+      const response = await pay(key, { amount: 100 });
+      return response.status !== 422 && response;
+    }, { message: 'the key to be released' });
+
+    assert.equal(retry.status, 201);
+    releaseSlowCharge();
+    releaseSlowCharge = null;
+  });
+
+  it('rejects overlong keys and ignores requests without one', async () => {
+    assert.equal((await pay('k'.repeat(256), { amount: 100 })).status, 400);
+
+    const chargesBefore = charges;
+    await pay(null, { amount: 100 });
+    await pay(null, { amount: 100 });
+    assert.equal(charges, chargesBefore + 2);
+  });
+});
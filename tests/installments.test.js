@@ -0,0 +1,114 @@
+const { startBackend, waitForPayment, chargeMpesa } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Charges to this number are never completed, so they stay pending
+const UNANSWERED_PHONE = '254700000003';
+
+let backend;
+let bookings;
+let createInstallmentPlan;
+let getInstallmentPlan;
+let flagOverdueInstallments;
+
+before(async () => {
+  backend = await startBackend();
+  ({ bookings } = require('../repositories'));
+  ({ createInstallmentPlan, getInstallmentPlan, flagOverdueInstallments } = require('../services/installments'));
+});
+
+after(() => backend.stop());
+
+let counter = 0;
+
+const daysFromNow = (days) => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+/**
+ * A booking with 3001 KES of tuition split into two installments, 30 days apart
+ */
+const bookingWithPlan = async (firstDueDate = daysFromNow(1)) => {
+  const bookingId = `booking_installments_${++counter}`;
+  await bookings.update(bookingId, { status: 'negotiating', teacherId: 'teacher_1' });
+
+  const result = await createInstallmentPlan(bookingId, { total: 3001, count: 2, firstDueDate }, 'parent@example.com');
+  assert.equal(result.httpStatus, 201);
+
+  return { bookingId, installments: result.data.installments };
+};
+
+const payInstallment = (bookingId, installment, options = {}) => chargeMpesa({
+  bookingId,
+  amount: installment.amount,
+  metadata: { payment_type: 'installment', installment_id: installment.id },
+  ...options
+});
+
+describe('installment plans', () => {
+  it('splits the total evenly, the last installment taking the remainder', async () => {
+    const { installments } = await bookingWithPlan('2030-01-15');
+
+    assert.deepEqual(installments.map(({ amount, dueDate }) => ({ amount, dueDate })), [
+      { amount: 1500, dueDate: '2030-01-15' },
+      { amount: 1501, dueDate: '2030-02-14' }
+    ]);
+  });
+
+  it('rejects schedules that do not add up to the total', async () => {
+    const bookingId = `booking_installments_${++counter}`;
+    await bookings.update(bookingId, { status: 'negotiating' });
+
+    const result = await createInstallmentPlan(bookingId, {
+      total: 3000,
+      installments: [{ amount: 1000, dueDate: '2030-01-01' }, { amount: 1000, dueDate: '2030-02-01' }]
+    });
+
+    assert.equal(result.httpStatus, 400);
+    assert.match(result.message, /add up to 2000 KES but the total is 3000 KES/);
+  });
+
+  it('tracks each payment and marks the tuition fully paid after the last one', async () => {
+    const { bookingId, installments } = await bookingWithPlan();
+
+    await waitForPayment(await payInstallment(bookingId, installments[0]), 'success');
+    let booking = await bookings.get(bookingId);
+    assert.equal(booking.tuitionPaymentStatus, 'partially_paid');
+    assert.equal(booking.tuitionBalance, 1501);
+    assert.equal(booking.status, 'negotiating');
+
+    await waitForPayment(await payInstallment(bookingId, installments[1]), 'success');
+    booking = await bookings.get(bookingId);
+    assert.equal(booking.tuitionPaymentStatus, 'fully_paid');
+    assert.equal(booking.tuitionBalance, 0);
+    assert.equal(booking.status, 'confirmed');
+
+    const plan = await getInstallmentPlan(bookingId);
+    assert.equal(plan.status, 'completed');
+    assert.deepEqual(plan.installments.map(installment => installment.status), ['paid', 'paid']);
+  });
+
+  it('only charges the amount due, once at a time, and not after it is paid', async () => {
+    const { bookingId, installments } = await bookingWithPlan();
+    const [first] = installments;
+
+    await assert.rejects(payInstallment(bookingId, { ...first, amount: 100 }), /Installment amount due is 1500 KES/);
+
+    await payInstallment(bookingId, first, { phone: UNANSWERED_PHONE });
+    await assert.rejects(payInstallment(bookingId, first), /still pending/);
+
+    const { bookingId: paidBookingId, installments: [paid] } = await bookingWithPlan();
+    await waitForPayment(await payInstallment(paidBookingId, paid), 'success');
+    await assert.rejects(payInstallment(paidBookingId, paid), /already been paid/);
+  });
+
+  it('flags installments past their due date', async () => {
+    const { bookingId } = await bookingWithPlan(daysFromNow(-1));
+
+    assert.ok(await flagOverdueInstallments() >= 1);
+
+    const plan = await getInstallmentPlan(bookingId);
+    assert.deepEqual(plan.installments.map(installment => installment.overdue), [true, false]);
+    assert.equal(plan.summary.overdueCount, 1);
+    assert.equal((await bookings.get(bookingId)).hasOverdueInstallments, true);
+  });
+});
@@ -0,0 +1,93 @@
+const { startBackend, waitFor, waitForPayment, chargeMpesa } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const TEACHER_PHONE = '254711111111';
+
+let backend;
+let bookings;
+let defineMilestones;
+let confirmMilestone;
+let getMilestones;
+let releaseMilestonePayout;
+let releaseEscrowPayout;
+
+before(async () => {
+  backend = await startBackend();
+  ({ bookings } = require('../repositories'));
+  ({ defineMilestones, confirmMilestone, getMilestones } = require('../services/milestones'));
+  ({ releaseMilestonePayout, releaseEscrowPayout } = require('../services/payouts'));
+});
+
+after(() => backend.stop());
+
+let counter = 0;
+
+/**
+ * A booking with 1000 KES held in escrow
+ */
+const bookingWithEscrow = async () => {
+  const bookingId = `booking_milestones_${++counter}`;
+  await bookings.update(bookingId, { status: 'pending', teacherId: 'teacher_1' });
+
+  const reference = await chargeMpesa({ bookingId, amount: 1000, metadata: { payment_type: 'escrow' } });
+  await waitForPayment(reference, 'success');
+
+  return bookingId;
+};
+
+const confirmBoth = async (bookingId, milestoneId) => {
+  await confirmMilestone(bookingId, milestoneId, { role: 'parent', confirmedBy: 'parent_1' });
+  return confirmMilestone(bookingId, milestoneId, { role: 'teacher', confirmedBy: 'teacher_1' });
+};
+
+describe('escrow milestones', () => {
+  it('only splits the escrow that is held', async () => {
+    const bookingId = await bookingWithEscrow();
+
+    const mismatch = await defineMilestones(bookingId, [{ title: 'Week 1', amount: 400 }, { title: 'Week 2', amount: 400 }]);
+    assert.equal(mismatch.httpStatus, 400);
+    assert.match(mismatch.message, /1000 KES is held/);
+
+    const defined = await defineMilestones(bookingId, [{ title: 'Week 1', amount: 400 }, { title: 'Week 2', amount: 600 }]);
+    assert.equal(defined.httpStatus, 201);
+    assert.deepEqual(defined.data.milestones.map(milestone => milestone.status), ['pending', 'pending']);
+  });
+
+  it('pays out a milestone once both parties confirm it', async () => {
+    const bookingId = await bookingWithEscrow();
+    const { data } = await defineMilestones(bookingId, [{ title: 'Week 1', amount: 400 }, { title: 'Week 2', amount: 600 }]);
+    const [first, second] = data.milestones;
+
+    await confirmMilestone(bookingId, first.id, { role: 'parent' });
+    const unconfirmed = await releaseMilestonePayout({ bookingId, milestoneId: first.id, teacherPhone: TEACHER_PHONE });
+    assert.equal(unconfirmed.httpStatus, 400);
+
+    assert.equal((await confirmBoth(bookingId, first.id)).data.status, 'confirmed');
+    const released = await releaseMilestonePayout({ bookingId, milestoneId: first.id, teacherPhone: TEACHER_PHONE });
+    assert.equal(released.httpStatus, 200);
+    assert.equal(released.data.milestoneStatus, 'releasing');
+
+    const milestones = await waitFor(async () => {
+      const current = await getMilestones(bookingId);
+      return current.milestones[0].status === 'released' && current;
+    }, { message: 'the milestone payout to complete' });
+
+    assert.equal(milestones.balance.released, 400);
+    assert.equal(milestones.balance.held, 600);
+    assert.equal(milestones.milestones[1].id, second.id);
+    assert.equal(milestones.milestones[1].status, 'pending');
+  });
+
+  it('does not release split escrow as a lump sum', async () => {
+    const bookingId = await bookingWithEscrow();
+    await defineMilestones(bookingId, [{ title: 'Week 1', amount: 500 }, { title: 'Week 2', amount: 500 }]);
+    await bookings.update(bookingId, { parentCompletedAt: 'now', teacherCompletedAt: 'now' });
+
+    const result = await releaseEscrowPayout({ bookingId, teacherPhone: TEACHER_PHONE });
+
+    assert.equal(result.httpStatus, 409);
+    assert.match(result.message, /release them individually/);
+  });
+});
@@ -0,0 +1,77 @@
+require('./helpers/backend');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { transactions } = require('../repositories');
+const { PAYMENT_STATES, canTransition, transitionPayment } = require('../services/paymentLifecycle');
+
+let counter = 0;
+
+const createPayment = async (status = PAYMENT_STATES.PENDING) => {
+  const reference = `lifecycle_${++counter}`;
+  await transactions.create(reference, { reference, amount: 100, status, createdAt: Date.now() });
+  return reference;
+};
+
+describe('payment lifecycle', () => {
+  it('moves a pending payment to success and records the change', async () => {
+    const reference = await createPayment();
+
+    const outcome = await transitionPayment(reference, PAYMENT_STATES.SUCCESS, {
+      updates: { completedAt: 'now' },
+      source: 'test'
+    });
+
+    assert.deepEqual(outcome, { applied: true, from: 'pending', to: 'success', reason: null });
+
+    const payment = await transactions.get(reference);
+    assert.equal(payment.status, 'success');
+    assert.equal(payment.completedAt, 'now');
+    assert.deepEqual(
+      Object.values(payment.statusHistory).map(({ from, to, source }) => ({ from, to, source })),
+      [{ from: 'pending', to: 'success', source: 'test' }]
+    );
+  });
+
+  it('never moves a successful payment back to failed or pending', async () => {
+    const reference = await createPayment(PAYMENT_STATES.SUCCESS);
+
+    for (const status of [PAYMENT_STATES.FAILED, PAYMENT_STATES.PENDING]) {
+      const outcome = await transitionPayment(reference, status, { source: 'late_webhook' });
+      assert.equal(outcome.applied, false);
+      assert.equal(outcome.reason, 'illegal_transition');
+    }
+
+    assert.equal((await transactions.get(reference)).status, 'success');
+  });
+
+  it('only lets a failed refund take a payment out of refund_pending back to success', async () => {
+    const reference = await createPayment(PAYMENT_STATES.REFUND_PENDING);
+
+    const verified = await transitionPayment(reference, PAYMENT_STATES.SUCCESS, { source: 'verify' });
+    assert.equal(verified.applied, false);
+
+    const rolledBack = await transitionPayment(reference, PAYMENT_STATES.SUCCESS, { source: 'refund.failed', rollback: true });
+    assert.equal(rolledBack.applied, true);
+    assert.equal((await transactions.get(reference)).status, 'success');
+
+    assert.equal(canTransition('success', 'refund_pending', { rollback: true }), false);
+  });
+
+  it('rejects a repeated transition to the same status when allowSame is false', async () => {
+    const reference = await createPayment(PAYMENT_STATES.FAILED);
+
+    const first = await transitionPayment(reference, PAYMENT_STATES.RETRYING, { allowSame: false });
+    const second = await transitionPayment(reference, PAYMENT_STATES.RETRYING, { allowSame: false });
+
+    assert.equal(first.applied, true);
+    assert.equal(second.applied, false);
+  });
+
+  it('reports unknown transactions as not found', async () => {
+    const outcome = await transitionPayment('lifecycle_missing', PAYMENT_STATES.SUCCESS);
+
+    assert.equal(outcome.applied, false);
+    assert.equal(outcome.reason, 'not_found');
+  });
+});
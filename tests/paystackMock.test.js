@@ -0,0 +1,151 @@
+const { listen, urlOf, waitFor } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const axios = require('axios');
+const { createPaystackServer } = require('../mocks/paystackServer');
+const { verifyPaystackSignature } = require('../utils/paystackSignature');
+
+const SECRET_KEY = 'sk_test_mock';
+const WEBHOOK_SECRET = 'whsec_test_mock';
+
+let servers;
+let paystack;
+const received = [];
+
+// Webhooks sent by the mock, with whether their signature verified
+before(async () => {
+  const receiver = express();
+  receiver.post('/webhook', express.raw({ type: '*/*' }), (req, res) => {
+    const { valid } = verifyPaystackSignature(req.body, req.get('x-paystack-signature'), [WEBHOOK_SECRET]);
+    received.push({ ...JSON.parse(req.body), valid });
+    res.sendStatus(200);
+  });
+  const receiverServer = await listen(receiver);
+
+  const paystackServer = await listen(createPaystackServer({
+    secretKey: SECRET_KEY,
+    webhookUrl: `${urlOf(receiverServer)}/webhook`,
+    webhookSecret: WEBHOOK_SECRET,
+    webhookDelayMs: 10
+  }));
+  servers = [receiverServer, paystackServer];
+
+  paystack = axios.create({
+    baseURL: urlOf(paystackServer),
+    headers: { Authorization: `Bearer ${SECRET_KEY}` },
+    validateStatus: () => true
+  });
+});
+
+after(() => Promise.all(servers.map(server => new Promise(resolve => server.close(resolve)))));
+
+let counter = 0;
+
+/**
+ * Charge an M-Pesa number, resolving with the reference
+ */
+const charge = async (phone, amount = 10000) => {
+  const reference = `mock_${++counter}`;
+  const response = await paystack.post('/charge', {
+    reference,
+    email: 'parent@example.com',
+    amount,
+    mobile_money: { phone, provider: 'mpesa' }
+  });
+
+  assert.equal(response.data.data.status, 'pay_offline');
+  return reference;
+};
+
+const verify = async (reference) => (await paystack.get(`/transaction/verify/${reference}`)).data.data;
+
+const settled = (reference) => waitFor(async () => {
+  const transaction = await verify(reference);
+  return transaction.status !== 'ongoing' && transaction;
+}, { message: `${reference} to settle` });
+
+const webhookFor = (reference, event) => waitFor(() => received.find(webhook => (
+  webhook.event === event && (webhook.data.reference || webhook.data.transaction_reference) === reference
+)), { message: `${event} for ${reference}` });
+
+describe('Paystack mock', () => {
+  it('picks the outcome of a charge by the phone number', async () => {
+    const expected = {
+      '+254712345678': ['success', 'Approved'],
+      '254700000001': ['failed', 'Insufficient funds'],
+      '254700000002': ['failed', 'Transaction cancelled by user'],
+      '254700000003': ['abandoned', 'The customer did not complete the payment'],
+      '254700000004': ['failed', 'Declined by M-Pesa']
+    };
+
+    for (const [phone, [status, gatewayResponse]] of Object.entries(expected)) {
+      const transaction = await settled(await charge(phone));
+      assert.deepEqual([transaction.status, transaction.gateway_response], [status, gatewayResponse], phone);
+    }
+  });
+
+  it('sends signed charge webhooks, except for the scenarios without one', async () => {
+    const success = await charge('254712345678');
+    const failed = await charge('254700000001');
+    const timeout = await charge('254700000003');
+    const silent = await charge('254700000005');
+
+    assert.equal((await webhookFor(success, 'charge.success')).valid, true);
+    assert.equal((await webhookFor(failed, 'charge.failed')).data.gateway_response, 'Insufficient funds');
+
+    assert.equal((await settled(timeout)).status, 'abandoned');
+    assert.equal((await settled(silent)).status, 'success');
+    assert.equal(received.some(webhook => [timeout, silent].includes(webhook.data.reference)), false);
+  });
+
+  it('pays a hosted checkout when the checkout page is opened', async () => {
+    const response = await paystack.post('/transaction/initialize', { email: 'parent@example.com', amount: 5000 });
+    const initialized = response.data.data;
+
+    await axios.get(`${initialized.authorization_url}?phone=254700000002`);
+
+    assert.equal((await settled(initialized.reference)).status, 'failed');
+  });
+
+  it('refunds a successful charge', async () => {
+    const reference = await charge('254712345678');
+    await settled(reference);
+
+    assert.equal((await paystack.post('/refund', { transaction: reference, amount: 20000 })).status, 400);
+    assert.equal((await paystack.post('/refund', { transaction: reference })).data.data.amount, 10000);
+
+    assert.equal((await webhookFor(reference, 'refund.processed')).data.status, 'processed');
+    assert.equal((await verify(reference)).status, 'reversed');
+  });
+
+  it('transfers to recipients, failing for the failing test account', async () => {
+    const recipient = async (accountNumber) => (await paystack.post('/transferrecipient', {
+      type: 'mobile_money',
+      name: 'Teacher',
+      account_number: accountNumber,
+      bank_code: 'MPESA'
+    })).data.data.recipient_code;
+
+    const transfer = async (reference, accountNumber) => {
+      const response = await paystack.post('/transfer', { reference, amount: 5000, recipient: await recipient(accountNumber) });
+      assert.equal(response.data.data.status, 'pending');
+    };
+
+    await transfer('transfer_ok', '0722222222');
+    await transfer('transfer_failed', '0700000001');
+
+    assert.equal((await webhookFor('transfer_ok', 'transfer.success')).valid, true);
+    assert.equal((await webhookFor('transfer_failed', 'transfer.failed')).data.reason, 'Recipient account could not be credited');
+  });
+
+  it('rejects requests without the secret key', async () => {
+    const response = await axios.get(`${paystack.defaults.baseURL}/transaction/verify/mock_1`, {
+      headers: { Authorization: 'Bearer sk_test_wrong' },
+      validateStatus: () => true
+    });
+
+    assert.equal(response.status, 401);
+  });
+});
@@ -0,0 +1,67 @@
+const { startBackend } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const { verifyPaystackSignature } = require('../utils/paystackSignature');
+
+// Accepted alongside the primary secret while it is being rotated
+const NEXT_SECRET = 'whsec_test_next';
+
+const sign = (body, secret) => crypto.createHmac('sha512', secret).update(body).digest('hex');
+
+let backend;
+
+before(async () => {
+  process.env.PAYSTACK_TEST_WEBHOOK_SECRETS = ` ${NEXT_SECRET} ,`;
+  backend = await startBackend();
+});
+
+after(() => backend.stop());
+
+/**
+ * Post a raw body to the webhook endpoint with a signature header
+ */
+const postWebhook = async (body, signature) => {
+  const response = await axios.post(backend.webhookUrl, body, {
+    headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signature },
+    validateStatus: () => true
+  });
+
+  return response.status;
+};
+
+describe('verifyPaystackSignature', () => {
+  const body = Buffer.from('{"event":"charge.success","data":{"reference":"ref_1"}}');
+
+  it('reports which secret a signature was made with', () => {
+    assert.deepEqual(verifyPaystackSignature(body, sign(body, 'old'), ['old', 'new']), { valid: true, reason: null, secretIndex: 0 });
+    assert.equal(verifyPaystackSignature(body, sign(body, 'new'), ['old', 'new']).secretIndex, 1);
+  });
+
+  it('rejects signatures from other secrets, over other bodies or malformed', () => {
+    assert.equal(verifyPaystackSignature(body, sign(body, 'other'), ['old', 'new']).valid, false);
+    assert.equal(verifyPaystackSignature(Buffer.from(`${body} `), sign(body, 'old'), ['old']).valid, false);
+    assert.match(verifyPaystackSignature(body, 'abc', ['old']).reason, /Malformed signature/);
+    assert.match(verifyPaystackSignature(body, sign(body, 'old'), []).reason, /No webhook secret/);
+    assert.match(verifyPaystackSignature(null, sign(body, 'old'), ['old']).reason, /Raw request body/);
+  });
+});
+
+describe('webhook signature verification', () => {
+  // Signed over the exact bytes sent - not over a re-serialized body
+  const body = '{ "event": "charge.success",  "data": { "reference": "signature_unknown" } }';
+
+  it('accepts the primary and the rotated-in secret, checking the raw body', async () => {
+    // Verified, then rejected only because the transaction is unknown
+    assert.equal(await postWebhook(body, sign(body, 'whsec_test_suite')), 404);
+    assert.equal(await postWebhook(body, sign(body, NEXT_SECRET)), 404);
+  });
+
+  it('rejects any other signature with 401', async () => {
+    assert.equal(await postWebhook(body, sign(body, 'whsec_retired')), 401);
+    assert.equal(await postWebhook(body, sign(JSON.stringify(JSON.parse(body)), 'whsec_test_suite')), 401);
+    assert.equal(await postWebhook(body, 'invalid'), 401);
+  });
+});
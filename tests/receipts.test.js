@@ -0,0 +1,104 @@
+require('./helpers/backend');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDatabase } = require('../config/firebase');
+const { transactions } = require('../repositories');
+const { financialYearOf, issueReceipt } = require('../services/receipts');
+const { renderReceiptPdf } = require('../utils/receiptPdf');
+
+let counter = 0;
+
+// Passed as the gateway's transaction so no gateway is called
+const GATEWAY_DATA = {
+  amount: 150000,
+  currency: 'KES',
+  channel: 'mobile_money',
+  paid_at: '2025-06-01T08:00:00.000Z',
+  receipt_number: 'QGH7X8Y9Z0',
+  customer: { first_name: 'Jane', last_name: 'Doe', email: 'parent@example.com' }
+};
+
+/**
+ * A payment in `status`, resolving with its reference
+ */
+const payment = async (status = 'success') => {
+  const reference = `receipts_${++counter}`;
+
+  await transactions.create(reference, {
+    reference,
+    amount: 1500,
+    email: 'parent@example.com',
+    status,
+    metadata: { payment_type: 'booking_fee' },
+    createdAt: Date.now()
+  });
+
+  return reference;
+};
+
+const currentCounter = async () => {
+  const snapshot = await getDatabase().ref(`document-counters/receipt/${financialYearOf(new Date())}`).once('value');
+  return snapshot.val()?.lastSequence || 0;
+};
+
+describe('receipts', () => {
+  it('numbers receipts issued at the same time without gaps or duplicates', async () => {
+    const references = await Promise.all([1, 2, 3, 4, 5].map(() => payment()));
+    const start = await currentCounter();
+
+    const documents = (await Promise.all(references.map(reference => issueReceipt(reference, GATEWAY_DATA))))
+      .map(result => result.document);
+    const sequences = documents.map(document => document.sequence).sort((a, b) => a - b);
+
+    assert.deepEqual(sequences, [start + 1, start + 2, start + 3, start + 4, start + 5]);
+    documents.forEach(document => {
+      assert.equal(document.number, `SG-RCT-${document.financialYear}-${String(document.sequence).padStart(6, '0')}`);
+    });
+  });
+
+  it('prints the payer, amount and M-Pesa reference, and keeps its number', async () => {
+    const reference = await payment();
+
+    const { document } = await issueReceipt(reference, GATEWAY_DATA);
+    assert.equal(document.payer.name, 'Jane Doe');
+    assert.equal(document.amount, 1500);
+    assert.equal(document.mpesaReference, 'QGH7X8Y9Z0');
+    assert.equal(document.items[0].description, 'Booking fee');
+
+    const again = await issueReceipt(reference);
+    assert.deepEqual(again.document, document);
+    assert.deepEqual(await renderReceiptPdf(again.document), await renderReceiptPdf(document));
+  });
+
+  it('does not use up a number for a payment that has not succeeded', async () => {
+    const reference = await payment('pending');
+    const start = await currentCounter();
+
+    const { rejection } = await issueReceipt(reference, GATEWAY_DATA);
+
+    assert.equal(rejection.httpStatus, 409);
+    assert.equal(await currentCounter(), start);
+    assert.equal((await getDatabase().ref(`receipts/${reference}`).once('value')).val(), null);
+  });
+
+  it('stores a receipt whose number was taken by an interrupted issue', async () => {
+    const reference = await payment();
+    const counterRef = getDatabase().ref(`document-counters/receipt/${financialYearOf(new Date())}`);
+    const sequence = (await currentCounter()) + 1;
+    const interrupted = { key: reference, kind: 'receipt', status: 'issued', number: `SG-RCT-test-${sequence}`, sequence };
+
+    await counterRef.update({ lastSequence: sequence, [`pending/seq_${sequence}`]: interrupted });
+
+    const { document } = await issueReceipt(reference, GATEWAY_DATA);
+
+    assert.deepEqual(document, interrupted);
+    assert.equal(await currentCounter(), sequence);
+    assert.equal((await counterRef.child('pending').once('value')).val(), null);
+  });
+
+  it('labels financial years by the year they start in', () => {
+    assert.equal(financialYearOf('2025-06-01T00:00:00.000Z'), '2025');
+    assert.equal(financialYearOf('2026-01-01T00:00:00.000Z'), '2026');
+  });
+});
@@ -0,0 +1,113 @@
+const { startBackend, chargeMpesa } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MINUTE = 60 * 1000;
+
+let backend;
+let transactions;
+let runReconciliation;
+
+before(async () => {
+  process.env.RECONCILE_BATCH_SIZE = '2';
+  backend = await startBackend();
+  ({ transactions } = require('../repositories'));
+  ({ runReconciliation } = require('../services/reconciler'));
+});
+
+after(() => backend.stop());
+
+let counter = 0;
+
+const nextReference = () => `reconciler_${String(++counter).padStart(3, '0')}`;
+
+/**
+ * A local payment created `ageMs` ago, unknown to the stand-in
+ */
+const localPayment = async (fields = {}, ageMs = 20 * MINUTE, reference = nextReference()) => {
+  await transactions.create(reference, {
+    reference,
+    gateway: 'paystack',
+    amount: 100,
+    status: 'pending',
+    metadata: {},
+    createdAt: Date.now() - ageMs,
+    ...fields
+  });
+
+  return reference;
+};
+
+/**
+ * A charge the stand-in completed without sending its webhook, created
+ * `ageMs` ago
+ */
+const chargeWithLostWebhook = async (ageMs = 20 * MINUTE) => {
+  const reference = await chargeMpesa({ bookingId: `booking_reconciler_${++counter}`, amount: 100, phone: '254700000005' });
+  await transactions.update(reference, { createdAt: Date.now() - ageMs });
+  return reference;
+};
+
+const itemFor = (report, reference) => report.items.find(item => item.reference === reference);
+
+describe('reconciliation', () => {
+  it('settles pending and abandoned charges from the gateway', async () => {
+    const pending = await chargeWithLostWebhook();
+    const abandoned = await chargeWithLostWebhook();
+    await transactions.update(abandoned, { status: 'abandoned' });
+    const recent = await chargeWithLostWebhook(MINUTE);
+
+    const report = await runReconciliation({ trigger: 'test' });
+
+    assert.equal(itemFor(report, pending).result, 'succeeded');
+    assert.equal(itemFor(report, abandoned).result, 'succeeded');
+    assert.equal(itemFor(report, recent), undefined);
+    assert.equal((await transactions.get(abandoned)).status, 'success');
+    assert.equal((await transactions.get(recent)).status, 'pending');
+
+    await transactions.update(recent, { status: 'success' });
+  });
+
+  it('settles payments left retrying from their retry', async () => {
+    const [paidRetry, unpaidRetry] = [nextReference(), nextReference()];
+    const paid = await localPayment({ status: 'retrying', retryReference: paidRetry });
+    const unpaid = await localPayment({ status: 'retrying', retryReference: unpaidRetry });
+    const neverCharged = await localPayment({ status: 'retrying', retryReference: nextReference() });
+    await localPayment({ status: 'success', retryOf: paid }, MINUTE, paidRetry);
+    await localPayment({ status: 'failed', retryOf: unpaid }, MINUTE, unpaidRetry);
+
+    // Two of the three retrying payments are checked per run
+    const first = await runReconciliation({ trigger: 'test' });
+    const second = await runReconciliation({ trigger: 'test' });
+    const items = [...first.items, ...second.items];
+
+    assert.equal(first.items.length, 2);
+    assert.equal(items.find(item => item.reference === paid).outcome, 'retry_paid');
+    assert.equal(items.find(item => item.reference === unpaid).outcome, 'retry_unpaid');
+    assert.equal(items.find(item => item.reference === neverCharged).outcome, 'retry_missing');
+
+    assert.equal((await transactions.get(paid)).status, 'success');
+    assert.equal((await transactions.get(paid)).paidByRetry, paidRetry);
+    assert.equal((await transactions.get(unpaid)).status, 'failed');
+    assert.equal((await transactions.get(neverCharged)).status, 'failed');
+  });
+
+  it('expires the oldest unresolved payments first, a batch at a time', async () => {
+    const day = 24 * 60 * MINUTE;
+    const newest = await localPayment({}, 2 * day);
+    const oldest = await localPayment({}, 4 * day);
+    const older = await localPayment({}, 3 * day);
+
+    const first = await runReconciliation({ trigger: 'test' });
+
+    assert.equal(first.totals.scanned, 2);
+    assert.deepEqual(first.items.map(item => item.result), ['expired', 'expired']);
+    assert.deepEqual(first.items.map(item => item.reference), [oldest, newest]);
+
+    const second = await runReconciliation({ trigger: 'test' });
+
+    assert.deepEqual(second.items.map(item => item.reference), [older]);
+    assert.equal((await transactions.get(older)).status, 'expired');
+  });
+});
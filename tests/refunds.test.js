@@ -0,0 +1,151 @@
+const { startBackend, waitForPayment, chargeMpesa } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let backend;
+let transactions;
+let bookings;
+let requestRefund;
+let applyRefundEvent;
+let transitionPayment;
+
+before(async () => {
+  backend = await startBackend();
+  ({ transactions, bookings } = require('../repositories'));
+  ({ requestRefund, applyRefundEvent } = require('../services/refunds'));
+  ({ transitionPayment } = require('../services/paymentLifecycle'));
+});
+
+after(() => backend.stop());
+
+let counter = 0;
+
+/**
+ * Pay a booking fee for a new booking, resolving once it has succeeded
+ */
+const paidBookingFee = async (amount = 100) => {
+  const bookingId = `booking_refunds_${++counter}`;
+  await bookings.update(bookingId, { status: 'pending' });
+
+  const reference = await chargeMpesa({ bookingId, amount, metadata: { payment_type: 'booking_fee' } });
+  await waitForPayment(reference, 'success');
+
+  return { reference, bookingId };
+};
+
+/**
+ * A successful payment recorded locally only - unknown to the stand-in
+ */
+const localPayment = async () => {
+  const reference = `refunds_local_${++counter}`;
+
+  await transactions.create(reference, {
+    reference,
+    gateway: 'paystack',
+    amount: 100,
+    status: 'success',
+    metadata: {},
+    createdAt: Date.now()
+  });
+
+  return reference;
+};
+
+describe('refunds', () => {
+  it('reserves a refund so a second one cannot start until it settles', async () => {
+    const { reference, bookingId } = await paidBookingFee();
+
+    const [first, second] = await Promise.all([
+      requestRefund({ reference, reason: 'Cancelled' }),
+      requestRefund({ reference, reason: 'Cancelled' })
+    ]);
+    const statuses = [first.httpStatus, second.httpStatus].sort();
+
+    assert.deepEqual(statuses, [200, 409]);
+    assert.equal((await transactions.get(reference)).status, 'refund_pending');
+
+    const refunded = await waitForPayment(reference, 'refunded');
+    assert.equal(refunded.refundedAmount, 100);
+    assert.equal(refunded.refundPendingAmount, 0);
+    assert.equal((await bookings.get(bookingId)).bookingFeeRefunded, true);
+  });
+
+  it('limits partial refunds to what is left to refund', async () => {
+    const { reference } = await paidBookingFee();
+
+    assert.equal((await requestRefund({ reference, amount: 40 })).httpStatus, 200);
+    await waitForPayment(reference, 'partially_refunded');
+
+    const tooMuch = await requestRefund({ reference, amount: 80 });
+    assert.equal(tooMuch.httpStatus, 400);
+    assert.match(tooMuch.message, /at most 60 KES/);
+
+    assert.equal((await requestRefund({ reference })).httpStatus, 200);
+    assert.equal((await waitForPayment(reference, 'refunded')).refundedAmount, 100);
+  });
+
+  it('releases the reservation when the gateway rejects the refund', async () => {
+    const reference = await localPayment();
+
+    const result = await requestRefund({ reference });
+    const payment = await transactions.get(reference);
+
+    assert.equal(result.httpStatus, 502);
+    assert.equal(payment.status, 'success');
+    assert.equal(payment.refundPendingAmount, 0);
+    assert.ok(payment.lastRefundError);
+  });
+
+  it('returns a payment to success when its refund fails', async () => {
+    const reference = await localPayment();
+    await transitionPayment(reference, 'refund_pending', { updates: { refundPendingAmount: 100 } });
+
+    // A verification cannot take it out of refund_pending...
+    const verified = await transitionPayment(reference, 'success', { source: 'verify' });
+    assert.equal(verified.applied, false);
+
+    // ...only the failed refund can
+    const delivery = await backend.deliverWebhook('refund.failed', {
+      id: 9001,
+      transaction_reference: reference,
+      amount: 10000,
+      status: 'failed',
+      reason: 'Declined'
+    });
+    const payment = await transactions.get(reference);
+
+    assert.equal(delivery.status, 200);
+    assert.equal(payment.status, 'success');
+    assert.equal(payment.refundPendingAmount, 0);
+    assert.equal(payment.refunds.refund_9001.status, 'failed');
+  });
+
+  it('counts a processed refund once, however many times it is reported', async () => {
+    const { reference, bookingId } = await paidBookingFee();
+    await transitionPayment(reference, 'refund_pending', {
+      updates: { refundPendingAmount: 40, activeRefundKey: 'refund_9002', refunds: { refund_9002: { amount: 40, status: 'pending' } } }
+    });
+
+    // Both read the refund as pending - as the sync response and the webhook can
+    const processed = { id: 9002, transaction_reference: reference, amount: 4000, status: 'processed' };
+    const outcomes = await Promise.all([
+      applyRefundEvent('refund.processed', processed),
+      applyRefundEvent('refund.processed', processed)
+    ]);
+    const payment = await transactions.get(reference);
+
+    assert.deepEqual(outcomes.map(result => result.outcome).sort(), ['ignored (refund already processed)', 'partially_refunded']);
+    assert.equal(payment.status, 'partially_refunded');
+    assert.equal(payment.refundedAmount, 40);
+    assert.equal((await bookings.get(bookingId)).bookingFeeRefundedAmount, 40);
+  });
+
+  it('does not refund a payment that is not successful', async () => {
+    const reference = await localPayment();
+    await transactions.update(reference, { status: 'pending' });
+
+    assert.equal((await requestRefund({ reference })).httpStatus, 400);
+    assert.equal((await requestRefund({ reference: 'refunds_missing' })).httpStatus, 404);
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryRepositories } = require('../repositories');
+
+const payment = (reference, fields = {}) => ({
+  reference,
+  amount: 100,
+  status: 'pending',
+  createdAt: 1,
+  ...fields
+});
+
+describe('transaction repository', () => {
+  it('reads, creates and updates transactions', async () => {
+    const { transactions } = createMemoryRepositories({
+      'payment-transactions': { ref_1: payment('ref_1', { split: { teacherShare: 0.9 } }) }
+    });
+
+    assert.equal((await transactions.get('ref_1')).amount, 100);
+    assert.equal(await transactions.get('ref_missing'), null);
+    assert.deepEqual(await transactions.getField('ref_1', 'split'), { teacherShare: 0.9 });
+
+    await transactions.create('ref_2', payment('ref_2'));
+    await transactions.update('ref_2', { status: 'success' });
+    await transactions.update('ref_2', { status: 'sent' }, { path: 'notifications/email_receipt' });
+
+    const stored = await transactions.get('ref_2');
+    assert.equal(stored.status, 'success');
+    assert.deepEqual(stored.notifications, { email_receipt: { status: 'sent' } });
+  });
+
+  it('replaces a transaction, or a value inside it, atomically', async () => {
+    const { transactions } = createMemoryRepositories({
+      'payment-transactions': { ref_1: payment('ref_1') }
+    });
+
+    const whole = await transactions.transaction('ref_1', current => ({ ...current, status: 'success' }));
+    assert.equal(whole.committed, true);
+    assert.equal(whole.value.status, 'success');
+
+    const nested = await transactions.transaction('ref_1', current => current || { status: 'pending' }, { path: 'refunds/refund_1' });
+    assert.deepEqual(nested.value, { status: 'pending' });
+
+    const aborted = await transactions.transaction('ref_1', () => undefined, { path: 'refunds/refund_1' });
+    assert.equal(aborted.committed, false);
+    assert.equal((await transactions.get('ref_1')).refunds.refund_1.status, 'pending');
+
+    assert.notEqual(transactions.newKey(), transactions.newKey());
+  });
+
+  it('lists transactions by status, fulfillment status and email', async () => {
+    const { transactions } = createMemoryRepositories({
+      'payment-transactions': {
+        ref_1: payment('ref_1', { email: 'parent@example.com' }),
+        ref_2: payment('ref_2', { status: 'abandoned' }),
+        ref_3: payment('ref_3', { email: 'parent@example.com' }),
+        ref_4: payment('ref_4', { status: 'success', fulfillment: { status: 'failed' } })
+      }
+    });
+
+    const references = list => list.map(transaction => transaction.reference);
+
+    assert.deepEqual(references(await transactions.listByStatus('pending')), ['ref_1', 'ref_3']);
+    assert.deepEqual(references(await transactions.listByStatus('pending', { limit: 1 })), ['ref_1']);
+    assert.deepEqual(references(await transactions.listByFulfillmentStatus('failed')), ['ref_4']);
+    assert.deepEqual(references(await transactions.listByEmail('parent@example.com', { limit: 5 })), ['ref_1', 'ref_3']);
+  });
+});
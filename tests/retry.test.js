@@ -0,0 +1,94 @@
+const { startBackend, waitForPayment, chargeMpesa, createResponse } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let backend;
+let transactions;
+let bookings;
+let retryMpesaPayment;
+
+before(async () => {
+  backend = await startBackend();
+  ({ transactions, bookings } = require('../repositories'));
+  ({ retryMpesaPayment } = require('../controllers/paymentController'));
+});
+
+after(() => backend.stop());
+
+let counter = 0;
+
+/**
+ * A booking fee charge the stand-in declined
+ */
+const failedBookingFee = async () => {
+  const bookingId = `booking_retry_${++counter}`;
+  await bookings.update(bookingId, { status: 'pending' });
+
+  const reference = await chargeMpesa({
+    bookingId,
+    amount: 100,
+    metadata: { payment_type: 'booking_fee' },
+    phone: '254700000001'
+  });
+  await waitForPayment(reference, 'failed');
+
+  return { reference, bookingId };
+};
+
+const retry = async (reference, phone) => {
+  const res = createResponse();
+
+  await retryMpesaPayment({
+    params: { reference },
+    body: { phone },
+    protocol: 'http',
+    get: () => 'localhost'
+  }, res);
+
+  return res;
+};
+
+describe('payment retries', () => {
+  it('settles the original payment when its retry succeeds', async () => {
+    const failed = await failedBookingFee();
+
+    const res = await retry(failed.reference, '254712345678');
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.sent, 1);
+    assert.equal((await transactions.get(failed.reference)).status, 'retrying');
+
+    const retried = await waitForPayment(res.body.data.reference, 'success');
+    const original = await transactions.get(failed.reference);
+
+    assert.equal(retried.retryOf, failed.reference);
+    assert.equal(original.status, 'success');
+    assert.equal(original.paidByRetry, retried.reference);
+    assert.equal((await bookings.get(failed.bookingId)).bookingFeePaid, true);
+  });
+
+  it('returns the original payment to failed when its retry fails, so it can be retried again', async () => {
+    const failed = await failedBookingFee();
+
+    const res = await retry(failed.reference, '254700000002');
+    await waitForPayment(res.body.data.reference, 'failed');
+
+    const original = await transactions.get(failed.reference);
+    assert.equal(original.status, 'failed');
+    assert.equal(original.retryCount, 1);
+
+    assert.equal((await retry(failed.reference, '254712345678')).statusCode, 200);
+  });
+
+  it('only retries failed payments', async () => {
+    const bookingId = `booking_retry_${++counter}`;
+    const reference = await chargeMpesa({ bookingId, amount: 100 });
+    await waitForPayment(reference, 'success');
+
+    const res = await retry(reference);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.sent, 1);
+  });
+});
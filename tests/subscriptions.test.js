@@ -0,0 +1,96 @@
+require('./helpers/backend');
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { getDatabase } = require('../config/firebase');
+const { applySubscriptionEvent, getSubscription, isEntitled } = require('../services/subscriptions');
+
+let counter = 0;
+
+/**
+ * A subscription checkout waiting for its subscription.create webhook
+ */
+const pendingSubscription = async () => {
+  const userId = `user_subscriptions_${++counter}`;
+  const email = `${userId}@example.com`;
+
+  await getDatabase().ref(`subscriptions/${userId}`).set({
+    userId,
+    email,
+    planId: 'monthly',
+    planCode: 'PLN_monthly',
+    status: 'pending',
+    subscriptionCode: null,
+    createdAt: new Date().toISOString()
+  });
+
+  return { userId, email, subscriptionCode: `SUB_${counter}` };
+};
+
+/**
+ * An active subscription
+ */
+const activeSubscription = async () => {
+  const subscription = await pendingSubscription();
+
+  await applySubscriptionEvent('subscription.create', {
+    subscription_code: subscription.subscriptionCode,
+    email_token: 'token_1',
+    customer: { email: subscription.email, customer_code: 'CUS_1' },
+    plan: { plan_code: 'PLN_monthly' },
+    next_payment_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString()
+  });
+
+  return subscription;
+};
+
+const invoice = (subscriptionCode, fields = {}) => ({
+  invoice_code: `INV_${++counter}`,
+  subscription: { subscription_code: subscriptionCode },
+  amount: 50000,
+  ...fields
+});
+
+describe('subscriptions', () => {
+  it('activates the pending checkout a subscription was created for', async () => {
+    const { userId, subscriptionCode } = await activeSubscription();
+    const subscription = await getSubscription(userId);
+
+    assert.equal(subscription.status, 'active');
+    assert.equal(subscription.subscriptionCode, subscriptionCode);
+    assert.equal(isEntitled(subscription), true);
+  });
+
+  it('renews on a paid invoice and falls past due on a failed one', async () => {
+    const { userId, subscriptionCode } = await activeSubscription();
+
+    const failed = await applySubscriptionEvent('invoice.payment_failed', invoice(subscriptionCode));
+    assert.equal(failed.outcome, 'subscription_past_due');
+    assert.equal((await getSubscription(userId)).status, 'past_due');
+
+    const periodEnd = new Date(Date.now() + 60 * 24 * 60 * 60 * 1000).toISOString();
+    const paid = await applySubscriptionEvent('invoice.update', invoice(subscriptionCode, { paid: true, period_end: periodEnd }));
+    const subscription = await getSubscription(userId);
+
+    assert.equal(paid.outcome, 'subscription_renewed');
+    assert.equal(subscription.status, 'active');
+    assert.equal(subscription.currentPeriodEnd, periodEnd);
+  });
+
+  it('does not revive a cancelled subscription with a late invoice', async () => {
+    const { userId, subscriptionCode } = await activeSubscription();
+    await applySubscriptionEvent('subscription.disable', { subscription_code: subscriptionCode });
+
+    const late = await applySubscriptionEvent('invoice.update', invoice(subscriptionCode, { paid: true }));
+
+    assert.equal(late.outcome, 'subscription_renewed');
+    assert.equal((await getSubscription(userId)).status, 'cancelled');
+  });
+
+  it('rejects events for unknown subscriptions', async () => {
+    const result = await applySubscriptionEvent('invoice.update', invoice('SUB_unknown', { paid: true }));
+
+    assert.equal(result.httpStatus, 404);
+    assert.equal((await applySubscriptionEvent('subscription.create', { customer: { email: 'nobody@example.com' } })).httpStatus, 404);
+  });
+});
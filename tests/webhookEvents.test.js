@@ -0,0 +1,118 @@
+const { startBackend, waitForPayment, chargeMpesa } = require('./helpers/backend');
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+let backend;
+let transactions;
+let bookings;
+let getWebhookEventsForReference;
+
+before(async () => {
+  backend = await startBackend();
+  ({ transactions, bookings } = require('../repositories'));
+  ({ getWebhookEventsForReference } = require('../services/webhookEvents'));
+});
+
+after(() => backend.stop());
+
+let counter = 0;
+
+/**
+ * Charge a booking fee for a new booking, resolving with the reference and
+ * booking ID
+ */
+const chargeBookingFee = async (phone) => {
+  const bookingId = `booking_webhooks_${++counter}`;
+  await bookings.update(bookingId, { status: 'pending', parentId: 'parent_1' });
+
+  const reference = await chargeMpesa({ bookingId, amount: 100, metadata: { payment_type: 'booking_fee' }, phone });
+
+  return { reference, bookingId };
+};
+
+/**
+ * The charge.success webhook the Paystack stand-in sent for a reference
+ */
+const chargeSuccessEvent = (reference) => {
+  const charge = backend.paystack.transactions.get(reference);
+
+  return {
+    id: charge.id,
+    reference,
+    status: 'success',
+    amount: charge.amount,
+    gateway_response: 'Approved',
+    metadata: charge.metadata
+  };
+};
+
+describe('Paystack webhooks', () => {
+  it('records a charge.success and fulfills the payment once', async () => {
+    const { reference, bookingId } = await chargeBookingFee();
+
+    const payment = await waitForPayment(reference, 'success');
+    const booking = await bookings.get(bookingId);
+
+    assert.equal(payment.webhookReceived, true);
+    assert.equal(payment.fulfillment.status, 'fulfilled');
+    assert.equal(payment.fulfillment.attempts, 1);
+    assert.equal(booking.bookingFeePaid, true);
+    assert.equal(booking.status, 'negotiating');
+    assert.deepEqual(Object.keys(booking.appliedPayments), [reference]);
+  });
+
+  it('acknowledges a redelivered webhook without applying it again', async () => {
+    const { reference, bookingId } = await chargeBookingFee();
+    await waitForPayment(reference, 'success');
+    const activityBefore = Object.keys((await bookings.get(bookingId)).activityLog || {}).length;
+
+    const redelivery = await backend.deliverWebhook('charge.success', chargeSuccessEvent(reference));
+
+    assert.equal(redelivery.status, 200);
+    assert.equal(redelivery.data.duplicate, true);
+
+    const events = await getWebhookEventsForReference(reference);
+    const delivery = events.find(event => event.event === 'charge.success');
+    assert.equal(delivery.deliveries, 2);
+    assert.equal(delivery.duplicateCount, 1);
+
+    assert.equal(Object.keys((await bookings.get(bookingId)).activityLog || {}).length, activityBefore);
+  });
+
+  it('does not fulfill a payment again for a second, different success event', async () => {
+    const { reference, bookingId } = await chargeBookingFee();
+    await waitForPayment(reference, 'success');
+
+    // No id, so not recognised as a redelivery of the first event
+    const { id, ...event } = chargeSuccessEvent(reference);
+    const delivery = await backend.deliverWebhook('charge.success', event);
+
+    assert.equal(delivery.status, 200);
+    assert.notEqual(delivery.data.duplicate, true);
+
+    const payment = await transactions.get(reference);
+    assert.equal(payment.fulfillment.attempts, 1);
+    assert.deepEqual(Object.keys((await bookings.get(bookingId)).appliedPayments), [reference]);
+  });
+
+  it('records a failed charge and ignores a late failure after success', async () => {
+    const failed = await chargeBookingFee('254700000001');
+    const failedPayment = await waitForPayment(failed.reference, 'failed');
+
+    assert.equal(failedPayment.failureReason, 'Insufficient funds');
+    assert.equal((await bookings.get(failed.bookingId)).bookingFeePaid, undefined);
+
+    const { reference } = await chargeBookingFee();
+    await waitForPayment(reference, 'success');
+
+    const late = await backend.deliverWebhook('charge.failed', {
+      ...chargeSuccessEvent(reference),
+      status: 'failed',
+      gateway_response: 'Declined'
+    });
+
+    assert.equal(late.status, 200);
+    assert.equal((await transactions.get(reference)).status, 'success');
+  });
+});
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const { PLATFORM } = require('../config/platform');
+
+/**
+ * Render the HTML email templates in templates/email
+ *
+ * `{{name}}` is replaced with the HTML-escaped value and `{{{name}}}` with the
+ * raw value. Every message is wrapped in layout.html.
+ */
+
+const TEMPLATES_DIR = path.join(__dirname, '../templates/email');
+
+const cache = new Map();
+
+const loadTemplate = (name) => {
+  if (!cache.has(name)) {
+    cache.set(name, fs.readFileSync(path.join(TEMPLATES_DIR, `${name}.html`), 'utf8'));
+  }
+
+  return cache.get(name);
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const fill = (template, values) => template
+  .replace(/\{\{\{(\w+)\}\}\}/g, (match, key) => (values[key] ?? ''))
+  .replace(/\{\{(\w+)\}\}/g, (match, key) => escapeHtml(values[key] ?? ''));
+
+/**
+ * Plain-text alternative of a rendered HTML body
+ */
+const toText = (html) => html
+  .replace(/\s+/g, ' ')
+  .replace(/<\/(p|table)>/gi, '\n\n')
+  .replace(/<\/tr>|<br\s*\/?>/gi, '\n')
+  .replace(/<\/td>\s*<td[^>]*>/gi, ': ')
+  .replace(/<[^>]+>/g, '')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, '\'')
+  .replace(/&amp;/g, '&')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+/**
+ * Render a template as { subject, html, text }
+ */
+const renderEmail = (name, subject, values) => {
+  const content = fill(loadTemplate(name), values);
+  const html = fill(loadTemplate('layout'), {
+    subject,
+    content,
+    platformName: PLATFORM.name,
+    platformEmail: PLATFORM.email,
+    platformLegalName: PLATFORM.legalName,
+    platformAddress: PLATFORM.address
+  });
+
+  return { subject, html, text: toText(content) };
+};
+
+/**
+ * Format a KES amount for display, e.g. "KES 1,500.00"
+ */
+const formatKes = (amount) => {
+  return `KES ${Number(amount || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+module.exports = {
+  renderEmail,
+  formatKes
+};
@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+
+/**
+ * SHA-256 hex digest of a string or buffer
+ */
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * Serialize a value with sorted object keys so that logically equal
+ * objects always produce the same string (and hash)
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+module.exports = {
+  sha256,
+  stableStringify
+};
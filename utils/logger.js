@@ -232,7 +232,7 @@ const logger = {
   }
 };
 
-// Log rotation every hour
-setInterval(logger.rotateLogs, 60 * 60 * 1000);
+// Log rotation every hour (without keeping the process alive for it)
+setInterval(logger.rotateLogs, 60 * 60 * 1000).unref();
 
 module.exports = logger;
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+// Paystack signs webhooks with HMAC-SHA512, sent as 128 hex characters
+const SIGNATURE_PATTERN = /^[a-f0-9]{128}$/i;
+
+/**
+ * Verify an x-paystack-signature header against the raw request body
+ *
+ * Every secret in `secrets` is tried so that a new webhook secret can be
+ * rolled out before the old one is retired. Returns
+ * { valid, reason, secretIndex } where `reason` describes the failure.
+ */
+const verifyPaystackSignature = (rawBody, signature, secrets = []) => {
+  const activeSecrets = secrets.filter(Boolean);
+
+  if (activeSecrets.length === 0) {
+    return { valid: false, reason: 'No webhook secret configured' };
+  }
+
+  if (!signature) {
+    return { valid: false, reason: 'No x-paystack-signature header in request' };
+  }
+
+  if (!rawBody || rawBody.length === 0) {
+    return { valid: false, reason: 'Raw request body not available for verification' };
+  }
+
+  if (!SIGNATURE_PATTERN.test(signature)) {
+    return {
+      valid: false,
+      reason: `Malformed signature (expected 128 hex characters, got ${signature.length} characters)`
+    };
+  }
+
+  const received = Buffer.from(signature, 'hex');
+
+  const secretIndex = activeSecrets.findIndex(secret => {
+    const expected = crypto
+      .createHmac('sha512', secret)
+      .update(rawBody)
+      .digest();
+
+    return crypto.timingSafeEqual(expected, received);
+  });
+
+  if (secretIndex === -1) {
+    return {
+      valid: false,
+      reason: `Signature mismatch against ${activeSecrets.length} active secret(s)`
+    };
+  }
+
+  return { valid: true, reason: null, secretIndex };
+};
+
+module.exports = {
+  verifyPaystackSignature
+};
@@ -0,0 +1,48 @@
+/**
+ * Kenyan mobile number normalization, as done by POST /api/payments/validate-phone
+ */
+
+const INVALID_FORMAT = 'Invalid phone number format. Please use format: 254XXXXXXXXX or 07XXXXXXXXX';
+
+// 07XX and 01XX series
+const VALID_PREFIXES = ['2547', '2541'];
+
+/**
+ * Normalize a number to 254XXXXXXXXX
+ *
+ * Returns { phone, provider }, or { error } with the message shown to the
+ * caller.
+ */
+const normalizeMpesaNumber = (phone) => {
+  // Remove spaces and any other non-digit characters
+  let formattedPhone = String(phone || '').replace(/\D/g, '');
+
+  if (formattedPhone.startsWith('0')) {
+    formattedPhone = '254' + formattedPhone.substring(1);
+  } else if (formattedPhone.startsWith('254')) {
+    // Already in correct format
+  } else if (formattedPhone.length === 9) {
+    // Assume Kenya number without prefix
+    formattedPhone = '254' + formattedPhone;
+  } else {
+    return { error: INVALID_FORMAT };
+  }
+
+  // Should be 12 digits: 254XXXXXXXXX
+  if (!/^254\d{9}$/.test(formattedPhone)) {
+    return { error: 'Invalid phone number format. Should be 254XXXXXXXXX' };
+  }
+
+  if (!VALID_PREFIXES.some(prefix => formattedPhone.startsWith(prefix))) {
+    return { error: 'Invalid Kenyan mobile number prefix' };
+  }
+
+  return {
+    phone: formattedPhone,
+    provider: formattedPhone.startsWith('2547') ? 'Safaricom MPesa' : 'Other Kenyan Mobile'
+  };
+};
+
+module.exports = {
+  normalizeMpesaNumber
+};
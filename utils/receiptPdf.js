@@ -0,0 +1,196 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Render a stored receipt/invoice (services/receipts.js) as a PDF
+ *
+ * Everything printed comes from the stored document, and the PDF creation
+ * date is the issue date, so the same document always renders to the same
+ * bytes.
+ */
+
+const TIME_ZONE = 'Africa/Nairobi';
+
+const formatMoney = (amount, currency = 'KES') => {
+  return `${currency} ${Number(amount || 0).toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+};
+
+const formatDate = (value) => {
+  if (!value) {
+    return '-';
+  }
+
+  return new Date(value).toLocaleString('en-KE', {
+    timeZone: TIME_ZONE,
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const formatDay = (value) => {
+  return value
+    ? new Date(value).toLocaleDateString('en-KE', { timeZone: TIME_ZONE, day: '2-digit', month: 'short', year: 'numeric' })
+    : '-';
+};
+
+/**
+ * Print "label: value" rows, skipping empty values
+ */
+const detailRows = (pdf, rows, x, width) => {
+  rows
+    .filter(([, value]) => value)
+    .forEach(([label, value]) => {
+      pdf.font('Helvetica-Bold').fontSize(9).text(`${label}: `, x, pdf.y, { continued: true, width });
+      pdf.font('Helvetica').text(String(value));
+    });
+};
+
+/**
+ * Render a document and resolve with the PDF as a Buffer
+ */
+const renderReceiptPdf = (document) => new Promise((resolve, reject) => {
+  const isReceipt = document.kind === 'receipt';
+  const platform = document.platform || {};
+  const title = isReceipt ? 'RECEIPT' : 'INVOICE';
+  const pdf = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: {
+      Title: `${platform.name || 'ShuleGram'} ${title.toLowerCase()} ${document.number}`,
+      Author: platform.legalName || platform.name || 'ShuleGram',
+      CreationDate: new Date(document.issuedAt)
+    }
+  });
+  const chunks = [];
+
+  pdf.on('data', chunk => chunks.push(chunk));
+  pdf.on('end', () => resolve(Buffer.concat(chunks)));
+  pdf.on('error', reject);
+
+  const left = 50;
+  const right = pdf.page.width - 50;
+  const width = right - left;
+
+  // Platform header
+  pdf.font('Helvetica-Bold').fontSize(20).text(platform.name || 'ShuleGram', left, 50);
+  pdf.font('Helvetica').fontSize(9);
+  [
+    platform.legalName,
+    platform.address,
+    [platform.email, platform.phone].filter(Boolean).join(' | '),
+    platform.website,
+    platform.kraPin && `KRA PIN: ${platform.kraPin}`
+  ].filter(Boolean).forEach(line => pdf.text(line));
+
+  pdf.font('Helvetica-Bold').fontSize(18).text(title, left, 50, { width, align: 'right' });
+  pdf.font('Helvetica').fontSize(10)
+    .text(document.number, { width, align: 'right' })
+    .text(`Issued ${formatDate(document.issuedAt)}`, { width, align: 'right' });
+
+  if (!isReceipt) {
+    pdf.text(`Due ${formatDay(document.dueDate)}`, { width, align: 'right' });
+  }
+
+  pdf.moveDown(3);
+  pdf.y = Math.max(pdf.y, 150);
+
+  // Payer and booking
+  const top = pdf.y;
+  pdf.font('Helvetica-Bold').fontSize(11).text(isReceipt ? 'Received from' : 'Bill to', left, top);
+  detailRows(pdf, [
+    ['Name', document.payer?.name],
+    ['Email', document.payer?.email],
+    ['Phone', document.payer?.phone]
+  ], left, width / 2 - 10);
+  const payerBottom = pdf.y;
+
+  if (document.booking) {
+    const x = left + width / 2;
+    pdf.font('Helvetica-Bold').fontSize(11).text('Booking', x, top);
+    detailRows(pdf, [
+      ['Booking ID', document.booking.id],
+      ['Student', document.booking.studentName],
+      ['Teacher', document.booking.teacherName],
+      ['Subject', document.booking.subject]
+    ], x, width / 2);
+  }
+
+  pdf.y = Math.max(pdf.y, payerBottom) + 25;
+
+  // Line items
+  const amountX = right - 150;
+  const headerTop = pdf.y;
+  pdf.font('Helvetica-Bold').fontSize(10)
+    .text('Description', left, headerTop)
+    .text('Amount', amountX, headerTop, { width: 150, align: 'right' });
+  pdf.moveTo(left, pdf.y + 4).lineTo(right, pdf.y + 4).stroke();
+  pdf.moveDown();
+
+  pdf.font('Helvetica').fontSize(10);
+  (document.items || []).forEach(item => {
+    const rowTop = pdf.y;
+    pdf.text(item.description, left, rowTop, { width: amountX - left - 10 });
+    const rowBottom = pdf.y;
+    pdf.text(formatMoney(item.amount, document.currency), amountX, rowTop, { width: 150, align: 'right' });
+    pdf.y = Math.max(pdf.y, rowBottom) + 6;
+  });
+
+  pdf.moveTo(left, pdf.y).lineTo(right, pdf.y).stroke();
+  pdf.moveDown(0.5);
+  const totalTop = pdf.y;
+  pdf.font('Helvetica-Bold').fontSize(12)
+    .text(isReceipt ? 'Total paid' : 'Amount due', left, totalTop)
+    .text(formatMoney(document.amount, document.currency), amountX, totalTop, { width: 150, align: 'right' });
+
+  pdf.moveDown(2);
+
+  // Payment details
+  pdf.font('Helvetica-Bold').fontSize(11).text(isReceipt ? 'Payment details' : 'How to pay', left);
+
+  if (isReceipt) {
+    detailRows(pdf, [
+      ['Payment date', formatDate(document.paidAt)],
+      ['Payment method', document.paymentMethod],
+      ['M-Pesa reference', document.mpesaReference],
+      ['Transaction reference', document.reference]
+    ], left, width);
+  } else {
+    pdf.font('Helvetica').fontSize(9).text(document.paymentInstructions || '', left, pdf.y, { width });
+  }
+
+  // Footer
+  pdf.font('Helvetica').fontSize(8).fillColor('#666666').text(
+    isReceipt
+      ? `This receipt was issued electronically by ${platform.name || 'ShuleGram'} and is valid without a signature.`
+      : `Please pay by the due date. Contact ${platform.email || 'support'} with any questions.`,
+    left,
+    pdf.page.height - 90,
+    { width, align: 'center' }
+  );
+
+  pdf.end();
+});
+
+/**
+ * Send a document as a PDF response (?download=1 for an attachment)
+ */
+const sendDocumentPdf = async (req, res, document) => {
+  const pdf = await renderReceiptPdf(document);
+  const disposition = req.query.download ? 'attachment' : 'inline';
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': pdf.length,
+    'Content-Disposition': `${disposition}; filename="${document.number}.pdf"`,
+    'X-Document-Number': document.number
+  });
+
+  return res.status(200).send(pdf);
+};
+
+module.exports = {
+  renderReceiptPdf,
+  sendDocumentPdf
+};